@@ -0,0 +1,244 @@
+// =============================================================================
+// POLITICAL ALPHA — Real-Time Alerts
+// =============================================================================
+// Frequent companion to the daily cron: fetches the latest filings with the
+// same source registry, keeps only trades nobody has been told about yet
+// (per lib/history), runs them through the alert rules in lib/alerts.js and
+// emails short alerts straight away.
+//
+// Spam control: nothing is sent during quiet hours (matches wait for the next
+// run after the window), each recipient has hourly/daily caps, and one run
+// sends at most one email per recipient. Who was alerted about which trade is
+// kept per recipient, so a match held back by the caps goes out on a later
+// run while it is still news. Alerted trades still appear in the next daily
+// briefing.
+//
+// Team channels from lib/channels (Slack, Discord, Telegram, webhook) get one
+// post per run with the matches for the team list, under the same quiet
+// hours and caps as a single recipient.
+//
+// ALERT_SOURCES picks which registered sources to poll (default: every
+// trade source, i.e. all but google-news).
+// =============================================================================
+
+const { validateItems, isTrade, describeTrade } = require("../lib/trades");
+const { mergeTrades } = require("../lib/merge");
+const { getStorage } = require("../lib/storage");
+const { openTradeHistory } = require("../lib/history");
+const { gatherAllData, getSources } = require("../lib/sources");
+const { loadActiveSubscribers } = require("../lib/subscribers");
+const { sendPersonalized } = require("../lib/email");
+const { escHtml } = require("../lib/pages");
+const { resolveAlertConfig, evaluateAlerts, isQuietHours, withinRateLimit, pruneSendLog } = require("../lib/alerts");
+const { getChannels, resolveChannelConfig, deliverToChannels } = require("../lib/channels");
+const { createMarketDataProvider, enrichWithPrices } = require("../lib/market");
+const { enrichPoliticians } = require("../lib/politicians");
+const { flagConflicts } = require("../lib/committees");
+
+const SEND_LOG_KEY = "alerts/send-log";
+// Send-log entry shared by the team channels (Slack, Discord, ...).
+const TEAM_LOG_KEY = "#team";
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// ---------------------------------------------------------------------------
+// ALERT EMAIL
+// ---------------------------------------------------------------------------
+
+function alertSubject(matches) {
+  const [{ trade }] = matches;
+  if (matches.length === 1) {
+    const verb = trade.transaction === "BUY" ? "buys" : trade.transaction === "SELL" ? "sells" : "trades";
+    return `Alert: ${trade.entity} ${verb} $${trade.ticker}${trade.amount ? ` (${trade.amount})` : ""}`;
+  }
+  const tickers = [...new Set(matches.map((m) => `$${m.trade.ticker}`))].slice(0, 3).join(", ");
+  return `Alert: ${matches.length} high-signal filings (${tickers})`;
+}
+
+function buildAlertHtml(matches, recipient = {}) {
+  const items = matches.map(({ trade, reasons }) => `
+    <div style="background:#1a1a2e;border-left:4px solid #ffc107;padding:16px 20px;margin-bottom:12px;border-radius:0 8px 8px 0;">
+      <p style="color:#ffffff;font-size:15px;font-weight:700;line-height:1.5;margin:0 0 8px 0;">${escHtml(describeTrade(trade))}</p>
+      ${reasons.map((r) => `<p style="color:#ffc107;font-size:12px;margin:0 0 4px 0;">&#9889; ${escHtml(r)}</p>`).join("")}
+      ${trade.sourceUrl ? `<a href="${escHtml(trade.sourceUrl)}" style="color:#00d2ff;font-size:12px;">View filing (${escHtml(trade.source)})</a>` : ""}
+    </div>`).join("");
+
+  const unsubscribe = recipient.unsubscribeUrl
+    ? `<p style="color:#3a3a5c;font-size:10px;margin:12px 0 0 0;">Sent to ${escHtml(recipient.email)}. <a href="${escHtml(recipient.unsubscribeUrl)}" style="color:#8892b0;text-decoration:underline;">Unsubscribe</a></p>`
+    : "";
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="UTF-8"><meta name="viewport" content="width=device-width,initial-scale=1.0"><title>Political Alpha Alert</title></head>
+<body style="margin:0;padding:0;background-color:#0a0a14;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,'Helvetica Neue',Arial,sans-serif;">
+<div style="max-width:640px;margin:0 auto;padding:0;">
+  <div style="background:#0f3460;padding:20px 24px;border-bottom:3px solid #ffc107;">
+    <h1 style="color:#ffffff;font-size:22px;font-weight:900;margin:0;">POLITICAL<span style="color:#e94560;">ALPHA</span> <span style="color:#ffc107;font-size:13px;letter-spacing:2px;">REAL-TIME ALERT</span></h1>
+  </div>
+  <div style="padding:24px;background-color:#0a0a14;">${items}
+  </div>
+  <div style="background:#0f0f1a;padding:16px 24px;text-align:center;border-top:1px solid #1a1a2e;">
+    <p style="color:#3a3a5c;font-size:10px;margin:0;">Full context follows in the next daily briefing. This is not financial advice.</p>
+    ${unsubscribe}
+  </div>
+</div>
+</body>
+</html>`;
+}
+
+// ---------------------------------------------------------------------------
+// MAIN HANDLER
+// ---------------------------------------------------------------------------
+
+function alertSources(env) {
+  const ids = String(env.ALERT_SOURCES || "").split(",").map((s) => s.trim()).filter(Boolean);
+  return getSources().filter((s) => (ids.length > 0 ? ids.includes(s.id) : s.id !== "google-news"));
+}
+
+// A trade is a candidate if it has not been in a briefing yet and was first
+// seen recently enough to still be news. Each recipient is then only alerted
+// about the candidates they have not heard about.
+function isCandidate(record, now, config) {
+  if (!record) return true;
+  if (record.firstEmailed) return false;
+  return now.getTime() - new Date(record.firstSeen).getTime() <= config.maxAgeHours * HOUR_MS;
+}
+
+// Dependencies can be injected for tests and local runs:
+//   fetch        HTTP client handed to every source fetcher
+//   now          Current time (quiet hours, rate limits, date windows)
+//   env          Env for alert rules, sources and channels (defaults to process.env)
+//   resend       Resend client (defaults to one built from RESEND_API_KEY)
+//   storage      Storage backend for history, subscribers and the send log
+//   marketData   Market-data provider, or null to send alerts without prices
+//   subscribers  Recipients as addresses or { email, watchlist } profiles
+function createAlertsHandler(deps = {}) {
+  return async function handler(req, res) {
+    if (process.env.CRON_SECRET && req.headers["authorization"] !== `Bearer ${process.env.CRON_SECRET}`) {
+      return res.status(401).json({ error: "Unauthorized" });
+    }
+
+    const env = deps.env || process.env;
+    const now = deps.now || new Date();
+    const config = resolveAlertConfig(env);
+    const storage = deps.storage || getStorage();
+
+    if (isQuietHours(now, config)) {
+      console.log("[Alerts] Quiet hours — skipping run");
+      return res.status(200).json({ success: true, quietHours: true, emailsSent: 0 });
+    }
+
+    try {
+      const context = { now };
+      if (deps.fetch) context.fetch = deps.fetch;
+      const { allItems, errors, sources } = await gatherAllData({ env, sources: alertSources(env), context });
+      const trades = mergeTrades(validateItems(allItems)).filter(isTrade);
+      enrichPoliticians(trades);
+      flagConflicts(trades);
+
+      const history = await openTradeHistory(storage);
+      const candidates = trades.filter((t) => isCandidate(history.find(t), now, config));
+      history.markSeen(trades, now.toISOString());
+
+      // Alerts show how the stock has moved since the trade, when known.
+      if (candidates.length > 0) {
+        try {
+          const marketData = deps.marketData !== undefined ? deps.marketData : createMarketDataProvider(env, { fetch: deps.fetch });
+          if (marketData) await enrichWithPrices(candidates, marketData, { now });
+        } catch (err) {
+          console.warn(`[Market] Price enrichment skipped: ${err.message}`);
+        }
+      }
+
+      // The cluster rule looks at everything first seen in the last few days,
+      // not just this run.
+      const cutoff = now.getTime() - config.clusterDays * DAY_MS;
+      const recentTrades = Object.values(history.records)
+        .filter((r) => new Date(r.firstSeen).getTime() >= cutoff)
+        .map((r) => r.trade);
+
+      const subscribers = (deps.subscribers || await loadActiveSubscribers(storage))
+        .map((s) => (typeof s === "string" ? { email: s, watchlist: null } : s));
+      const sendLog = pruneSendLog((await storage.get(SEND_LOG_KEY)) || {}, now);
+
+      let rateLimited = 0;
+      const planned = new Map();
+      const unalerted = (recipient) => candidates.filter((t) => !history.wasAlerted(t, recipient));
+      for (const recipient of subscribers) {
+        const matches = evaluateAlerts(unalerted(recipient.email), { config, recentTrades, watchlist: recipient.watchlist });
+        if (matches.length === 0) continue;
+        if (!withinRateLimit(sendLog[recipient.email], now, config)) {
+          rateLimited++;
+          continue;
+        }
+        planned.set(recipient.email, matches.slice(0, config.maxTradesPerEmail));
+      }
+
+      let emailsSent = 0;
+      const alerted = new Set();
+      const markAlerted = (matches, recipient) => {
+        for (const { trade } of matches) alerted.add(trade);
+        history.markAlerted(matches.map((m) => m.trade), recipient, now.toISOString());
+      };
+      if (planned.size > 0) {
+        const results = await sendPersonalized(subscribers.filter((s) => planned.has(s.email)), (recipient) => {
+          const matches = planned.get(recipient.email);
+          return { subject: alertSubject(matches), html: buildAlertHtml(matches, recipient) };
+        }, { resend: deps.resend, env });
+
+        for (const r of results.filter((r) => r.success)) {
+          emailsSent += r.count;
+          for (const email of r.recipients) {
+            sendLog[email] = [...(sendLog[email] || []), now.toISOString()];
+            markAlerted(planned.get(email), email);
+          }
+        }
+      }
+
+      // Team channels see the matches without any personal watchlist.
+      let channels = [];
+      const teamChannels = getChannels().filter((c) => c.audience === "team" && resolveChannelConfig(c, env).enabled);
+      const teamMatches = evaluateAlerts(unalerted(TEAM_LOG_KEY), { config, recentTrades }).slice(0, config.maxTradesPerEmail);
+      if (teamChannels.length > 0 && teamMatches.length > 0) {
+        if (withinRateLimit(sendLog[TEAM_LOG_KEY], now, config)) {
+          const payload = {
+            type: "alert",
+            id: `alert-${now.toISOString()}`,
+            title: alertSubject(teamMatches),
+            generatedAt: now.toISOString(),
+            matches: teamMatches,
+          };
+          ({ results: channels } = await deliverToChannels(payload, { env, channels: teamChannels }));
+          if (channels.some((c) => c.delivered > 0)) {
+            sendLog[TEAM_LOG_KEY] = [...(sendLog[TEAM_LOG_KEY] || []), now.toISOString()];
+            markAlerted(teamMatches, TEAM_LOG_KEY);
+          }
+        } else {
+          rateLimited++;
+        }
+      }
+
+      await history.save();
+      await storage.set(SEND_LOG_KEY, sendLog);
+
+      console.log(`[Alerts] ${candidates.length} new trades, ${alerted.size} alerted, ${emailsSent} emails, ${rateLimited} rate-limited`);
+      return res.status(200).json({
+        success: true,
+        newTrades: candidates.length,
+        alertedTrades: alerted.size,
+        emailsSent,
+        channels,
+        rateLimited,
+        sources,
+        errors: errors.length > 0 ? errors.map((e) => `${e.name}: ${e.error}`) : undefined,
+      });
+    } catch (err) {
+      console.error("[Alerts FATAL]", err);
+      return res.status(500).json({ error: "Alert run failed", message: err.message });
+    }
+  };
+}
+
+module.exports = createAlertsHandler();
+module.exports.createAlertsHandler = createAlertsHandler;
+module.exports.buildAlertHtml = buildAlertHtml;
@@ -0,0 +1,85 @@
+// =============================================================================
+// POLITICAL ALPHA — Public Issue Archive
+// =============================================================================
+// GET /api/archive                          index of past issues (HTML)
+// GET /api/archive?date=2026-02-20          the daily issue, as emailed
+// GET /api/archive?date=...&edition=weekly  a digest issue
+//
+// Add format=json to any of them for the data instead: the index entries, or
+// the issue's analysis/digest and trades without the HTML. vercel.json maps
+// the permalinks /archive, /archive/<date> and /archive/<edition>/<date>
+// here. Public: archived issues carry no recipient data.
+// =============================================================================
+
+const { getStorage } = require("../lib/storage");
+const { escHtml, sendPage } = require("../lib/pages");
+const { isDigestEdition } = require("../lib/digest");
+const { ISO_DATE_RE, archiveUrl, issueUrl, createArchive } = require("../lib/archive");
+
+const CACHE_CONTROL = "public, max-age=0, s-maxage=300";
+
+function indexHtml(issues, env) {
+  if (issues.length === 0) return `<p style="color:#8892b0;font-size:14px;margin:24px 0 0 0;">No issues have been published yet.</p>`;
+  const items = issues.map((e) => `
+    <li style="padding:12px 0;border-bottom:1px solid #0f3460;">
+      <a href="${escHtml(issueUrl(e.edition, e.date, env))}" style="color:#00d2ff;font-weight:700;text-decoration:none;">${escHtml(e.title)}</a>
+      ${e.summary ? `<p style="color:#8892b0;font-size:12px;margin:4px 0 0 0;">${escHtml(e.summary)}</p>` : ""}
+    </li>`).join("");
+  return `<ul style="list-style:none;padding:0;margin:24px 0 0 0;text-align:left;">${items}
+  </ul>`;
+}
+
+// Dependencies can be injected for tests:
+//   storage  Storage backend holding the archive
+//   env      Env for PUBLIC_BASE_URL (defaults to process.env)
+function createArchiveHandler(deps = {}) {
+  return async function handler(req, res) {
+    if (req.method !== "GET") {
+      res.setHeader("Allow", "GET");
+      return res.status(405).json({ error: "Method not allowed" });
+    }
+
+    const env = deps.env || process.env;
+    const query = req.query || {};
+    const asJson = String(query.format || "").toLowerCase() === "json";
+    const edition = String(query.edition || "daily").toLowerCase();
+    if (edition !== "daily" && !isDigestEdition(edition)) {
+      return res.status(400).json({ error: `Unknown edition "${edition}"` });
+    }
+
+    try {
+      const archive = createArchive(deps.storage || getStorage());
+      res.setHeader("Cache-Control", CACHE_CONTROL);
+
+      if (!query.date) {
+        const issues = await archive.list(query.edition ? { edition } : {});
+        if (asJson) return res.status(200).json({ issues: issues.map((e) => ({ ...e, url: issueUrl(e.edition, e.date, env) })) });
+        return sendPage(res, 200, { title: "Archive", message: "Every past issue of Political Alpha.", body: indexHtml(issues, env) });
+      }
+
+      if (!ISO_DATE_RE.test(query.date)) {
+        if (asJson) return res.status(400).json({ error: "date must be YYYY-MM-DD" });
+        return sendPage(res, 400, { title: "Issue not found", message: "Archive links look like /archive/2026-02-20." });
+      }
+      const issue = await archive.get(edition, query.date);
+      if (!issue) {
+        if (asJson) return res.status(404).json({ error: "Issue not found" });
+        return sendPage(res, 404, { title: "Issue not found", message: `There is no ${edition} issue for ${query.date}.`, body: `<p style="margin:24px 0 0 0;"><a href="${escHtml(archiveUrl(env))}" style="color:#00d2ff;">Browse the archive</a></p>` });
+      }
+
+      if (asJson) {
+        const { html, ...data } = issue;
+        return res.status(200).json({ ...data, url: issueUrl(issue.edition, issue.date, env) });
+      }
+      res.setHeader("Content-Type", "text/html; charset=utf-8");
+      return res.status(200).send(issue.html);
+    } catch (err) {
+      console.error("[Archive] Failed:", err.message);
+      if (asJson) return res.status(500).json({ error: "Archive unavailable" });
+      return sendPage(res, 500, { title: "Something went wrong", message: "Please try again in a few minutes." });
+    }
+  };
+}
+
+module.exports = createArchiveHandler();
+module.exports.createArchiveHandler = createArchiveHandler;
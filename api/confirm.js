@@ -0,0 +1,39 @@
+// =============================================================================
+// POLITICAL ALPHA — Confirm Subscription (double opt-in, step 2)
+// =============================================================================
+// GET /api/confirm?token=...
+//
+// The token is the signed link from the confirmation email. A valid token
+// marks the subscriber active; they receive the next daily briefing.
+// =============================================================================
+
+const { getStorage } = require("../lib/storage");
+const { sendPage } = require("../lib/pages");
+const { verifyToken, createSubscriberStore } = require("../lib/subscribers");
+
+// Dependencies can be injected for tests:
+//   storage  Storage backend for subscriber records
+//   env      Env holding the signing secret (defaults to process.env)
+function createConfirmHandler(deps = {}) {
+  return async function handler(req, res) {
+    let email;
+    try {
+      email = verifyToken(req.query && req.query.token, "confirm", deps.env || process.env);
+    } catch (err) {
+      return sendPage(res, 400, { title: "Link not valid", message: `${err.message}. Sign up again to get a fresh confirmation link.` });
+    }
+
+    try {
+      const record = await createSubscriberStore(deps.storage || getStorage()).confirm(email);
+      if (!record) return sendPage(res, 404, { title: "Subscription not found", message: "Sign up again to get a fresh confirmation link." });
+      console.log("[Confirm] Subscriber activated");
+      return sendPage(res, 200, { title: "You're subscribed", message: `${email} will receive the next Political Alpha briefing.` });
+    } catch (err) {
+      console.error("[Confirm] Failed:", err.message);
+      return sendPage(res, 500, { title: "Something went wrong", message: "Please try the link again in a few minutes." });
+    }
+  };
+}
+
+module.exports = createConfirmHandler();
+module.exports.createConfirmHandler = createConfirmHandler;
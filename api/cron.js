@@ -3,661 +3,590 @@
 // =============================================================================
 // Vercel Serverless Function triggered daily at 08:00 CET.
 //
-// DATA SOURCES:
-//   1. QuiverQuant Congress Trade News — individual STOCK Act filings with
-//      politician names, tickers, and transaction types (BUY/SELL)
-//   2. QuiverQuant Insider Trading News — corporate insider transactions
-//   3. Google News RSS — recent headlines about political/insider trading
-//   4. Twitter Syndication API — tweets from key accounts (best-effort)
+// Pipeline: gather (lib/sources) → validate & merge (lib/trades, lib/merge)
+// → member metadata and committee conflicts (lib/politicians,
+// lib/committees) → drop already-reported trades (lib/history) → related
+// news coverage (lib/coverage) → price performance (lib/market) →
+// cross-trade signals (lib/signals) → LLM analysis (lib/llm) → delivery
+// channels (lib/channels): personalized Resend email to active subscribers
+// plus any configured Slack, Discord, Telegram or webhook targets. Data
+// sources are registered in lib/sources/index.js.
+//
+// Each issue is archived (lib/archive.js) before delivery, so the "view in
+// browser" link works as soon as the email lands.
+//
+// ?edition=weekly or ?edition=monthly skips scraping and sends a digest built
+// from the stored trade history instead (lib/digest.js); vercel.json has a
+// cron entry for each edition.
+//
+// ?mode=preview runs the pipeline without sending anything and responds with
+// the rendered email (format=html) or a JSON report (format=json);
+// ?mode=test&to=you@example.com emails only that address. Neither archives
+// the issue or updates the trade history. scripts/preview.js runs the same
+// preview from the command line.
+//
+// Real sends are recorded in a run ledger per edition and day (lib/ledger.js):
+// a second send of the same edition is refused with 409, and ?mode=resume
+// retries only the email batches that failed, from the stored messages. A
+// run that was killed without finishing is taken over by the next one.
 // =============================================================================
 
-const { GoogleGenerativeAI } = require("@google/generative-ai");
-const { Resend } = require("resend");
-const { readFileSync } = require("fs");
-const { join } = require("path");
-
-const TWENTY_FOUR_HOURS_MS = 24 * 60 * 60 * 1000;
-
-// ---------------------------------------------------------------------------
-// UTILITY
-// ---------------------------------------------------------------------------
-
-function stripHtml(html) {
-  if (!html) return "";
-  return html
-    .replace(/<!\[CDATA\[/g, "").replace(/\]\]>/g, "")
-    .replace(/<[^>]*>/g, " ")
-    .replace(/&amp;/g, "&").replace(/&lt;/g, "<").replace(/&gt;/g, ">")
-    .replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&nbsp;/g, " ")
-    .replace(/\s+/g, " ")
-    .trim();
-}
-
-function escHtml(str) {
-  if (!str) return "";
-  return String(str).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
-}
+const { validateItems, isTrade, describeTrade, tradesToTableRows } = require("../lib/trades");
+const { mergeTrades, findTradeForAlert } = require("../lib/merge");
+const { getStorage } = require("../lib/storage");
+const { openTradeHistory } = require("../lib/history");
+const { gatherAllData } = require("../lib/sources");
+const { loadActiveSubscribers, normalizeEmail, isValidEmail } = require("../lib/subscribers");
+const { getChannels, deliverToChannels } = require("../lib/channels");
+const { THEMES, resolveTheme, emailTheme, renderEmail, buildEmailHtml } = require("../lib/render");
+const { EDITIONS, isDigestEdition, buildDigest } = require("../lib/digest");
+const { analyzeWithModel, analyzeWithRules } = require("../lib/analysis");
+const { createProvider } = require("../lib/llm");
+const { archivePayload } = require("../lib/archive");
+const { openRunLedger, isStale, ledgerSummary } = require("../lib/ledger");
+const { sendBatch } = require("../lib/email");
+const { createMarketDataProvider, enrichWithPrices } = require("../lib/market");
+const { enrichPoliticians } = require("../lib/politicians");
+const { flagConflicts } = require("../lib/committees");
+const { detectSignals, resolveSignalConfig } = require("../lib/signals");
+const { resolveNewsQueries } = require("../lib/sources/news");
+const { isNewsItem, matchCoverage } = require("../lib/coverage");
 
 // ---------------------------------------------------------------------------
-// SOURCE 1: QuiverQuant Congress Trade News
-// ---------------------------------------------------------------------------
-// Scrapes https://www.quiverquant.com/news/category/congress_trades_automated
-// This page lists individual STOCK Act disclosure filings with specific
-// politician names, tickers ($AAPL), and transaction types (Purchase/Sale).
+// ARCHIVE
 // ---------------------------------------------------------------------------
 
-async function fetchQuiverQuantTrades() {
-  const trades = [];
+// Saves the issue and returns its permalink. A failed save only costs the
+// "view in browser" link; the issue still goes out.
+async function archiveIssue(payload, deps) {
   try {
-    const resp = await fetch("https://www.quiverquant.com/news/category/congress_trades_automated", {
-      headers: {
-        "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/125.0.0.0 Safari/537.36",
-        "Accept": "text/html",
-      },
-    });
-
-    if (!resp.ok) {
-      console.warn(`[QuiverQuant] HTTP ${resp.status}`);
-      return trades;
-    }
-
-    const html = await resp.text();
-
-    // DEBUG: Log a section around "Congress Trade:" to see exact format
-    const ctIdx = html.indexOf("Congress Trade:");
-    if (ctIdx >= 0) {
-      console.log("[QuiverQuant DEBUG] Raw HTML around first article (500 chars):");
-      console.log(html.substring(ctIdx, ctIdx + 500));
-    } else {
-      console.log("[QuiverQuant DEBUG] 'Congress Trade:' NOT FOUND in HTML");
-      console.log("[QuiverQuant DEBUG] HTML length:", html.length);
-      console.log("[QuiverQuant DEBUG] First 300 chars:", html.substring(0, 300));
-      // Try alternative patterns
-      const altPatterns = ["Purchase", "Sale", "STOCK Act", "Disclosed", "Representative", "Senator"];
-      for (const p of altPatterns) {
-        const idx = html.indexOf(p);
-        console.log(`[QuiverQuant DEBUG] Pattern "${p}" found at index: ${idx}`);
-        if (idx >= 0) {
-          console.log(`[QuiverQuant DEBUG] Context: ...${html.substring(Math.max(0, idx - 50), idx + 100)}...`);
-        }
-      }
-    }
-
-    // Split the page into article blocks by looking for the filing headers
-    const articles = html.split(/Congress Trade:\s*/g).slice(1);
-
-    for (const article of articles.slice(0, 15)) {
-      // DEBUG: log first article snippet
-      if (trades.length === 0) {
-        console.log("[QuiverQuant DEBUG] First article (300 chars):", article.substring(0, 300));
-      }
-
-      // Extract politician name and type (Representative/Senator)
-      const nameMatch = article.match(/(Representative|Senator)\s+([\w\s.,'-]+?)\s+Just Disclosed/i);
-      const role = nameMatch ? nameMatch[1] : "";
-      const politician = nameMatch ? nameMatch[2].trim() : "Unknown";
-      const fullName = role ? `${role} ${politician}` : politician;
-
-      // Extract date: "15 hours ago | Feb. 20, 2026 2:16 p.m. UTC"
-      const dateMatch = article.match(/(\w+\.\s+\d+,\s+\d{4})/);
-      const filingDate = dateMatch ? dateMatch[1] : new Date().toLocaleDateString("en-US");
-
-      // Try ALL formats for trade extraction:
-
-      let foundForPolitician = false;
-
-      // Format 1: Markdown style — **Sale** of [$TICKER](url) stock (FULL NAME)
-      const mdMatches = [...article.matchAll(/\*\*(Purchase|Sale)\*\*\s+of\s+\[\$(\w+)\]\([^)]*\)\s*(?:stock\s*\(([^)]*)\))?/gi)];
-      for (const m of mdMatches) {
-        const transaction = m[1].toLowerCase() === "purchase" ? "BUY" : "SELL";
-        const ticker = m[2];
-        const stockName = m[3] ? m[3].trim() : "";
-        trades.push({
-          source: "QuiverQuant Congress",
-          text: `${fullName} (${role || "Congress"}) filed STOCK Act: ${transaction} $${ticker}${stockName ? " (" + stockName + ")" : ""} — Filed ${filingDate}`,
-          date: filingDate,
-        });
-        foundForPolitician = true;
-      }
-
-      // Format 2: Rendered HTML — <strong>Sale</strong> of <a href="/stock/STT/">$STT</a>
-      if (!foundForPolitician) {
-        const htmlMatches = [...article.matchAll(/<strong>(Purchase|Sale)<\/strong>\s+of\s+<a[^>]*>\$(\w+)<\/a>/gi)];
-        for (const m of htmlMatches) {
-          const transaction = m[1].toLowerCase() === "purchase" ? "BUY" : "SELL";
-          const ticker = m[2];
-          trades.push({
-            source: "QuiverQuant Congress",
-            text: `${fullName} (${role || "Congress"}) filed STOCK Act: ${transaction} $${ticker} — Filed ${filingDate}`,
-            date: filingDate,
-          });
-          foundForPolitician = true;
-        }
-      }
-
-      // Format 3: HTML bold tag — <b>Sale</b> of <a>$STT</a>
-      if (!foundForPolitician) {
-        const bMatches = [...article.matchAll(/<b>(Purchase|Sale)<\/b>\s+of\s+<a[^>]*>\$?(\w+)<\/a>/gi)];
-        for (const m of bMatches) {
-          const transaction = m[1].toLowerCase() === "purchase" ? "BUY" : "SELL";
-          const ticker = m[2];
-          trades.push({
-            source: "QuiverQuant Congress",
-            text: `${fullName} (${role || "Congress"}) filed STOCK Act: ${transaction} $${ticker} — Filed ${filingDate}`,
-            date: filingDate,
-          });
-          foundForPolitician = true;
-        }
-      }
-
-      // Format 4: Plain text fallback — Purchase of $TICKER or Sale of $TICKER
-      if (!foundForPolitician) {
-        const plainMatches = [...article.matchAll(/(Purchase|Sale)\s+of\s+\$(\w+)/gi)];
-        for (const m of plainMatches) {
-          const transaction = m[1].toLowerCase() === "purchase" ? "BUY" : "SELL";
-          const ticker = m[2];
-          trades.push({
-            source: "QuiverQuant Congress",
-            text: `${fullName} (${role || "Congress"}) filed STOCK Act: ${transaction} $${ticker} — Filed ${filingDate}`,
-            date: filingDate,
-          });
-          foundForPolitician = true;
-        }
-      }
-
-      // Format 5: Ultra-broad — any ticker-like link /stock/TICKER/
-      if (!foundForPolitician) {
-        const linkMatches = [...article.matchAll(/\/stock\/(\w+)\//gi)];
-        const txGuess = article.toLowerCase().includes("purchase") ? "BUY" : "SELL";
-        for (const m of linkMatches) {
-          const ticker = m[1];
-          trades.push({
-            source: "QuiverQuant Congress",
-            text: `${fullName} (${role || "Congress"}) filed STOCK Act: ${txGuess} $${ticker} — Filed ${filingDate}`,
-            date: filingDate,
-          });
-          foundForPolitician = true;
-        }
-      }
-
-      if (!foundForPolitician) {
-        console.log(`[QuiverQuant] WARNING: No trades parsed for ${fullName}`);
-      }
-    }
-
-    console.log(`[QuiverQuant] ${trades.length} congress trades from ${Math.min(articles.length, 15)} filings`);
+    const url = await archivePayload(deps.storage || getStorage(), payload, deps.env || process.env);
+    console.log(`[Archive] Saved ${url}`);
+    return url;
   } catch (err) {
-    console.warn(`[QuiverQuant] Error: ${err.message}`);
+    console.warn(`[Archive] Save failed: ${err.message}`);
+    return undefined;
   }
-  return trades;
 }
 
 // ---------------------------------------------------------------------------
-// SOURCE 2: QuiverQuant Insider Trading News
+// RUN MODES
 // ---------------------------------------------------------------------------
+//   send     archive the issue, deliver to every channel, update the history;
+//            once per edition and day (see RUN LEDGER)
+//   preview  render only (format json, html or text); nothing is sent,
+//            archived or saved
+//   test     email a single address (`to`, or ADMIN_EMAIL); nothing is
+//            archived or saved, and the subject is prefixed with [TEST]
+//   resume   resend the failed email batches of today's run (or `date`)
+//
+// preview and test take `theme` (dark, light or high-contrast) to try a
+// theme other than EMAIL_THEME.
+
+const RUN_MODES = ["send", "preview", "test", "resume"];
+const PREVIEW_FORMATS = ["json", "html", "text"];
+const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+// Returns { mode, format, to, date, theme } or { error }.
+function parseRunMode(query = {}, env = process.env) {
+  const mode = String(query.mode || "send").toLowerCase();
+  if (!RUN_MODES.includes(mode)) return { error: `mode must be one of ${RUN_MODES.join(", ")}` };
+  const format = String(query.format || "json").toLowerCase();
+  if (mode === "preview" && !PREVIEW_FORMATS.includes(format)) return { error: `format must be one of ${PREVIEW_FORMATS.join(", ")}` };
+  const to = normalizeEmail(query.to || env.ADMIN_EMAIL || "");
+  if (mode === "test" && !isValidEmail(to)) return { error: "Test sends need a valid address in `to` (or ADMIN_EMAIL)" };
+  if (query.date && !ISO_DATE_RE.test(query.date)) return { error: "date must be YYYY-MM-DD" };
+  if (query.theme && !THEMES[String(query.theme).toLowerCase()]) return { error: `theme must be one of ${Object.keys(THEMES).join(", ")}` };
+  const theme = query.theme ? String(query.theme).toLowerCase() : emailTheme(env);
+  return { mode, format, to: mode === "test" ? to : undefined, date: query.date || undefined, theme };
+}
 
-async function fetchQuiverQuantInsiders() {
-  const trades = [];
-  try {
-    const resp = await fetch("https://www.quiverquant.com/news/category/insiders_automated", {
-      headers: {
-        "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/125.0.0.0 Safari/537.36",
-        "Accept": "text/html",
-      },
-    });
-
-    if (!resp.ok) {
-      console.warn(`[QuiverInsiders] HTTP ${resp.status}`);
-      return trades;
-    }
-
-    const html = await resp.text();
-
-    // Pattern: "Insider Purchase/Sale: TITLE of $TICKER Buys/Sells N Shares"
-    const matches = html.matchAll(/Insider\s+(Purchase|Sale):\s+([\w\s&]+?)\s+of\s+\$(\w+)\s+(Buys|Sells)\s+([\d,]+)\s+Shares/gi);
-    for (const match of matches) {
-      const transaction = match[1].toLowerCase() === "purchase" ? "BUY" : "SELL";
-      const entity = match[2].trim();
-      const ticker = match[3];
-      const shares = match[5];
-      trades.push({
-        source: "QuiverQuant Insiders",
-        text: `Corporate Insider: ${entity} of $${ticker} — ${transaction} ${shares} shares`,
-        date: new Date().toISOString(),
-        entity,
-        ticker,
-        transaction,
-      });
-    }
-
-    console.log(`[QuiverInsiders] ${trades.length} insider trades found`);
-  } catch (err) {
-    console.warn(`[QuiverInsiders] Error: ${err.message}`);
+// The public rendering of an issue (HTML and plain text; no watchlist, no
+// unsubscribe link) and a JSON report: the digest, or for the daily run the
+// raw gathered items, what went to the analyzer, the analysis and per-source
+// diagnostics.
+function renderPreview(run, { theme } = {}) {
+  const { payload } = run;
+  const { html, text } = renderEmail(payload, {}, { theme });
+  const report = { mode: "preview", edition: payload.edition || "daily", title: payload.title, generatedAt: payload.generatedAt, theme: resolveTheme(theme).name };
+  if (payload.type === "digest") {
+    return { html, text, report: { ...report, digest: payload.digest } };
   }
-  return trades;
+  return {
+    html,
+    text,
+    report: {
+      ...report,
+      itemCount: payload.itemCount,
+      alreadyReported: run.reportedCount,
+      pricedTrades: run.pricedTrades,
+      signals: payload.analysis.signals,
+      analysis: payload.analysis,
+      sources: run.sources,
+      errors: payload.errors,
+      rawItems: run.rawItems,
+      items: run.items,
+    },
+  };
 }
 
-// ---------------------------------------------------------------------------
-// SOURCE 3: Google News RSS
-// ---------------------------------------------------------------------------
-
-async function fetchGoogleNewsRSS() {
-  const items = [];
-  const queries = [
-    "congress+stock+trading+disclosure",
-    "politician+insider+trading+stocks",
-  ];
-
-  for (const query of queries) {
-    try {
-      const url = `https://news.google.com/rss/search?q=${query}+when:1d&hl=en-US&gl=US&ceid=US:en`;
-      const resp = await fetch(url, {
-        headers: { "User-Agent": "Mozilla/5.0 (compatible)" },
-      });
-      if (!resp.ok) continue;
-
-      const xml = await resp.text();
-      const cutoff = Date.now() - TWENTY_FOUR_HOURS_MS;
-
-      const itemMatches = xml.matchAll(/<item>([\s\S]*?)<\/item>/gi);
-      for (const match of itemMatches) {
-        const titleMatch = match[1].match(/<title>([\s\S]*?)<\/title>/);
-        const pubDateMatch = match[1].match(/<pubDate>([\s\S]*?)<\/pubDate>/);
-
-        const title = titleMatch ? stripHtml(titleMatch[1]) : "";
-        const pubDate = pubDateMatch ? pubDateMatch[1].trim() : "";
-
-        const itemTime = pubDate ? new Date(pubDate).getTime() : 0;
-        if (itemTime >= cutoff && title) {
-          items.push({
-            source: "News",
-            text: title, // Clean title only, no HTML junk
-            date: pubDate,
-          });
-        }
-      }
-    } catch (err) {
-      console.warn(`[GoogleNews] Error for "${query}": ${err.message}`);
-    }
+function sendPreview(run, runMode, res) {
+  const { html, text, report } = renderPreview(run, { theme: runMode.theme });
+  console.log(`=== PREVIEW — ${report.title} (nothing sent) ===`);
+  if (runMode.format === "html") {
+    res.setHeader("Content-Type", "text/html; charset=utf-8");
+    return res.status(200).send(html);
   }
-
-  // Deduplicate
-  const unique = [];
-  const seen = new Set();
-  for (const item of items) {
-    const key = item.text.substring(0, 50).toLowerCase();
-    if (!seen.has(key)) {
-      seen.add(key);
-      unique.push(item);
-    }
+  if (runMode.format === "text") {
+    res.setHeader("Content-Type", "text/plain; charset=utf-8");
+    return res.status(200).send(text);
   }
+  return res.status(200).json(report);
+}
 
-  console.log(`[GoogleNews] ${unique.length} relevant articles`);
-  return unique.slice(0, 10);
+// Emails the issue to one address only, in the requested theme; the other
+// channels are skipped.
+async function sendTest(payload, runMode, deps) {
+  const { to, theme } = runMode;
+  const { results: channels } = await deliverToChannels({ ...payload, title: `[TEST] ${payload.title}` }, {
+    env: { ...(deps.env || process.env), EMAIL_THEME: theme },
+    channels: getChannels().filter((c) => c.id === "email"),
+    context: { subscribers: [to], resend: deps.resend },
+  });
+  console.log(`=== TEST SEND — ${payload.title} → ${to} ===`);
+  return channels;
 }
 
 // ---------------------------------------------------------------------------
-// SOURCE 4: Twitter Syndication (best-effort)
+// RUN LEDGER
 // ---------------------------------------------------------------------------
 
-// ---------------------------------------------------------------------------
-// SOURCE 4: Capitol Trades JSON API (bff.capitoltrades.com)
-// ---------------------------------------------------------------------------
-// Capitol Trades uses a backend-for-frontend (BFF) API that returns JSON.
-// No auth needed. Returns politician names, tickers, dates, amounts, prices.
-// ---------------------------------------------------------------------------
+function runDate(deps) {
+  return (deps.now || new Date()).toISOString().slice(0, 10);
+}
 
-async function fetchCapitolTrades() {
-  const trades = [];
+// The ledger is best-effort: when the store is down the run goes ahead
+// unguarded rather than not at all, and a failed ledger write never stops a
+// send. Returns null when there is no usable ledger.
+async function claimRun(edition, deps, res) {
+  let ledger;
   try {
-    const resp = await fetch("https://bff.capitoltrades.com/trades?page=1&pageSize=25&sortBy=-publishedDate", {
-      headers: {
-        "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/125.0.0.0 Safari/537.36",
-        "Accept": "application/json",
-        "Origin": "https://www.capitoltrades.com",
-        "Referer": "https://www.capitoltrades.com/",
-      },
-    });
-
-    if (!resp.ok) {
-      console.warn(`[CapitolTrades] HTTP ${resp.status}`);
-      // Fallback: try alternate URL format
-      return await fetchCapitolTradesFallback();
-    }
-
-    const json = await resp.json();
-    const data = json.data || json || [];
-
-    for (const trade of (Array.isArray(data) ? data : [])) {
-      try {
-        const politician = trade.politician || {};
-        const issuer = trade.issuer || {};
-        const name = [politician.firstName, politician.lastName].filter(Boolean).join(" ") || "Unknown";
-        const party = politician.party || "";
-        const chamber = politician.chamber || "";
-        const partyShort = party === "Democrat" ? "D" : party === "Republican" ? "R" : party.charAt(0);
-        const chamberShort = chamber === "house" ? "House" : chamber === "senate" ? "Senate" : chamber;
-        const ticker = issuer.ticker || "";
-        const issuerName = issuer.name || "";
-        const txType = (trade.txType || trade.type || "").toUpperCase();
-        const txDate = trade.txDate || trade.tradedDate || "";
-        const pubDate = trade.pubDate || trade.publishedDate || "";
-        const size = trade.size || trade.txAmount || "";
-        const price = trade.price ? `$${trade.price}` : "";
-        const owner = trade.owner || "";
-
-        const label = `${name} (${partyShort}-${chamberShort})`;
-        const sizeLabel = size ? ` ${size}` : "";
-        const priceLabel = price ? ` at ${price}` : "";
-        const ownerLabel = owner && owner !== "Self" && owner !== "Undisclosed" ? ` [${owner}]` : "";
-
-        trades.push({
-          source: "Capitol Trades",
-          text: `${label}: ${txType} $${ticker} (${issuerName})${sizeLabel}${priceLabel}${ownerLabel} — Traded ${txDate}`,
-          date: pubDate || txDate || new Date().toISOString(),
-        });
-      } catch (e) { /* skip unparseable trade */ }
-    }
-
-    console.log(`[CapitolTrades] ${trades.length} trades from API`);
+    ledger = await openRunLedger(deps.storage || getStorage(), edition, runDate(deps));
   } catch (err) {
-    console.warn(`[CapitolTrades] API error: ${err.message}`);
-    return await fetchCapitolTradesFallback();
+    console.warn(`[Ledger] Unavailable, sending without a ledger: ${err.message}`);
+    return { ledger: null };
+  }
+  if (ledger.record && isStale(ledger.record, deps.now, deps.env || process.env)) {
+    console.warn(`[Ledger] ${edition} for ${ledger.record.date} has been ${ledger.record.status} since ${ledger.record.startedAt}; taking over the stale run`);
+  } else if (ledger.record) {
+    console.warn(`[Ledger] ${edition} for ${ledger.record.date} was already ${ledger.record.status}; refusing to send again`);
+    res.status(409).json({
+      error: `The ${edition} edition for ${ledger.record.date} has already been sent`,
+      hint: ledger.record.status === "partial" || ledger.record.status === "failed" ? "Retry the failed recipients with ?mode=resume" : undefined,
+      ledger: ledgerSummary(ledger.record),
+    });
+    return { refused: true };
   }
-  return trades;
+  await ledgerStep("claim", () => ledger.claim(deps.now));
+  return { ledger };
 }
 
-// Fallback: try the HTML page and extract from rendered table
-async function fetchCapitolTradesFallback() {
-  const trades = [];
+async function ledgerStep(name, fn) {
   try {
-    const resp = await fetch("https://www.capitoltrades.com/trades", {
-      headers: {
-        "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/125.0.0.0 Safari/537.36",
-        "Accept": "text/html",
-      },
-    });
-    if (!resp.ok) return trades;
-
-    const html = await resp.text();
-
-    // Log a snippet for debugging
-    console.log("[CapitolTrades Fallback] HTML length:", html.length);
-    console.log("[CapitolTrades Fallback] First 500 chars:", html.substring(0, 500));
-
-    // Try to find embedded JSON data (Next.js __NEXT_DATA__ or similar)
-    const nextDataMatch = html.match(/<script[^>]*id="__NEXT_DATA__"[^>]*>([\s\S]*?)<\/script>/);
-    if (nextDataMatch) {
-      try {
-        const nextData = JSON.parse(nextDataMatch[1]);
-        const tradeList = nextData?.props?.pageProps?.trades?.data || [];
-        for (const trade of tradeList.slice(0, 25)) {
-          const pol = trade.politician || {};
-          const iss = trade.issuer || {};
-          const name = [pol.firstName, pol.lastName].filter(Boolean).join(" ");
-          trades.push({
-            source: "Capitol Trades",
-            text: `${name}: ${(trade.txType || "").toUpperCase()} $${iss.ticker || "?"} (${iss.name || "?"}) — Traded ${trade.txDate || "?"}`,
-            date: trade.pubDate || new Date().toISOString(),
-          });
-        }
-      } catch (e) { /* JSON parse failed */ }
-    }
-
-    console.log(`[CapitolTrades Fallback] ${trades.length} trades`);
+    return await fn();
   } catch (err) {
-    console.warn(`[CapitolTrades Fallback] Error: ${err.message}`);
+    console.warn(`[Ledger] ${name} failed: ${err.message}`);
+    return undefined;
   }
-  return trades;
 }
 
-// ---------------------------------------------------------------------------
-// MASTER SCRAPER
-// ---------------------------------------------------------------------------
+// Subscribers a stale run taken over by this one did not reach yet.
+function unsentSubscribers(subscribers, ledger) {
+  const sent = new Set(ledger ? ledger.sentRecipients() : []);
+  return sent.size === 0 ? subscribers : subscribers.filter((s) => !sent.has(typeof s === "string" ? s : s.email));
+}
 
-async function gatherAllData() {
-  const errors = [];
-  const results = await Promise.allSettled([
-    fetchQuiverQuantTrades(),
-    fetchQuiverQuantInsiders(),
-    fetchGoogleNewsRSS(),
-    fetchCapitolTrades(),
-  ]);
-
-  let allItems = [];
-  const labels = ["QuiverQuant Congress", "QuiverQuant Insiders", "Google News", "Capitol Trades"];
-  results.forEach((r, i) => {
-    if (r.status === "fulfilled") allItems.push(...r.value);
-    else errors.push(labels[i]);
-  });
+// Delivery context hook that records each email batch in the ledger.
+function recordBatches(ledger) {
+  return ledger ? (result) => ledgerStep("recordBatch", () => ledger.recordBatch(result)) : undefined;
+}
 
-  console.log(`[Gather] Total: ${allItems.length} | Errors: ${errors.length}`);
-  return { allItems, errors };
+async function resumeRun(edition, runMode, deps, res) {
+  const date = runMode.date || runDate(deps);
+  try {
+    const ledger = await openRunLedger(deps.storage || getStorage(), edition, date);
+    if (!ledger.record) return res.status(404).json({ error: `No ${edition} run recorded for ${date}` });
+
+    const failed = ledger.failedBatches();
+    let resent = 0;
+    for (const { key, messages } of failed) {
+      const result = await sendBatch(messages, { resend: deps.resend, key });
+      if (result.success) resent += result.count;
+      await ledger.recordBatch(result);
+    }
+    const summary = failed.length > 0 ? await ledger.finish(null, { resumed: true }) : ledgerSummary(ledger.record);
+    console.log(`=== RESUME — ${edition} ${date}: ${resent} recipients resent, ${summary.recipientsFailed} still failing ===`);
+    return res.status(200).json({ success: summary.failedBatches === 0, mode: "resume", edition, date, resent, ledger: summary });
+  } catch (err) {
+    console.error("[Resume FATAL]", err);
+    return res.status(500).json({ error: "Resume failure", message: err.message });
+  }
 }
 
 // ---------------------------------------------------------------------------
-// GEMINI AI ANALYSIS
+// DIGEST EDITIONS
 // ---------------------------------------------------------------------------
 
-const GEMINI_SYSTEM_PROMPT = `You are an expert financial analyst writing for a newsletter called "Political Alpha".
-
-You will receive data from multiple sources about congressional stock trading (from STOCK Act filings) and corporate insider transactions. The data includes specific politician/entity names, ticker symbols, and transaction types (BUY/SELL).
-
-Your tasks:
-1) Identify the top 2 most significant trades and create "High Trade Alerts" for them. Pick trades that are notable due to the politician's prominence, the size/frequency of trades, or the relevance of the stock. Write a brief, punchy 2-3 sentence analysis for each.
-2) Put ALL remaining identifiable trades into the "otherTrades" array with: date, entity, ticker, transaction (BUY or SELL), amount (if known, otherwise "Undisclosed").
-3) Write a one-sentence market sentiment note.
-
-IMPORTANT: You have real trade data with real tickers and politician names. USE THEM. Do not say "no trades detected" when the data clearly contains trades with tickers and names.
-
-Return ONLY valid JSON matching this exact schema:
-{
-  "highAlerts": [
-    { "title": "Headline", "summary": "Analysis", "ticker": "AAPL", "entity": "Nancy Pelosi", "transaction": "BUY" }
-  ],
-  "otherTrades": [
-    { "date": "2026-02-27", "entity": "Name", "ticker": "NVDA", "transaction": "SELL", "amount": "Undisclosed" }
-  ],
-  "marketNote": "One sentence summary."
-}`;
-
-async function analyzeWithGemini(items) {
-  const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-  const model = genAI.getGenerativeModel({ model: "gemini-2.5-flash" });
-
-  const itemText = items
-    .map((t, i) => `[${i + 1}] (${t.source}): ${t.text}`)
-    .join("\n");
-
-  const prompt = `Here is today's trading data:\n\n${itemText}\n\nAnalyze and return structured JSON.`;
+async function buildDigestRun(edition, deps) {
+  const now = deps.now || new Date();
+  const history = await openTradeHistory(deps.storage || getStorage());
+  const digest = buildDigest(history.records, { edition, now });
+  console.log(`[Digest] ${edition}: ${digest.totals.trades} trades in ${digest.period.label}`);
+  return {
+    payload: {
+      type: "digest",
+      id: `digest-${edition}-${now.toISOString().slice(0, 10)}`,
+      title: digest.title,
+      generatedAt: now.toISOString(),
+      edition,
+      digest,
+    },
+  };
+}
 
-  // DEBUG logging
-  console.log("=== GEMINI INPUT (first 3000 chars) ===");
-  console.log(prompt.substring(0, 3000));
-  console.log("=== END GEMINI INPUT ===");
+async function sendDigest(edition, runMode, deps, res) {
+  let ledger = null;
+  let sending = false;
+  try {
+    if (runMode.mode === "send") {
+      const claim = await claimRun(edition, deps, res);
+      if (claim.refused) return res;
+      ledger = claim.ledger;
+    }
 
-  const result = await model.generateContent({
-    contents: [{ role: "user", parts: [{ text: prompt }] }],
-    systemInstruction: { parts: [{ text: GEMINI_SYSTEM_PROMPT }] },
-    generationConfig: { temperature: 0.3, responseMimeType: "application/json" },
-  });
+    const run = await buildDigestRun(edition, deps);
+    const { payload } = run;
+    const { digest } = payload;
+    if (runMode.mode === "preview") return sendPreview(run, runMode, res);
+    if (runMode.mode === "test") {
+      const channels = await sendTest(payload, runMode, deps);
+      return res.status(200).json({ success: true, mode: "test", edition, to: runMode.to, trades: digest.totals.trades, channels });
+    }
 
-  const responseText = result.response.text();
-  console.log("=== GEMINI OUTPUT ===");
-  console.log(responseText.substring(0, 2000));
-  console.log("=== END GEMINI OUTPUT ===");
+    const subscribers = deps.subscribers || await loadActiveSubscribers(deps.storage || getStorage());
+    payload.archiveUrl = await archiveIssue(payload, deps);
+    if (ledger) await ledgerStep("begin", () => ledger.begin(payload));
+    sending = true;
+    const { results: channels } = await deliverToChannels(payload, {
+      env: deps.env,
+      context: { subscribers: unsentSubscribers(subscribers, ledger), resend: deps.resend, onEmailBatch: recordBatches(ledger) },
+    });
+    const emailsSent = channels.find((c) => c.id === "email")?.delivered || 0;
+    const summary = ledger ? await ledgerStep("finish", () => ledger.finish(channels)) : undefined;
 
-  const cleaned = responseText.replace(/```json\s*/g, "").replace(/```\s*/g, "").trim();
-  return JSON.parse(cleaned);
+    console.log(`=== DONE — ${digest.title} | Emails: ${emailsSent} ===`);
+    return res.status(200).json({ success: true, edition, period: digest.period, trades: digest.totals.trades, emailsSent, archiveUrl: payload.archiveUrl, channels, ledger: summary });
+  } catch (err) {
+    console.error("[Digest FATAL]", err);
+    if (ledger && !sending) await ledgerStep("release", () => ledger.release());
+    return res.status(500).json({ error: "Digest failure", message: err.message });
+  }
 }
 
 // ---------------------------------------------------------------------------
-// HTML EMAIL TEMPLATE
+// DAILY BRIEFING
 // ---------------------------------------------------------------------------
 
-function buildEmailHtml(analysis, itemCount, errors) {
-  const today = new Date().toLocaleDateString("en-US", { weekday: "long", year: "numeric", month: "long", day: "numeric" });
-
-  let highAlertsHtml = "";
-  if (analysis.highAlerts && analysis.highAlerts.length > 0) {
-    highAlertsHtml = analysis.highAlerts.map((alert, i) => `
-      <div style="background:#1a1a2e;border-left:4px solid #e94560;padding:20px 24px;margin-bottom:16px;border-radius:0 8px 8px 0;">
-        <span style="background:#e94560;color:#fff;font-size:11px;font-weight:800;letter-spacing:1.5px;padding:4px 10px;border-radius:4px;text-transform:uppercase;">HIGH TRADE ALERT #${i + 1}</span>
-        <h2 style="color:#ffffff;font-size:22px;font-weight:800;margin:12px 0 8px 0;line-height:1.3;">${escHtml(alert.title)}</h2>
-        <div style="margin-bottom:10px;">
-          <span style="background:#0f3460;color:#00d2ff;padding:3px 10px;border-radius:4px;font-size:13px;font-weight:700;margin-right:8px;">$${escHtml(alert.ticker || "N/A")}</span>
-          <span style="color:${alert.transaction === "BUY" ? "#00ff88" : "#ff4757"};font-weight:700;font-size:13px;">${escHtml(alert.transaction || "N/A")}</span>
-          <span style="color:#8892b0;font-size:13px;margin-left:8px;">- ${escHtml(alert.entity || "Unknown")}</span>
-        </div>
-        <p style="color:#ccd6f6;font-size:15px;line-height:1.6;margin:0;">${escHtml(alert.summary)}</p>
-      </div>`).join("");
-  } else {
-    highAlertsHtml = `<div style="background:#1a1a2e;padding:24px;border-radius:8px;text-align:center;"><p style="color:#8892b0;font-size:15px;margin:0;">No high-priority trades detected in the last 24 hours.</p></div>`;
-  }
-
-  let tableHtml = "";
-  if (analysis.otherTrades && analysis.otherTrades.length > 0) {
-    const rows = analysis.otherTrades.map((trade) => `
-        <tr>
-          <td style="padding:12px 16px;border-bottom:1px solid #1a1a2e;color:#ccd6f6;font-size:13px;">${escHtml(trade.date || "-")}</td>
-          <td style="padding:12px 16px;border-bottom:1px solid #1a1a2e;color:#ffffff;font-weight:600;font-size:13px;">${escHtml(trade.entity || "-")}</td>
-          <td style="padding:12px 16px;border-bottom:1px solid #1a1a2e;font-size:13px;"><span style="background:#0f3460;color:#00d2ff;padding:2px 8px;border-radius:3px;font-weight:700;">$${escHtml(trade.ticker || "-")}</span></td>
-          <td style="padding:12px 16px;border-bottom:1px solid #1a1a2e;font-size:13px;"><span style="color:${trade.transaction === "BUY" ? "#00ff88" : "#ff4757"};font-weight:700;">${escHtml(trade.transaction || "-")}</span></td>
-          <td style="padding:12px 16px;border-bottom:1px solid #1a1a2e;color:#ccd6f6;font-size:13px;">${escHtml(trade.amount || "-")}</td>
-        </tr>`).join("");
-    tableHtml = `
-      <table width="100%" cellpadding="0" cellspacing="0" style="background:#12121f;border-radius:8px;overflow:hidden;border-collapse:collapse;">
-        <thead><tr style="background:#0f3460;">
-          <th style="padding:14px 16px;text-align:left;color:#00d2ff;font-size:11px;font-weight:800;letter-spacing:1.5px;text-transform:uppercase;">Date</th>
-          <th style="padding:14px 16px;text-align:left;color:#00d2ff;font-size:11px;font-weight:800;letter-spacing:1.5px;text-transform:uppercase;">Entity</th>
-          <th style="padding:14px 16px;text-align:left;color:#00d2ff;font-size:11px;font-weight:800;letter-spacing:1.5px;text-transform:uppercase;">Ticker</th>
-          <th style="padding:14px 16px;text-align:left;color:#00d2ff;font-size:11px;font-weight:800;letter-spacing:1.5px;text-transform:uppercase;">Type</th>
-          <th style="padding:14px 16px;text-align:left;color:#00d2ff;font-size:11px;font-weight:800;letter-spacing:1.5px;text-transform:uppercase;">Amount</th>
-        </tr></thead>
-        <tbody>${rows}</tbody>
-      </table>`;
-  } else {
-    tableHtml = `<div style="background:#12121f;padding:24px;border-radius:8px;text-align:center;"><p style="color:#8892b0;font-size:14px;margin:0;">No additional trades to report today.</p></div>`;
+// Google News searches: NEWS_QUERIES plus the tickers on subscribers'
+// watchlists. Without the subscriber list only the configured queries run.
+async function newsQueries(deps) {
+  const env = deps.env || process.env;
+  let tickers = [];
+  try {
+    const subscribers = deps.subscribers || await loadActiveSubscribers(deps.storage || getStorage());
+    tickers = subscribers.flatMap((s) => (s && s.watchlist && s.watchlist.tickers) || []);
+  } catch (err) {
+    console.warn(`[News] Watchlist queries skipped: ${err.message}`);
   }
-
-  const errorNotice = errors.length > 0
-    ? `<div style="background:#2d1b1b;border:1px solid #e94560;padding:12px 16px;border-radius:6px;margin-bottom:24px;"><p style="color:#ff6b6b;font-size:12px;margin:0;">Some data sources were unreachable: ${errors.map(escHtml).join(", ")}.</p></div>`
-    : "";
-
-  return `<!DOCTYPE html>
-<html lang="en">
-<head><meta charset="UTF-8"><meta name="viewport" content="width=device-width,initial-scale=1.0"><title>Political Alpha</title></head>
-<body style="margin:0;padding:0;background-color:#0a0a14;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,'Helvetica Neue',Arial,sans-serif;">
-<div style="max-width:640px;margin:0 auto;padding:0;">
-  <div style="background:linear-gradient(135deg,#0f3460 0%,#1a1a2e 50%,#16213e 100%);padding:48px 32px 40px 32px;text-align:center;border-bottom:3px solid #e94560;">
-    <h1 style="color:#ffffff;font-size:48px;font-weight:900;margin:0 0 4px 0;letter-spacing:-1px;line-height:1.1;">POLITICAL<span style="color:#e94560;">ALPHA</span></h1>
-    <p style="color:#8892b0;font-size:13px;font-weight:500;margin:8px 0 0 0;letter-spacing:3px;text-transform:uppercase;">Daily Insider Trading Intelligence</p>
-    <p style="color:#4a5568;font-size:12px;margin:16px 0 0 0;">${today} | ${itemCount} data points analyzed</p>
-  </div>
-  <div style="padding:32px 24px;background-color:#0a0a14;">
-    ${errorNotice}
-    ${analysis.marketNote ? `<div style="background:#16213e;border-radius:8px;padding:16px 20px;margin-bottom:28px;"><p style="color:#00d2ff;font-size:11px;font-weight:800;letter-spacing:1.5px;text-transform:uppercase;margin:0 0 6px 0;">MARKET PULSE</p><p style="color:#ccd6f6;font-size:14px;line-height:1.5;margin:0;">${escHtml(analysis.marketNote)}</p></div>` : ""}
-    <h2 style="color:#e94560;font-size:14px;font-weight:800;letter-spacing:2px;text-transform:uppercase;margin:0 0 16px 0;padding-bottom:8px;border-bottom:1px solid #1a1a2e;">High Trade Alerts</h2>
-    ${highAlertsHtml}
-    <h2 style="color:#00d2ff;font-size:14px;font-weight:800;letter-spacing:2px;text-transform:uppercase;margin:36px 0 16px 0;padding-bottom:8px;border-bottom:1px solid #1a1a2e;">Other Trades</h2>
-    ${tableHtml}
-  </div>
-  <div style="background:#0f0f1a;padding:24px 32px;text-align:center;border-top:1px solid #1a1a2e;">
-    <p style="color:#4a5568;font-size:11px;margin:0 0 8px 0;">Political Alpha - Automated financial intelligence</p>
-    <p style="color:#3a3a5c;font-size:10px;margin:0;">This is not financial advice. Data sourced from public STOCK Act filings and news. Always do your own research.</p>
-  </div>
-</div>
-</body>
-</html>`;
+  return resolveNewsQueries(env, { tickers });
 }
 
-// ---------------------------------------------------------------------------
-// EMAIL DELIVERY
-// ---------------------------------------------------------------------------
+// Steps 1-3: gather, analyze and build the delivery payload. Returns the
+// payload plus what the response and previews report on; the history is
+// updated in memory only, and saved by the caller after a real send.
+async function buildBriefingRun(deps) {
+  // STEP 1: Gather data
+  console.log("[Step 1] Gathering data...");
+  const context = {};
+  if (deps.fetch) context.fetch = deps.fetch;
+  if (deps.now) context.now = deps.now;
+  context.newsQueries = await newsQueries(deps);
+  const { allItems: gathered, errors: gatherErrors, sources } = await gatherAllData({ env: deps.env, context });
+  const merged = mergeTrades(validateItems(gathered));
+  enrichPoliticians(merged);
+  flagConflicts(merged.filter(isTrade));
+
+  // Drop trades that already went out in an earlier briefing. If the history
+  // store is unavailable we fall back to reporting everything.
+  let history = null;
+  let reportedCount = 0;
+  try {
+    history = await openTradeHistory(deps.storage || getStorage());
+  } catch (err) {
+    console.warn(`[History] Unavailable, reporting all trades: ${err.message}`);
+  }
+  let allItems = merged;
+  if (history) {
+    const { fresh, amended, reported } = history.classify(merged.filter(isTrade));
+    for (const trade of amended) {
+      trade.amended = true;
+      trade.text = describeTrade(trade);
+    }
+    history.markSeen(merged.filter(isTrade));
+    reportedCount = reported.length;
+    allItems = [...fresh, ...amended, ...merged.filter((item) => !isTrade(item))];
+    console.log(`[History] ${fresh.length} new, ${amended.length} amended, ${reported.length} already reported`);
+  }
+  const trades = allItems.filter(isTrade);
+  console.log(`[Step 1] Total: ${allItems.length} data points (${trades.length} structured trades)`);
+
+  // Link headlines to the trades they mention (ticker, company or person).
+  const linkedNews = matchCoverage(trades, allItems.filter(isNewsItem));
+  if (linkedNews.length > 0) console.log(`[News] ${linkedNews.length} headlines linked to ${trades.filter((t) => t.coverage.length > 0).length} trades`);
+
+  // Price the trades that made it into the briefing: close on the trade
+  // date, latest close and the move since. The briefing goes out without
+  // it when market data is off or unreachable.
+  let pricedTrades = 0;
+  if (trades.length > 0) {
+    try {
+      const marketData = deps.marketData !== undefined ? deps.marketData : createMarketDataProvider(deps.env || process.env, { fetch: deps.fetch });
+      if (marketData) {
+        ({ priced: pricedTrades } = await enrichWithPrices(trades, marketData, { now: deps.now }));
+        console.log(`[Market] ${pricedTrades}/${trades.length} trades priced (${marketData.name})`);
+      }
+    } catch (err) {
+      console.warn(`[Market] Price enrichment skipped: ${err.message}`);
+    }
+  }
 
-async function sendNewsletter(html, subscriberEmails) {
-  const resend = new Resend(process.env.RESEND_API_KEY);
-  const today = new Date().toLocaleDateString("en-US", { month: "short", day: "numeric" });
-  const results = [];
+  // Cross-trade signals: clusters, insider alignment and reversals across
+  // today's trades and the stored history. Skipped, not fatal, on error.
+  let signals = [];
+  if (trades.length > 0) {
+    try {
+      const historyTrades = history ? Object.values(history.records).map((r) => r.trade).filter(Boolean) : [];
+      signals = detectSignals(trades, historyTrades, { config: resolveSignalConfig(deps.env || process.env) });
+      if (signals.length > 0) console.log(`[Signals] ${signals.length} detected: ${signals.map((s) => s.headline).join("; ")}`);
+    } catch (err) {
+      console.warn(`[Signals] Detection skipped: ${err.message}`);
+    }
+  }
 
-  for (let i = 0; i < subscriberEmails.length; i += 50) {
-    const batch = subscriberEmails.slice(i, i + 50);
+  // STEP 2: AI Analysis
+  let analysis;
+  if (allItems.length === 0) {
+    const marketNote = reportedCount > 0
+      ? "No new filings since the last briefing."
+      : "No data sources were available today.";
+    analysis = { highAlerts: [], otherTrades: [], marketNote };
+  } else {
     try {
-      const { data, error } = await resend.emails.send({
-        from: "Political Alpha <onboarding@resend.dev>",
-        to: batch.length === 1 ? batch[0] : "Political Alpha <onboarding@resend.dev>",
-        bcc: batch.length > 1 ? batch : undefined,
-        subject: `Political Alpha - ${today} Daily Briefing`,
-        html,
-      });
-      if (error) { console.error("[Email] Error:", error); results.push({ error }); }
-      else { console.log(`[Email] Sent to ${batch.length} subscribers`); results.push({ success: true, count: batch.length }); }
+      const provider = deps.provider || createProvider();
+      console.log(`[Step 2] ${provider.name} (${provider.model}) analysis...`);
+      analysis = await analyzeWithModel(allItems, provider, { signals });
     } catch (err) {
-      console.error("[Email] Exception:", err.message);
-      results.push({ error: err.message });
+      console.warn(`[Step 2] LLM unavailable, using rule-based analysis: ${err.message}`);
+      analysis = { ...analyzeWithRules(allItems, { signals }), fallback: true, fallbackReason: err.message };
+    }
+    console.log(`[Step 2] ${analysis.highAlerts?.length || 0} alerts, ${analysis.otherTrades?.length || 0} trades`);
+  }
+
+  // The "Other Trades" table comes straight from structured data when we
+  // have it; the model's own table is only used for news-only days.
+  if (trades.length > 0) {
+    analysis.otherTrades = tradesToTableRows(trades, analysis.highAlerts || []);
+    for (const alert of analysis.highAlerts || []) {
+      const trade = findTradeForAlert(alert, trades);
+      if (trade) {
+        alert.sources = trade.sources;
+        alert.amended = Boolean(trade.amended);
+        alert.performance = trade.performance || null;
+        alert.conflict = trade.conflict || null;
+        alert.coverage = trade.coverage || [];
+      }
     }
   }
-  return results;
+
+  analysis.signals = signals;
+
+  // Late filers: disclosed past the STOCK Act deadline, shown with the
+  // member's running compliance record.
+  analysis.lateFilings = trades.filter((t) => t.late)
+    .sort((a, b) => b.delayDays - a.delayDays)
+    .map((t) => {
+      const record = history && history.complianceOf(t.entity);
+      return {
+        entity: t.entity,
+        party: t.party,
+        chamber: t.chamber,
+        ticker: t.ticker,
+        transaction: t.transaction,
+        amount: t.amount,
+        tradeDate: t.tradeDate,
+        filingDate: t.filingDate,
+        delayDays: t.delayDays,
+        record: record ? { filings: record.filings, late: record.late, avgDelayDays: record.avgDelayDays } : null,
+      };
+    });
+
+  // STEP 3: Build the delivery payload. Each channel formats it for its
+  // own platform (HTML email, Slack blocks, Discord embeds, ...).
+  const now = deps.now || new Date();
+  const today = now.toLocaleDateString("en-US", { month: "short", day: "numeric" });
+  const payload = {
+    type: "briefing",
+    id: `briefing-${now.toISOString().slice(0, 10)}`,
+    title: `Political Alpha - ${today} Daily Briefing`,
+    generatedAt: now.toISOString(),
+    itemCount: allItems.length,
+    analysis,
+    trades,
+    sources,
+    errors: gatherErrors,
+  };
+
+  return { payload, history, rawItems: gathered, items: allItems, sources, gatherErrors, reportedCount, pricedTrades };
+}
+
+// Runs the daily pipeline or a digest in preview mode and returns
+// { html, text, report } without sending anything. Used by
+// scripts/preview.js; `theme` defaults to EMAIL_THEME.
+async function runPreview(edition = "daily", deps = {}, { theme = emailTheme(deps.env || process.env) } = {}) {
+  const run = edition === "daily" ? await buildBriefingRun(deps) : await buildDigestRun(edition, deps);
+  return renderPreview(run, { theme });
 }
 
 // ---------------------------------------------------------------------------
 // MAIN HANDLER
 // ---------------------------------------------------------------------------
 
-module.exports = async function handler(req, res) {
-  if (process.env.CRON_SECRET && req.headers["authorization"] !== `Bearer ${process.env.CRON_SECRET}`) {
-    return res.status(401).json({ error: "Unauthorized" });
+async function saveHistory(history) {
+  if (!history) return;
+  try {
+    await history.save();
+  } catch (err) {
+    console.warn(`[History] Save failed: ${err.message}`);
   }
+}
 
-  console.log("=== POLITICAL ALPHA - CRON START ===");
-
-  try {
-    // STEP 1: Gather data
-    console.log("[Step 1] Gathering data...");
-    const { allItems, errors: gatherErrors } = await gatherAllData();
-    console.log(`[Step 1] Total: ${allItems.length} data points`);
-
-    // STEP 2: AI Analysis
-    let analysis;
-    if (allItems.length === 0) {
-      analysis = { highAlerts: [], otherTrades: [], marketNote: "No data sources were available today." };
-    } else {
-      console.log("[Step 2] Gemini analysis...");
-      analysis = await analyzeWithGemini(allItems);
-      console.log(`[Step 2] ${analysis.highAlerts?.length || 0} alerts, ${analysis.otherTrades?.length || 0} trades`);
+// Dependencies can be injected for tests and local runs:
+//   fetch        HTTP client handed to every source fetcher
+//   now          Date treated as "today" by date-windowed sources
+//   env          Env used to enable/tune sources and channels (defaults to process.env)
+//   resend       Resend client (defaults to one built from RESEND_API_KEY)
+//   provider     LLM provider (defaults to createProvider() from env)
+//   marketData   Market-data provider, or null to skip price enrichment
+//                (defaults to createMarketDataProvider() from env)
+//   storage      Storage backend for the trade history
+//   subscribers  Recipients as addresses or { email, watchlist } profiles
+//                (defaults to active subscribers in storage)
+function createHandler(deps = {}) {
+  return async function handler(req, res) {
+    if (process.env.CRON_SECRET && req.headers["authorization"] !== `Bearer ${process.env.CRON_SECRET}`) {
+      return res.status(401).json({ error: "Unauthorized" });
     }
 
-    // STEP 3: Build HTML
-    console.log("[Step 3] Building HTML...");
-    const html = buildEmailHtml(analysis, allItems.length, gatherErrors);
+    const query = req.query || {};
+    const edition = String(query.edition || "daily").toLowerCase();
+    if (edition !== "daily" && !isDigestEdition(edition)) {
+      return res.status(400).json({ error: `Unknown edition "${edition}"`, editions: ["daily", ...Object.keys(EDITIONS)] });
+    }
+    const runMode = parseRunMode(query, deps.env || process.env);
+    if (runMode.error) return res.status(400).json({ error: runMode.error });
+
+    console.log(`=== POLITICAL ALPHA - CRON START (${edition}${runMode.mode === "send" ? "" : `, ${runMode.mode}`}) ===`);
+    if (runMode.mode === "resume") return resumeRun(edition, runMode, deps, res);
+    if (edition !== "daily") return sendDigest(edition, runMode, deps, res);
+
+    // Claim today's run before scraping, so a retry that arrives meanwhile
+    // is refused; the claim is given back if the run fails before sending.
+    let ledger = null;
+    let sending = false;
+    if (runMode.mode === "send") {
+      const claim = await claimRun(edition, deps, res);
+      if (claim.refused) return res;
+      ledger = claim.ledger;
+    }
+    const releaseClaim = () => (ledger && !sending ? ledgerStep("release", () => ledger.release()) : undefined);
 
-    // STEP 4: Send emails
-    console.log("[Step 4] Sending...");
-    let subscribers;
     try {
-      subscribers = JSON.parse(readFileSync(join(process.cwd(), "subscribers.json"), "utf-8"));
-    } catch (err) {
-      return res.status(500).json({ error: "Failed to load subscribers.json" });
-    }
+      const run = await buildBriefingRun(deps);
+      const { payload, history, items: allItems, sources, gatherErrors, reportedCount, pricedTrades } = run;
+      const { analysis, trades } = payload;
+
+      if (runMode.mode === "preview") return sendPreview(run, runMode, res);
+      if (runMode.mode === "test") {
+        const channels = await sendTest(payload, runMode, deps);
+        return res.status(200).json({ success: true, mode: "test", to: runMode.to, dataPoints: allItems.length, highAlerts: analysis.highAlerts?.length || 0, channels, sources });
+      }
 
-    if (!subscribers || subscribers.length === 0) {
-      return res.status(200).json({ success: true, data: allItems.length, emails: 0 });
+      payload.archiveUrl = await archiveIssue(payload, deps);
+
+      // STEP 4: Deliver
+      console.log("[Step 4] Delivering...");
+      let subscribers = deps.subscribers;
+      if (!subscribers) {
+        try {
+          subscribers = await loadActiveSubscribers(deps.storage || getStorage());
+        } catch (err) {
+          console.error("[Subscribers] Load failed:", err.message);
+          await releaseClaim();
+          return res.status(500).json({ error: "Failed to load subscribers" });
+        }
+      }
+
+      if (ledger) await ledgerStep("begin", () => ledger.begin(payload));
+      sending = true;
+      const { results: channels } = await deliverToChannels(payload, {
+        env: deps.env,
+        context: { subscribers: unsentSubscribers(subscribers || [], ledger), resend: deps.resend, onEmailBatch: recordBatches(ledger) },
+      });
+      const totalSent = channels.find((c) => c.id === "email")?.delivered || 0;
+      const summary = ledger ? await ledgerStep("finish", () => ledger.finish(channels)) : undefined;
+
+      // A trade counts as reported once any channel got the briefing out.
+      if (history && channels.some((c) => c.delivered > 0)) history.markEmailed(trades);
+      await saveHistory(history);
+
+      console.log(`=== DONE — Data: ${allItems.length} | Emails: ${totalSent} | Channels: ${channels.filter((c) => c.status === "ok").length} ok ===`);
+      return res.status(200).json({
+        success: true,
+        dataPoints: allItems.length,
+        highAlerts: analysis.highAlerts?.length || 0,
+        analysisFallback: analysis.fallback ? analysis.fallbackReason : undefined,
+        otherTrades: analysis.otherTrades?.length || 0,
+        lateFilings: analysis.lateFilings.length,
+        signals: analysis.signals.length,
+        pricedTrades,
+        conflicts: trades.filter((t) => t.conflict).length,
+        alreadyReported: reportedCount,
+        emailsSent: totalSent,
+        archiveUrl: payload.archiveUrl,
+        channels,
+        ledger: summary,
+        sources,
+        errors: gatherErrors.length > 0 ? gatherErrors.map((e) => `${e.name}: ${e.error}`) : undefined,
+      });
+    } catch (err) {
+      console.error("[FATAL]", err);
+      await releaseClaim();
+      return res.status(500).json({ error: "Pipeline failure", message: err.message });
     }
+  };
+}
 
-    const emailResults = await sendNewsletter(html, subscribers);
-    const totalSent = emailResults.filter(r => r.success).reduce((s, r) => s + r.count, 0);
-
-    console.log(`=== DONE — Data: ${allItems.length} | Emails: ${totalSent} ===`);
-    return res.status(200).json({
-      success: true,
-      dataPoints: allItems.length,
-      highAlerts: analysis.highAlerts?.length || 0,
-      otherTrades: analysis.otherTrades?.length || 0,
-      emailsSent: totalSent,
-      errors: gatherErrors.length > 0 ? gatherErrors : undefined,
-    });
-  } catch (err) {
-    console.error("[FATAL]", err);
-    return res.status(500).json({ error: "Pipeline failure", message: err.message });
-  }
-};
\ No newline at end of file
+module.exports = createHandler();
+module.exports.createHandler = createHandler;
+module.exports.runPreview = runPreview;
+module.exports.buildEmailHtml = buildEmailHtml;
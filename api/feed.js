@@ -0,0 +1,57 @@
+// =============================================================================
+// POLITICAL ALPHA — Feeds
+// =============================================================================
+// GET /api/feed?format=atom      Atom 1.0
+// GET /api/feed?format=rss       RSS 2.0
+// GET /api/feed?format=json      JSON Feed 1.1
+//
+// One entry per high alert and per trade from the archived daily briefings
+// (lib/feeds.js). Narrow with ticker=NVDA,LMT and/or politician=Pelosi, and
+// cap with limit (default 100, max 500). vercel.json maps /feeds/atom.xml,
+// /feeds/rss.xml and /feeds/feed.json here. Public, like the archive.
+// =============================================================================
+
+const { getStorage } = require("../lib/storage");
+const { createArchive } = require("../lib/archive");
+const { FEED_FORMATS, DEFAULT_LIMIT, MAX_LIMIT, collectFeedEntries, parseFeedFilters, filterEntries, buildFeed } = require("../lib/feeds");
+
+const CACHE_CONTROL = "public, max-age=0, s-maxage=300";
+
+// Dependencies can be injected for tests:
+//   storage  Storage backend holding the archive
+//   env      Env for PUBLIC_BASE_URL (defaults to process.env)
+//   now      Date used when the feed has no entries
+function createFeedHandler(deps = {}) {
+  return async function handler(req, res) {
+    if (req.method !== "GET") {
+      res.setHeader("Allow", "GET");
+      return res.status(405).json({ error: "Method not allowed" });
+    }
+
+    const env = deps.env || process.env;
+    const query = req.query || {};
+    const format = String(query.format || "atom").toLowerCase();
+    if (!FEED_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of ${FEED_FORMATS.join(", ")}` });
+    }
+    const limit = query.limit == null ? DEFAULT_LIMIT : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      return res.status(400).json({ error: "limit must be a positive integer" });
+    }
+
+    try {
+      const filters = parseFeedFilters(query);
+      const entries = filterEntries(await collectFeedEntries(createArchive(deps.storage || getStorage()), { env }), filters);
+      const feed = buildFeed(format, entries.slice(0, Math.min(limit, MAX_LIMIT)), { filters, env, now: deps.now || new Date() });
+      res.setHeader("Content-Type", feed.contentType);
+      res.setHeader("Cache-Control", CACHE_CONTROL);
+      return res.status(200).send(feed.body);
+    } catch (err) {
+      console.error("[Feed] Failed:", err.message);
+      return res.status(500).json({ error: "Feed unavailable" });
+    }
+  };
+}
+
+module.exports = createFeedHandler();
+module.exports.createFeedHandler = createFeedHandler;
@@ -0,0 +1,77 @@
+// =============================================================================
+// POLITICAL ALPHA — Subscribe (double opt-in, step 1)
+// =============================================================================
+// POST /api/subscribe  { "email": "reader@example.com",
+//                        "watchlist": { "tickers": ["NVDA"], ... } }
+//
+// Records the address as pending and emails a signed confirmation link
+// (/api/confirm). Nobody receives the newsletter until they click it. The
+// optional watchlist (see lib/watchlist.js) personalizes their briefing.
+// Responds the same way whether or not the address was already on the list,
+// so the endpoint cannot be used to probe who is subscribed.
+// =============================================================================
+
+const { Resend } = require("resend");
+const { getStorage } = require("../lib/storage");
+const { escHtml } = require("../lib/pages");
+const { isValidEmail, normalizeEmail, confirmUrl, fromAddress, createSubscriberStore } = require("../lib/subscribers");
+const { validateWatchlist } = require("../lib/watchlist");
+
+function buildConfirmationHtml(link) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<body style="margin:0;padding:0;background-color:#0a0a14;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,'Helvetica Neue',Arial,sans-serif;">
+<div style="max-width:520px;margin:0 auto;padding:40px 32px;background:#1a1a2e;border-top:3px solid #e94560;text-align:center;">
+  <h1 style="color:#ffffff;font-size:28px;font-weight:900;margin:0 0 24px 0;">POLITICAL<span style="color:#e94560;">ALPHA</span></h1>
+  <p style="color:#ccd6f6;font-size:15px;line-height:1.6;margin:0 0 24px 0;">Confirm your subscription to the daily insider trading briefing.</p>
+  <a href="${escHtml(link)}" style="display:inline-block;background:#e94560;color:#ffffff;font-weight:800;font-size:14px;letter-spacing:1px;text-decoration:none;padding:12px 28px;border-radius:6px;text-transform:uppercase;">Confirm subscription</a>
+  <p style="color:#4a5568;font-size:11px;margin:24px 0 0 0;">If you did not sign up, ignore this email — you will not be added. The link expires in 7 days.</p>
+</div>
+</body>
+</html>`;
+}
+
+// Dependencies can be injected for tests:
+//   storage  Storage backend for subscriber records
+//   resend   Resend client (defaults to one built from RESEND_API_KEY)
+//   env      Env for link signing and URLs (defaults to process.env)
+function createSubscribeHandler(deps = {}) {
+  return async function handler(req, res) {
+    if (req.method !== "POST") {
+      res.setHeader("Allow", "POST");
+      return res.status(405).json({ error: "Method not allowed" });
+    }
+
+    const env = deps.env || process.env;
+    const email = normalizeEmail(req.body && req.body.email);
+    if (!isValidEmail(email)) return res.status(400).json({ error: "A valid email address is required" });
+    const watchlist = (req.body || {}).watchlist;
+    const problems = validateWatchlist(watchlist);
+    if (problems.length > 0) return res.status(400).json({ error: "Invalid watchlist", problems });
+
+    try {
+      const store = createSubscriberStore(deps.storage || getStorage());
+      const record = await store.subscribe(email, { watchlist });
+
+      if (record.status === "pending") {
+        const resend = deps.resend || new Resend(process.env.RESEND_API_KEY);
+        const { error } = await resend.emails.send({
+          from: fromAddress(env),
+          to: email,
+          subject: "Confirm your Political Alpha subscription",
+          html: buildConfirmationHtml(confirmUrl(email, env)),
+        });
+        if (error) throw new Error(error.message || String(error));
+        console.log("[Subscribe] Confirmation sent");
+      }
+
+      return res.status(202).json({ success: true, message: "Check your inbox to confirm your subscription." });
+    } catch (err) {
+      console.error("[Subscribe] Failed:", err.message);
+      return res.status(500).json({ error: "Subscription failed" });
+    }
+  };
+}
+
+module.exports = createSubscribeHandler();
+module.exports.createSubscribeHandler = createSubscribeHandler;
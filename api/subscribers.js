@@ -0,0 +1,48 @@
+// =============================================================================
+// POLITICAL ALPHA — Subscriber List (admin)
+// =============================================================================
+// GET /api/subscribers[?status=active|pending|unsubscribed]
+// Authorization: Bearer <ADMIN_SECRET>
+//
+// Returns subscriber records and per-status counts. Disabled unless
+// ADMIN_SECRET is set.
+// =============================================================================
+
+const { getStorage } = require("../lib/storage");
+const { createSubscriberStore } = require("../lib/subscribers");
+
+const STATUSES = ["pending", "active", "unsubscribed"];
+
+// Dependencies can be injected for tests:
+//   storage  Storage backend for subscriber records
+//   env      Env holding ADMIN_SECRET (defaults to process.env)
+function createSubscribersHandler(deps = {}) {
+  return async function handler(req, res) {
+    const env = deps.env || process.env;
+    if (!env.ADMIN_SECRET || req.headers["authorization"] !== `Bearer ${env.ADMIN_SECRET}`) {
+      return res.status(401).json({ error: "Unauthorized" });
+    }
+    if (req.method !== "GET") {
+      res.setHeader("Allow", "GET");
+      return res.status(405).json({ error: "Method not allowed" });
+    }
+
+    const status = req.query && req.query.status;
+    if (status && !STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${STATUSES.join(", ")}` });
+    }
+
+    try {
+      const all = await createSubscriberStore(deps.storage || getStorage()).list();
+      const counts = Object.fromEntries(STATUSES.map((s) => [s, all.filter((r) => r.status === s).length]));
+      const subscribers = status ? all.filter((r) => r.status === status) : all;
+      return res.status(200).json({ total: all.length, counts, subscribers });
+    } catch (err) {
+      console.error("[Subscribers] Failed:", err.message);
+      return res.status(500).json({ error: "Failed to load subscribers" });
+    }
+  };
+}
+
+module.exports = createSubscribersHandler();
+module.exports.createSubscribersHandler = createSubscribersHandler;
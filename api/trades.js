@@ -0,0 +1,59 @@
+// =============================================================================
+// POLITICAL ALPHA — Trade History API (read-only)
+// =============================================================================
+// GET /api/trades                matching trades from the history
+// GET /api/trades/tickers        per-ticker totals
+// GET /api/trades/politicians    per-member activity
+// Authorization: Bearer <API_READ_KEY>
+//
+// Filters (all optional, comma-separated values are alternatives):
+//   politician=Pelosi  party=D  chamber=Senate  ticker=NVDA,LMT
+//   transaction=BUY  source=quiver  from=2026-01-01  to=2026-01-31
+//   dateField=tradeDate|filingDate (what from/to apply to)
+// Paging and order: limit (default 50, max 500), offset, sort, order=asc|desc.
+//
+// The aggregate paths are vercel.json rewrites to ?view=tickers|politicians.
+// Disabled unless API_READ_KEY is set; the key grants nothing but reads.
+// =============================================================================
+
+const { getStorage } = require("../lib/storage");
+const { openTradeHistory } = require("../lib/history");
+const { VIEWS, parseTradeQuery, runTradeQuery } = require("../lib/query");
+
+// Dependencies can be injected for tests:
+//   storage  Storage backend holding the trade history
+//   env      Env holding API_READ_KEY (defaults to process.env)
+function createTradesHandler(deps = {}) {
+  return async function handler(req, res) {
+    const env = deps.env || process.env;
+    if (!env.API_READ_KEY || req.headers["authorization"] !== `Bearer ${env.API_READ_KEY}`) {
+      return res.status(401).json({ error: "Unauthorized" });
+    }
+    if (req.method !== "GET") {
+      res.setHeader("Allow", "GET");
+      return res.status(405).json({ error: "Method not allowed" });
+    }
+
+    const query = req.query || {};
+    const view = query.view || "trades";
+    if (!VIEWS.includes(view)) {
+      return res.status(400).json({ error: `view must be one of ${VIEWS.join(", ")}` });
+    }
+    const parsed = parseTradeQuery(view, query);
+    if (parsed.problems.length > 0) {
+      return res.status(400).json({ error: "Invalid query", problems: parsed.problems });
+    }
+
+    try {
+      const history = await openTradeHistory(deps.storage || getStorage());
+      res.setHeader("Cache-Control", "private, no-store");
+      return res.status(200).json(runTradeQuery(view, history.records, parsed));
+    } catch (err) {
+      console.error("[Trades API] Failed:", err.message);
+      return res.status(500).json({ error: "Failed to load trade history" });
+    }
+  };
+}
+
+module.exports = createTradesHandler();
+module.exports.createTradesHandler = createTradesHandler;
@@ -0,0 +1,64 @@
+// =============================================================================
+// POLITICAL ALPHA — Unsubscribe
+// =============================================================================
+// GET  /api/unsubscribe?token=...   link in every newsletter footer; shows a
+//                                   page whose button POSTs back here
+// POST /api/unsubscribe?token=...   RFC 8058 one-click from the mail client
+//                                   (List-Unsubscribe-Post header), or the
+//                                   confirmation page's form
+//
+// A GET never unsubscribes: link scanners and prefetching mail clients open
+// every link in a message. Tokens are signed per recipient and never expire,
+// so the link in any past issue keeps working.
+// =============================================================================
+
+const { getStorage } = require("../lib/storage");
+const { escHtml, sendPage } = require("../lib/pages");
+const { verifyToken, createSubscriberStore } = require("../lib/subscribers");
+
+function confirmForm(token) {
+  return `<form method="POST" action="?token=${escHtml(encodeURIComponent(token))}" style="margin:24px 0 0 0;">
+    <input type="hidden" name="confirmed" value="yes">
+    <button type="submit" style="background:#e94560;color:#ffffff;border:0;border-radius:6px;padding:12px 28px;font-size:15px;font-weight:700;cursor:pointer;">Unsubscribe</button>
+  </form>`;
+}
+
+// Dependencies can be injected for tests:
+//   storage  Storage backend for subscriber records
+//   env      Env holding the signing secret (defaults to process.env)
+function createUnsubscribeHandler(deps = {}) {
+  return async function handler(req, res) {
+    if (req.method !== "GET" && req.method !== "POST") {
+      res.setHeader("Allow", "GET, POST");
+      return res.status(405).json({ error: "Method not allowed" });
+    }
+    // Mail clients get JSON; people submitting the confirmation page get a page.
+    const oneClick = req.method === "POST" && !(req.body && req.body.confirmed === "yes");
+
+    let email;
+    try {
+      email = verifyToken(req.query && req.query.token, "unsubscribe", deps.env || process.env);
+    } catch (err) {
+      if (oneClick) return res.status(400).json({ error: err.message });
+      return sendPage(res, 400, { title: "Link not valid", message: `${err.message}. Use the unsubscribe link from a recent email.` });
+    }
+
+    if (req.method === "GET") {
+      return sendPage(res, 200, { title: "Unsubscribe", message: `Stop sending Political Alpha to ${email}?`, body: confirmForm(req.query.token) });
+    }
+
+    try {
+      await createSubscriberStore(deps.storage || getStorage()).unsubscribe(email);
+      console.log(`[Unsubscribe] Subscriber removed${oneClick ? " (one-click)" : ""}`);
+      if (oneClick) return res.status(200).json({ success: true });
+      return sendPage(res, 200, { title: "You're unsubscribed", message: `${email} will no longer receive Political Alpha.` });
+    } catch (err) {
+      console.error("[Unsubscribe] Failed:", err.message);
+      if (oneClick) return res.status(500).json({ error: "Unsubscribe failed" });
+      return sendPage(res, 500, { title: "Something went wrong", message: "Please try the link again in a few minutes." });
+    }
+  };
+}
+
+module.exports = createUnsubscribeHandler();
+module.exports.createUnsubscribeHandler = createUnsubscribeHandler;
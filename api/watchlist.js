@@ -0,0 +1,57 @@
+// =============================================================================
+// POLITICAL ALPHA — Subscriber Watchlist (admin)
+// =============================================================================
+// GET /api/watchlist?email=reader@example.com
+// PUT /api/watchlist?email=reader@example.com
+//     { "tickers": ["NVDA"], "politicians": ["Nancy Pelosi"],
+//       "parties": ["D"], "chambers": ["House"], "minAmount": 15001 }
+// Authorization: Bearer <ADMIN_SECRET>
+//
+// Reads or replaces a subscriber's watchlist. Sending an empty object
+// reverts them to the standard briefing. Disabled unless ADMIN_SECRET is set.
+// =============================================================================
+
+const { getStorage } = require("../lib/storage");
+const { normalizeEmail, createSubscriberStore } = require("../lib/subscribers");
+const { validateWatchlist } = require("../lib/watchlist");
+
+// Dependencies can be injected for tests:
+//   storage  Storage backend for subscriber records
+//   env      Env holding ADMIN_SECRET (defaults to process.env)
+function createWatchlistHandler(deps = {}) {
+  return async function handler(req, res) {
+    const env = deps.env || process.env;
+    if (!env.ADMIN_SECRET || req.headers["authorization"] !== `Bearer ${env.ADMIN_SECRET}`) {
+      return res.status(401).json({ error: "Unauthorized" });
+    }
+    if (req.method !== "GET" && req.method !== "PUT") {
+      res.setHeader("Allow", "GET, PUT");
+      return res.status(405).json({ error: "Method not allowed" });
+    }
+
+    const email = normalizeEmail(req.query && req.query.email);
+    if (!email) return res.status(400).json({ error: "email query parameter is required" });
+
+    try {
+      const store = createSubscriberStore(deps.storage || getStorage());
+      if (req.method === "GET") {
+        const record = await store.get(email);
+        if (!record) return res.status(404).json({ error: "Subscriber not found" });
+        return res.status(200).json({ email: record.email, watchlist: record.watchlist || null });
+      }
+
+      const problems = validateWatchlist(req.body || {});
+      if (problems.length > 0) return res.status(400).json({ error: "Invalid watchlist", problems });
+      const record = await store.setWatchlist(email, req.body || {});
+      if (!record) return res.status(404).json({ error: "Subscriber not found" });
+      console.log("[Watchlist] Updated");
+      return res.status(200).json({ email: record.email, watchlist: record.watchlist });
+    } catch (err) {
+      console.error("[Watchlist] Failed:", err.message);
+      return res.status(500).json({ error: "Watchlist update failed" });
+    }
+  };
+}
+
+module.exports = createWatchlistHandler();
+module.exports.createWatchlistHandler = createWatchlistHandler;
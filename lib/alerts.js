@@ -0,0 +1,178 @@
+// =============================================================================
+// POLITICAL ALPHA — Real-Time Alert Rules
+// =============================================================================
+// Decides which newly seen trades are worth an immediate email instead of
+// waiting for the next daily briefing. Each rule returns a short reason
+// string when it fires; a trade matches when any enabled rule fires.
+//
+//   large-amount      disclosed range reaches above ALERT_MIN_AMOUNT
+//   watchlist         ticker is on the team list (ALERT_TICKERS) or on the
+//                     recipient's own watchlist
+//   committee-sector  member trades in a sector their committee oversees
+//   cluster           several members disclosed trades in the ticker within
+//                     a few days
+//
+// Spam control lives here too: quiet hours (no alerts overnight — matches
+// wait until the window ends) and per-recipient hourly/daily caps.
+// =============================================================================
+
+const { parseAmountRange, normalizeTicker, normalizeName } = require("./trades");
+const { committeeConflicts, describeConflict } = require("./committees");
+const { sectorOf } = require("./sectors");
+const { normalizeWatchlist } = require("./watchlist");
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// ---------------------------------------------------------------------------
+// CONFIG
+// ---------------------------------------------------------------------------
+
+function parseList(value) {
+  return String(value || "").split(",").map((s) => s.trim()).filter(Boolean);
+}
+
+function numberOr(value, fallback) {
+  const n = Number(value);
+  return value !== undefined && value !== "" && Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+// "22-7" → { start: 22, end: 7 }; "", "off" or "none" disable quiet hours.
+function parseQuietHours(value) {
+  const m = String(value).trim().match(/^(\d{1,2})\s*-\s*(\d{1,2})$/);
+  if (!m) return null;
+  const start = Number(m[1]);
+  const end = Number(m[2]);
+  if (start > 23 || end > 23 || start === end) return null;
+  return { start, end };
+}
+
+function resolveAlertConfig(env = process.env) {
+  const rules = parseList(env.ALERT_RULES);
+  return {
+    rules: rules.length > 0 ? rules : ALERT_RULES.map((r) => r.id),
+    minAmount: numberOr(env.ALERT_MIN_AMOUNT, 250000),
+    tickers: parseList(env.ALERT_TICKERS).map(normalizeTicker),
+    clusterMinMembers: numberOr(env.ALERT_CLUSTER_MIN_MEMBERS, 3),
+    clusterDays: numberOr(env.ALERT_CLUSTER_DAYS, 7),
+    maxPerHour: numberOr(env.ALERT_MAX_PER_HOUR, 2),
+    maxPerDay: numberOr(env.ALERT_MAX_PER_DAY, 6),
+    maxTradesPerEmail: numberOr(env.ALERT_MAX_TRADES_PER_EMAIL, 5) || 5,
+    maxAgeHours: numberOr(env.ALERT_MAX_AGE_HOURS, 24),
+    quietHours: parseQuietHours(env.ALERT_QUIET_HOURS ?? "22-7"),
+    timeZone: env.ALERT_TIMEZONE || "America/New_York",
+  };
+}
+
+// ---------------------------------------------------------------------------
+// RULES
+// ---------------------------------------------------------------------------
+
+const ALERT_RULES = [
+  {
+    id: "large-amount",
+    test(trade, ctx) {
+      const range = parseAmountRange(trade.amount);
+      return range && range.max > ctx.config.minAmount ? `Large trade: ${trade.amount}` : null;
+    },
+  },
+  {
+    id: "watchlist",
+    test(trade, ctx) {
+      if (ctx.watchlist && normalizeWatchlist(ctx.watchlist).tickers.includes(trade.ticker)) return `$${trade.ticker} is on your watchlist`;
+      if (ctx.config.tickers.includes(trade.ticker)) return `$${trade.ticker} is on the team watchlist`;
+      return null;
+    },
+  },
+  {
+    id: "committee-sector",
+    test(trade) {
+      // Trades from the pipeline are already flagged (lib/committees.js);
+      // history snapshots and hand-built trades are checked here.
+      if (trade.conflict !== undefined) return trade.conflict ? describeConflict(trade.conflict) : null;
+      const committees = committeeConflicts(trade);
+      return committees.length > 0 ? describeConflict({ sector: sectorOf(trade), committees }) : null;
+    },
+  },
+  {
+    id: "cluster",
+    test(trade, ctx) {
+      if (trade.kind !== "congress") return null;
+      const members = ctx.tickerMembers.get(trade.ticker);
+      return members && members.size >= ctx.config.clusterMinMembers
+        ? `${members.size} members disclosed $${trade.ticker} trades in the last ${ctx.config.clusterDays} days`
+        : null;
+    },
+  },
+];
+
+// Distinct members per ticker among congressional trades.
+function countTickerMembers(trades) {
+  const byTicker = new Map();
+  for (const t of trades) {
+    if (t.kind !== "congress") continue;
+    if (!byTicker.has(t.ticker)) byTicker.set(t.ticker, new Set());
+    byTicker.get(t.ticker).add(normalizeName(t.entity));
+  }
+  return byTicker;
+}
+
+// Returns [{ trade, reasons }] for the trades that match, strongest first.
+//   recentTrades  trades disclosed within the cluster window (for the
+//                 cluster rule), defaults to `trades`
+//   watchlist     the recipient's watchlist, if any
+function evaluateAlerts(trades, { config = resolveAlertConfig(), recentTrades = trades, watchlist = null } = {}) {
+  const rules = ALERT_RULES.filter((r) => config.rules.includes(r.id));
+  const ctx = { config, watchlist, tickerMembers: countTickerMembers(recentTrades) };
+
+  const matches = [];
+  for (const trade of trades) {
+    const reasons = rules.map((r) => r.test(trade, ctx)).filter(Boolean);
+    if (reasons.length > 0) matches.push({ trade, reasons });
+  }
+  const size = (t) => (parseAmountRange(t.amount) || { max: 0 }).max;
+  return matches.sort((a, b) => b.reasons.length - a.reasons.length || size(b.trade) - size(a.trade));
+}
+
+// ---------------------------------------------------------------------------
+// SPAM CONTROL
+// ---------------------------------------------------------------------------
+
+function localHour(now, timeZone) {
+  return Number(new Intl.DateTimeFormat("en-US", { hour: "numeric", hourCycle: "h23", timeZone }).format(now));
+}
+
+function isQuietHours(now, config) {
+  if (!config.quietHours) return false;
+  const { start, end } = config.quietHours;
+  const hour = localHour(now, config.timeZone);
+  return start < end ? hour >= start && hour < end : hour >= start || hour < end;
+}
+
+// `sentTimes` are ISO timestamps of earlier alert emails to one recipient.
+function withinRateLimit(sentTimes, now, config) {
+  const times = (sentTimes || []).map((t) => new Date(t).getTime());
+  const lastHour = times.filter((t) => now.getTime() - t < HOUR_MS).length;
+  const lastDay = times.filter((t) => now.getTime() - t < DAY_MS).length;
+  return lastHour < config.maxPerHour && lastDay < config.maxPerDay;
+}
+
+// Drops send records older than a day; returns the same log object.
+function pruneSendLog(log, now) {
+  for (const [email, times] of Object.entries(log)) {
+    const kept = times.filter((t) => now.getTime() - new Date(t).getTime() < DAY_MS);
+    if (kept.length > 0) log[email] = kept;
+    else delete log[email];
+  }
+  return log;
+}
+
+module.exports = {
+  ALERT_RULES,
+  parseQuietHours,
+  resolveAlertConfig,
+  evaluateAlerts,
+  isQuietHours,
+  withinRateLimit,
+  pruneSendLog,
+};
@@ -0,0 +1,310 @@
+// =============================================================================
+// POLITICAL ALPHA — Analysis Prompt, Schema & Rule-Based Fallback
+// =============================================================================
+// The system prompt and output schema are shared by every LLM provider in
+// lib/llm/. The analyzer must return:
+//   { highAlerts: [{ title, summary, ticker, entity, transaction }],
+//     otherTrades: [{ date, entity, ticker, transaction, amount }],
+//     marketNote: "..." }
+//
+// analyzeWithModel() runs a provider and validates its output against that
+// shape with parseAnalysis(), allowing one repair attempt. When the model
+// is unavailable or keeps returning bad JSON, analyzeWithRules() builds the
+// same structure deterministically from the structured trades, so a briefing
+// still goes out.
+//
+// Both accept the cross-trade signals from lib/signals.js; the prompt lists
+// them and the fallback ranks the trades behind them higher.
+// =============================================================================
+
+const { isTrade, parseAmountRange, namesMatch, tradesToTableRows } = require("./trades");
+const { describeConflict } = require("./committees");
+const { signalIncludes } = require("./signals");
+
+const MAX_HIGH_ALERTS = 2;
+
+// ---------------------------------------------------------------------------
+// PROMPT & SCHEMA
+// ---------------------------------------------------------------------------
+
+const ANALYSIS_SYSTEM_PROMPT = `You are an expert financial analyst writing for a newsletter called "Political Alpha".
+
+You will receive data from multiple sources about congressional stock trading (from STOCK Act filings) and corporate insider transactions. The data includes specific politician/entity names, ticker symbols, and transaction types (BUY/SELL).
+
+Your tasks:
+1) Identify the top 2 most significant trades and create "High Trade Alerts" for them. Pick trades that are notable due to the politician's prominence, the size/frequency of trades, or the relevance of the stock. Write a brief, punchy 2-3 sentence analysis for each.
+2) Put ALL remaining identifiable trades into the "otherTrades" array with: date, entity, ticker, transaction (BUY or SELL), amount (if known, otherwise "Undisclosed").
+3) Write a one-sentence market sentiment note.
+
+Trades marked "(confirmed by N sources)" were reported independently by several data providers and are already de-duplicated — treat each line as one trade.
+
+Trades marked "POTENTIAL CONFLICT" were made by a member who sits on a committee overseeing the company's sector (e.g. an Armed Services member trading a defense contractor). These are strong candidates for High Trade Alerts — name the committee when you feature one.
+
+Some trades include how the stock has moved since the trade date, e.g. "stock +25.0% since the trade ($138.40 → $172.96)". A BUY followed by a rise, or a SELL ahead of a drop, was well timed — when the move is large, say so in the High Trade Alert.
+
+Insider trades marked "under a 10b5-1 trading plan" were scheduled months in advance under a pre-arranged plan. They say little about what the insider thinks of the stock right now; weigh them below discretionary trades.
+
+Some trades end with "NEWS:" and the headlines reporting on that company or person. Use them for context — a trade ahead of the news it preceded is worth pointing out. News lines that stand on their own are general background, not trades.
+
+A "Cross-trade signals" list may follow the trades: patterns found across today's filings and recent history, such as several members buying the same stock within days, a member trading alongside company insiders, or a member reversing a recent position. Each has a score (higher is stronger). Trades behind a strong signal are strong candidates for High Trade Alerts — mention the pattern when you feature one.
+
+IMPORTANT: You have real trade data with real tickers and politician names. USE THEM. Do not say "no trades detected" when the data clearly contains trades with tickers and names.
+
+Return ONLY valid JSON matching this exact schema:
+{
+  "highAlerts": [
+    { "title": "Headline", "summary": "Analysis", "ticker": "AAPL", "entity": "Nancy Pelosi", "transaction": "BUY" }
+  ],
+  "otherTrades": [
+    { "date": "2026-02-27", "entity": "Name", "ticker": "NVDA", "transaction": "SELL", "amount": "Undisclosed" }
+  ],
+  "marketNote": "One sentence summary."
+}`;
+
+// JSON Schema for providers with structured-output support. Mirrors the
+// example in the prompt and the checks in validateAnalysis().
+const ANALYSIS_SCHEMA = {
+  type: "object",
+  properties: {
+    highAlerts: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          title: { type: "string" },
+          summary: { type: "string" },
+          ticker: { type: "string" },
+          entity: { type: "string" },
+          transaction: { type: "string" },
+        },
+        required: ["title", "summary", "ticker", "entity", "transaction"],
+      },
+    },
+    otherTrades: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          date: { type: "string" },
+          entity: { type: "string" },
+          ticker: { type: "string" },
+          transaction: { type: "string" },
+          amount: { type: "string" },
+        },
+        required: ["entity", "ticker", "transaction"],
+      },
+    },
+    marketNote: { type: "string" },
+  },
+  required: ["highAlerts", "otherTrades", "marketNote"],
+};
+
+// ---------------------------------------------------------------------------
+// SCHEMA VALIDATION
+// ---------------------------------------------------------------------------
+
+function validateAnalysis(obj) {
+  const problems = [];
+  if (!obj || typeof obj !== "object" || Array.isArray(obj)) return ["top level must be a JSON object"];
+
+  if (!Array.isArray(obj.highAlerts)) problems.push("highAlerts must be an array");
+  else {
+    obj.highAlerts.forEach((a, i) => {
+      for (const field of ["title", "summary", "ticker", "entity", "transaction"]) {
+        if (typeof a?.[field] !== "string" || !a[field].trim()) problems.push(`highAlerts[${i}].${field} must be a non-empty string`);
+      }
+    });
+  }
+
+  if (obj.otherTrades !== undefined && !Array.isArray(obj.otherTrades)) problems.push("otherTrades must be an array");
+  else {
+    (obj.otherTrades || []).forEach((t, i) => {
+      for (const field of ["entity", "ticker", "transaction"]) {
+        if (typeof t?.[field] !== "string" || !t[field].trim()) problems.push(`otherTrades[${i}].${field} must be a non-empty string`);
+      }
+    });
+  }
+
+  if (typeof obj.marketNote !== "string") problems.push("marketNote must be a string");
+  return problems;
+}
+
+// Strips code fences, parses and validates. Throws an Error whose message
+// lists every problem so it can be fed back to the model for repair.
+function parseAnalysis(text) {
+  const cleaned = String(text || "").replace(/```json\s*/g, "").replace(/```\s*/g, "").trim();
+  let parsed;
+  try {
+    parsed = JSON.parse(cleaned);
+  } catch (err) {
+    throw new Error(`Invalid JSON: ${err.message}`);
+  }
+  const problems = validateAnalysis(parsed);
+  if (problems.length > 0) throw new Error(`Schema violations: ${problems.join("; ")}`);
+  parsed.otherTrades = parsed.otherTrades || [];
+  return parsed;
+}
+
+// ---------------------------------------------------------------------------
+// MODEL ANALYSIS
+// ---------------------------------------------------------------------------
+
+// Headlines linked to a trade (lib/coverage.js) ride along on its line
+// instead of being listed separately.
+function buildPrompt(items, signals = []) {
+  const linked = new Set(items.flatMap((t) => (t.coverage || []).map((c) => c.title)));
+  const newsText = (coverage) => coverage.map((c) => `"${c.title}"${c.publisher ? ` (${c.publisher})` : ""}`).join("; ");
+  const itemText = items
+    .filter((t) => isTrade(t) || !linked.has(t.title || t.text))
+    .map((t, i) => `[${i + 1}] (${t.source}): ${t.text}${t.conflict ? ` — POTENTIAL CONFLICT: ${describeConflict(t.conflict)}` : ""}${t.coverage && t.coverage.length > 0 ? ` — NEWS: ${newsText(t.coverage)}` : ""}`)
+    .join("\n");
+  const signalText = signals.length > 0
+    ? `\n\nCross-trade signals:\n${signals.map((s) => `- [score ${s.score}] ${s.headline}`).join("\n")}`
+    : "";
+  return `Here is today's trading data:\n\n${itemText}${signalText}\n\nAnalyze and return structured JSON.`;
+}
+
+async function analyzeWithModel(items, provider, { signals = [] } = {}) {
+  const prompt = buildPrompt(items, signals);
+  const tag = `[LLM:${provider.name}]`;
+
+  // DEBUG logging
+  console.log(`=== ${provider.name.toUpperCase()} INPUT (first 3000 chars) ===`);
+  console.log(prompt.substring(0, 3000));
+  console.log("=== END INPUT ===");
+
+  const messages = [{ role: "user", content: prompt }];
+  let lastError = null;
+
+  // First attempt plus one retry. A malformed reply is sent back with the
+  // validation errors so the model can repair it; an API error just retries.
+  for (let attempt = 1; attempt <= 2; attempt++) {
+    let responseText;
+    try {
+      responseText = await provider.generate({ system: ANALYSIS_SYSTEM_PROMPT, messages, schema: ANALYSIS_SCHEMA });
+    } catch (err) {
+      lastError = err;
+      console.warn(`${tag} Attempt ${attempt} request failed: ${err.message}`);
+      continue;
+    }
+
+    console.log(`=== ${provider.name.toUpperCase()} OUTPUT ===`);
+    console.log(String(responseText).substring(0, 2000));
+    console.log("=== END OUTPUT ===");
+
+    try {
+      return parseAnalysis(responseText);
+    } catch (err) {
+      lastError = err;
+      console.warn(`${tag} Attempt ${attempt} returned unusable output: ${err.message}`);
+      messages.push(
+        { role: "assistant", content: String(responseText) },
+        { role: "user", content: `Your reply could not be used (${err.message}). Return ONLY the corrected JSON object matching the schema.` },
+      );
+    }
+  }
+  throw lastError;
+}
+
+// ---------------------------------------------------------------------------
+// RULE-BASED FALLBACK
+// ---------------------------------------------------------------------------
+
+// Members whose trades readers care about most: leadership and the most
+// closely followed traders.
+const PROMINENT_POLITICIANS = [
+  "Nancy Pelosi", "Mike Johnson", "Hakeem Jeffries", "Steve Scalise", "Katherine Clark",
+  "John Thune", "Chuck Schumer", "Mitch McConnell", "John Barrasso", "Dick Durbin",
+  "Tommy Tuberville", "Dan Crenshaw", "Marjorie Taylor Greene", "Josh Gottheimer",
+  "Ro Khanna", "Michael McCaul", "Rick Scott", "Markwayne Mullin", "Debbie Wasserman Schultz",
+];
+
+function amountScore(trade) {
+  const range = parseAmountRange(trade.amount);
+  if (!range) return 0;
+  if (range.max > 1000000) return 5;
+  if (range.max > 250000) return 4;
+  if (range.max > 50000) return 3;
+  if (range.max > 15000) return 2;
+  return 1;
+}
+
+// Strongest signal `trade` is part of, if any.
+function strongestSignal(trade, signals) {
+  return signals.filter((s) => signalIncludes(s, trade)).sort((a, b) => b.score - a.score)[0] || null;
+}
+
+function scoreTrade(trade, tickerCounts, signals) {
+  const prominence = PROMINENT_POLITICIANS.some((name) => namesMatch(name, trade.entity)) ? 3 : 0;
+  const cluster = Math.min(3, (tickerCounts.get(trade.ticker) || 1) - 1);
+  const kind = trade.kind === "congress" ? 1 : 0;
+  const conflict = trade.conflict ? 2 : 0;
+  const signal = strongestSignal(trade, signals);
+  return amountScore(trade) + prominence + cluster * 1.5 + kind + conflict + (signal ? Math.min(4, signal.score / 2) : 0);
+}
+
+function describeAlert(trade, tickerCounts, signals) {
+  const verb = trade.transaction === "BUY" ? "bought" : trade.transaction === "SELL" ? "sold" : "traded";
+  const who = [trade.entity, [trade.party, trade.chamber].filter(Boolean).join("-")].filter(Boolean).join(" ");
+  const sentences = [`${who} ${verb} $${trade.ticker}${trade.issuer ? ` (${trade.issuer})` : ""}${trade.amount ? ` worth ${trade.amount}` : ""}${trade.tradeDate ? ` on ${trade.tradeDate}` : ""}.`];
+  const others = (tickerCounts.get(trade.ticker) || 1) - 1;
+  if (others > 0) sentences.push(`${others} other filing${others === 1 ? "" : "s"} in today's data also involve $${trade.ticker}.`);
+  if (trade.conflict) sentences.push(`Potential conflict: ${describeConflict(trade.conflict)}.`);
+  const signal = strongestSignal(trade, signals);
+  if (signal) sentences.push(`Signal: ${signal.headline}.`);
+  if (trade.sources && trade.sources.length > 1) sentences.push(`Confirmed by ${trade.sources.length} independent sources.`);
+  return sentences.join(" ");
+}
+
+function analyzeWithRules(items, { signals = [] } = {}) {
+  const trades = items.filter(isTrade);
+  const tickerCounts = new Map();
+  for (const t of trades) tickerCounts.set(t.ticker, (tickerCounts.get(t.ticker) || 0) + 1);
+
+  const ranked = trades
+    .map((trade, index) => ({ trade, index, score: scoreTrade(trade, tickerCounts, signals) }))
+    .sort((a, b) => b.score - a.score || a.index - b.index);
+
+  const featured = [];
+  for (const { trade } of ranked) {
+    if (featured.length >= MAX_HIGH_ALERTS) break;
+    if (featured.some((f) => f.ticker === trade.ticker && namesMatch(f.entity, trade.entity))) continue;
+    featured.push(trade);
+  }
+
+  const highAlerts = featured.map((trade) => ({
+    title: `${trade.entity} ${trade.transaction === "BUY" ? "buys" : trade.transaction === "SELL" ? "sells" : "trades"} $${trade.ticker}`,
+    summary: describeAlert(trade, tickerCounts, signals),
+    ticker: trade.ticker,
+    entity: trade.entity,
+    transaction: trade.transaction,
+  }));
+
+  const buys = trades.filter((t) => t.transaction === "BUY").length;
+  const sells = trades.filter((t) => t.transaction === "SELL").length;
+  const busiest = [...tickerCounts.entries()].sort((a, b) => b[1] - a[1])[0];
+  let marketNote;
+  if (trades.length === 0) {
+    const headlines = items.length;
+    marketNote = headlines > 0 ? `No new filings today; ${headlines} related headline${headlines === 1 ? "" : "s"} tracked.` : "No new filings today.";
+  } else {
+    const tilt = buys > sells ? "leaning toward buying" : sells > buys ? "leaning toward selling" : "evenly split";
+    marketNote = `${trades.length} disclosed trades (${buys} buys, ${sells} sells), ${tilt}${busiest && busiest[1] > 1 ? `; $${busiest[0]} was the most active ticker with ${busiest[1]} filings` : ""}.`;
+  }
+
+  return {
+    highAlerts,
+    otherTrades: tradesToTableRows(trades, highAlerts),
+    marketNote,
+  };
+}
+
+module.exports = {
+  ANALYSIS_SYSTEM_PROMPT,
+  ANALYSIS_SCHEMA,
+  buildPrompt,
+  analyzeWithModel,
+  validateAnalysis,
+  parseAnalysis,
+  analyzeWithRules,
+};
@@ -0,0 +1,112 @@
+// =============================================================================
+// POLITICAL ALPHA — Issue Archive
+// =============================================================================
+// Every briefing and digest is saved before it goes out, so each issue has a
+// permalink that the email's "view in browser" link points to. Issues live in
+// the pluggable storage (lib/storage.js):
+//
+//   archive/<edition>/<YYYY-MM-DD>   { edition, date, title, generatedAt,
+//                                      itemCount, analysis | digest, trades,
+//                                      sources, errors, html }
+//   archive/index                    [{ edition, date, title, generatedAt,
+//                                       summary }], newest first
+//
+// `html` is the public rendering in the EMAIL_THEME theme: no watchlist
+// section, no unsubscribe link.
+// A second run on the same day replaces that day's issue.
+// =============================================================================
+
+const { baseUrl } = require("./subscribers");
+const { emailTheme, renderEmail } = require("./render");
+
+const INDEX_KEY = "archive/index";
+const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+function issueKey(edition, date) {
+  return `archive/${edition}/${date}`;
+}
+
+function archiveUrl(env = process.env) {
+  return `${baseUrl(env)}/archive`;
+}
+
+// Daily issues sit at /archive/<date>, digests at /archive/<edition>/<date>
+// (vercel.json rewrites both to /api/archive).
+function issueUrl(edition, date, env = process.env) {
+  return `${archiveUrl(env)}/${edition === "daily" ? "" : `${edition}/`}${date}`;
+}
+
+function issueSummary(issue) {
+  if (issue.digest) {
+    const { totals } = issue.digest;
+    return `${totals.trades} trades by ${totals.politicians} members`;
+  }
+  return (issue.analysis && issue.analysis.marketNote) || "";
+}
+
+// Turns a delivery payload (see lib/channels/index.js) into an archived issue.
+function issueFromPayload(payload, { theme } = {}) {
+  const date = payload.generatedAt.slice(0, 10);
+  const { html } = renderEmail(payload, {}, { theme });
+  if (payload.type === "digest") {
+    return {
+      edition: payload.edition,
+      date,
+      title: payload.title,
+      generatedAt: payload.generatedAt,
+      digest: payload.digest,
+      html,
+    };
+  }
+  return {
+    edition: "daily",
+    date,
+    title: payload.title,
+    generatedAt: payload.generatedAt,
+    itemCount: payload.itemCount,
+    analysis: payload.analysis,
+    trades: payload.trades,
+    sources: payload.sources,
+    errors: payload.errors,
+    html,
+  };
+}
+
+function createArchive(storage) {
+  return {
+    async save(issue) {
+      await storage.set(issueKey(issue.edition, issue.date), issue);
+      const index = ((await storage.get(INDEX_KEY)) || []).filter((e) => e.edition !== issue.edition || e.date !== issue.date);
+      index.push({ edition: issue.edition, date: issue.date, title: issue.title, generatedAt: issue.generatedAt, summary: issueSummary(issue) });
+      index.sort((a, b) => b.date.localeCompare(a.date) || a.edition.localeCompare(b.edition));
+      await storage.set(INDEX_KEY, index);
+      return issue;
+    },
+
+    async get(edition, date) {
+      if (!ISO_DATE_RE.test(date)) return null;
+      return storage.get(issueKey(edition, date));
+    },
+
+    async list({ edition } = {}) {
+      const index = (await storage.get(INDEX_KEY)) || [];
+      return edition ? index.filter((e) => e.edition === edition) : index;
+    },
+  };
+}
+
+// Saves the payload's issue and returns its permalink.
+async function archivePayload(storage, payload, env = process.env) {
+  const issue = await createArchive(storage).save(issueFromPayload(payload, { theme: emailTheme(env) }));
+  return issueUrl(issue.edition, issue.date, env);
+}
+
+module.exports = {
+  INDEX_KEY,
+  ISO_DATE_RE,
+  archiveUrl,
+  issueUrl,
+  issueFromPayload,
+  createArchive,
+  archivePayload,
+};
@@ -0,0 +1,65 @@
+// =============================================================================
+// POLITICAL ALPHA — Discord Channel
+// =============================================================================
+// Posts to a Discord webhook (DISCORD_WEBHOOK_URL) as embeds: one per high
+// alert plus one for the trade list. Discord allows 10 embeds per message,
+// 256-character titles and 4096-character descriptions.
+// =============================================================================
+
+const { postJson } = require("./http");
+const { truncate, alertHeading, briefingNotices, briefingRowLines, alertMatchLines, lateFilingLines, digestSections } = require("./format");
+
+const COLORS = { alert: 0xe94560, trades: 0x00d2ff, watch: 0xffc107, late: 0xff6b81 };
+const MAX_EMBEDS = 10;
+
+function embed(title, description, color) {
+  return { title: truncate(title, 256), description: truncate(description, 4096), color };
+}
+
+function formatDiscord(payload) {
+  const embeds = [];
+
+  if (payload.type === "alert") {
+    for (const match of payload.matches) {
+      const [line, ...reasons] = alertMatchLines(match);
+      const e = embed(line, reasons.join("\n"), COLORS.watch);
+      if (match.trade.sourceUrl) e.url = match.trade.sourceUrl;
+      embeds.push(e);
+    }
+    return { username: "Political Alpha", content: truncate(payload.title, 2000), embeds: embeds.slice(0, MAX_EMBEDS) };
+  }
+
+  if (payload.type === "digest") {
+    for (const { heading, lines } of digestSections(payload.digest)) embeds.push(embed(heading, lines.join("\n"), COLORS.trades));
+    const link = payload.archiveUrl ? `\n${payload.archiveUrl}` : "";
+    return { username: "Political Alpha", content: truncate(`**${payload.title}**${link}`, 2000), embeds: embeds.slice(0, MAX_EMBEDS) };
+  }
+
+  const { analysis } = payload;
+  const intro = [analysis.marketNote, ...briefingNotices(payload).map((n) => `⚠️ ${n}`), payload.archiveUrl].filter(Boolean).join("\n");
+  const rows = briefingRowLines(payload);
+  const late = lateFilingLines(payload);
+  // Late filers and the trade list always get their embed slots.
+  const alerts = (analysis.highAlerts || []).slice(0, MAX_EMBEDS - (rows.length > 0) - (late.length > 0));
+  for (const alert of alerts) {
+    embeds.push(embed(alert.title || alertHeading(alert), `**${alertHeading(alert)}**\n${alert.summary || ""}`, COLORS.alert));
+  }
+  if (late.length > 0) embeds.push(embed("Late Filers (past the 45-day deadline)", late.join("\n"), COLORS.late));
+  if (rows.length > 0) embeds.push(embed("Other Trades", rows.join("\n"), COLORS.trades));
+
+  return { username: "Political Alpha", content: truncate(`**${payload.title}**${intro ? `\n${intro}` : ""}`, 2000), embeds };
+}
+
+async function sendDiscord(payload, ctx, state) {
+  await postJson(ctx.env.DISCORD_WEBHOOK_URL, formatDiscord(payload), { fetch: ctx.fetch, timeoutMs: ctx.timeoutMs });
+  state.delivered = 1;
+}
+
+module.exports = {
+  id: "discord",
+  name: "Discord",
+  audience: "team",
+  configured: (env) => Boolean(env.DISCORD_WEBHOOK_URL),
+  format: formatDiscord,
+  send: sendDiscord,
+};
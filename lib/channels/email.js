@@ -0,0 +1,69 @@
+// =============================================================================
+// POLITICAL ALPHA — Email Channel (Resend)
+// =============================================================================
+// The subscriber-facing channel: renders the briefing or digest once per
+// recipient (their watchlist section and unsubscribe footer are their own)
+// and sends it through lib/email.js as a multipart message: HTML in the
+// EMAIL_THEME theme plus a plain-text part (lib/render). Recipients come from
+// the delivery context. A retry only re-sends the batches that failed, never
+// reaching an inbox twice within one run. Each batch result is also handed to
+// context.onEmailBatch, which the cron uses to keep its run ledger
+// (lib/ledger.js).
+//
+// When the issue was archived first (lib/archive.js), payload.archiveUrl
+// becomes the "view in browser" link at the top of every copy.
+//
+// Real-time alerts are not delivered here: api/alerts.js picks matches,
+// rate-limits and emails each subscriber itself.
+// =============================================================================
+
+const { sendPersonalized } = require("../email");
+const { filterWatchlist } = require("../watchlist");
+const { emailTheme, renderEmail, buildEmailHtml, buildDigestHtml } = require("../render");
+
+// ---------------------------------------------------------------------------
+// DELIVERY
+// ---------------------------------------------------------------------------
+
+function errorMessage(error) {
+  return typeof error === "string" ? error : (error && error.message) || JSON.stringify(error);
+}
+
+async function sendEmail(payload, ctx, state) {
+  if (payload.type !== "briefing" && payload.type !== "digest") {
+    const err = new Error(`The email channel does not deliver "${payload.type}" payloads`);
+    err.retryable = false;
+    throw err;
+  }
+
+  state.recipients = state.recipients || [];
+  const done = new Set(state.recipients);
+  const pending = (ctx.subscribers || []).filter((s) => !done.has(typeof s === "string" ? s : s.email));
+  const theme = emailTheme(ctx.env);
+  const compose = (recipient) => ({
+    subject: payload.title,
+    ...renderEmail(payload, {
+      ...recipient,
+      viewUrl: payload.archiveUrl,
+      watchlistTrades: payload.type === "digest" ? undefined : filterWatchlist(payload.trades, recipient.watchlist),
+    }, { theme }),
+  });
+  const results = await sendPersonalized(pending, compose, { resend: ctx.resend, env: ctx.env, onBatch: ctx.onEmailBatch });
+
+  for (const r of results.filter((r) => r.success)) state.recipients.push(...r.recipients);
+  state.delivered = state.recipients.length;
+
+  const failed = results.filter((r) => !r.success);
+  if (failed.length > 0) throw new Error(`${failed.length} of ${results.length} batches failed: ${errorMessage(failed[0].error)}`);
+}
+
+module.exports = {
+  id: "email",
+  name: "Email",
+  audience: "subscribers",
+  configured: () => true,
+  format: renderEmail,
+  send: sendEmail,
+  buildEmailHtml,
+  buildDigestHtml,
+};
@@ -0,0 +1,123 @@
+// =============================================================================
+// POLITICAL ALPHA — Plain-Text Building Blocks for Chat Channels
+// =============================================================================
+// Chat platforms cannot render the HTML email, and each one has its own markup
+// and size limits. These helpers produce the platform-neutral pieces (one
+// line per trade, notices, truncation); the channel modules wrap them in
+// Slack mrkdwn, Discord embeds or Telegram HTML.
+// =============================================================================
+
+const { describeTrade, tradesToTableRows, formatChangePct } = require("../trades");
+
+// Cap on table rows posted to chat; the email carries the full table.
+const MAX_CHAT_ROWS = 15;
+
+function truncate(text, max) {
+  const s = String(text || "");
+  return s.length <= max ? s : `${s.slice(0, max - 1)}…`;
+}
+
+// "BUY $NVDA · Nancy Pelosi · $1,000,001 - $5,000,000 · 2026-02-01 · +25.0% since"
+function rowLine(row) {
+  const move = row.performance ? `${formatChangePct(row.performance.changePct)} since` : "";
+  return [`${row.transaction || "TRADE"} $${row.ticker || "?"}`, row.entity, row.amount, row.date, move].filter(Boolean).join(" · ");
+}
+
+function alertHeading(alert) {
+  return [`$${alert.ticker || "N/A"}`, alert.transaction, alert.entity].filter(Boolean).join(" · ");
+}
+
+// 840 → "840ms", 12034 → "12.0s"
+function formatLatency(ms) {
+  return ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`;
+}
+
+// "Senate eFD (HTTP 503, after 3 attempts in 12.0s)" for a failed source,
+// "House Clerk (4 items in 840ms)" for one that answered.
+function describeSourceReport(report) {
+  const took = report.latencyMs !== undefined ? ` in ${formatLatency(report.latencyMs)}` : "";
+  if (!report.error) return `${report.name} (${report.items} items${took})`;
+  const attempts = report.attempts ? `, after ${report.attempts} attempt${report.attempts === 1 ? "" : "s"}${took}` : "";
+  return `${report.name} (${report.error}${attempts})`;
+}
+
+// Notice about the sources that failed, with what the others returned, from
+// the per-source reports of lib/sources (a failed one carries `error`).
+// Empty when every source answered.
+function sourcesNotice(sources = []) {
+  const failed = sources.filter((s) => s.error);
+  if (failed.length === 0) return "";
+  const answered = sources.filter((s) => s.status === "ok");
+  const rest = answered.length > 0 ? ` Today's data comes from ${answered.map(describeSourceReport).join(", ")}.` : "";
+  return `Some data sources were unreachable: ${failed.map(describeSourceReport).join(", ")}.${rest}`;
+}
+
+// Notices shown above the briefing: unreachable sources, rule-based fallback.
+function briefingNotices(payload) {
+  const notices = [];
+  const sources = sourcesNotice(payload.sources || payload.errors);
+  if (sources) notices.push(sources);
+  if (payload.analysis && payload.analysis.fallback) notices.push("AI analysis was unavailable; alerts were ranked automatically.");
+  return notices;
+}
+
+// Table rows for chat, with a "…and N more" line when cut.
+function briefingRowLines(payload) {
+  const rows = (payload.analysis && payload.analysis.otherTrades) || [];
+  const lines = rows.slice(0, MAX_CHAT_ROWS).map(rowLine);
+  if (rows.length > MAX_CHAT_ROWS) lines.push(`…and ${rows.length - MAX_CHAT_ROWS} more`);
+  return lines;
+}
+
+// 1234567 → "$1.2M"; `signed` adds "+" to positive values.
+function formatUsd(n, { signed = false } = {}) {
+  const abs = Math.abs(n);
+  const [value, unit] = abs >= 1e9 ? [abs / 1e9, "B"] : abs >= 1e6 ? [abs / 1e6, "M"] : abs >= 1e3 ? [abs / 1e3, "K"] : [abs, ""];
+  const digits = unit && value < 10 ? 1 : 0;
+  const sign = n < 0 ? "-" : signed && n > 0 ? "+" : "";
+  return `${sign}$${value.toFixed(digits).replace(/\.0$/, "")}${unit}`;
+}
+
+// "Ro Khanna (D-House): BUY $NVDA, 59 days to disclose (3 of 5 filings late)"
+function lateFilingLines(payload) {
+  return ((payload.analysis && payload.analysis.lateFilings) || []).map((t) => {
+    const tags = [t.party, t.chamber].filter(Boolean).join("-");
+    const record = t.record && t.record.filings ? ` (${t.record.late} of ${t.record.filings} filings late)` : "";
+    return `${t.entity}${tags ? ` (${tags})` : ""}: ${t.transaction} $${t.ticker}, ${t.delayDays} days to disclose${record}`;
+  });
+}
+
+function alertMatchLines(match) {
+  return [describeTrade(match.trade), ...match.reasons.map((r) => `⚡ ${r}`)];
+}
+
+// Digest as [{ heading, lines }] sections, for platforms without tables.
+function digestSections(digest) {
+  const { totals } = digest;
+  if (totals.trades === 0) return [{ heading: "Summary", lines: ["No congressional trades were disclosed in this period."] }];
+  const member = (m) => `${m.entity}${m.party || m.chamber ? ` (${[m.party, m.chamber].filter(Boolean).join("-")})` : ""}`;
+  const net = (g, key) => `${g[key]}: ${g.buys} buys / ${g.sells} sells (net ${g.net > 0 ? "+" : ""}${g.net}, ${formatUsd(g.netVolume, { signed: true })})`;
+  return [
+    { heading: "Summary", lines: [`${totals.trades} trades by ${totals.politicians} members: ${totals.buys} buys, ${totals.sells} sells across ${totals.tickers} tickers; ${totals.late} filed late.`] },
+    { heading: "Most-Traded Tickers", lines: digest.topTickers.slice(0, 5).map((g) => `$${g.ticker}: ${g.trades} trades by ${g.members} members (${g.buys} buys / ${g.sells} sells)`) },
+    { heading: "Most Active Politicians", lines: digest.topPoliticians.slice(0, 5).map((m) => `${member(m)}: ${m.trades} trades`) },
+    { heading: "Net Buying", lines: [...digest.byParty.map((g) => net(g, "party")), ...digest.byChamber.map((g) => net(g, "chamber"))] },
+    { heading: "Largest Disclosed Trades", lines: tradesToTableRows(digest.largest.slice(0, 5)).map(rowLine) },
+    { heading: "Slowest Filers", lines: digest.slowestFilers.slice(0, 5).map((f) => `${member(f)}: ${f.avgDelayDays} days on average (longest ${f.maxDelayDays})`) },
+  ].filter((s) => s.lines.length > 0);
+}
+
+module.exports = {
+  MAX_CHAT_ROWS,
+  truncate,
+  rowLine,
+  alertHeading,
+  describeSourceReport,
+  sourcesNotice,
+  briefingNotices,
+  briefingRowLines,
+  alertMatchLines,
+  lateFilingLines,
+  formatUsd,
+  digestSections,
+};
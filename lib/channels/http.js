@@ -0,0 +1,39 @@
+// =============================================================================
+// POLITICAL ALPHA — Channel HTTP Helper
+// =============================================================================
+// Shared POST for the webhook-style channels. Failed responses throw an error
+// tagged for the retry runner in ./index.js: `retryable` is false for 4xx
+// (bad URL, revoked token — retrying will not help) except 429, and
+// `retryAfterMs` carries the server's Retry-After hint.
+// =============================================================================
+
+async function postJson(url, body, { fetch = globalThis.fetch, headers = {}, timeoutMs = 10000 } = {}) {
+  let resp;
+  try {
+    resp = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers },
+      body: typeof body === "string" ? body : JSON.stringify(body),
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+  } catch (err) {
+    // Network failures and timeouts are worth another attempt.
+    err.retryable = true;
+    throw err;
+  }
+
+  if (!resp.ok) {
+    const text = await resp.text().catch(() => "");
+    const err = new Error(`HTTP ${resp.status}${text ? `: ${text.slice(0, 200)}` : ""}`);
+    err.status = resp.status;
+    err.retryable = resp.status >= 500 || resp.status === 429;
+    const retryAfter = Number(resp.headers.get("retry-after"));
+    if (retryAfter > 0) err.retryAfterMs = retryAfter * 1000;
+    throw err;
+  }
+  return resp;
+}
+
+module.exports = {
+  postJson,
+};
@@ -0,0 +1,160 @@
+// =============================================================================
+// POLITICAL ALPHA — Delivery Channel Registry
+// =============================================================================
+// Where a finished briefing or alert goes. Each channel registers an id, a
+// formatter for its platform and a send function; deliverToChannels() runs
+// the configured ones in parallel with retries and reports per-channel
+// results (attempts, messages delivered, latency, error reason), mirroring
+// the source registry in lib/sources.
+//
+//   email     Resend, one personalized email per subscriber (always on)
+//   slack     SLACK_WEBHOOK_URL
+//   discord   DISCORD_WEBHOOK_URL
+//   telegram  TELEGRAM_BOT_TOKEN + TELEGRAM_CHAT_ID
+//   webhook   WEBHOOK_URL + WEBHOOK_SECRET (signed JSON of the full payload)
+//
+// Payloads are plain JSON:
+//   { type: "briefing", id, title, generatedAt, itemCount, analysis, trades, errors, archiveUrl }
+//   { type: "digest", id, title, generatedAt, edition, digest, archiveUrl }
+//   { type: "alert", id, title, generatedAt, matches: [{ trade, reasons }] }
+// archiveUrl is the issue's public permalink (lib/archive.js), when saved.
+//
+// Env overrides, with <ID> upper-cased:
+//   CHANNELS_DISABLED=email,discord     skip these ids
+//   CHANNELS_ENABLED=slack              run only these ids
+//   CHANNEL_<ID>_RETRIES=2              per-channel retry count
+//   CHANNEL_<ID>_TIMEOUT_MS=10000       per-request timeout
+//   CHANNEL_<ID>_RETRY_DELAY_MS=1000    base backoff (doubles per retry)
+// =============================================================================
+
+const DEFAULT_RETRIES = 2;
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 30000;
+
+const registry = [];
+
+function registerChannel(def) {
+  if (!def.id || typeof def.send !== "function") throw new Error("Channel needs an id and a send function");
+  if (registry.some((c) => c.id === def.id)) throw new Error(`Channel "${def.id}" is already registered`);
+  registry.push({
+    name: def.id,
+    audience: "team",
+    configured: () => true,
+    retries: DEFAULT_RETRIES,
+    timeoutMs: DEFAULT_TIMEOUT_MS,
+    retryDelayMs: DEFAULT_RETRY_DELAY_MS,
+    ...def,
+  });
+}
+
+function getChannels() {
+  return registry.slice();
+}
+
+// ---------------------------------------------------------------------------
+// BUILT-IN CHANNELS
+// ---------------------------------------------------------------------------
+
+registerChannel(require("./email"));
+registerChannel(require("./slack"));
+registerChannel(require("./discord"));
+registerChannel(require("./telegram"));
+registerChannel(require("./webhook"));
+
+// ---------------------------------------------------------------------------
+// CONFIG
+// ---------------------------------------------------------------------------
+
+function envKey(id, suffix) {
+  return `CHANNEL_${id.toUpperCase().replace(/[^A-Z0-9]+/g, "_")}_${suffix}`;
+}
+
+function parseList(value) {
+  return String(value || "").split(",").map((s) => s.trim()).filter(Boolean);
+}
+
+function numberOr(value, fallback) {
+  const n = Number(value);
+  return value !== undefined && value !== "" && Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+// A channel is enabled when its credentials are present and env does not
+// switch it off.
+function resolveChannelConfig(channel, env = process.env) {
+  const only = parseList(env.CHANNELS_ENABLED);
+  const disabled = parseList(env.CHANNELS_DISABLED);
+  let enabled = channel.configured(env);
+  if (only.length > 0 && !only.includes(channel.id)) enabled = false;
+  if (disabled.includes(channel.id)) enabled = false;
+
+  return {
+    ...channel,
+    enabled,
+    retries: numberOr(env[envKey(channel.id, "RETRIES")], channel.retries),
+    timeoutMs: numberOr(env[envKey(channel.id, "TIMEOUT_MS")], channel.timeoutMs) || channel.timeoutMs,
+    retryDelayMs: numberOr(env[envKey(channel.id, "RETRY_DELAY_MS")], channel.retryDelayMs),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// RUNNER
+// ---------------------------------------------------------------------------
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Retries with exponential backoff (or the server's Retry-After). Errors
+// marked `retryable: false` stop immediately. `state` survives between
+// attempts so a channel can skip work that already succeeded.
+async function runChannel(channel, payload, context = {}) {
+  const result = { id: channel.id, name: channel.name, status: "disabled", attempts: 0, delivered: 0, latencyMs: 0, error: undefined };
+  if (!channel.enabled) return result;
+
+  const started = Date.now();
+  const state = {};
+  let lastError = null;
+  for (let i = 0; i <= channel.retries; i++) {
+    if (i > 0) await sleep(Math.min(lastError.retryAfterMs || channel.retryDelayMs * 2 ** (i - 1), MAX_RETRY_DELAY_MS));
+    result.attempts++;
+    try {
+      await channel.send(payload, { ...context, timeoutMs: channel.timeoutMs }, state);
+      lastError = null;
+      break;
+    } catch (err) {
+      lastError = err;
+      console.warn(`[${channel.name}] Attempt ${result.attempts} failed: ${err.message}`);
+      if (err.retryable === false) break;
+    }
+  }
+  result.status = lastError ? "error" : "ok";
+  result.delivered = state.delivered || 0;
+  result.latencyMs = Date.now() - started;
+  if (lastError) result.error = lastError.message;
+  return result;
+}
+
+// ---------------------------------------------------------------------------
+// DELIVERY
+// ---------------------------------------------------------------------------
+
+// `context` is handed to every channel: { env, subscribers, resend, fetch,
+// onEmailBatch }.
+// Returns { results, errors } where results has one entry per channel.
+async function deliverToChannels(payload, { env = process.env, channels = getChannels(), context = {} } = {}) {
+  const configured = channels.map((c) => resolveChannelConfig(c, env));
+  const results = await Promise.all(configured.map((c) => runChannel(c, payload, { env, ...context })));
+  const errors = results.filter((r) => r.status === "error");
+
+  for (const r of results.filter((r) => r.status !== "disabled")) {
+    console.log(`[Deliver] ${r.name}: ${r.status} — ${r.delivered} delivered in ${r.latencyMs}ms${r.attempts > 1 ? ` (${r.attempts} attempts)` : ""}${r.error ? ` (${r.error})` : ""}`);
+  }
+  return { results, errors };
+}
+
+module.exports = {
+  registerChannel,
+  getChannels,
+  resolveChannelConfig,
+  runChannel,
+  deliverToChannels,
+};
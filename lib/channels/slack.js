@@ -0,0 +1,81 @@
+// =============================================================================
+// POLITICAL ALPHA — Slack Channel
+// =============================================================================
+// Posts to a Slack incoming webhook (SLACK_WEBHOOK_URL) as Block Kit
+// sections in mrkdwn. `text` is the plain fallback Slack shows in
+// notifications. Section text is capped at 3000 characters by Slack.
+// =============================================================================
+
+const { postJson } = require("./http");
+const { truncate, alertHeading, briefingNotices, briefingRowLines, alertMatchLines, lateFilingLines, digestSections } = require("./format");
+
+const SECTION_LIMIT = 3000;
+
+function escSlack(str) {
+  return String(str || "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+function section(text) {
+  return { type: "section", text: { type: "mrkdwn", text: truncate(text, SECTION_LIMIT) } };
+}
+
+function viewInBrowser(url) {
+  return { type: "context", elements: [{ type: "mrkdwn", text: `<${url}|View in browser>` }] };
+}
+
+function formatSlack(payload) {
+  const blocks = [{ type: "header", text: { type: "plain_text", text: truncate(payload.title, 150) } }];
+
+  if (payload.type === "alert") {
+    for (const match of payload.matches) {
+      const [line, ...reasons] = alertMatchLines(match).map(escSlack);
+      const link = match.trade.sourceUrl ? `\n<${match.trade.sourceUrl}|View filing (${escSlack(match.trade.source)})>` : "";
+      blocks.push(section(`*${line}*\n${reasons.join("\n")}${link}`));
+    }
+    return { text: payload.title, blocks };
+  }
+
+  if (payload.type === "digest") {
+    for (const { heading, lines } of digestSections(payload.digest)) {
+      blocks.push(section(`*${escSlack(heading)}*\n${lines.map((l) => `• ${escSlack(l)}`).join("\n")}`));
+    }
+    if (payload.archiveUrl) blocks.push(viewInBrowser(payload.archiveUrl));
+    return { text: payload.title, blocks };
+  }
+
+  const { analysis } = payload;
+  const notices = briefingNotices(payload);
+  if (notices.length > 0) blocks.push({ type: "context", elements: notices.map((n) => ({ type: "mrkdwn", text: `:warning: ${escSlack(n)}` })) });
+  if (analysis.marketNote) blocks.push(section(`*Market Pulse*\n${escSlack(analysis.marketNote)}`));
+
+  const alerts = analysis.highAlerts || [];
+  if (alerts.length > 0) {
+    blocks.push(section("*:rotating_light: High Trade Alerts*"));
+    for (const alert of alerts) blocks.push(section(`*${escSlack(alert.title)}*\n_${escSlack(alertHeading(alert))}_\n${escSlack(alert.summary)}`));
+  } else {
+    blocks.push(section("_No high-priority trades detected in the last 24 hours._"));
+  }
+
+  const late = lateFilingLines(payload);
+  if (late.length > 0) blocks.push(section(`*:hourglass: Late Filers* (past the 45-day STOCK Act deadline)\n${late.map((l) => `• ${escSlack(l)}`).join("\n")}`));
+
+  const rows = briefingRowLines(payload);
+  if (rows.length > 0) blocks.push(section(`*Other Trades*\n${rows.map((r) => `• ${escSlack(r)}`).join("\n")}`));
+  if (payload.archiveUrl) blocks.push(viewInBrowser(payload.archiveUrl));
+
+  return { text: payload.title, blocks };
+}
+
+async function sendSlack(payload, ctx, state) {
+  await postJson(ctx.env.SLACK_WEBHOOK_URL, formatSlack(payload), { fetch: ctx.fetch, timeoutMs: ctx.timeoutMs });
+  state.delivered = 1;
+}
+
+module.exports = {
+  id: "slack",
+  name: "Slack",
+  audience: "team",
+  configured: (env) => Boolean(env.SLACK_WEBHOOK_URL),
+  format: formatSlack,
+  send: sendSlack,
+};
@@ -0,0 +1,102 @@
+// =============================================================================
+// POLITICAL ALPHA — Telegram Channel
+// =============================================================================
+// Sends through the Bot API's sendMessage (TELEGRAM_BOT_TOKEN to
+// TELEGRAM_CHAT_ID) using Telegram's small HTML subset. Messages over 4096
+// characters are split on line boundaries; on retry, parts that already went
+// out are not sent again. TELEGRAM_API_URL overrides the API origin.
+// =============================================================================
+
+const { postJson } = require("./http");
+const { truncate, alertHeading, briefingNotices, briefingRowLines, alertMatchLines, lateFilingLines, digestSections } = require("./format");
+
+const MESSAGE_LIMIT = 4096;
+
+function escTelegram(str) {
+  return String(str || "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+function viewInBrowser(url) {
+  return `<a href="${escTelegram(url)}">View in browser</a>`;
+}
+
+// Returns the message text; sendTelegram splits it into parts.
+function formatTelegram(payload) {
+  const lines = [`<b>${escTelegram(payload.title)}</b>`, ""];
+
+  if (payload.type === "alert") {
+    for (const match of payload.matches) {
+      const [line, ...reasons] = alertMatchLines(match).map(escTelegram);
+      lines.push(`<b>${line}</b>`, ...reasons);
+      if (match.trade.sourceUrl) lines.push(`<a href="${escTelegram(match.trade.sourceUrl)}">View filing (${escTelegram(match.trade.source)})</a>`);
+      lines.push("");
+    }
+    return lines.join("\n").trim();
+  }
+
+  if (payload.type === "digest") {
+    for (const { heading, lines: items } of digestSections(payload.digest)) {
+      lines.push(`<b>${escTelegram(heading)}</b>`, ...items.map((l) => `• ${escTelegram(l)}`), "");
+    }
+    if (payload.archiveUrl) lines.push(viewInBrowser(payload.archiveUrl));
+    return lines.join("\n").trim();
+  }
+
+  const { analysis } = payload;
+  for (const notice of briefingNotices(payload)) lines.push(`⚠️ <i>${escTelegram(notice)}</i>`);
+  if (analysis.marketNote) lines.push(`<b>Market Pulse:</b> ${escTelegram(analysis.marketNote)}`, "");
+
+  const alerts = analysis.highAlerts || [];
+  lines.push("🚨 <b>High Trade Alerts</b>");
+  if (alerts.length === 0) lines.push("<i>No high-priority trades detected in the last 24 hours.</i>");
+  for (const alert of alerts) {
+    lines.push(`<b>${escTelegram(alert.title)}</b>`, `<i>${escTelegram(alertHeading(alert))}</i>`, escTelegram(alert.summary), "");
+  }
+
+  const late = lateFilingLines(payload);
+  if (late.length > 0) lines.push("⏳ <b>Late Filers</b> <i>(past the 45-day STOCK Act deadline)</i>", ...late.map((l) => `• ${escTelegram(l)}`), "");
+
+  const rows = briefingRowLines(payload);
+  if (rows.length > 0) lines.push("<b>Other Trades</b>", ...rows.map((r) => `• ${escTelegram(r)}`), "");
+  if (payload.archiveUrl) lines.push(viewInBrowser(payload.archiveUrl));
+  return lines.join("\n").trim();
+}
+
+function splitMessage(text, limit = MESSAGE_LIMIT) {
+  const parts = [];
+  let current = "";
+  for (const line of text.split("\n")) {
+    const next = current ? `${current}\n${line}` : line;
+    if (next.length <= limit) { current = next; continue; }
+    if (current) parts.push(current);
+    current = truncate(line, limit);
+  }
+  if (current) parts.push(current);
+  return parts;
+}
+
+async function sendTelegram(payload, ctx, state) {
+  const { TELEGRAM_BOT_TOKEN: token, TELEGRAM_CHAT_ID: chatId } = ctx.env;
+  const origin = (ctx.env.TELEGRAM_API_URL || "https://api.telegram.org").replace(/\/+$/, "");
+  const parts = splitMessage(formatTelegram(payload));
+  state.delivered = state.delivered || 0;
+  for (const text of parts.slice(state.delivered)) {
+    await postJson(`${origin}/bot${token}/sendMessage`, {
+      chat_id: chatId,
+      text,
+      parse_mode: "HTML",
+      disable_web_page_preview: true,
+    }, { fetch: ctx.fetch, timeoutMs: ctx.timeoutMs });
+    state.delivered++;
+  }
+}
+
+module.exports = {
+  id: "telegram",
+  name: "Telegram",
+  audience: "team",
+  configured: (env) => Boolean(env.TELEGRAM_BOT_TOKEN && env.TELEGRAM_CHAT_ID),
+  format: formatTelegram,
+  send: sendTelegram,
+  splitMessage,
+};
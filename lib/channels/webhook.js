@@ -0,0 +1,59 @@
+// =============================================================================
+// POLITICAL ALPHA — Signed JSON Webhook Channel
+// =============================================================================
+// POSTs the full delivery payload (analysis, structured trades, source
+// errors — or the alert matches) as JSON to WEBHOOK_URL for in-house
+// services. Each request is signed with WEBHOOK_SECRET:
+//
+//   X-Political-Alpha-Event:      briefing | alert
+//   X-Political-Alpha-Delivery:   payload id (stable across retries)
+//   X-Political-Alpha-Timestamp:  unix seconds
+//   X-Political-Alpha-Signature:  sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+//
+// Receivers should recompute the HMAC over the raw body and reject stale
+// timestamps to prevent replays.
+// =============================================================================
+
+const { createHmac } = require("crypto");
+const { postJson } = require("./http");
+
+function signWebhookBody(body, secret, timestamp) {
+  return `sha256=${createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")}`;
+}
+
+function formatWebhook(payload) {
+  return JSON.stringify(payload);
+}
+
+async function sendWebhook(payload, ctx, state) {
+  const secret = ctx.env.WEBHOOK_SECRET;
+  if (!secret) {
+    const err = new Error("WEBHOOK_SECRET is required to sign webhook deliveries");
+    err.retryable = false;
+    throw err;
+  }
+  const body = formatWebhook(payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  await postJson(ctx.env.WEBHOOK_URL, body, {
+    fetch: ctx.fetch,
+    timeoutMs: ctx.timeoutMs,
+    headers: {
+      "User-Agent": "PoliticalAlpha-Webhook/1.0",
+      "X-Political-Alpha-Event": payload.type,
+      "X-Political-Alpha-Delivery": payload.id,
+      "X-Political-Alpha-Timestamp": String(timestamp),
+      "X-Political-Alpha-Signature": signWebhookBody(body, secret, timestamp),
+    },
+  });
+  state.delivered = 1;
+}
+
+module.exports = {
+  id: "webhook",
+  name: "Webhook",
+  audience: "team",
+  configured: (env) => Boolean(env.WEBHOOK_URL),
+  format: formatWebhook,
+  send: sendWebhook,
+  signWebhookBody,
+};
@@ -0,0 +1,79 @@
+// =============================================================================
+// POLITICAL ALPHA — Committee Conflicts
+// =============================================================================
+// Flags trades where a member buys or sells in a sector their committee
+// oversees (an Armed Services member trading a defense contractor). Committee
+// assignments come from the politician directory (lib/politicians.js), the
+// traded company's sector from the trade or lib/sectors.js. The security
+// committees oversee the defense industry, not a whole sector, so they match
+// on the defense contractor list in lib/sectors.js: an Armed Services member
+// buying Apple is not flagged, one buying Lockheed is.
+//
+// flagConflicts() attaches the result to each trade as
+//
+//   trade.conflict = { sector, committees: ["Armed Services"] }
+//
+// which the real-time alert rule, the analyzer prompt and the email badges
+// all read. A member who is not in the directory never triggers it.
+// =============================================================================
+
+const { committeesOf } = require("./politicians");
+const { sectorOf, isDefenseContractor } = require("./sectors");
+
+// Committees whose jurisdiction is defense and intelligence contracting.
+const DEFENSE_COMMITTEES = ["Armed Services", "Intelligence", "Homeland Security", "Homeland Security and Governmental Affairs"];
+
+// Committee → sectors under its jurisdiction. House and Senate names are
+// listed separately where they differ.
+const COMMITTEE_SECTORS = {
+  "Financial Services": ["Financials", "Real Estate"],
+  "Banking, Housing, and Urban Affairs": ["Financials", "Real Estate"],
+  "Ways and Means": ["Health Care", "Financials"],
+  "Finance": ["Health Care", "Financials"],
+  "Energy and Commerce": ["Energy", "Health Care", "Communication Services", "Information Technology", "Utilities"],
+  "Energy and Natural Resources": ["Energy", "Utilities", "Materials"],
+  "Environment and Public Works": ["Utilities", "Materials", "Industrials"],
+  "Commerce, Science, and Transportation": ["Communication Services", "Information Technology", "Industrials"],
+  "Science, Space, and Technology": ["Information Technology", "Industrials"],
+  "Transportation and Infrastructure": ["Industrials"],
+  "Health, Education, Labor, and Pensions": ["Health Care"],
+  "Agriculture": ["Consumer Staples", "Materials"],
+  "Agriculture, Nutrition, and Forestry": ["Consumer Staples", "Materials"],
+  "Foreign Affairs": ["Industrials", "Energy"],
+  "Foreign Relations": ["Industrials", "Energy"],
+};
+
+// Committees of the trading member whose jurisdiction covers the traded
+// company's sector. Empty when there is no overlap or nothing is known.
+function committeeConflicts(trade) {
+  if (trade.kind !== "congress") return [];
+  const sector = sectorOf(trade);
+  const defense = isDefenseContractor(trade);
+  if (!sector && !defense) return [];
+  return committeesOf(trade.entity).filter((c) =>
+    DEFENSE_COMMITTEES.includes(c) ? defense : (COMMITTEE_SECTORS[c] || []).includes(sector));
+}
+
+// Sets trade.conflict (or null) on every trade; returns how many were flagged.
+function flagConflicts(trades) {
+  let flagged = 0;
+  for (const trade of trades) {
+    const committees = committeeConflicts(trade);
+    trade.conflict = committees.length > 0 ? { sector: sectorOf(trade), committees } : null;
+    if (trade.conflict) flagged++;
+  }
+  return flagged;
+}
+
+// "Industrials stock; member sits on Armed Services"
+function describeConflict(conflict) {
+  return `${conflict.sector} stock; member sits on ${conflict.committees.join(", ")}`;
+}
+
+module.exports = {
+  DEFENSE_COMMITTEES,
+  COMMITTEE_SECTORS,
+  committeeConflicts,
+  flagConflicts,
+  describeConflict,
+};
@@ -0,0 +1,96 @@
+// =============================================================================
+// POLITICAL ALPHA — Related Coverage
+// =============================================================================
+// Ties news headlines (lib/sources/news.js) to the trades they are about, so
+// the email can link an alert to the reporting on it. A headline concerns a
+// trade when it names the company (its ticker or issuer name) or the person
+// who traded; headlines naming both rank first. matchCoverage() attaches up to
+// three links to each trade:
+//
+//   trade.coverage = [{ title, link, publisher, date }]
+//
+// which the analyzer prompt, the alert cards and the trade tables read.
+// Headlines that match no trade still reach the analyzer as general news.
+// =============================================================================
+
+const MAX_LINKS_PER_TRADE = 3;
+
+// Legal-form and share-class words dropped from issuer names, so "NVIDIA
+// Corporation - Common Stock" is searched for as "nvidia".
+const ISSUER_NOISE = /\b(?:the|inc|incorporated|corp|corporation|co|company|ltd|limited|plc|llc|lp|sa|nv|ag|holdings?|group|class [a-c]|common stock|ordinary shares|adr|ads|new)\b/g;
+const NAME_SUFFIXES = /^(?:jr|sr|ii|iii|iv)\.?$/i;
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function isNewsItem(item) {
+  return Boolean(item) && item.source === "News" && Boolean(item.title || item.text);
+}
+
+// Lower case, punctuation as spaces: "Coca-Cola" and "Coca Cola Co" meet.
+function plainWords(text) {
+  return String(text || "").toLowerCase().replace(/[^a-z0-9&\s]/g, " ").replace(/\s+/g, " ").trim();
+}
+
+// Case-sensitive, so "NVDA" and "$NVDA" match but "on" never stands for $ON.
+// One-letter tickers only count with the "$".
+function mentionsTicker(text, ticker) {
+  if (!ticker) return false;
+  const re = ticker.length === 1
+    ? new RegExp(`\\$${escapeRegExp(ticker)}\\b`)
+    : new RegExp(`(?:^|[^A-Za-z0-9])\\$?${escapeRegExp(ticker)}\\b`);
+  return re.test(text);
+}
+
+function mentionsIssuer(text, issuer) {
+  const name = plainWords(plainWords(issuer).replace(ISSUER_NOISE, " "));
+  return name.length >= 3 && ` ${plainWords(text)} `.includes(` ${name} `);
+}
+
+// Last name, capitalized as written. Insider records that only carry a title
+// ("CEO") have no name to look for.
+function mentionsPerson(text, trade) {
+  if (!trade.entity || trade.entity === "Unknown" || trade.entity === trade.role) return false;
+  const tokens = trade.entity.replace(/[,.]/g, " ").split(/\s+/).filter((t) => t && !NAME_SUFFIXES.test(t));
+  const last = tokens[tokens.length - 1];
+  return Boolean(last) && last.length >= 3 && new RegExp(`\\b${escapeRegExp(last)}\\b`).test(text);
+}
+
+// 3 when the headline names the company and the person, 2 for the company,
+// 1 for the person, 0 when it is about something else.
+function relevance(item, trade) {
+  const text = `${item.title || item.text} ${item.description || ""}`;
+  const company = mentionsTicker(text, trade.ticker) || mentionsIssuer(text, trade.issuer);
+  return (company ? 2 : 0) + (mentionsPerson(text, trade) ? 1 : 0);
+}
+
+// Sets trade.coverage on every trade (an empty list when nothing matched) and
+// returns the news items that were linked to at least one trade. A headline
+// that only names the person is not attached to their other trades when it
+// names the company of one of them ("Pelosi buys Nvidia" is not about her
+// Alphabet sale).
+function matchCoverage(trades, newsItems) {
+  const news = newsItems.filter(isNewsItem);
+  const scores = trades.map((trade) => news.map((item) => relevance(item, trade)));
+  const aboutAnotherTrade = (i, j) => trades.some((other, k) => k !== i && scores[k][j] === 3 && other.entity === trades[i].entity);
+  const linked = new Set();
+  trades.forEach((trade, i) => {
+    trade.coverage = news
+      .map((item, j) => ({ item, score: scores[i][j] === 1 && aboutAnotherTrade(i, j) ? 0 : scores[i][j] }))
+      .filter((m) => m.score > 0)
+      .sort((a, b) => b.score - a.score || Date.parse(b.item.date || 0) - Date.parse(a.item.date || 0))
+      .slice(0, MAX_LINKS_PER_TRADE)
+      .map(({ item }) => {
+        linked.add(item);
+        return { title: item.title || item.text, link: item.link || "", publisher: item.publisher || "", date: item.date || "" };
+      });
+  });
+  return [...linked];
+}
+
+module.exports = {
+  isNewsItem,
+  relevance,
+  matchCoverage,
+};
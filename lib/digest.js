@@ -0,0 +1,166 @@
+// =============================================================================
+// POLITICAL ALPHA — Weekly & Monthly Digests
+// =============================================================================
+// Aggregates the stored trade history (lib/history.js) into a digest edition
+// instead of scraping: most-traded tickers, most active members, net buying
+// by party and chamber, the largest disclosed ranges and filing-delay
+// leaderboards (trade date → disclosure date, with STOCK Act late filings
+// counted).
+//
+//   weekly   the 7 days up to the run
+//   monthly  the previous calendar month (UTC), so a run on the 1st covers
+//            the month that just ended
+//
+// A trade belongs to the period in which it was first seen, i.e. disclosed.
+// Only congressional trades count; corporate insiders are a different
+// population and stay in the daily briefing.
+// =============================================================================
+
+const { parseAmountRange, filingDelayDays, isLateFiling } = require("./trades");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TOP_N = 10;
+
+const EDITIONS = {
+  weekly: { name: "Weekly Digest", tagline: "Weekly Congressional Trading Digest" },
+  monthly: { name: "Monthly Digest", tagline: "Monthly Congressional Trading Digest" },
+};
+
+function isDigestEdition(edition) {
+  return Object.prototype.hasOwnProperty.call(EDITIONS, edition);
+}
+
+// ---------------------------------------------------------------------------
+// PERIOD
+// ---------------------------------------------------------------------------
+
+const fmtDay = (d) => d.toLocaleDateString("en-US", { month: "short", day: "numeric", timeZone: "UTC" });
+
+// Returns { start, end, label } with `end` exclusive.
+function digestPeriod(edition, now = new Date()) {
+  if (edition === "monthly") {
+    const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1));
+    const end = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    return { start, end, label: start.toLocaleDateString("en-US", { month: "long", year: "numeric", timeZone: "UTC" }) };
+  }
+  const start = new Date(now.getTime() - 7 * DAY_MS);
+  return { start, end: now, label: `${fmtDay(start)} – ${fmtDay(new Date(now.getTime() - 1))}, ${now.getUTCFullYear()}` };
+}
+
+function digestSubject(edition, period) {
+  return `Political Alpha - ${EDITIONS[edition].name}: ${period.label}`;
+}
+
+// ---------------------------------------------------------------------------
+// METRICS
+// ---------------------------------------------------------------------------
+
+// Midpoint of the disclosed range, used for dollar-weighted net buying.
+function estimatedAmount(trade) {
+  const range = parseAmountRange(trade.amount);
+  return range ? Math.round((range.min + range.max) / 2) : 0;
+}
+
+function countBy(trades, keyOf, init) {
+  const groups = new Map();
+  for (const trade of trades) {
+    const key = keyOf(trade);
+    if (!key) continue;
+    if (!groups.has(key)) groups.set(key, init(trade));
+    const g = groups.get(key);
+    g.trades++;
+    if (trade.transaction === "BUY") g.buys++;
+    if (trade.transaction === "SELL") g.sells++;
+  }
+  return [...groups.values()];
+}
+
+function netBy(trades, field) {
+  const groups = new Map();
+  for (const trade of trades) {
+    const key = trade[field];
+    if (!key) continue;
+    if (!groups.has(key)) groups.set(key, { [field]: key, buys: 0, sells: 0, buyVolume: 0, sellVolume: 0 });
+    const g = groups.get(key);
+    if (trade.transaction === "BUY") { g.buys++; g.buyVolume += estimatedAmount(trade); }
+    if (trade.transaction === "SELL") { g.sells++; g.sellVolume += estimatedAmount(trade); }
+  }
+  return [...groups.values()]
+    .map((g) => ({ ...g, net: g.buys - g.sells, netVolume: g.buyVolume - g.sellVolume }))
+    .sort((a, b) => b.buys + b.sells - (a.buys + a.sells));
+}
+
+function byActivity(a, b) {
+  return b.trades - a.trades || a.key.localeCompare(b.key);
+}
+
+// ---------------------------------------------------------------------------
+// DIGEST
+// ---------------------------------------------------------------------------
+
+// Congressional trades first seen within the period.
+function tradesInPeriod(records, period) {
+  return Object.values(records)
+    .filter((r) => {
+      const seen = new Date(r.firstSeen).getTime();
+      return r.trade && r.trade.kind === "congress" && seen >= period.start.getTime() && seen < period.end.getTime();
+    })
+    .map((r) => r.trade);
+}
+
+function buildDigest(records, { edition = "weekly", now = new Date() } = {}) {
+  if (!isDigestEdition(edition)) throw new Error(`Unknown digest edition "${edition}"`);
+  const period = digestPeriod(edition, now);
+  const trades = tradesInPeriod(records, period);
+
+  const topTickers = countBy(trades, (t) => t.ticker, (t) => ({ key: t.ticker, ticker: t.ticker, trades: 0, buys: 0, sells: 0 }));
+  for (const g of topTickers) g.members = new Set(trades.filter((t) => t.ticker === g.ticker).map((t) => t.entity)).size;
+
+  const topPoliticians = countBy(trades, (t) => t.entity, (t) => ({ key: t.entity, entity: t.entity, party: t.party, chamber: t.chamber, trades: 0, buys: 0, sells: 0 }));
+
+  const delayed = trades.map((t) => ({ trade: t, days: filingDelayDays(t) })).filter((d) => d.days !== null);
+  const filers = new Map();
+  for (const { trade, days } of delayed) {
+    if (!filers.has(trade.entity)) filers.set(trade.entity, { entity: trade.entity, party: trade.party, chamber: trade.chamber, filings: 0, totalDays: 0, maxDelayDays: 0 });
+    const f = filers.get(trade.entity);
+    f.filings++;
+    f.totalDays += days;
+    f.maxDelayDays = Math.max(f.maxDelayDays, days);
+  }
+  const slowestFilers = [...filers.values()]
+    .map(({ totalDays, ...f }) => ({ ...f, avgDelayDays: Math.round((totalDays / f.filings) * 10) / 10 }))
+    .sort((a, b) => b.avgDelayDays - a.avgDelayDays || b.maxDelayDays - a.maxDelayDays)
+    .slice(0, TOP_N);
+
+  const size = (t) => (parseAmountRange(t.amount) || { max: 0 }).max;
+
+  return {
+    edition,
+    title: digestSubject(edition, period),
+    period: { start: period.start.toISOString(), end: period.end.toISOString(), label: period.label },
+    totals: {
+      trades: trades.length,
+      politicians: topPoliticians.length,
+      tickers: topTickers.length,
+      buys: trades.filter((t) => t.transaction === "BUY").length,
+      sells: trades.filter((t) => t.transaction === "SELL").length,
+      late: trades.filter(isLateFiling).length,
+    },
+    topTickers: topTickers.sort(byActivity).slice(0, TOP_N).map(({ key, ...g }) => g),
+    topPoliticians: topPoliticians.sort(byActivity).slice(0, TOP_N).map(({ key, ...g }) => g),
+    byParty: netBy(trades, "party"),
+    byChamber: netBy(trades, "chamber"),
+    largest: trades.filter((t) => size(t) > 0).sort((a, b) => size(b) - size(a)).slice(0, TOP_N),
+    slowestFilers,
+    slowestFilings: delayed.sort((a, b) => b.days - a.days).slice(0, 5).map(({ trade, days }) => ({ ...trade, delayDays: days })),
+  };
+}
+
+module.exports = {
+  EDITIONS,
+  isDigestEdition,
+  digestPeriod,
+  digestSubject,
+  estimatedAmount,
+  buildDigest,
+};
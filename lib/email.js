@@ -0,0 +1,81 @@
+// =============================================================================
+// POLITICAL ALPHA — Personalized Email Delivery
+// =============================================================================
+// Sends one individually rendered email per subscriber through Resend's
+// batch endpoint (100 messages per request). Every message carries the
+// recipient's own signed unsubscribe link, both for the footer and in the
+// List-Unsubscribe / List-Unsubscribe-Post headers (RFC 8058 one-click).
+//
+// Each batch goes out with an idempotency key derived from its content, so a
+// retry of the exact same batch (a channel retry, or a resume from the run
+// ledger in lib/ledger.js) cannot be delivered twice by Resend.
+// =============================================================================
+
+const { createHash } = require("crypto");
+const { Resend } = require("resend");
+const { unsubscribeUrl, signingSecret, fromAddress } = require("./subscribers");
+
+const BATCH_SIZE = 100;
+
+function idempotencyKey(batch) {
+  return `political-alpha/${createHash("sha256").update(JSON.stringify(batch)).digest("hex").slice(0, 32)}`;
+}
+
+// Sends one prepared batch. Returns { success, count, recipients,
+// idempotencyKey } or { error, recipients, idempotencyKey, messages }; failed
+// batches keep their messages so they can be resent as they were.
+async function sendBatch(batch, { resend = new Resend(process.env.RESEND_API_KEY), key = idempotencyKey(batch) } = {}) {
+  const recipients = batch.map((m) => m.to);
+  try {
+    const { error } = await resend.batch.send(batch, { idempotencyKey: key });
+    if (!error) {
+      console.log(`[Email] Sent to ${batch.length} subscribers`);
+      return { success: true, count: batch.length, recipients, idempotencyKey: key };
+    }
+    console.error("[Email] Error:", error);
+    return { error, recipients, idempotencyKey: key, messages: batch };
+  } catch (err) {
+    console.error("[Email] Exception:", err.message);
+    return { error: err.message, recipients, idempotencyKey: key, messages: batch };
+  }
+}
+
+// `subscribers` are { email, watchlist } profiles or plain address strings.
+// compose({ email, watchlist, unsubscribeUrl }) returns { subject, html,
+// text }, or null to skip that recipient; with both html and text the
+// message goes out as multipart/alternative. Results are per batch (see sendBatch());
+// `onBatch` is awaited with each result as it comes in.
+async function sendPersonalized(subscribers, compose, { resend = new Resend(process.env.RESEND_API_KEY), env = process.env, onBatch } = {}) {
+  const results = [];
+  if (!signingSecret(env)) console.warn("[Email] SUBSCRIBER_SECRET is not set — sending without unsubscribe links");
+
+  const messages = [];
+  for (const s of subscribers) {
+    const { email, watchlist = null } = typeof s === "string" ? { email: s } : s;
+    const link = signingSecret(env) ? unsubscribeUrl(email, env) : "";
+    const content = compose({ email, watchlist, unsubscribeUrl: link });
+    if (!content) continue;
+    messages.push({
+      from: fromAddress(env),
+      to: email,
+      subject: content.subject,
+      html: content.html,
+      text: content.text,
+      headers: link ? { "List-Unsubscribe": `<${link}>`, "List-Unsubscribe-Post": "List-Unsubscribe=One-Click" } : undefined,
+    });
+  }
+
+  for (let i = 0; i < messages.length; i += BATCH_SIZE) {
+    const result = await sendBatch(messages.slice(i, i + BATCH_SIZE), { resend });
+    results.push(result);
+    if (onBatch) await onBatch(result);
+  }
+  return results;
+}
+
+module.exports = {
+  BATCH_SIZE,
+  idempotencyKey,
+  sendBatch,
+  sendPersonalized,
+};
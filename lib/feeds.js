@@ -0,0 +1,240 @@
+// =============================================================================
+// POLITICAL ALPHA — Atom, RSS & JSON Feeds
+// =============================================================================
+// Publishes the daily briefings as feeds for readers and tools that would
+// rather subscribe than get email. Entries come from the archived issues
+// (lib/archive.js): every high alert and every "Other Trades" row is its own
+// entry, linked to the issue's permalink.
+//
+//   { id, kind: "alert" | "trade", title, text, html, url, published,
+//     ticker, entity, transaction, amount, date }
+//
+// Ids are stable across runs: an alert is keyed by its issue date, member,
+// ticker and direction; a trade by member, ticker, direction and trade date,
+// so a filing that shows up in two issues is published once, under the first.
+// =============================================================================
+
+const { createHash } = require("crypto");
+const { baseUrl } = require("./subscribers");
+const { issueUrl, archiveUrl } = require("./archive");
+const { normalizeName, normalizeTicker, namesMatch, formatChangePct } = require("./trades");
+const { describeConflict } = require("./committees");
+const { escHtml } = require("./pages");
+
+const FEED_FORMATS = ["atom", "rss", "json"];
+const FEED_FILES = { atom: "atom.xml", rss: "rss.xml", json: "feed.json" };
+const CONTENT_TYPES = {
+  atom: "application/atom+xml; charset=utf-8",
+  rss: "application/rss+xml; charset=utf-8",
+  json: "application/feed+json; charset=utf-8",
+};
+const FEED_TITLE = "Political Alpha";
+const FEED_DESCRIPTION = "High trade alerts and disclosed trades from the Political Alpha daily briefing.";
+const DEFAULT_MAX_ISSUES = 30;
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+function escXml(str) {
+  if (str == null) return "";
+  return String(str).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;").replace(/'/g, "&apos;");
+}
+
+function entryId(parts) {
+  return `urn:political-alpha:${parts[0]}:${createHash("sha1").update(parts.join("|")).digest("hex").slice(0, 16)}`;
+}
+
+function feedUrl(format, env = process.env) {
+  return `${baseUrl(env)}/feeds/${FEED_FILES[format]}`;
+}
+
+// ---------------------------------------------------------------------------
+// ENTRIES
+// ---------------------------------------------------------------------------
+
+function alertEntry(alert, issue, env) {
+  const ticker = normalizeTicker(alert.ticker);
+  const meta = [ticker && `$${ticker}`, alert.transaction, alert.entity].filter(Boolean).join(" · ");
+  return {
+    id: entryId(["alert", issue.date, normalizeName(alert.entity), ticker, alert.transaction]),
+    kind: "alert",
+    title: alert.title,
+    text: `${meta}\n\n${alert.summary}`,
+    html: `<p><strong>${escHtml(meta)}</strong></p><p>${escHtml(alert.summary)}</p>`,
+    url: issueUrl(issue.edition, issue.date, env),
+    published: issue.generatedAt,
+    ticker,
+    entity: alert.entity,
+    transaction: alert.transaction,
+    amount: null,
+    date: issue.date,
+  };
+}
+
+function tradeEntry(row, issue, env) {
+  const ticker = normalizeTicker(row.ticker);
+  const details = [
+    `Amount: ${row.amount || "Undisclosed"}`,
+    row.date && `Trade date: ${row.date}`,
+    row.performance && `Stock ${formatChangePct(row.performance.changePct)} since the trade`,
+    row.late && "Filed late under the STOCK Act",
+    row.conflict && `Potential conflict: ${describeConflict(row.conflict)}`,
+  ].filter(Boolean);
+  return {
+    id: entryId(["trade", normalizeName(row.entity), ticker, row.transaction, row.date || issue.date]),
+    kind: "trade",
+    title: `${row.entity} ${row.transaction || "TRADE"} $${ticker || "?"}`,
+    text: details.join("\n"),
+    html: `<ul>${details.map((d) => `<li>${escHtml(d)}</li>`).join("")}</ul>`,
+    url: issueUrl(issue.edition, issue.date, env),
+    published: issue.generatedAt,
+    ticker,
+    entity: row.entity,
+    transaction: row.transaction,
+    amount: row.amount || "Undisclosed",
+    date: row.date || issue.date,
+  };
+}
+
+// Entries from the newest `maxIssues` daily issues, newest first. A trade
+// repeated in a later issue keeps the entry from the issue that first had it.
+async function collectFeedEntries(archive, { maxIssues = DEFAULT_MAX_ISSUES, env = process.env } = {}) {
+  const index = (await archive.list({ edition: "daily" })).slice(0, maxIssues);
+  const issues = (await Promise.all(index.map((e) => archive.get(e.edition, e.date)))).filter(Boolean);
+
+  const byId = new Map();
+  for (const issue of issues) {
+    const analysis = issue.analysis || {};
+    const entries = [
+      ...(analysis.highAlerts || []).map((a) => alertEntry(a, issue, env)),
+      ...(analysis.otherTrades || []).map((t) => tradeEntry(t, issue, env)),
+    ];
+    for (const entry of entries) byId.set(entry.id, entry);
+  }
+  return [...byId.values()].sort((a, b) => b.published.localeCompare(a.published) || (a.kind === b.kind ? 0 : a.kind === "alert" ? -1 : 1));
+}
+
+// Query filters: ticker=NVDA,LMT and politician=Pelosi. Values within a filter
+// are alternatives; both filters together must both match.
+function parseFeedFilters(query = {}) {
+  const list = (value) => String(value || "").split(",").map((v) => v.trim()).filter(Boolean);
+  return {
+    tickers: list(query.ticker || query.tickers).map(normalizeTicker).filter(Boolean),
+    politicians: list(query.politician || query.politicians),
+  };
+}
+
+function filterEntries(entries, { tickers = [], politicians = [] } = {}) {
+  return entries.filter((e) =>
+    (tickers.length === 0 || tickers.includes(e.ticker)) &&
+    (politicians.length === 0 || politicians.some((name) => namesMatch(name, e.entity))));
+}
+
+// ---------------------------------------------------------------------------
+// RENDERERS
+// ---------------------------------------------------------------------------
+// `feed` is { title, selfUrl, homeUrl, updated, entries }.
+
+function renderAtom(feed) {
+  const entries = feed.entries.map((e) => `
+  <entry>
+    <id>${escXml(e.id)}</id>
+    <title>${escXml(e.title)}</title>
+    <link rel="alternate" type="text/html" href="${escXml(e.url)}"/>
+    <published>${escXml(e.published)}</published>
+    <updated>${escXml(e.published)}</updated>
+    <author><name>${escXml(e.entity)}</name></author>
+    <category term="${escXml(e.kind)}"/>${e.ticker ? `
+    <category term="${escXml(e.ticker)}"/>` : ""}
+    <summary>${escXml(e.text)}</summary>
+    <content type="html">${escXml(e.html)}</content>
+  </entry>`).join("");
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escXml(feed.selfUrl)}</id>
+  <title>${escXml(feed.title)}</title>
+  <subtitle>${escXml(FEED_DESCRIPTION)}</subtitle>
+  <link rel="self" type="application/atom+xml" href="${escXml(feed.selfUrl)}"/>
+  <link rel="alternate" type="text/html" href="${escXml(feed.homeUrl)}"/>
+  <updated>${escXml(feed.updated)}</updated>${entries}
+</feed>
+`;
+}
+
+function renderRss(feed) {
+  const rfc822 = (iso) => new Date(iso).toUTCString();
+  const items = feed.entries.map((e) => `
+    <item>
+      <title>${escXml(e.title)}</title>
+      <link>${escXml(e.url)}</link>
+      <guid isPermaLink="false">${escXml(e.id)}</guid>
+      <pubDate>${rfc822(e.published)}</pubDate>
+      <category>${escXml(e.kind)}</category>${e.ticker ? `
+      <category>${escXml(e.ticker)}</category>` : ""}
+      <description>${escXml(e.html)}</description>
+    </item>`).join("");
+  return `<?xml version="1.0" encoding="utf-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escXml(feed.title)}</title>
+    <link>${escXml(feed.homeUrl)}</link>
+    <description>${escXml(FEED_DESCRIPTION)}</description>
+    <atom:link href="${escXml(feed.selfUrl)}" rel="self" type="application/rss+xml"/>
+    <lastBuildDate>${rfc822(feed.updated)}</lastBuildDate>${items}
+  </channel>
+</rss>
+`;
+}
+
+// JSON Feed 1.1. The structured fields go in the `_political_alpha`
+// extension object so tools need not parse the text.
+function renderJsonFeed(feed) {
+  return JSON.stringify({
+    version: "https://jsonfeed.org/version/1.1",
+    title: feed.title,
+    home_page_url: feed.homeUrl,
+    feed_url: feed.selfUrl,
+    description: FEED_DESCRIPTION,
+    items: feed.entries.map((e) => ({
+      id: e.id,
+      url: e.url,
+      title: e.title,
+      content_html: e.html,
+      content_text: e.text,
+      date_published: e.published,
+      authors: [{ name: e.entity }],
+      tags: [e.kind, e.ticker].filter(Boolean),
+      _political_alpha: { kind: e.kind, ticker: e.ticker, entity: e.entity, transaction: e.transaction, amount: e.amount, date: e.date },
+    })),
+  }, null, 2);
+}
+
+const RENDERERS = { atom: renderAtom, rss: renderRss, json: renderJsonFeed };
+
+// Renders `entries` (already filtered) in `format`; the self link keeps the
+// filters so readers subscribe to the same view.
+function buildFeed(format, entries, { filters = {}, env = process.env, now = new Date() } = {}) {
+  const params = new URLSearchParams();
+  if (filters.tickers && filters.tickers.length) params.set("ticker", filters.tickers.join(","));
+  if (filters.politicians && filters.politicians.length) params.set("politician", filters.politicians.join(","));
+  const qs = params.toString();
+
+  const feed = {
+    title: [FEED_TITLE, ...(filters.tickers || []).map((t) => `$${t}`), ...(filters.politicians || [])].join(" · "),
+    selfUrl: `${feedUrl(format, env)}${qs ? `?${qs}` : ""}`,
+    homeUrl: archiveUrl(env),
+    updated: entries.length > 0 ? entries[0].published : now.toISOString(),
+    entries,
+  };
+  return { contentType: CONTENT_TYPES[format], body: RENDERERS[format](feed) };
+}
+
+module.exports = {
+  FEED_FORMATS,
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  feedUrl,
+  collectFeedEntries,
+  parseFeedFilters,
+  filterEntries,
+  buildFeed,
+};
@@ -0,0 +1,274 @@
+// =============================================================================
+// POLITICAL ALPHA — Trade History
+// =============================================================================
+// Remembers every trade the pipeline has seen and when it was first emailed,
+// so the daily briefing only carries new filings. A trade is stored under an
+// ID built from who traded what, which direction and when. Sources don't
+// agree on names and dates (QuiverQuant has no trade date, insider headlines
+// only name a title), so a trade whose ID is unknown is also matched against
+// the stored trades with the merge rules (lib/merge.js), as long as the two
+// don't name different trade dates.
+//
+// When a known trade comes back with different details (amount, price,
+// owner, issuer, dates) it is flagged as "amended". A detail only counts when
+// both sides know it and took it from the same source: aggregators disagree
+// on filing dates and amount formats, so a trade reported by a different mix
+// of sources on another day is not an amendment.
+//
+// The real-time alert run (api/alerts.js) records who it alerted about a
+// trade in `alertedTo` ({ <email or "#team">: ISO time }), so a recipient
+// held back by a rate limit still gets the alert on a later run. That does not
+// count as emailed: the trade still appears in the next daily briefing.
+//
+// The cron and the alert run can overlap, and both write this document. Each
+// keeps track of the records and fields it changed, and save() applies only
+// those on top of what is stored at that moment.
+//
+// Alongside the trades, a per-member STOCK Act compliance record builds up
+// under "history/compliance", keyed by normalized name:
+//
+//   { entity, party, chamber, filings, late, totalDelayDays, maxDelayDays,
+//     lastFiled, recentLate: [{ ticker, transaction, tradeDate, filingDate, delayDays }] }
+//
+// `filings` counts congressional trades with both dates known, each once,
+// when it is first seen.
+// =============================================================================
+
+const { createHash } = require("crypto");
+const { normalizeName, filingDelayDays, isLateFiling } = require("./trades");
+const { isSameTrade } = require("./merge");
+
+const HISTORY_KEY = "history/trades";
+const COMPLIANCE_KEY = "history/compliance";
+const MAX_RECENT_LATE = 10;
+
+const DETAIL_FIELDS = ["amount", "price", "owner", "issuer", "tradeDate", "filingDate"];
+
+function hash(value) {
+  return createHash("sha1").update(value).digest("hex").slice(0, 16);
+}
+
+function tradeId(trade) {
+  return hash([trade.kind, normalizeName(trade.entity), trade.ticker, trade.transaction, trade.tradeDate || trade.filingDate].join("|"));
+}
+
+// The source a trade's `field` was taken from, or "" when that is unknown
+// (merged records saved before lib/merge.js named them).
+function detailSource(trade, field) {
+  if (trade.fieldSources) return trade.fieldSources[field] || "";
+  return trade.sources && trade.sources.length > 1 ? "" : trade.source;
+}
+
+// Whether `trade` changes a detail of `previous`, the version last emailed.
+function isAmended(previous, trade) {
+  return DETAIL_FIELDS.some((f) => {
+    if (!previous[f] || !trade[f] || previous[f] === trade[f]) return false;
+    const source = detailSource(trade, f);
+    return source !== "" && source === detailSource(previous, f);
+  });
+}
+
+// A stored trade and a new one are the same filing when the merge rules say
+// so and they don't name different trade dates.
+function isSameRecord(stored, trade) {
+  return isSameTrade(stored, trade) && (!stored.tradeDate || !trade.tradeDate || stored.tradeDate === trade.tradeDate);
+}
+
+// Drops derived/presentation fields, market prices and news links, which go
+// stale, before persisting.
+function snapshot(trade) {
+  const { text, date, amended, performance, conflict, coverage, ...rest } = trade;
+  return rest;
+}
+
+// ---------------------------------------------------------------------------
+// COMPLIANCE
+// ---------------------------------------------------------------------------
+
+function recordFiling(compliance, trade) {
+  const delayDays = filingDelayDays(trade);
+  if (trade.kind !== "congress" || delayDays === null) return;
+  const key = normalizeName(trade.entity);
+  const c = compliance[key] || (compliance[key] = { entity: trade.entity, party: "", chamber: "", filings: 0, late: 0, totalDelayDays: 0, maxDelayDays: 0, lastFiled: "", recentLate: [] });
+  c.party = trade.party || c.party;
+  c.chamber = trade.chamber || c.chamber;
+  c.filings++;
+  c.totalDelayDays += delayDays;
+  c.maxDelayDays = Math.max(c.maxDelayDays, delayDays);
+  if (trade.filingDate > c.lastFiled) c.lastFiled = trade.filingDate;
+  if (isLateFiling(trade)) {
+    c.late++;
+    const { ticker, transaction, tradeDate, filingDate } = trade;
+    c.recentLate = [{ ticker, transaction, tradeDate, filingDate, delayDays }, ...c.recentLate].slice(0, MAX_RECENT_LATE);
+  }
+}
+
+// Stored record plus derived rates, e.g. for "3 of 5 filings late".
+function complianceSummary(record) {
+  if (!record) return null;
+  return {
+    ...record,
+    avgDelayDays: record.filings > 0 ? Math.round((record.totalDelayDays / record.filings) * 10) / 10 : null,
+    lateRate: record.filings > 0 ? record.late / record.filings : 0,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// STORE
+// ---------------------------------------------------------------------------
+
+// First run with compliance tracking: build it from the trades on record.
+function buildCompliance(records) {
+  const compliance = {};
+  for (const record of Object.values(records)) if (record.trade) recordFiling(compliance, record.trade);
+  return compliance;
+}
+
+async function openTradeHistory(storage) {
+  let records = (await storage.get(HISTORY_KEY)) || {};
+  let compliance = (await storage.get(COMPLIANCE_KEY)) || buildCompliance(records);
+  // id -> names of the fields this run changed; `added` are records it created.
+  const changed = new Map();
+  const added = new Set();
+  const touch = (id, ...fields) => {
+    if (!changed.has(id)) changed.set(id, new Set());
+    for (const field of fields) changed.get(id).add(field);
+  };
+
+  // kind|ticker|direction -> records, built on first use, for trades whose
+  // ID is unknown.
+  let index = null;
+  const indexKey = (trade) => [trade.kind, trade.ticker, trade.transaction].join("|");
+  const addToIndex = (record) => {
+    const key = indexKey(record.trade);
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push(record);
+  };
+  const lookup = (trade) => {
+    const record = records[tradeId(trade)];
+    if (record) return record;
+    if (!index) {
+      index = new Map();
+      for (const r of Object.values(records)) if (r.trade) addToIndex(r);
+    }
+    return (index.get(indexKey(trade)) || []).find((r) => isSameRecord(r.trade, trade)) || null;
+  };
+
+  return {
+    get records() {
+      return records;
+    },
+
+    get compliance() {
+      return compliance;
+    },
+
+    complianceOf(name) {
+      return complianceSummary(compliance[normalizeName(name)]);
+    },
+
+    // Splits trades into those that belong in today's briefing (never
+    // emailed, or emailed but since amended) and those already reported.
+    classify(trades) {
+      const fresh = [];
+      const amended = [];
+      const reported = [];
+      for (const trade of trades) {
+        const record = lookup(trade);
+        if (!record || !record.firstEmailed) fresh.push(trade);
+        else if (isAmended(record.trade, trade)) amended.push(trade);
+        else reported.push(trade);
+      }
+      return { fresh, amended, reported };
+    },
+
+    find(trade) {
+      return lookup(trade);
+    },
+
+    markSeen(trades, now = new Date().toISOString()) {
+      for (const trade of trades) {
+        let record = lookup(trade);
+        if (!record) {
+          const id = tradeId(trade);
+          record = records[id] = { id, firstSeen: now, lastSeen: now, firstEmailed: null, lastEmailed: null, revisions: 0, alertedTo: {}, trade: snapshot(trade) };
+          if (index) addToIndex(record);
+          recordFiling(compliance, trade);
+          added.add(id);
+        } else {
+          record.lastSeen = now;
+        }
+        touch(record.id, "lastSeen");
+      }
+    },
+
+    // Called after a successful send; amended trades get their new details
+    // stored so they are not flagged again tomorrow.
+    markEmailed(trades, now = new Date().toISOString()) {
+      for (const trade of trades) {
+        const record = lookup(trade);
+        if (!record) continue;
+        if (record.firstEmailed && isAmended(record.trade, trade)) record.revisions++;
+        record.firstEmailed = record.firstEmailed || now;
+        record.lastEmailed = now;
+        record.trade = snapshot(trade);
+        touch(record.id, "firstEmailed", "lastEmailed", "revisions", "trade");
+      }
+    },
+
+    // Whether `recipient` (an address, or "#team" for the team channels)
+    // was alerted about `trade`. Records from before per-recipient tracking
+    // only have `alertedAt`, which counted for everyone.
+    wasAlerted(trade, recipient) {
+      const record = lookup(trade);
+      return Boolean(record && (record.alertedAt || (record.alertedTo && record.alertedTo[recipient])));
+    },
+
+    markAlerted(trades, recipient, now = new Date().toISOString()) {
+      for (const trade of trades) {
+        const record = lookup(trade);
+        if (!record) continue;
+        record.alertedTo = record.alertedTo || {};
+        record.alertedTo[recipient] = record.alertedTo[recipient] || now;
+        touch(record.id, "alertedTo");
+      }
+    },
+
+    // Re-reads the stored records and applies this run's changes to them,
+    // so a run that finished meanwhile keeps what it wrote.
+    async save() {
+      const stored = (await storage.get(HISTORY_KEY)) || {};
+      const storedCompliance = await storage.get(COMPLIANCE_KEY);
+      const newFilings = [];
+      for (const [id, fields] of changed) {
+        const mine = records[id];
+        const theirs = stored[id];
+        if (!theirs) {
+          stored[id] = mine;
+          if (added.has(id)) newFilings.push(mine.trade);
+          continue;
+        }
+        for (const field of fields) {
+          theirs[field] = field === "alertedTo" ? { ...theirs.alertedTo, ...mine.alertedTo } : mine[field];
+        }
+      }
+      if (storedCompliance) for (const trade of newFilings) recordFiling(storedCompliance, trade);
+
+      records = stored;
+      index = null;
+      compliance = storedCompliance || buildCompliance(stored);
+      changed.clear();
+      added.clear();
+      await storage.set(HISTORY_KEY, records);
+      await storage.set(COMPLIANCE_KEY, compliance);
+    },
+  };
+}
+
+module.exports = {
+  HISTORY_KEY,
+  COMPLIANCE_KEY,
+  tradeId,
+  complianceSummary,
+  openTradeHistory,
+};
@@ -0,0 +1,188 @@
+// =============================================================================
+// POLITICAL ALPHA — Run Ledger
+// =============================================================================
+// One record per edition and day, so a retried or repeated cron call cannot
+// email everyone twice, and a run that lost some email batches can be
+// finished later without scraping or rendering again. Records live in the
+// pluggable storage (lib/storage.js) under ledger/<edition>/<YYYY-MM-DD>:
+//
+//   { edition, date, id, title, status, startedAt, updatedAt, resumes, takeovers,
+//     snapshot: { analysis, itemCount, sources, errors } | { digest },
+//     batches: { <idempotencyKey>: { recipients, status, attempts, error,
+//                                    lastAttemptAt, messages } },
+//     channels: [{ id, status, delivered, error }] }
+//
+// status is "claimed" (the run has started), "sending", "sent", "partial"
+// (some email batches failed) or "failed" (nothing went out). Failed batches
+// keep their rendered messages, so a resume sends exactly what the first
+// attempt tried to, under the same idempotency key (lib/email.js).
+//
+// A run killed mid-way (e.g. by a function timeout) never gets to give its
+// claim back. A record still "claimed" or "sending" LEDGER_STALE_MINUTES (15)
+// after it started is stale: the next run takes it over, keeps the batches
+// that went out and mails only the recipients they did not reach.
+//
+// The storage has no compare-and-set, so the claim narrows the window for
+// two overlapping runs rather than closing it; Resend's idempotency keys
+// cover retries of the same batch.
+// =============================================================================
+
+const LEDGER_PREFIX = "ledger";
+const DEFAULT_STALE_MINUTES = 15;
+
+function ledgerKey(edition, date) {
+  return `${LEDGER_PREFIX}/${edition}/${date}`;
+}
+
+function staleMinutes(env = process.env) {
+  const n = Number(env.LEDGER_STALE_MINUTES);
+  return env.LEDGER_STALE_MINUTES !== undefined && env.LEDGER_STALE_MINUTES !== "" && Number.isFinite(n) && n > 0 ? n : DEFAULT_STALE_MINUTES;
+}
+
+// Whether `record` belongs to a run that stopped without finishing or
+// releasing its claim.
+function isStale(record, now = new Date(), env = process.env) {
+  if (!record || (record.status !== "claimed" && record.status !== "sending")) return false;
+  return now.getTime() - Date.parse(record.startedAt) >= staleMinutes(env) * 60 * 1000;
+}
+
+function batchStatusCounts(record) {
+  const batches = Object.values(record.batches || {});
+  const sent = batches.filter((b) => b.status === "sent");
+  const failed = batches.filter((b) => b.status === "failed");
+  return {
+    batches: batches.length,
+    sentBatches: sent.length,
+    failedBatches: failed.length,
+    recipientsSent: sent.reduce((n, b) => n + b.recipients.length, 0),
+    recipientsFailed: failed.reduce((n, b) => n + b.recipients.length, 0),
+  };
+}
+
+// "sent" when nothing failed, "partial" when some email batches or team
+// channels got through, "failed" when a failure left nothing delivered.
+function deliveryStatus(record) {
+  const counts = batchStatusCounts(record);
+  const channels = record.channels || [];
+  const channelErrors = channels.filter((c) => c.status === "error").length;
+  const delivered = counts.recipientsSent + channels.filter((c) => c.id !== "email").reduce((n, c) => n + (c.delivered || 0), 0);
+  if (counts.failedBatches === 0 && channelErrors === 0) return "sent";
+  return delivered > 0 ? "partial" : "failed";
+}
+
+function ledgerSummary(record) {
+  if (!record) return null;
+  return {
+    edition: record.edition,
+    date: record.date,
+    status: record.status,
+    startedAt: record.startedAt,
+    updatedAt: record.updatedAt,
+    resumes: record.resumes || 0,
+    takeovers: record.takeovers || 0,
+    ...batchStatusCounts(record),
+    failedRecipients: Object.values(record.batches || {}).filter((b) => b.status === "failed").flatMap((b) => b.recipients),
+  };
+}
+
+async function openRunLedger(storage, edition, date) {
+  const key = ledgerKey(edition, date);
+  let record = await storage.get(key);
+  // The stale record a claim took over, put back if this run fails too.
+  let previous = null;
+
+  async function save() {
+    record.updatedAt = new Date().toISOString();
+    await storage.set(key, record);
+  }
+
+  return {
+    get record() {
+      return record;
+    },
+
+    // Marks the edition as taken before the slow work starts, so a retry
+    // that arrives meanwhile is turned away. Over a stale record, the
+    // batches it got out are kept (see sentRecipients()).
+    async claim(now = new Date()) {
+      previous = record;
+      const sent = Object.entries((previous && previous.batches) || {}).filter(([, b]) => b.status === "sent");
+      record = { edition, date, id: null, title: null, status: "claimed", startedAt: now.toISOString(), updatedAt: null, resumes: 0, takeovers: previous ? (previous.takeovers || 0) + 1 : 0, snapshot: null, batches: Object.fromEntries(sent), channels: [] };
+      await save();
+    },
+
+    // Gives up a claim when the run failed before anything was sent. A
+    // taken-over record is restored, so its sent batches are not forgotten.
+    async release() {
+      record = previous;
+      if (previous) await storage.set(key, previous);
+      else await storage.delete(key);
+    },
+
+    // Recipients an earlier, stale attempt at this run already reached.
+    sentRecipients() {
+      return Object.values((record && record.batches) || {}).filter((b) => b.status === "sent").flatMap((b) => b.recipients);
+    },
+
+    async begin(payload) {
+      record.id = payload.id;
+      record.title = payload.title;
+      record.status = "sending";
+      record.snapshot = payload.type === "digest"
+        ? { digest: payload.digest }
+        : { analysis: payload.analysis, itemCount: payload.itemCount, sources: payload.sources, errors: payload.errors };
+      await save();
+    },
+
+    // Stores one email batch result from lib/email.js as it comes in. The
+    // messages are only kept while the batch is failed.
+    async recordBatch(result) {
+      const previous = record.batches[result.idempotencyKey] || { attempts: 0 };
+      record.batches[result.idempotencyKey] = {
+        recipients: result.recipients,
+        status: result.success ? "sent" : "failed",
+        attempts: previous.attempts + 1,
+        error: result.success ? undefined : typeof result.error === "string" ? result.error : (result.error && result.error.message) || JSON.stringify(result.error),
+        lastAttemptAt: new Date().toISOString(),
+        messages: result.success ? undefined : result.messages,
+      };
+      await save();
+    },
+
+    // Failed batches as { key, messages }, oldest first, for a resume.
+    failedBatches() {
+      return Object.entries((record && record.batches) || {})
+        .filter(([, b]) => b.status === "failed" && b.messages)
+        .map(([key, b]) => ({ key, messages: b.messages }));
+    },
+
+    async finish(channels, { resumed = false } = {}) {
+      if (channels) record.channels = channels.map(({ id, status, delivered, error }) => ({ id, status, delivered, error }));
+      // A batch that failed on one attempt and went through on a channel
+      // retry is superseded by the retry's batch; drop the stale entry.
+      const sent = new Set(Object.values(record.batches).filter((b) => b.status === "sent").flatMap((b) => b.recipients));
+      for (const [k, b] of Object.entries(record.batches)) {
+        if (b.status === "failed" && b.recipients.every((r) => sent.has(r))) delete record.batches[k];
+      }
+      const email = record.channels.find((c) => c.id === "email");
+      if (email && resumed) {
+        const counts = batchStatusCounts(record);
+        email.status = counts.failedBatches === 0 ? "ok" : "error";
+        email.delivered = counts.recipientsSent;
+        email.error = counts.failedBatches === 0 ? undefined : email.error;
+      }
+      if (resumed) record.resumes = (record.resumes || 0) + 1;
+      record.status = deliveryStatus(record);
+      await save();
+      return ledgerSummary(record);
+    },
+  };
+}
+
+module.exports = {
+  LEDGER_PREFIX,
+  ledgerKey,
+  isStale,
+  ledgerSummary,
+  openRunLedger,
+};
@@ -0,0 +1,30 @@
+// =============================================================================
+// LLM PROVIDER: Google Gemini
+// =============================================================================
+
+const { GoogleGenerativeAI } = require("@google/generative-ai");
+
+function createGeminiProvider({ apiKey, model = "gemini-2.5-flash", temperature = 0.3 } = {}) {
+  if (!apiKey) throw new Error("GEMINI_API_KEY is not set");
+  const genAI = new GoogleGenerativeAI(apiKey);
+
+  return {
+    name: "gemini",
+    model,
+    async generate({ system, messages, schema }) {
+      const client = genAI.getGenerativeModel({ model });
+      const result = await client.generateContent({
+        contents: messages.map((m) => ({ role: m.role === "assistant" ? "model" : "user", parts: [{ text: m.content }] })),
+        systemInstruction: { parts: [{ text: system }] },
+        generationConfig: {
+          temperature,
+          responseMimeType: "application/json",
+          ...(schema ? { responseSchema: schema } : {}),
+        },
+      });
+      return result.response.text();
+    },
+  };
+}
+
+module.exports = { createGeminiProvider };
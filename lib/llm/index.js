@@ -0,0 +1,46 @@
+// =============================================================================
+// POLITICAL ALPHA — LLM Providers
+// =============================================================================
+// Every provider exposes the same interface:
+//
+//   { name, model, generate({ system, messages, schema }) → Promise<string> }
+//
+// where messages are [{ role: "user" | "assistant", content }] and schema is
+// the shared JSON Schema for the analysis output (providers that support
+// structured output enforce it). Chosen from env:
+//
+//   LLM_PROVIDER     gemini (default) | openai | mock
+//   LLM_MODEL        defaults: gemini-2.5-flash / gpt-4o-mini
+//   LLM_TEMPERATURE  default 0.3
+//   GEMINI_API_KEY                    for gemini
+//   OPENAI_BASE_URL, OPENAI_API_KEY   for openai (and llama.cpp / Ollama)
+//   MOCK_LLM_FIXTURE                  for mock
+// =============================================================================
+
+const { createGeminiProvider } = require("./gemini");
+const { createOpenAIProvider } = require("./openai");
+const { createMockProvider } = require("./mock");
+
+function createProvider(env = process.env) {
+  const name = (env.LLM_PROVIDER || "gemini").toLowerCase();
+  const model = env.LLM_MODEL || undefined;
+  const temperature = env.LLM_TEMPERATURE !== undefined && env.LLM_TEMPERATURE !== "" ? Number(env.LLM_TEMPERATURE) : undefined;
+
+  switch (name) {
+    case "gemini":
+      return createGeminiProvider({ apiKey: env.GEMINI_API_KEY, model, temperature });
+    case "openai":
+      return createOpenAIProvider({ baseUrl: env.OPENAI_BASE_URL, apiKey: env.OPENAI_API_KEY, model, temperature });
+    case "mock":
+      return createMockProvider({ fixture: env.MOCK_LLM_FIXTURE || undefined });
+    default:
+      throw new Error(`Unknown LLM_PROVIDER "${name}"`);
+  }
+}
+
+module.exports = {
+  createProvider,
+  createGeminiProvider,
+  createOpenAIProvider,
+  createMockProvider,
+};
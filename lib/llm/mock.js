@@ -0,0 +1,36 @@
+// =============================================================================
+// LLM PROVIDER: Fixture-backed Mock
+// =============================================================================
+// Deterministic stand-in for tests and offline runs. The fixture is either a
+// single analysis object (returned on every call) or
+// { "responses": [...] }, returned one per call in order (the last one
+// repeats) — handy for exercising the repair path with a bad first reply.
+// String entries are returned verbatim, objects are JSON-encoded.
+// =============================================================================
+
+const { readFileSync } = require("fs");
+const { join } = require("path");
+
+const DEFAULT_FIXTURE = join(__dirname, "..", "..", "test", "fixtures", "llm", "analysis.json");
+
+function createMockProvider({ fixture = DEFAULT_FIXTURE, responses } = {}) {
+  let queue = responses;
+  if (!queue) {
+    const data = JSON.parse(readFileSync(fixture, "utf-8"));
+    queue = Array.isArray(data.responses) ? data.responses : [data];
+  }
+  const calls = [];
+
+  return {
+    name: "mock",
+    model: "mock",
+    calls,
+    async generate(request) {
+      calls.push(request);
+      const next = queue[Math.min(calls.length - 1, queue.length - 1)];
+      return typeof next === "string" ? next : JSON.stringify(next);
+    },
+  };
+}
+
+module.exports = { createMockProvider };
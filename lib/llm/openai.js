@@ -0,0 +1,41 @@
+// =============================================================================
+// LLM PROVIDER: OpenAI-compatible Chat Completions
+// =============================================================================
+// Works with api.openai.com and with local servers that speak the same
+// protocol — llama.cpp (`llama-server`), Ollama (`/v1`), vLLM, LM Studio.
+// Point OPENAI_BASE_URL at the server; OPENAI_API_KEY is optional locally.
+// =============================================================================
+
+function createOpenAIProvider({ baseUrl = "https://api.openai.com/v1", apiKey = "", model = "gpt-4o-mini", temperature = 0.3 } = {}) {
+  const endpoint = `${baseUrl.replace(/\/+$/, "")}/chat/completions`;
+
+  return {
+    name: "openai",
+    model,
+    async generate({ system, messages }) {
+      const resp = await fetch(endpoint, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(apiKey ? { "Authorization": `Bearer ${apiKey}` } : {}),
+        },
+        body: JSON.stringify({
+          model,
+          temperature,
+          messages: [{ role: "system", content: system }, ...messages],
+          response_format: { type: "json_object" },
+        }),
+      });
+      if (!resp.ok) {
+        const body = await resp.text().catch(() => "");
+        throw new Error(`HTTP ${resp.status} from ${endpoint}${body ? `: ${body.substring(0, 200)}` : ""}`);
+      }
+      const json = await resp.json();
+      const content = json?.choices?.[0]?.message?.content;
+      if (typeof content !== "string") throw new Error("Response has no choices[0].message.content");
+      return content;
+    },
+  };
+}
+
+module.exports = { createOpenAIProvider };
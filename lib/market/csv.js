@@ -0,0 +1,60 @@
+// =============================================================================
+// MARKET DATA: CSV Files
+// =============================================================================
+// Offline provider for tests, local runs and backfills. MARKET_DATA_CSV points
+// at either
+//
+//   a single file with a ticker column   date,ticker,close
+//   a directory of per-ticker files      NVDA.csv with Date,...,Close,...
+//
+// Column names are matched case-insensitively, so Stooq/Yahoo exports can be
+// dropped in as they are. Files are read once per provider.
+// =============================================================================
+
+const { readFileSync, statSync, existsSync } = require("fs");
+const { join } = require("path");
+
+const DEFAULT_FIXTURE = join(__dirname, "..", "..", "test", "fixtures", "market", "prices.csv");
+
+// Returns [{ ticker, date, close }] sorted by date; ticker is "" when the
+// file has no ticker column.
+function parsePriceCsv(text) {
+  const [header, ...lines] = String(text || "").trim().split(/\r?\n/);
+  const cols = String(header || "").toLowerCase().split(",").map((c) => c.trim());
+  const dateCol = cols.indexOf("date");
+  const closeCol = cols.indexOf("close");
+  const tickerCol = cols.findIndex((c) => c === "ticker" || c === "symbol");
+  if (dateCol === -1 || closeCol === -1) throw new Error("CSV needs date and close columns");
+
+  return lines
+    .map((line) => line.split(",").map((v) => v.trim()))
+    .map((v) => ({ ticker: tickerCol === -1 ? "" : v[tickerCol].toUpperCase(), date: v[dateCol], close: Number(v[closeCol]) }))
+    .filter((row) => /^\d{4}-\d{2}-\d{2}$/.test(row.date) && row.close > 0)
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+function createCsvProvider({ path = DEFAULT_FIXTURE } = {}) {
+  const isDir = statSync(path).isDirectory();
+  const cache = new Map();
+
+  function load(ticker) {
+    if (isDir) {
+      const file = [`${ticker}.csv`, `${ticker.toLowerCase()}.csv`].map((f) => join(path, f)).find(existsSync);
+      return file ? parsePriceCsv(readFileSync(file, "utf-8")) : [];
+    }
+    if (!cache.has("*")) cache.set("*", parsePriceCsv(readFileSync(path, "utf-8")));
+    return cache.get("*").filter((row) => row.ticker === ticker);
+  }
+
+  return {
+    name: "csv",
+    async getCloses(ticker, { from, to }) {
+      if (!cache.has(ticker)) cache.set(ticker, load(ticker));
+      return cache.get(ticker)
+        .filter((row) => row.date >= from && row.date <= to)
+        .map(({ date, close }) => ({ date, close }));
+    },
+  };
+}
+
+module.exports = { parsePriceCsv, createCsvProvider };
@@ -0,0 +1,118 @@
+// =============================================================================
+// POLITICAL ALPHA — Market Data & Price Enrichment
+// =============================================================================
+// Every provider exposes the same interface:
+//
+//   { name, getCloses(ticker, { from, to }) → Promise<[{ date, close }]> }
+//
+// with ISO dates (inclusive) and daily closes sorted by date. Chosen from env:
+//
+//   MARKET_DATA_PROVIDER    yahoo (default) | csv | off
+//   MARKET_DATA_CSV         file or directory for csv (see lib/market/csv.js)
+//   MARKET_DATA_TIMEOUT_MS  per-request timeout for yahoo, default 8000
+//
+// enrichWithPrices() attaches trade.performance (see lib/trades.js) to every
+// trade it can price. It never throws: a ticker the provider cannot price is
+// reported and its trades go out without performance data.
+// =============================================================================
+
+const { describeTrade } = require("../trades");
+const { createYahooProvider } = require("./yahoo");
+const { createCsvProvider, parsePriceCsv } = require("./csv");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// A trade on a weekend or holiday is priced at the last close before it.
+const MAX_STALE_DAYS = 5;
+const CONCURRENCY = 4;
+
+// Returns null when market data is turned off.
+function createMarketDataProvider(env = process.env, { fetch } = {}) {
+  const name = (env.MARKET_DATA_PROVIDER || "yahoo").toLowerCase();
+  switch (name) {
+    case "yahoo":
+      return createYahooProvider({ fetch, timeoutMs: Number(env.MARKET_DATA_TIMEOUT_MS) || undefined });
+    case "csv":
+      return createCsvProvider({ path: env.MARKET_DATA_CSV || undefined });
+    case "off":
+    case "none":
+      return null;
+    default:
+      throw new Error(`Unknown MARKET_DATA_PROVIDER "${name}"`);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// ENRICHMENT
+// ---------------------------------------------------------------------------
+
+const isoDay = (time) => new Date(time).toISOString().slice(0, 10);
+
+// Last close on or before `date`, if it is recent enough to stand in for it.
+function closeOn(closes, date) {
+  const floor = isoDay(Date.parse(date) - MAX_STALE_DAYS * DAY_MS);
+  for (let i = closes.length - 1; i >= 0; i--) {
+    if (closes[i].date > date) continue;
+    return closes[i].date >= floor ? closes[i] : null;
+  }
+  return null;
+}
+
+function performanceFor(trade, closes) {
+  const atTrade = closeOn(closes, trade.tradeDate);
+  const latest = closes[closes.length - 1];
+  if (!atTrade || !latest || latest.date < atTrade.date) return null;
+  return {
+    tradePrice: atTrade.close,
+    tradePriceDate: atTrade.date,
+    latestPrice: latest.close,
+    latestPriceDate: latest.date,
+    changePct: Math.round(((latest.close - atTrade.close) / atTrade.close) * 1000) / 10,
+  };
+}
+
+// Fetches each ticker once, a few at a time. Returns
+// { priced, errors: [{ ticker, error }] }.
+async function enrichWithPrices(trades, provider, { now = new Date() } = {}) {
+  const byTicker = new Map();
+  for (const trade of trades) {
+    if (!trade.ticker || !trade.tradeDate) continue;
+    if (!byTicker.has(trade.ticker)) byTicker.set(trade.ticker, []);
+    byTicker.get(trade.ticker).push(trade);
+  }
+
+  let priced = 0;
+  const errors = [];
+  const to = isoDay(now.getTime());
+  const queue = [...byTicker.entries()];
+
+  async function worker() {
+    while (queue.length > 0) {
+      const [ticker, group] = queue.shift();
+      const earliest = group.map((t) => t.tradeDate).sort()[0];
+      try {
+        const closes = await provider.getCloses(ticker, { from: isoDay(Date.parse(earliest) - MAX_STALE_DAYS * DAY_MS), to });
+        for (const trade of group) {
+          const performance = performanceFor(trade, closes);
+          if (!performance) continue;
+          trade.performance = performance;
+          trade.text = describeTrade(trade);
+          priced++;
+        }
+      } catch (err) {
+        errors.push({ ticker, error: err.message });
+      }
+    }
+  }
+
+  if (provider && byTicker.size > 0) await Promise.all(Array.from({ length: Math.min(CONCURRENCY, byTicker.size) }, worker));
+  if (errors.length > 0) console.warn(`[Market] No prices for ${errors.map((e) => `${e.ticker} (${e.error})`).join(", ")}`);
+  return { priced, errors };
+}
+
+module.exports = {
+  createMarketDataProvider,
+  createYahooProvider,
+  createCsvProvider,
+  parsePriceCsv,
+  enrichWithPrices,
+};
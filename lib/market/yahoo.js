@@ -0,0 +1,43 @@
+// =============================================================================
+// MARKET DATA: Yahoo Finance Chart API
+// =============================================================================
+// Daily closes from the public v8 chart endpoint. No key needed, but like the
+// scraped sources it wants a browser User-Agent. Bars are timestamped at the
+// market open, so the UTC date of the timestamp is the trading day.
+// =============================================================================
+
+const BROWSER_UA = "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/125.0.0.0 Safari/537.36";
+const DAY_S = 24 * 60 * 60;
+
+// Yahoo writes share classes with a dash: BRK.B → BRK-B.
+function yahooSymbol(ticker) {
+  return ticker.replace(/\./g, "-");
+}
+
+function createYahooProvider({ fetch = globalThis.fetch, timeoutMs = 8000 } = {}) {
+  return {
+    name: "yahoo",
+    async getCloses(ticker, { from, to }) {
+      const period1 = Math.floor(Date.parse(from) / 1000);
+      const period2 = Math.floor(Date.parse(to) / 1000) + DAY_S;
+      const url = `https://query1.finance.yahoo.com/v8/finance/chart/${encodeURIComponent(yahooSymbol(ticker))}?period1=${period1}&period2=${period2}&interval=1d`;
+      const resp = await fetch(url, {
+        headers: { "User-Agent": BROWSER_UA, "Accept": "application/json" },
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      // Unknown symbols come back as 404 with a "No data found" error body.
+      if (resp.status === 404) return [];
+      if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+
+      const json = await resp.json();
+      const result = json.chart && json.chart.result && json.chart.result[0];
+      if (!result || !result.timestamp) return [];
+      const closes = (result.indicators.quote[0] || {}).close || [];
+      return result.timestamp
+        .map((ts, i) => ({ date: new Date(ts * 1000).toISOString().slice(0, 10), close: closes[i] }))
+        .filter((bar) => bar.close > 0 && bar.date >= from && bar.date <= to);
+    },
+  };
+}
+
+module.exports = { createYahooProvider };
@@ -0,0 +1,152 @@
+// =============================================================================
+// POLITICAL ALPHA — Cross-Source Trade Merging
+// =============================================================================
+// Capitol Trades and the QuiverQuant Congress feed frequently report the same
+// STOCK Act filing, and QuiverQuant's insider headlines repeat SEC Form 4
+// filings. This stage collapses those duplicates into one record, combining
+// the fields each source knows and remembering which sources confirmed the
+// trade.
+// =============================================================================
+
+const { createTrade, isTrade, namesMatch, parseAmountRange } = require("./trades");
+
+// Filing dates drift by a day or two between aggregators (time zones, batch
+// publishing), so trades this close together are treated as the same event.
+const DATE_TOLERANCE_DAYS = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Which source wins when two sources disagree on a field. The official
+// House/Senate/SEC records are authoritative for anything they carry; sources
+// not listed fall back to "first non-empty value".
+const OFFICIAL = ["House Clerk", "Senate eFD", "SEC EDGAR"];
+const FIELD_PREFERENCES = {
+  entity: [...OFFICIAL, "Capitol Trades"],
+  role: OFFICIAL,
+  amount: [...OFFICIAL, "Capitol Trades"],
+  price: ["Capitol Trades"],
+  issuer: ["Capitol Trades", ...OFFICIAL],
+  tradeDate: [...OFFICIAL, "Capitol Trades"],
+  party: ["Capitol Trades"],
+  sector: ["Capitol Trades"],
+  chamber: [...OFFICIAL, "Capitol Trades"],
+  owner: [...OFFICIAL, "Capitol Trades"],
+  filingDate: [...OFFICIAL, "QuiverQuant Congress"],
+  tradingPlan: OFFICIAL,
+  sourceUrl: OFFICIAL,
+  // The label of the merged record: the filing it is built on.
+  source: [...OFFICIAL, "Capitol Trades"],
+};
+
+const MERGED_FIELDS = ["entity", "role", "party", "chamber", "issuer", "sector", "amount", "price", "owner", "tradeDate", "filingDate", "tradingPlan", "sourceUrl"];
+
+function daysApart(a, b) {
+  return Math.abs(new Date(a).getTime() - new Date(b).getTime()) / DAY_MS;
+}
+
+// Two trades share a date if their trade dates line up. When one side has no
+// trade date (a Quiver record only has a filing date), any of the known dates
+// may line up instead.
+function datesMatch(a, b) {
+  if (a.tradeDate && b.tradeDate) return daysApart(a.tradeDate, b.tradeDate) <= DATE_TOLERANCE_DAYS;
+  const datesA = [a.tradeDate, a.filingDate].filter(Boolean);
+  const datesB = [b.tradeDate, b.filingDate].filter(Boolean);
+  if (datesA.length === 0 || datesB.length === 0) return true;
+  return datesA.some((da) => datesB.some((db) => daysApart(da, db) <= DATE_TOLERANCE_DAYS));
+}
+
+// QuiverQuant's insider headlines name only the title ("Chief Financial
+// Officer of $NVDA"), so a title-only record matches an insider holding that
+// title ("EVP and Chief Financial Officer").
+function titlesMatch(a, b) {
+  const titles = (t) => t.role.toLowerCase().split(/,\s*|\s+and\s+/).filter(Boolean);
+  const covers = (named, titleOnly) => titleOnly.entity === titleOnly.role && titles(named).includes(titleOnly.role.toLowerCase());
+  return covers(a, b) || covers(b, a);
+}
+
+// Amounts only rule a match out when both sides disclose a dollar range and
+// the ranges don't overlap; share counts and blanks say nothing.
+function amountsMatch(a, b) {
+  const ra = parseAmountRange(a.amount);
+  const rb = parseAmountRange(b.amount);
+  if (!ra || !rb) return true;
+  return ra.min <= rb.max && rb.min <= ra.max;
+}
+
+function isSameTrade(a, b) {
+  return a.kind === b.kind
+    && a.ticker === b.ticker
+    && a.transaction === b.transaction
+    && (namesMatch(a.entity, b.entity) || (a.kind === "insider" && titlesMatch(a, b)))
+    && datesMatch(a, b)
+    && amountsMatch(a, b);
+}
+
+// The record whose value wins for `field`, or null when none has one.
+function pickRecord(field, records) {
+  const preferred = FIELD_PREFERENCES[field] || [];
+  for (const source of preferred) {
+    const hit = records.find((r) => r.source === source && r[field]);
+    if (hit) return hit;
+  }
+  // Longest name wins so "Nancy Pelosi" beats "Pelosi".
+  if (field === "entity") {
+    return [...records].sort((x, y) => y.entity.length - x.entity.length)[0];
+  }
+  return records.find((r) => r[field]) || null;
+}
+
+function combine(records) {
+  if (records.length === 1) return records[0];
+  const fields = { kind: records[0].kind, ticker: records[0].ticker, transaction: records[0].transaction };
+  const fieldSources = {};
+  for (const field of MERGED_FIELDS) {
+    const hit = pickRecord(field, records);
+    fields[field] = hit ? hit[field] : "";
+    if (hit) fieldSources[field] = hit.source;
+  }
+  fields.source = pickRecord("source", records).source;
+  fields.sources = [...new Set(records.flatMap((r) => r.sources || [r.source]))];
+  return { ...createTrade(fields), fieldSources };
+}
+
+// A record joins a group only when no member shares its source (one source
+// never reports the same trade twice) and it matches the group's merged
+// identity, so a loosely dated record can't chain two distinct trades together.
+function joinsGroup(group, item) {
+  return !group.some((t) => t.source === item.source) && isSameTrade(combine(group), item);
+}
+
+// Merges duplicate trades across sources. Non-trade items (news) pass through
+// untouched and keep their position after the trades.
+function mergeTrades(items) {
+  const groups = [];
+  const others = [];
+  for (const item of items) {
+    if (!isTrade(item)) {
+      others.push(item);
+      continue;
+    }
+    const group = groups.find((g) => joinsGroup(g, item));
+    if (group) group.push(item);
+    else groups.push([item]);
+  }
+
+  const merged = groups.map(combine);
+  const duplicates = items.length - others.length - merged.length;
+  if (duplicates > 0) console.log(`[Merge] ${duplicates} duplicate trades merged across sources`);
+  return [...merged, ...others];
+}
+
+// Finds the structured trade a free-text analyzer alert refers to.
+function findTradeForAlert(alert, trades) {
+  const ticker = String(alert.ticker || "").replace(/^\$/, "").toUpperCase();
+  return trades.find((t) => t.ticker === ticker && namesMatch(alert.entity, t.entity))
+    || trades.find((t) => t.ticker === ticker && (!alert.transaction || t.transaction === alert.transaction))
+    || null;
+}
+
+module.exports = {
+  mergeTrades,
+  isSameTrade,
+  findTradeForAlert,
+};
@@ -0,0 +1,40 @@
+// =============================================================================
+// POLITICAL ALPHA — Minimal HTML Pages
+// =============================================================================
+// Landing pages for links opened from emails (confirm, unsubscribe). Same
+// palette as the newsletter so the hand-off from inbox to browser feels
+// continuous. All CSS is inline.
+// =============================================================================
+
+function escHtml(str) {
+  if (!str) return "";
+  return String(str).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+// `body` is trusted HTML placed under the message (e.g. a form); `message`
+// is escaped.
+function renderPage({ title, message, body = "" }) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="UTF-8"><meta name="viewport" content="width=device-width,initial-scale=1.0"><title>${escHtml(title)} — Political Alpha</title></head>
+<body style="margin:0;padding:0;background-color:#0a0a14;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,'Helvetica Neue',Arial,sans-serif;">
+<div style="max-width:520px;margin:64px auto;padding:40px 32px;background:#1a1a2e;border-top:3px solid #e94560;border-radius:8px;text-align:center;">
+  <h1 style="color:#ffffff;font-size:28px;font-weight:900;margin:0 0 24px 0;letter-spacing:-0.5px;">POLITICAL<span style="color:#e94560;">ALPHA</span></h1>
+  <h2 style="color:#ffffff;font-size:20px;font-weight:800;margin:0 0 12px 0;">${escHtml(title)}</h2>
+  <p style="color:#ccd6f6;font-size:15px;line-height:1.6;margin:0;">${escHtml(message)}</p>
+  ${body}
+</div>
+</body>
+</html>`;
+}
+
+function sendPage(res, status, page) {
+  res.setHeader("Content-Type", "text/html; charset=utf-8");
+  return res.status(status).send(renderPage(page));
+}
+
+module.exports = {
+  escHtml,
+  renderPage,
+  sendPage,
+};
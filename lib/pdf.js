@@ -0,0 +1,86 @@
+// =============================================================================
+// POLITICAL ALPHA — Minimal PDF Text Extraction
+// =============================================================================
+// Electronically filed House PTRs are generated PDFs whose text lives in
+// Flate-compressed content streams. This pulls the literal and hex strings
+// out of the Tj / TJ text operators and joins them into lines. It does not
+// handle CID font remapping or scanned (paper) filings — those yield little
+// or no text and are skipped by the caller.
+// =============================================================================
+
+const { inflateSync } = require("zlib");
+
+function decodeLiteral(str) {
+  return str.replace(/\\([nrtbf()\\]|[0-7]{1,3})/g, (_, esc) => {
+    switch (esc) {
+      case "n": return "\n";
+      case "r": return "\r";
+      case "t": return "\t";
+      case "b": return "\b";
+      case "f": return "\f";
+      case "(": return "(";
+      case ")": return ")";
+      case "\\": return "\\";
+      default: return String.fromCharCode(parseInt(esc, 8));
+    }
+  });
+}
+
+function decodeHex(hex) {
+  const clean = hex.replace(/\s+/g, "");
+  let out = "";
+  for (let i = 0; i < clean.length; i += 2) out += String.fromCharCode(parseInt(clean.substr(i, 2).padEnd(2, "0"), 16));
+  return out;
+}
+
+// Extracts text from one decoded content stream.
+function textFromContentStream(content) {
+  const lines = [];
+  let current = "";
+  const tokens = content.matchAll(/\((?:\\[\s\S]|[^\\)])*\)\s*Tj|\[((?:\((?:\\[\s\S]|[^\\)])*\)|<[^>]*>|[^\]()<])*)\]\s*TJ|<([0-9a-fA-F\s]+)>\s*Tj|\bT\*|\bTd\b|\bTD\b|\bET\b/g);
+  for (const tok of tokens) {
+    const raw = tok[0];
+    if (raw.endsWith("Tj") && raw.startsWith("(")) {
+      current += decodeLiteral(raw.slice(1, raw.lastIndexOf(")")));
+    } else if (raw.endsWith("Tj")) {
+      current += decodeHex(tok[2]);
+    } else if (raw.endsWith("TJ")) {
+      for (const part of tok[1].matchAll(/\((?:\\[\s\S]|[^\\)])*\)|<[0-9a-fA-F\s]*>|-?\d+(?:\.\d+)?/g)) {
+        const p = part[0];
+        if (p.startsWith("(")) current += decodeLiteral(p.slice(1, -1));
+        else if (p.startsWith("<")) current += decodeHex(p.slice(1, -1));
+        else if (Number(p) < -200) current += " "; // large kerning gap = word break
+      }
+    } else if (current) {
+      lines.push(current);
+      current = "";
+    }
+  }
+  if (current) lines.push(current);
+  return lines;
+}
+
+function extractPdfText(buffer) {
+  const pdf = Buffer.from(buffer).toString("latin1");
+  const lines = [];
+  for (const match of pdf.matchAll(/<<([\s\S]*?)>>\s*stream\r?\n/g)) {
+    const dict = match[1];
+    const start = match.index + match[0].length;
+    const end = pdf.indexOf("endstream", start);
+    if (end < 0) break;
+    const raw = Buffer.from(pdf.slice(start, end).replace(/\r?\n$/, ""), "latin1");
+    let content;
+    try {
+      content = /FlateDecode/.test(dict) ? inflateSync(raw).toString("latin1") : raw.toString("latin1");
+    } catch (e) {
+      continue; // images, fonts or unsupported filters
+    }
+    if (!/\b(?:BT|Tj|TJ)\b/.test(content)) continue;
+    lines.push(...textFromContentStream(content));
+  }
+  return lines.map((l) => l.replace(/\s+/g, " ").trim()).filter(Boolean).join("\n");
+}
+
+module.exports = {
+  extractPdfText,
+};
@@ -0,0 +1,77 @@
+// =============================================================================
+// POLITICAL ALPHA — Politician Directory
+// =============================================================================
+// Canonical names, aliases, party, state, chamber and committee assignments
+// for members of Congress, from the bundled data/politicians.json:
+//
+//   { name, aliases: [...], party: "D" | "R" | "I", state: "AL",
+//     chamber: "House" | "Senate", committees: ["Armed Services", ...] }
+//
+// Only Capitol Trades reports party and chamber; QuiverQuant and the official
+// disclosures give a name and at most a role. enrichPoliticians() fills the
+// gaps from the directory, so every stage downstream sees the same metadata.
+//
+// `npm run refresh:politicians` rebuilds the dataset from the
+// congress-legislators project (scripts/refresh-politicians.js). A member
+// who is not listed keeps whatever the source reported.
+// =============================================================================
+
+const dataset = require("../data/politicians.json");
+const { normalizeName, namesMatch, describeTrade } = require("./trades");
+
+function createDirectory(members) {
+  const byName = new Map();
+  for (const member of members) {
+    for (const name of [member.name, ...(member.aliases || [])]) byName.set(normalizeName(name), member);
+  }
+
+  return {
+    members,
+
+    // Exact match on the canonical name or an alias first, then a unique
+    // loose match ("Rep. Tuberville", "Tom Tuberville").
+    find(name) {
+      const exact = byName.get(normalizeName(name));
+      if (exact) return exact;
+      const loose = members.filter((m) => [m.name, ...(m.aliases || [])].some((n) => namesMatch(n, name)));
+      return loose.length === 1 ? loose[0] : null;
+    },
+  };
+}
+
+const directory = createDirectory(dataset.members);
+
+function findPolitician(name) {
+  return directory.find(name);
+}
+
+function committeesOf(name) {
+  const member = findPolitician(name);
+  return member ? member.committees : [];
+}
+
+// Fills party, chamber and state on congressional trades from the directory.
+// What the source reported wins; the entity name is left as reported so trade
+// ids in the history stay stable.
+function enrichPoliticians(trades) {
+  let matched = 0;
+  for (const trade of trades) {
+    if (trade.kind !== "congress") continue;
+    const member = findPolitician(trade.entity);
+    if (!member) continue;
+    trade.party = trade.party || member.party;
+    trade.chamber = trade.chamber || member.chamber;
+    trade.state = trade.state || member.state;
+    trade.text = describeTrade(trade);
+    matched++;
+  }
+  return matched;
+}
+
+module.exports = {
+  DIRECTORY_UPDATED: dataset.updated,
+  createDirectory,
+  findPolitician,
+  committeesOf,
+  enrichPoliticians,
+};
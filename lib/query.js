@@ -0,0 +1,227 @@
+// =============================================================================
+// POLITICAL ALPHA — Trade History Queries
+// =============================================================================
+// Read-only views over the persisted trade history (lib/history.js) for the
+// dashboards API (api/trades.js):
+//
+//   trades       Matching trades, one per history record
+//   tickers      Per-ticker totals: trades, buys, sells, members, volume
+//   politicians  Per-member activity: trades, tickers, volume, filing delays
+//
+// Every view takes the same filters, then sorts and paginates its rows.
+// Volumes are estimated from the midpoints of the disclosed ranges, as in
+// the digests (lib/digest.js).
+// =============================================================================
+
+const { normalizeParty, normalizeChamber, normalizeTicker, normalizeTransaction, normalizeName, namesMatch } = require("./trades");
+const { estimatedAmount } = require("./digest");
+
+const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+const DATE_FIELDS = ["tradeDate", "filingDate"];
+
+// Sortable fields per view; the first is the default. Text fields sort
+// ascending by default, everything else descending.
+const SORT_FIELDS = {
+  trades: ["tradeDate", "filingDate", "firstSeen", "amount", "delayDays", "ticker", "entity"],
+  tickers: ["trades", "buys", "sells", "members", "volume", "netVolume", "lastTradeDate", "ticker"],
+  politicians: ["trades", "buys", "sells", "tickers", "volume", "netVolume", "avgDelayDays", "lateFilings", "lastTradeDate", "entity"],
+};
+const TEXT_FIELDS = ["ticker", "entity"];
+const VIEWS = Object.keys(SORT_FIELDS);
+
+function toList(value) {
+  if (value == null) return [];
+  return (Array.isArray(value) ? value : String(value).split(",")).map((v) => String(v).trim()).filter(Boolean);
+}
+
+// ---------------------------------------------------------------------------
+// PARSING
+// ---------------------------------------------------------------------------
+
+// Turns query-string parameters into { filters, sort, order, limit, offset }
+// plus a list of problems; an empty list means the query is usable.
+function parseTradeQuery(view, query = {}) {
+  const problems = [];
+  const listOf = (name, normalize) => toList(query[name]).map((raw) => {
+    const value = normalize(raw);
+    if (!value) problems.push(`invalid ${name} "${raw}"`);
+    return value;
+  }).filter(Boolean);
+
+  const filters = {
+    politicians: toList(query.politician),
+    parties: listOf("party", normalizeParty),
+    chambers: listOf("chamber", normalizeChamber),
+    tickers: listOf("ticker", normalizeTicker),
+    transactions: listOf("transaction", normalizeTransaction),
+    sources: toList(query.source).map((s) => s.toLowerCase()),
+    from: query.from || "",
+    to: query.to || "",
+    dateField: query.dateField || DATE_FIELDS[0],
+  };
+  for (const field of ["from", "to"]) {
+    if (filters[field] && !ISO_DATE_RE.test(filters[field])) problems.push(`${field} must be YYYY-MM-DD`);
+  }
+  if (!DATE_FIELDS.includes(filters.dateField)) problems.push(`dateField must be one of ${DATE_FIELDS.join(", ")}`);
+
+  const sortFields = SORT_FIELDS[view];
+  const sort = query.sort || sortFields[0];
+  if (!sortFields.includes(sort)) problems.push(`sort must be one of ${sortFields.join(", ")}`);
+  const order = String(query.order || (TEXT_FIELDS.includes(sort) ? "asc" : "desc")).toLowerCase();
+  if (order !== "asc" && order !== "desc") problems.push("order must be asc or desc");
+
+  const limit = query.limit == null ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) problems.push(`limit must be between 1 and ${MAX_LIMIT}`);
+  const offset = query.offset == null ? 0 : Number(query.offset);
+  if (!Number.isInteger(offset) || offset < 0) problems.push("offset must be a non-negative integer");
+
+  return { filters, sort, order, limit, offset, problems };
+}
+
+// ---------------------------------------------------------------------------
+// FILTERING
+// ---------------------------------------------------------------------------
+
+// Trade date falls back to the filing date (and vice versa) so undated
+// disclosures are not silently dropped from a date range.
+function dateOf(trade, dateField = "tradeDate") {
+  return dateField === "filingDate" ? trade.filingDate || trade.tradeDate || "" : trade.tradeDate || trade.filingDate || "";
+}
+
+function matchesFilters(trade, f) {
+  if (f.politicians.length > 0 && !f.politicians.some((name) => namesMatch(name, trade.entity))) return false;
+  if (f.parties.length > 0 && !f.parties.includes(trade.party)) return false;
+  if (f.chambers.length > 0 && !f.chambers.includes(trade.chamber)) return false;
+  if (f.tickers.length > 0 && !f.tickers.includes(trade.ticker)) return false;
+  if (f.transactions.length > 0 && !f.transactions.includes(trade.transaction)) return false;
+  if (f.sources.length > 0) {
+    const reported = (trade.sources && trade.sources.length ? trade.sources : [trade.source]).map((s) => String(s || "").toLowerCase());
+    if (!f.sources.some((s) => reported.some((r) => r.includes(s)))) return false;
+  }
+  const date = dateOf(trade, f.dateField);
+  if (f.from && (!date || date < f.from)) return false;
+  if (f.to && (!date || date > f.to)) return false;
+  return true;
+}
+
+// History records whose trade passes the filters, flattened to
+// { id, firstSeen, firstEmailed, revisions, ...trade }.
+function matchingTrades(records, filters) {
+  return Object.values(records)
+    .filter((r) => r.trade && matchesFilters(r.trade, filters))
+    .map((r) => ({ id: r.id, firstSeen: r.firstSeen, firstEmailed: r.firstEmailed, revisions: r.revisions || 0, ...r.trade }));
+}
+
+// ---------------------------------------------------------------------------
+// AGGREGATES
+// ---------------------------------------------------------------------------
+
+function tally(group, trade) {
+  const volume = estimatedAmount(trade);
+  group.trades++;
+  if (trade.transaction === "BUY") { group.buys++; group.buyVolume += volume; }
+  if (trade.transaction === "SELL") { group.sells++; group.sellVolume += volume; }
+  const date = dateOf(trade);
+  if (date && (!group.firstTradeDate || date < group.firstTradeDate)) group.firstTradeDate = date;
+  if (date && (!group.lastTradeDate || date > group.lastTradeDate)) group.lastTradeDate = date;
+}
+
+function emptyGroup(fields) {
+  return { ...fields, trades: 0, buys: 0, sells: 0, buyVolume: 0, sellVolume: 0, firstTradeDate: "", lastTradeDate: "" };
+}
+
+function withVolume({ buyVolume, sellVolume, ...g }) {
+  return { ...g, buyVolume, sellVolume, volume: buyVolume + sellVolume, netVolume: buyVolume - sellVolume };
+}
+
+function tickerTotals(trades) {
+  const groups = new Map();
+  for (const trade of trades) {
+    if (!groups.has(trade.ticker)) groups.set(trade.ticker, { ...emptyGroup({ ticker: trade.ticker }), members: new Set() });
+    const g = groups.get(trade.ticker);
+    tally(g, trade);
+    g.members.add(normalizeName(trade.entity));
+  }
+  return [...groups.values()].map(({ members, ...g }) => withVolume({ ...g, members: members.size }));
+}
+
+// Grouped by normalized name so "Rep. Nancy Pelosi" and "Nancy Pelosi" are
+// one member; the first spelling seen is reported.
+function politicianActivity(trades) {
+  const groups = new Map();
+  for (const trade of trades) {
+    const key = normalizeName(trade.entity);
+    if (!groups.has(key)) {
+      groups.set(key, { ...emptyGroup({ entity: trade.entity, kind: trade.kind, party: trade.party, chamber: trade.chamber, state: trade.state || "" }), tickers: new Map(), lateFilings: 0, delays: [] });
+    }
+    const g = groups.get(key);
+    tally(g, trade);
+    g.party = g.party || trade.party;
+    g.chamber = g.chamber || trade.chamber;
+    g.state = g.state || trade.state || "";
+    g.tickers.set(trade.ticker, (g.tickers.get(trade.ticker) || 0) + 1);
+    if (trade.late) g.lateFilings++;
+    if (trade.delayDays != null) g.delays.push(trade.delayDays);
+  }
+  return [...groups.values()].map(({ tickers, delays, ...g }) => withVolume({
+    ...g,
+    tickers: tickers.size,
+    topTickers: [...tickers].sort((a, b) => b[1] - a[1]).slice(0, 5).map(([ticker]) => ticker),
+    avgDelayDays: delays.length ? Math.round((delays.reduce((a, b) => a + b, 0) / delays.length) * 10) / 10 : null,
+  }));
+}
+
+// ---------------------------------------------------------------------------
+// SORTING & PAGINATION
+// ---------------------------------------------------------------------------
+
+function sortValue(row, sort) {
+  if (sort === "amount") return estimatedAmount(row);
+  return row[sort];
+}
+
+// Missing values always sort last; ties keep history order.
+function sortRows(rows, sort, order) {
+  const dir = order === "asc" ? 1 : -1;
+  return rows.slice().sort((a, b) => {
+    const va = sortValue(a, sort);
+    const vb = sortValue(b, sort);
+    const missingA = va == null || va === "";
+    const missingB = vb == null || vb === "";
+    if (missingA || missingB) return missingA === missingB ? 0 : missingA ? 1 : -1;
+    if (va < vb) return -dir;
+    if (va > vb) return dir;
+    return 0;
+  });
+}
+
+// Runs a parsed query (see parseTradeQuery) for `view` over history records.
+function runTradeQuery(view, records, { filters, sort, order, limit, offset }) {
+  const trades = matchingTrades(records, filters);
+  const rows = view === "tickers" ? tickerTotals(trades) : view === "politicians" ? politicianActivity(trades) : trades;
+  const sorted = sortRows(rows, sort, order);
+  return {
+    view,
+    total: sorted.length,
+    limit,
+    offset,
+    nextOffset: offset + limit < sorted.length ? offset + limit : null,
+    sort,
+    order,
+    results: sorted.slice(offset, offset + limit),
+  };
+}
+
+module.exports = {
+  VIEWS,
+  SORT_FIELDS,
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseTradeQuery,
+  matchesFilters,
+  tickerTotals,
+  politicianActivity,
+  runTradeQuery,
+};
@@ -0,0 +1,210 @@
+// =============================================================================
+// POLITICAL ALPHA — HTML Email Components
+// =============================================================================
+// The building blocks every edition (daily briefing, weekly/monthly digest)
+// is assembled from, so they look like one publication. Email clients ignore
+// stylesheets, so all CSS stays inline; the colors come from the theme
+// (lib/render/themes.js) the components were created with:
+//
+//   const c = createComponents(resolveTheme("light"));
+//   c.sectionHeading("Other Trades") + c.tradeTable(rows)
+// =============================================================================
+
+const { formatChangePct } = require("../trades");
+const { escHtml } = require("../pages");
+const { describeConflict } = require("../committees");
+
+const FONT_STACK = "-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,'Helvetica Neue',Arial,sans-serif";
+
+function createComponents(theme) {
+  const t = theme;
+  const thStyle = `padding:14px 16px;text-align:left;color:${t.tableHeadText};font-size:11px;font-weight:800;letter-spacing:1.5px;text-transform:uppercase;`;
+  const tdStyle = `padding:12px 16px;border-bottom:1px solid ${t.border};font-size:13px;`;
+  const strong = `color:${t.heading};font-weight:600;`;
+
+  // ---------------------------------------------------------------------------
+  // BADGES & LABELS
+  // ---------------------------------------------------------------------------
+
+  function badge(tone, label, title) {
+    const { background, color } = t.badges[tone];
+    return `<span${title ? ` title="${escHtml(title)}"` : ""} style="background:${background};color:${color};padding:2px 8px;border-radius:3px;font-size:10px;font-weight:700;letter-spacing:0.5px;margin-left:8px;white-space:nowrap;">${label}</span>`;
+  }
+
+  function amendedBadge(amended) {
+    return amended ? badge("amended", "AMENDED") : "";
+  }
+
+  function confirmedBadge(sources) {
+    if (!sources || sources.length < 2) return "";
+    return badge("confirmed", `&#10003; CONFIRMED BY ${sources.length} SOURCES`, sources.join(", "));
+  }
+
+  function lateBadge(late) {
+    return late ? badge("late", "LATE", "Disclosed more than 45 days after the trade") : "";
+  }
+
+  function conflictBadge(conflict) {
+    return conflict ? badge("conflict", "COMMITTEE CONFLICT", describeConflict(conflict)) : "";
+  }
+
+  function tickerPill(ticker) {
+    return `<span style="background:${t.pill.background};color:${t.pill.color};padding:2px 8px;border-radius:3px;font-weight:700;">$${escHtml(ticker || "-")}</span>`;
+  }
+
+  function transactionLabel(transaction) {
+    return `<span style="color:${transaction === "BUY" ? t.buy : t.sell};font-weight:700;">${escHtml(transaction || "-")}</span>`;
+  }
+
+  // "+25.0%" in green or red, with the two closes underneath (or beside it).
+  function performanceLabel(performance, { inline = false } = {}) {
+    if (!performance) return "-";
+    const { tradePrice, latestPrice, changePct } = performance;
+    const color = changePct > 0 ? t.buy : changePct < 0 ? t.sell : t.muted;
+    return `<span style="color:${color};font-weight:700;">${formatChangePct(changePct)}</span>${inline ? " " : "<br>"}<span style="color:${t.muted};font-size:11px;white-space:nowrap;">$${tradePrice.toFixed(2)} &rarr; $${latestPrice.toFixed(2)}</span>`;
+  }
+
+  // Headlines from trade.coverage as links; anything but an http(s) link is
+  // shown as plain text.
+  function coverageLink(item, label) {
+    const text = escHtml(label);
+    return /^https?:\/\//i.test(item.link || "") ? `<a href="${escHtml(item.link)}" style="color:${t.accent};text-decoration:underline;">${text}</a>` : text;
+  }
+
+  // Compact form for table rows: "News: Reuters, Bloomberg".
+  function coverageLinks(coverage) {
+    if (!coverage || coverage.length === 0) return "";
+    return `<br><span style="color:${t.muted};font-size:11px;font-weight:400;">News: ${coverage.map((item) => coverageLink(item, item.publisher || item.title)).join(", ")}</span>`;
+  }
+
+  // Full headlines with their publishers, for alert cards.
+  function coverageList(coverage) {
+    if (!coverage || coverage.length === 0) return "";
+    return `<p style="color:${t.muted};font-size:12px;margin:10px 0 0 0;">Related coverage:</p><ul style="color:${t.muted};font-size:12px;margin:4px 0 0 0;padding-left:18px;">${coverage.map((item) => `<li style="margin:2px 0;">${coverageLink(item, item.title)}${item.publisher ? ` &mdash; ${escHtml(item.publisher)}` : ""}</li>`).join("")}</ul>`;
+  }
+
+  function memberLabel(m) {
+    const tags = [m.party, m.chamber].filter(Boolean).join("-");
+    return `${escHtml(m.entity)}${tags ? ` <span style="color:${t.muted};font-weight:400;">(${escHtml(tags)})</span>` : ""}`;
+  }
+
+  // ---------------------------------------------------------------------------
+  // TABLES
+  // ---------------------------------------------------------------------------
+
+  // `columns` are { label, style, cell(row) } where cell returns HTML and
+  // style is appended to the cell's base style.
+  function dataTable(columns, rows) {
+    const body = rows.map((row) => `
+      <tr>${columns.map((c) => `
+        <td style="${tdStyle}${c.style || `color:${t.text};`}">${c.cell(row)}</td>`).join("")}
+      </tr>`).join("");
+    return `
+    <table width="100%" cellpadding="0" cellspacing="0" style="background:${t.surface};border-radius:8px;overflow:hidden;border-collapse:collapse;">
+      <thead><tr style="background:${t.tableHead};">${columns.map((c) => `
+        <th style="${thStyle}">${escHtml(c.label)}</th>`).join("")}
+      </tr></thead>
+      <tbody>${body}</tbody>
+    </table>`;
+  }
+
+  // Rows are { date, entity, ticker, transaction, amount, sources, amended,
+  // late, performance, conflict, coverage }. The "Since Trade" column only
+  // appears when at least one row could be priced.
+  function tradeTable(rows) {
+    const columns = [
+      { label: "Date", cell: (r) => escHtml(r.date || "-") },
+      { label: "Entity", style: strong, cell: (r) => `${escHtml(r.entity || "-")}${confirmedBadge(r.sources)}${amendedBadge(r.amended)}${lateBadge(r.late)}${conflictBadge(r.conflict)}${coverageLinks(r.coverage)}` },
+      { label: "Ticker", style: "", cell: (r) => tickerPill(r.ticker) },
+      { label: "Type", style: "", cell: (r) => transactionLabel(r.transaction) },
+      { label: "Amount", cell: (r) => escHtml(r.amount || "-") },
+    ];
+    if (rows.some((r) => r.performance)) columns.push({ label: "Since Trade", cell: (r) => performanceLabel(r.performance) });
+    return dataTable(columns, rows);
+  }
+
+  // ---------------------------------------------------------------------------
+  // BLOCKS
+  // ---------------------------------------------------------------------------
+
+  // `tone` names a theme color: accent (default), alert, late or warning.
+  function sectionHeading(title, tone = "accent", { first = false } = {}) {
+    return `<h2 style="color:${t[tone]};font-size:14px;font-weight:800;letter-spacing:2px;text-transform:uppercase;margin:${first ? "0" : "36px"} 0 16px 0;padding-bottom:8px;border-bottom:1px solid ${t.border};">${escHtml(title)}</h2>`;
+  }
+
+  function emptyState(message) {
+    return `<div style="background:${t.surface};padding:24px;border-radius:8px;text-align:center;"><p style="color:${t.muted};font-size:14px;margin:0;">${escHtml(message)}</p></div>`;
+  }
+
+  // `html` is trusted markup; tone is "error" or "info".
+  function noticeBox(html, tone = "info") {
+    const n = t.notices[tone];
+    return `<div style="background:${n.background};border:1px solid ${n.border};padding:12px 16px;border-radius:6px;margin-bottom:24px;"><p style="color:${n.color};font-size:12px;margin:0;">${html}</p></div>`;
+  }
+
+  function calloutBox(label, text) {
+    return `<div style="background:${t.callout};border-radius:8px;padding:16px 20px;margin-bottom:28px;"><p style="color:${t.accent};font-size:11px;font-weight:800;letter-spacing:1.5px;text-transform:uppercase;margin:0 0 6px 0;">${escHtml(label)}</p><p style="color:${t.text};font-size:14px;line-height:1.5;margin:0;">${escHtml(text)}</p></div>`;
+  }
+
+  // ---------------------------------------------------------------------------
+  // PAGE
+  // ---------------------------------------------------------------------------
+
+  // Page chrome shared by every edition: masthead, body, disclaimer footer and
+  // the recipient's unsubscribe link. `recipient.viewUrl` adds a "view in
+  // browser" link to the archived issue.
+  function shell({ title = "Political Alpha", tagline, meta, body, recipient = {} }) {
+    const viewInBrowser = recipient.viewUrl
+      ? `
+  <p style="color:${t.faint};font-size:11px;text-align:center;margin:0;padding:10px 0;">Trouble reading this email? <a href="${escHtml(recipient.viewUrl)}" style="color:${t.muted};text-decoration:underline;">View it in your browser</a></p>`
+      : "";
+    const unsubscribeFooter = recipient.unsubscribeUrl
+      ? `<p style="color:${t.fainter};font-size:10px;margin:12px 0 0 0;">Sent to ${escHtml(recipient.email)}. <a href="${escHtml(recipient.unsubscribeUrl)}" style="color:${t.muted};text-decoration:underline;">Unsubscribe</a></p>`
+      : "";
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="UTF-8"><meta name="viewport" content="width=device-width,initial-scale=1.0"><meta name="color-scheme" content="${t.name === "light" ? "light" : "dark"}"><title>${escHtml(title)}</title></head>
+<body style="margin:0;padding:0;background-color:${t.background};font-family:${FONT_STACK};">
+<div style="max-width:640px;margin:0 auto;padding:0;">${viewInBrowser}
+  <div style="background:${t.masthead};padding:48px 32px 40px 32px;text-align:center;border-bottom:3px solid ${t.alert};">
+    <h1 style="color:${t.heading};font-size:48px;font-weight:900;margin:0 0 4px 0;letter-spacing:-1px;line-height:1.1;">POLITICAL<span style="color:${t.alert};">ALPHA</span></h1>
+    <p style="color:${t.muted};font-size:13px;font-weight:500;margin:8px 0 0 0;letter-spacing:3px;text-transform:uppercase;">${escHtml(tagline)}</p>
+    <p style="color:${t.faint};font-size:12px;margin:16px 0 0 0;">${escHtml(meta)}</p>
+  </div>
+  <div style="padding:32px 24px;background-color:${t.background};">${body}
+  </div>
+  <div style="background:${t.footer};padding:24px 32px;text-align:center;border-top:1px solid ${t.border};">
+    <p style="color:${t.faint};font-size:11px;margin:0 0 8px 0;">Political Alpha - Automated financial intelligence</p>
+    <p style="color:${t.fainter};font-size:10px;margin:0;">This is not financial advice. Data sourced from public STOCK Act filings and news. Always do your own research.</p>
+    ${unsubscribeFooter}
+  </div>
+</div>
+</body>
+</html>`;
+  }
+
+  return {
+    theme: t,
+    strong,
+    amendedBadge,
+    confirmedBadge,
+    lateBadge,
+    conflictBadge,
+    tickerPill,
+    transactionLabel,
+    performanceLabel,
+    coverageLinks,
+    coverageList,
+    memberLabel,
+    dataTable,
+    tradeTable,
+    sectionHeading,
+    emptyState,
+    noticeBox,
+    calloutBox,
+    shell,
+  };
+}
+
+module.exports = { createComponents };
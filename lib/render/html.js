@@ -0,0 +1,220 @@
+// =============================================================================
+// POLITICAL ALPHA — HTML Email Renderer
+// =============================================================================
+// Renders the daily briefing and the weekly/monthly digest as one HTML page
+// each, from the section components in lib/render/components.js. Every
+// section is a function of (components, data), so the page functions only
+// decide which sections appear and in what order.
+//
+// Both end in an options object whose `theme` is a name or object from
+// lib/render/themes.js (dark by default); the briefing also takes `now`, the
+// date shown in its masthead. lib/render/text.js renders the same content
+// as plain text.
+// =============================================================================
+
+const { tradesToTableRows } = require("../trades");
+const { escHtml } = require("../pages");
+const { isEmptyWatchlist, describeWatchlist } = require("../watchlist");
+const { EDITIONS } = require("../digest");
+const { describeConflict } = require("../committees");
+const { formatUsd, sourcesNotice } = require("../channels/format");
+const { resolveTheme } = require("./themes");
+const { createComponents } = require("./components");
+
+const SIGNAL_LABELS = { cluster: "CLUSTER", insider: "INSIDER ALIGNMENT", reversal: "REVERSAL" };
+
+function formatLongDate(now) {
+  return now.toLocaleDateString("en-US", { weekday: "long", year: "numeric", month: "long", day: "numeric" });
+}
+
+// ---------------------------------------------------------------------------
+// DAILY BRIEFING SECTIONS
+// ---------------------------------------------------------------------------
+
+function highAlertHtml(c, alert, i) {
+  const t = c.theme;
+  return `
+      <div style="background:${t.raised};border-left:4px solid ${t.alert};padding:20px 24px;margin-bottom:16px;border-radius:0 8px 8px 0;">
+        <span style="background:${t.alert};color:${t.alertText};font-size:11px;font-weight:800;letter-spacing:1.5px;padding:4px 10px;border-radius:4px;text-transform:uppercase;">HIGH TRADE ALERT #${i + 1}</span>
+        <h2 style="color:${t.heading};font-size:22px;font-weight:800;margin:12px 0 8px 0;line-height:1.3;">${escHtml(alert.title)}</h2>
+        <div style="margin-bottom:10px;">
+          <span style="background:${t.pill.background};color:${t.pill.color};padding:3px 10px;border-radius:4px;font-size:13px;font-weight:700;margin-right:8px;">$${escHtml(alert.ticker || "N/A")}</span>
+          <span style="color:${alert.transaction === "BUY" ? t.buy : t.sell};font-weight:700;font-size:13px;">${escHtml(alert.transaction || "N/A")}</span>
+          <span style="color:${t.muted};font-size:13px;margin-left:8px;">- ${escHtml(alert.entity || "Unknown")}</span>${c.confirmedBadge(alert.sources)}${c.amendedBadge(alert.amended)}${c.conflictBadge(alert.conflict)}
+        </div>
+        <p style="color:${t.text};font-size:15px;line-height:1.6;margin:0;">${escHtml(alert.summary)}</p>${alert.conflict ? `
+        <p style="color:${t.conflict};font-size:12px;margin:10px 0 0 0;">Potential conflict: ${escHtml(describeConflict(alert.conflict))}</p>` : ""}${alert.performance ? `
+        <p style="color:${t.muted};font-size:12px;margin:10px 0 0 0;">Since the trade: ${c.performanceLabel(alert.performance, { inline: true })}</p>` : ""}${c.coverageList(alert.coverage)}
+      </div>`;
+}
+
+function highAlertsSection(c, analysis) {
+  const alerts = analysis.highAlerts || [];
+  return `
+    ${c.sectionHeading("High Trade Alerts", "alert", { first: true })}
+    ${alerts.length > 0 ? alerts.map((a, i) => highAlertHtml(c, a, i)).join("") : c.emptyState("No high-priority trades detected in the last 24 hours.")}`;
+}
+
+// Signals come from lib/signals.js via the cron's analysis.signals.
+function signalsSection(c, analysis) {
+  const signals = analysis.signals || [];
+  if (signals.length === 0) return "";
+  const t = c.theme;
+  const tone = t.badges.signal;
+  return `
+    ${c.sectionHeading("Signals", "warning")}${signals.map((s) => `
+      <div style="background:${t.surface};border-left:4px solid ${tone.color};padding:14px 18px;margin-bottom:12px;border-radius:0 8px 8px 0;">
+        <span style="background:${tone.background};color:${tone.color};font-size:10px;font-weight:800;letter-spacing:1.5px;padding:3px 8px;border-radius:3px;">${SIGNAL_LABELS[s.type] || escHtml(s.type)}</span>
+        <span style="color:${t.muted};font-size:11px;margin-left:8px;">score ${Number(s.score) || 0}</span>
+        <p style="color:${t.heading};font-size:15px;font-weight:700;margin:8px 0 6px 0;">${escHtml(s.headline)}</p>
+        <p style="color:${t.muted};font-size:12px;line-height:1.6;margin:0;">${s.trades.map((tr) => `${escHtml(tr.entity)} ${c.transactionLabel(tr.transaction)} ${escHtml(tr.date)}${tr.amount ? ` (${escHtml(tr.amount)})` : ""}`).join("<br>")}</p>
+      </div>`).join("")}`;
+}
+
+function complianceLabel(record) {
+  if (!record || !record.filings) return "-";
+  return `${record.late} of ${record.filings} late`;
+}
+
+// Rows come from the cron's analysis.lateFilings.
+function lateFilersSection(c, analysis) {
+  const rows = analysis.lateFilings || [];
+  if (rows.length === 0) return "";
+  return `
+    ${c.sectionHeading("Late Filers", "late")}
+    <p style="color:${c.theme.muted};font-size:12px;margin:-8px 0 12px 0;">Disclosed more than 45 days after the trade, past the STOCK Act deadline.</p>
+    ${c.dataTable([
+    { label: "Member", style: c.strong, cell: c.memberLabel },
+    { label: "Ticker", style: "", cell: (r) => `${c.tickerPill(r.ticker)} ${c.transactionLabel(r.transaction)}` },
+    { label: "Traded", cell: (r) => escHtml(r.tradeDate) },
+    { label: "Filed", cell: (r) => escHtml(r.filingDate) },
+    { label: "Delay", style: `color:${c.theme.late};font-weight:700;`, cell: (r) => `${r.delayDays} days` },
+    { label: "Record", cell: (r) => escHtml(complianceLabel(r.record)) },
+  ], rows)}`;
+}
+
+function otherTradesSection(c, analysis) {
+  const rows = analysis.otherTrades || [];
+  return `
+    ${c.sectionHeading("Other Trades")}
+    ${rows.length > 0 ? c.tradeTable(rows) : c.emptyState("No additional trades to report today.")}`;
+}
+
+function watchlistSection(c, recipient) {
+  if (isEmptyWatchlist(recipient.watchlist)) return "";
+  const t = c.theme;
+  const matches = recipient.watchlistTrades || [];
+  return `
+    <h2 style="color:${t.warning};font-size:14px;font-weight:800;letter-spacing:2px;text-transform:uppercase;margin:0 0 4px 0;">Your Watchlist</h2>
+    <p style="color:${t.faint};font-size:11px;margin:0 0 12px 0;padding-bottom:8px;border-bottom:1px solid ${t.border};">${escHtml(describeWatchlist(recipient.watchlist))}</p>
+    ${matches.length > 0 ? c.tradeTable(tradesToTableRows(matches)) : c.emptyState("Nothing on your watchlist in today's filings.")}
+    <div style="height:28px;"></div>`;
+}
+
+function noticesSection(c, analysis, sources) {
+  const notices = [];
+  const unreachable = sourcesNotice(sources);
+  if (unreachable) notices.push(c.noticeBox(escHtml(unreachable), "error"));
+  if (analysis.fallback) {
+    notices.push(c.noticeBox("AI analysis was unavailable today. Alerts below were ranked automatically by trade size, member prominence and ticker clustering."));
+  }
+  return notices.map((n) => `
+    ${n}`).join("");
+}
+
+// `sources` are the per-source reports from lib/sources (failed ones carry
+// `error`). `recipient` personalizes the email: { email, unsubscribeUrl } for
+// the footer, and { watchlist, watchlistTrades } for the pinned watchlist
+// section.
+function buildEmailHtml(analysis, itemCount, sources, recipient = {}, { theme, now = new Date() } = {}) {
+  const c = createComponents(resolveTheme(theme));
+  return c.shell({
+    tagline: "Daily Insider Trading Intelligence",
+    meta: `${formatLongDate(now)} | ${itemCount} data points analyzed`,
+    recipient,
+    body: [
+      noticesSection(c, analysis, sources),
+      watchlistSection(c, recipient),
+      analysis.marketNote ? `
+    ${c.calloutBox("MARKET PULSE", analysis.marketNote)}` : "",
+      highAlertsSection(c, analysis),
+      signalsSection(c, analysis),
+      lateFilersSection(c, analysis),
+      otherTradesSection(c, analysis),
+    ].join(""),
+  });
+}
+
+// ---------------------------------------------------------------------------
+// WEEKLY / MONTHLY DIGEST
+// ---------------------------------------------------------------------------
+
+function netTable(c, label, field, groups) {
+  const t = c.theme;
+  return c.dataTable([
+    { label, style: c.strong, cell: (g) => escHtml(g[field]) },
+    { label: "Buys", cell: (g) => String(g.buys) },
+    { label: "Sells", cell: (g) => String(g.sells) },
+    { label: "Net", style: "", cell: (g) => `<span style="color:${g.net >= 0 ? t.buy : t.sell};font-weight:700;">${g.net > 0 ? "+" : ""}${g.net}</span>` },
+    { label: "Est. Net $", cell: (g) => escHtml(formatUsd(g.netVolume, { signed: true })) },
+  ], groups);
+}
+
+// `digest` comes from lib/digest.js buildDigest().
+function buildDigestHtml(digest, recipient = {}, { theme } = {}) {
+  const c = createComponents(resolveTheme(theme));
+  const { totals } = digest;
+  const tagline = EDITIONS[digest.edition].tagline;
+  const meta = `${digest.period.label} | ${totals.trades} disclosed trades by ${totals.politicians} members`;
+
+  if (totals.trades === 0) {
+    return c.shell({ title: digest.title, tagline, meta, recipient, body: `
+    ${c.emptyState("No congressional trades were disclosed in this period.")}` });
+  }
+
+  const section = (title, html, tone, first) => `
+    ${c.sectionHeading(title, tone, { first })}
+    ${html}`;
+
+  const body = [
+    `
+    ${c.calloutBox("AT A GLANCE", `${totals.buys} buys and ${totals.sells} sells across ${totals.tickers} tickers. ${totals.late} filed past the 45-day STOCK Act deadline.`)}`,
+    section("Most-Traded Tickers", c.dataTable([
+      { label: "Ticker", style: "", cell: (g) => c.tickerPill(g.ticker) },
+      { label: "Trades", cell: (g) => String(g.trades) },
+      { label: "Members", cell: (g) => String(g.members) },
+      { label: "Buys / Sells", cell: (g) => `${g.buys} / ${g.sells}` },
+    ], digest.topTickers), "accent", true),
+    section("Most Active Politicians", c.dataTable([
+      { label: "Member", style: c.strong, cell: c.memberLabel },
+      { label: "Trades", cell: (g) => String(g.trades) },
+      { label: "Buys / Sells", cell: (g) => `${g.buys} / ${g.sells}` },
+    ], digest.topPoliticians)),
+    section("Net Buying by Party", netTable(c, "Party", "party", digest.byParty)),
+    section("Net Buying by Chamber", netTable(c, "Chamber", "chamber", digest.byChamber)),
+    section("Largest Disclosed Trades", c.tradeTable(tradesToTableRows(digest.largest)), "alert"),
+    section("Slowest Filers", digest.slowestFilers.length > 0 ? c.dataTable([
+      { label: "Member", style: c.strong, cell: c.memberLabel },
+      { label: "Filings", cell: (f) => String(f.filings) },
+      { label: "Avg Delay", cell: (f) => `${f.avgDelayDays} days` },
+      { label: "Longest", cell: (f) => `${f.maxDelayDays} days` },
+    ], digest.slowestFilers) : c.emptyState("No filings with both a trade and a disclosure date."), "warning"),
+    digest.slowestFilings.length > 0 ? section("Slowest Filings", c.dataTable([
+      { label: "Member", style: c.strong, cell: c.memberLabel },
+      { label: "Ticker", style: "", cell: (r) => c.tickerPill(r.ticker) },
+      { label: "Traded", cell: (r) => escHtml(r.tradeDate) },
+      { label: "Filed", cell: (r) => escHtml(r.filingDate) },
+      { label: "Delay", cell: (r) => `${r.delayDays} days` },
+    ], digest.slowestFilings), "warning") : "",
+  ].join("");
+
+  return c.shell({ title: digest.title, tagline, meta, recipient, body });
+}
+
+module.exports = {
+  SIGNAL_LABELS,
+  formatLongDate,
+  complianceLabel,
+  buildEmailHtml,
+  buildDigestHtml,
+};
@@ -0,0 +1,49 @@
+// =============================================================================
+// POLITICAL ALPHA — Email Rendering
+// =============================================================================
+// One call for every place that shows an issue (the email channel, the
+// archive, previews): renderEmail() returns both the HTML and the plain-text
+// version of a briefing or digest payload, which go out together as one
+// multipart/alternative message.
+//
+//   lib/render/themes.js       color palettes: dark, light, high-contrast
+//   lib/render/components.js   HTML building blocks for a theme
+//   lib/render/html.js         briefing and digest pages
+//   lib/render/text.js         the same, as plain text
+// =============================================================================
+
+const { DEFAULT_THEME, THEMES, resolveTheme } = require("./themes");
+const { buildEmailHtml, buildDigestHtml } = require("./html");
+const { buildEmailText, buildDigestText } = require("./text");
+
+// The theme configured for outgoing email (EMAIL_THEME), as a name.
+function emailTheme(env = process.env) {
+  return resolveTheme(env.EMAIL_THEME).name;
+}
+
+// `payload` is a cron briefing or digest payload; `recipient` as for
+// buildEmailHtml(). The masthead date is the payload's generation time.
+function renderEmail(payload, recipient = {}, { theme } = {}) {
+  if (payload.type === "digest") {
+    return { html: buildDigestHtml(payload.digest, recipient, { theme }), text: buildDigestText(payload.digest, recipient) };
+  }
+  const now = payload.generatedAt ? new Date(payload.generatedAt) : new Date();
+  // Issues saved before the payload carried every source report only list the failures.
+  const sources = payload.sources || payload.errors || [];
+  return {
+    html: buildEmailHtml(payload.analysis, payload.itemCount, sources, recipient, { theme, now }),
+    text: buildEmailText(payload.analysis, payload.itemCount, sources, recipient, { now }),
+  };
+}
+
+module.exports = {
+  DEFAULT_THEME,
+  THEMES,
+  resolveTheme,
+  emailTheme,
+  renderEmail,
+  buildEmailHtml,
+  buildDigestHtml,
+  buildEmailText,
+  buildDigestText,
+};
@@ -0,0 +1,244 @@
+// =============================================================================
+// POLITICAL ALPHA — Plain-Text Email Renderer
+// =============================================================================
+// The text/plain part sent alongside the HTML email (lib/render/html.js):
+// the same sections in the same order, with headings underlined, paragraphs
+// wrapped at 72 columns and tables padded into columns for monospaced
+// clients. Takes the same arguments as the HTML renderer, minus the theme.
+// =============================================================================
+
+const { tradesToTableRows, formatChangePct } = require("../trades");
+const { isEmptyWatchlist, describeWatchlist } = require("../watchlist");
+const { EDITIONS } = require("../digest");
+const { describeConflict } = require("../committees");
+const { formatUsd, sourcesNotice } = require("../channels/format");
+const { SIGNAL_LABELS, formatLongDate, complianceLabel } = require("./html");
+
+const WIDTH = 72;
+
+// ---------------------------------------------------------------------------
+// BUILDING BLOCKS
+// ---------------------------------------------------------------------------
+
+function wrap(text, width = WIDTH, indent = "") {
+  const lines = [];
+  let line = "";
+  for (const word of String(text || "").split(/\s+/).filter(Boolean)) {
+    if (line && (indent + line + " " + word).length > width) {
+      lines.push(indent + line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+  if (line) lines.push(indent + line);
+  return lines.join("\n");
+}
+
+function heading(title) {
+  const upper = title.toUpperCase();
+  return `${upper}\n${"=".repeat(upper.length)}`;
+}
+
+// `columns` are { label, cell(row) } where cell returns a string. Columns are
+// padded to their widest cell; the last one is left ragged.
+function textTable(columns, rows) {
+  const cells = rows.map((row) => columns.map((c) => String(c.cell(row))));
+  const widths = columns.map((c, i) => Math.max(c.label.length, ...cells.map((r) => r[i].length)));
+  const line = (values) => values.map((v, i) => (i === values.length - 1 ? v : v.padEnd(widths[i]))).join("  ").trimEnd();
+  return [
+    line(columns.map((c) => c.label.toUpperCase())),
+    line(widths.map((w) => "-".repeat(w))),
+    ...cells.map(line),
+  ].join("\n");
+}
+
+function performanceText(performance) {
+  if (!performance) return "-";
+  const { tradePrice, latestPrice, changePct } = performance;
+  return `${formatChangePct(changePct)} ($${tradePrice.toFixed(2)} -> $${latestPrice.toFixed(2)})`;
+}
+
+function memberText(m) {
+  const tags = [m.party, m.chamber].filter(Boolean).join("-");
+  return `${m.entity}${tags ? ` (${tags})` : ""}`;
+}
+
+// Same flags as the HTML badges, in brackets after the name.
+function flagsText({ sources, amended, late, conflict }) {
+  const flags = [];
+  if (sources && sources.length > 1) flags.push(`confirmed by ${sources.length} sources`);
+  if (amended) flags.push("amended");
+  if (late) flags.push("late");
+  if (conflict) flags.push("committee conflict");
+  return flags.length > 0 ? ` [${flags.join(", ")}]` : "";
+}
+
+// Headlines and their links, one per line; `label` prefixes each (used to
+// say which table row a headline belongs to).
+function coverageText(coverage, label = "") {
+  return (coverage || []).map((item) => wrap(`${label}${item.title}${item.publisher ? ` (${item.publisher})` : ""}${item.link ? ` ${item.link}` : ""}`, WIDTH, "    ").replace(/^ {4}/, "  - ")).join("\n");
+}
+
+// Tables can't hold links, so row coverage is listed underneath.
+function tradeTableText(rows) {
+  const columns = [
+    { label: "Date", cell: (r) => r.date || "-" },
+    { label: "Entity", cell: (r) => `${r.entity || "-"}${flagsText(r)}` },
+    { label: "Ticker", cell: (r) => `$${r.ticker || "-"}` },
+    { label: "Type", cell: (r) => r.transaction || "-" },
+    { label: "Amount", cell: (r) => r.amount || "-" },
+  ];
+  if (rows.some((r) => r.performance)) columns.push({ label: "Since Trade", cell: (r) => performanceText(r.performance) });
+  const coverage = rows.filter((r) => r.coverage && r.coverage.length > 0)
+    .map((r) => coverageText(r.coverage, `$${r.ticker} ${r.entity}: `));
+  return textTable(columns, rows) + (coverage.length > 0 ? `\n\nRelated coverage:\n${coverage.join("\n")}` : "");
+}
+
+// Masthead, sections separated by blank lines, disclaimer and unsubscribe.
+function textShell({ tagline, meta, sections, recipient = {} }) {
+  const footer = [
+    "Political Alpha - Automated financial intelligence",
+    wrap("This is not financial advice. Data sourced from public STOCK Act filings and news. Always do your own research."),
+  ];
+  if (recipient.unsubscribeUrl) footer.push(`Sent to ${recipient.email}. Unsubscribe: ${recipient.unsubscribeUrl}`);
+  return [
+    `POLITICAL ALPHA\n${tagline}\n${meta}`,
+    recipient.viewUrl ? `View it in your browser: ${recipient.viewUrl}` : "",
+    ...sections,
+    `${"-".repeat(WIDTH)}\n${footer.join("\n")}`,
+  ].filter(Boolean).join("\n\n") + "\n";
+}
+
+// ---------------------------------------------------------------------------
+// DAILY BRIEFING
+// ---------------------------------------------------------------------------
+
+function alertText(alert, i) {
+  const lines = [
+    `#${i + 1} ${alert.title}`,
+    `$${alert.ticker || "N/A"} ${alert.transaction || "N/A"} - ${alert.entity || "Unknown"}${flagsText(alert)}`,
+    wrap(alert.summary),
+  ];
+  if (alert.conflict) lines.push(wrap(`Potential conflict: ${describeConflict(alert.conflict)}`));
+  if (alert.performance) lines.push(`Since the trade: ${performanceText(alert.performance)}`);
+  if (alert.coverage && alert.coverage.length > 0) lines.push(`Related coverage:\n${coverageText(alert.coverage)}`);
+  return lines.join("\n");
+}
+
+function signalText(signal) {
+  return [
+    wrap(`[${SIGNAL_LABELS[signal.type] || signal.type}, score ${signal.score}] ${signal.headline}`),
+    ...signal.trades.map((t) => `  - ${t.entity} ${t.transaction} ${t.date}${t.amount ? ` (${t.amount})` : ""}`),
+  ].join("\n");
+}
+
+function buildEmailText(analysis, itemCount, sources, recipient = {}, { now = new Date() } = {}) {
+  const sections = [];
+
+  const unreachable = sourcesNotice(sources);
+  if (unreachable) sections.push(wrap(`! ${unreachable}`));
+  if (analysis.fallback) sections.push(wrap("! AI analysis was unavailable today. Alerts below were ranked automatically by trade size, member prominence and ticker clustering."));
+
+  if (!isEmptyWatchlist(recipient.watchlist)) {
+    const matches = recipient.watchlistTrades || [];
+    sections.push(`${heading("Your Watchlist")}\n${wrap(describeWatchlist(recipient.watchlist))}\n\n${matches.length > 0 ? tradeTableText(tradesToTableRows(matches)) : "Nothing on your watchlist in today's filings."}`);
+  }
+
+  if (analysis.marketNote) sections.push(`${heading("Market Pulse")}\n${wrap(analysis.marketNote)}`);
+
+  const alerts = analysis.highAlerts || [];
+  sections.push(`${heading("High Trade Alerts")}\n${alerts.length > 0 ? alerts.map(alertText).join("\n\n") : "No high-priority trades detected in the last 24 hours."}`);
+
+  const signals = analysis.signals || [];
+  if (signals.length > 0) sections.push(`${heading("Signals")}\n${signals.map(signalText).join("\n\n")}`);
+
+  const late = analysis.lateFilings || [];
+  if (late.length > 0) {
+    sections.push(`${heading("Late Filers")}\nDisclosed more than 45 days after the trade, past the STOCK Act deadline.\n\n${textTable([
+      { label: "Member", cell: memberText },
+      { label: "Ticker", cell: (r) => `$${r.ticker} ${r.transaction}` },
+      { label: "Traded", cell: (r) => r.tradeDate },
+      { label: "Filed", cell: (r) => r.filingDate },
+      { label: "Delay", cell: (r) => `${r.delayDays} days` },
+      { label: "Record", cell: (r) => complianceLabel(r.record) },
+    ], late)}`);
+  }
+
+  const rows = analysis.otherTrades || [];
+  sections.push(`${heading("Other Trades")}\n${rows.length > 0 ? tradeTableText(rows) : "No additional trades to report today."}`);
+
+  return textShell({
+    tagline: "Daily Insider Trading Intelligence",
+    meta: `${formatLongDate(now)} | ${itemCount} data points analyzed`,
+    sections,
+    recipient,
+  });
+}
+
+// ---------------------------------------------------------------------------
+// WEEKLY / MONTHLY DIGEST
+// ---------------------------------------------------------------------------
+
+function netTableText(label, field, groups) {
+  return textTable([
+    { label, cell: (g) => g[field] },
+    { label: "Buys", cell: (g) => g.buys },
+    { label: "Sells", cell: (g) => g.sells },
+    { label: "Net", cell: (g) => `${g.net > 0 ? "+" : ""}${g.net}` },
+    { label: "Est. Net $", cell: (g) => formatUsd(g.netVolume, { signed: true }) },
+  ], groups);
+}
+
+function buildDigestText(digest, recipient = {}) {
+  const { totals } = digest;
+  const tagline = EDITIONS[digest.edition].tagline;
+  const meta = `${digest.period.label} | ${totals.trades} disclosed trades by ${totals.politicians} members`;
+
+  if (totals.trades === 0) {
+    return textShell({ tagline, meta, recipient, sections: ["No congressional trades were disclosed in this period."] });
+  }
+
+  const section = (title, body) => `${heading(title)}\n${body}`;
+  const sections = [
+    section("At a Glance", wrap(`${totals.buys} buys and ${totals.sells} sells across ${totals.tickers} tickers. ${totals.late} filed past the 45-day STOCK Act deadline.`)),
+    section("Most-Traded Tickers", textTable([
+      { label: "Ticker", cell: (g) => `$${g.ticker}` },
+      { label: "Trades", cell: (g) => g.trades },
+      { label: "Members", cell: (g) => g.members },
+      { label: "Buys / Sells", cell: (g) => `${g.buys} / ${g.sells}` },
+    ], digest.topTickers)),
+    section("Most Active Politicians", textTable([
+      { label: "Member", cell: memberText },
+      { label: "Trades", cell: (g) => g.trades },
+      { label: "Buys / Sells", cell: (g) => `${g.buys} / ${g.sells}` },
+    ], digest.topPoliticians)),
+    section("Net Buying by Party", netTableText("Party", "party", digest.byParty)),
+    section("Net Buying by Chamber", netTableText("Chamber", "chamber", digest.byChamber)),
+    section("Largest Disclosed Trades", tradeTableText(tradesToTableRows(digest.largest))),
+    section("Slowest Filers", digest.slowestFilers.length > 0 ? textTable([
+      { label: "Member", cell: memberText },
+      { label: "Filings", cell: (f) => f.filings },
+      { label: "Avg Delay", cell: (f) => `${f.avgDelayDays} days` },
+      { label: "Longest", cell: (f) => `${f.maxDelayDays} days` },
+    ], digest.slowestFilers) : "No filings with both a trade and a disclosure date."),
+  ];
+  if (digest.slowestFilings.length > 0) {
+    sections.push(section("Slowest Filings", textTable([
+      { label: "Member", cell: memberText },
+      { label: "Ticker", cell: (r) => `$${r.ticker}` },
+      { label: "Traded", cell: (r) => r.tradeDate },
+      { label: "Filed", cell: (r) => r.filingDate },
+      { label: "Delay", cell: (r) => `${r.delayDays} days` },
+    ], digest.slowestFilings)));
+  }
+
+  return textShell({ tagline, meta, sections, recipient });
+}
+
+module.exports = {
+  wrap,
+  textTable,
+  buildEmailText,
+  buildDigestText,
+};
@@ -0,0 +1,145 @@
+// =============================================================================
+// POLITICAL ALPHA — Email Themes
+// =============================================================================
+// Every color the HTML renderer uses comes from one of these palettes, so a
+// theme is a single object rather than a search-and-replace over the markup.
+// Chosen with EMAIL_THEME (dark by default); previews take ?theme= or
+// --theme. Badge tones are { background, color } pairs.
+// =============================================================================
+
+const DEFAULT_THEME = "dark";
+
+const THEMES = {
+  dark: {
+    name: "dark",
+    background: "#0a0a14",
+    surface: "#12121f",
+    raised: "#1a1a2e",
+    callout: "#16213e",
+    footer: "#0f0f1a",
+    border: "#1a1a2e",
+    masthead: "linear-gradient(135deg,#0f3460 0%,#1a1a2e 50%,#16213e 100%)",
+    tableHead: "#0f3460",
+    tableHeadText: "#00d2ff",
+    heading: "#ffffff",
+    text: "#ccd6f6",
+    muted: "#8892b0",
+    faint: "#4a5568",
+    fainter: "#3a3a5c",
+    accent: "#00d2ff",
+    alert: "#e94560",
+    alertText: "#ffffff",
+    buy: "#00ff88",
+    sell: "#ff4757",
+    late: "#ff6b81",
+    warning: "#ffc107",
+    conflict: "#c792ea",
+    pill: { background: "#0f3460", color: "#00d2ff" },
+    badges: {
+      confirmed: { background: "#123524", color: "#00ff88" },
+      amended: { background: "#3d2e00", color: "#ffc107" },
+      late: { background: "#3d1420", color: "#ff6b81" },
+      conflict: { background: "#2e1a3d", color: "#c792ea" },
+      signal: { background: "#3d2e00", color: "#ffc107" },
+    },
+    notices: {
+      error: { background: "#2d1b1b", border: "#e94560", color: "#ff6b6b" },
+      info: { background: "#1f1d2e", border: "#8892b0", color: "#8892b0" },
+    },
+  },
+
+  light: {
+    name: "light",
+    background: "#f4f5f7",
+    surface: "#ffffff",
+    raised: "#ffffff",
+    callout: "#e8f1fb",
+    footer: "#eceef2",
+    border: "#dfe3ea",
+    masthead: "linear-gradient(135deg,#ffffff 0%,#eef2f8 100%)",
+    tableHead: "#e8edf5",
+    tableHeadText: "#0b4f9c",
+    heading: "#111827",
+    text: "#1f2937",
+    muted: "#4b5563",
+    faint: "#6b7280",
+    fainter: "#6b7280",
+    accent: "#0b63c5",
+    alert: "#c81e4a",
+    alertText: "#ffffff",
+    buy: "#0f7a43",
+    sell: "#c62828",
+    late: "#b0173a",
+    warning: "#8a5a00",
+    conflict: "#6b2fb3",
+    pill: { background: "#e3edfb", color: "#0b4f9c" },
+    badges: {
+      confirmed: { background: "#dcf5e7", color: "#0f6e3c" },
+      amended: { background: "#fff4d6", color: "#8a5a00" },
+      late: { background: "#fde2e7", color: "#b0173a" },
+      conflict: { background: "#efe4fb", color: "#6b2fb3" },
+      signal: { background: "#fff4d6", color: "#8a5a00" },
+    },
+    notices: {
+      error: { background: "#fdecef", border: "#c81e4a", color: "#9b1239" },
+      info: { background: "#f0f2f5", border: "#9ca3af", color: "#4b5563" },
+    },
+  },
+
+  // Pure black and white with saturated accents; every text color keeps at
+  // least a 7:1 contrast ratio (WCAG AAA) against the black background.
+  "high-contrast": {
+    name: "high-contrast",
+    background: "#000000",
+    surface: "#000000",
+    raised: "#000000",
+    callout: "#000000",
+    footer: "#000000",
+    border: "#ffffff",
+    masthead: "#000000",
+    tableHead: "#ffffff",
+    tableHeadText: "#000000",
+    heading: "#ffffff",
+    text: "#ffffff",
+    muted: "#e0e0e0",
+    faint: "#d0d0d0",
+    fainter: "#d0d0d0",
+    accent: "#00ffff",
+    alert: "#ffff00",
+    alertText: "#000000",
+    buy: "#00ff00",
+    sell: "#ff8080",
+    late: "#ff8080",
+    warning: "#ffff00",
+    conflict: "#ff80ff",
+    pill: { background: "#000000", color: "#00ffff" },
+    badges: {
+      confirmed: { background: "#00ff00", color: "#000000" },
+      amended: { background: "#ffff00", color: "#000000" },
+      late: { background: "#ff8080", color: "#000000" },
+      conflict: { background: "#ff80ff", color: "#000000" },
+      signal: { background: "#ffff00", color: "#000000" },
+    },
+    notices: {
+      error: { background: "#000000", border: "#ffff00", color: "#ffff00" },
+      info: { background: "#000000", border: "#ffffff", color: "#ffffff" },
+    },
+  },
+};
+
+// Accepts a theme name or a theme object; unknown names fall back to dark.
+function resolveTheme(theme) {
+  if (theme && typeof theme === "object") return theme;
+  const name = String(theme || DEFAULT_THEME).toLowerCase();
+  if (!THEMES[name]) {
+    console.warn(`[Render] Unknown theme "${theme}", using ${DEFAULT_THEME}`);
+    return THEMES[DEFAULT_THEME];
+  }
+  return THEMES[name];
+}
+
+module.exports = {
+  DEFAULT_THEME,
+  THEMES,
+  resolveTheme,
+};
@@ -0,0 +1,36 @@
+// =============================================================================
+// POLITICAL ALPHA — Ticker → Sector Map
+// =============================================================================
+// GICS sector names, which is what Capitol Trades reports. Trades from other
+// sources carry no sector, so they are looked up in the bundled map in
+// data/ticker-sectors.json (sector → tickers, edit by hand). A ticker that is
+// not listed has no sector and never counts as a committee conflict.
+//
+// The same file lists defense and intelligence contractors by hand. No GICS
+// sector singles them out (Palantir is Information Technology, Lockheed
+// Industrials), so the security committees match on this list instead.
+// =============================================================================
+
+const dataset = require("../data/ticker-sectors.json");
+
+const TICKER_SECTORS = {};
+for (const [sector, tickers] of Object.entries(dataset.sectors)) {
+  for (const ticker of tickers) TICKER_SECTORS[ticker] = sector;
+}
+
+const DEFENSE_TICKERS = new Set(dataset.defense);
+
+function sectorOf(trade) {
+  return trade.sector || TICKER_SECTORS[trade.ticker] || "";
+}
+
+function isDefenseContractor(trade) {
+  return DEFENSE_TICKERS.has(trade.ticker);
+}
+
+module.exports = {
+  TICKER_SECTORS,
+  DEFENSE_TICKERS,
+  sectorOf,
+  isDefenseContractor,
+};
@@ -0,0 +1,245 @@
+// =============================================================================
+// POLITICAL ALPHA — Cross-Trade Signals
+// =============================================================================
+// Patterns that only show up when trades are read together, over today's
+// filings and the stored trade history (lib/history.js):
+//
+//   cluster    several members traded the same ticker in the same direction
+//              within SIGNAL_WINDOW_DAYS
+//   insider    a congressional trade and a corporate insider trade in the
+//              same ticker and direction within SIGNAL_WINDOW_DAYS
+//   reversal   a member traded against their own position in the ticker
+//              from the last SIGNAL_REVERSAL_DAYS
+//
+// A signal is only reported when one of today's trades is part of it, so
+// yesterday's cluster does not come back every morning. Each one carries a
+// score (higher is stronger) and is handed to the analyzer and the email's
+// Signals section:
+//
+//   { type, ticker, transaction, score, headline, members, insiders,
+//     spanDays, trades: [{ entity, kind, transaction, amount, date }] }
+//
+// Env overrides: SIGNALS=cluster,insider,reversal (which detectors run),
+// SIGNAL_WINDOW_DAYS (14), SIGNAL_CLUSTER_MIN_MEMBERS (3),
+// SIGNAL_REVERSAL_DAYS (30), SIGNAL_MIN_SCORE (0), SIGNAL_MAX (5).
+// =============================================================================
+
+const { normalizeName } = require("./trades");
+const { tradeId } = require("./history");
+const { estimatedAmount } = require("./digest");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SIGNAL_TYPES = ["cluster", "insider", "reversal"];
+
+// ---------------------------------------------------------------------------
+// CONFIG
+// ---------------------------------------------------------------------------
+
+function parseList(value) {
+  return String(value || "").split(",").map((s) => s.trim()).filter(Boolean);
+}
+
+function numberOr(value, fallback) {
+  const n = Number(value);
+  return value !== undefined && value !== "" && Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+function resolveSignalConfig(env = process.env) {
+  const types = parseList(env.SIGNALS).filter((t) => SIGNAL_TYPES.includes(t));
+  return {
+    types: env.SIGNALS === "off" ? [] : types.length > 0 ? types : SIGNAL_TYPES.slice(),
+    windowDays: numberOr(env.SIGNAL_WINDOW_DAYS, 14),
+    clusterMinMembers: Math.max(2, numberOr(env.SIGNAL_CLUSTER_MIN_MEMBERS, 3)),
+    reversalDays: numberOr(env.SIGNAL_REVERSAL_DAYS, 30),
+    minScore: numberOr(env.SIGNAL_MIN_SCORE, 0),
+    max: numberOr(env.SIGNAL_MAX, 5),
+  };
+}
+
+// ---------------------------------------------------------------------------
+// HELPERS
+// ---------------------------------------------------------------------------
+
+function dateOf(trade) {
+  return trade.tradeDate || trade.filingDate || "";
+}
+
+function daysBetween(a, b) {
+  return Math.round(Math.abs(Date.parse(`${b}T00:00:00Z`) - Date.parse(`${a}T00:00:00Z`)) / DAY_MS);
+}
+
+// 0 for undisclosed up to 5 for seven-figure totals.
+function sizeScore(trades) {
+  const total = trades.reduce((n, t) => n + estimatedAmount(t), 0);
+  if (total <= 0) return 0;
+  return Math.min(5, Math.max(1, Math.round(Math.log10(total) - 3)));
+}
+
+// Entity names once per person, in the first spelling seen.
+function distinctEntities(trades) {
+  const byName = new Map();
+  for (const t of trades) if (!byName.has(normalizeName(t.entity))) byName.set(normalizeName(t.entity), t.entity);
+  return [...byName.values()];
+}
+
+function spanLabel(days) {
+  return days === 0 ? "on the same day" : `within ${days} day${days === 1 ? "" : "s"}`;
+}
+
+function summarize(trade) {
+  return { entity: trade.entity, kind: trade.kind, transaction: trade.transaction, amount: trade.amount, date: dateOf(trade) };
+}
+
+const VERBS = { BUY: "bought", SELL: "sold" };
+
+// Trades of one ticker and direction, oldest first, grouped from the pool.
+function groupByTickerAndDirection(pool) {
+  const groups = new Map();
+  for (const trade of pool) {
+    if (!VERBS[trade.transaction] || !dateOf(trade)) continue;
+    const key = `${trade.ticker}|${trade.transaction}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(trade);
+  }
+  for (const trades of groups.values()) trades.sort((a, b) => dateOf(a).localeCompare(dateOf(b)));
+  return [...groups.values()];
+}
+
+// The stretch of `trades` (sorted by date) no longer than `days` that
+// contains a fresh trade and maximizes `size(window)`; null when none does.
+function bestWindow(trades, days, isFresh, size) {
+  let best = null;
+  for (let i = 0; i < trades.length; i++) {
+    let j = i;
+    while (j + 1 < trades.length && daysBetween(dateOf(trades[i]), dateOf(trades[j + 1])) <= days) j++;
+    const window = trades.slice(i, j + 1);
+    if (!window.some(isFresh)) continue;
+    if (!best || size(window) > size(best)) best = window;
+  }
+  return best;
+}
+
+// ---------------------------------------------------------------------------
+// DETECTORS
+// ---------------------------------------------------------------------------
+
+function detectClusters(groups, config, isFresh) {
+  const signals = [];
+  const memberCount = (window) => distinctEntities(window).length;
+  for (const group of groups) {
+    const congress = group.filter((t) => t.kind === "congress");
+    const window = bestWindow(congress, config.windowDays, isFresh, memberCount);
+    if (!window || memberCount(window) < config.clusterMinMembers) continue;
+    const { ticker, transaction } = window[0];
+    const members = distinctEntities(window);
+    const spanDays = daysBetween(dateOf(window[0]), dateOf(window[window.length - 1]));
+    signals.push({
+      type: "cluster",
+      ticker,
+      transaction,
+      score: 2 * members.length + sizeScore(window) + (spanDays <= 3 ? 1 : 0),
+      headline: `${members.length} members ${VERBS[transaction]} $${ticker} ${spanLabel(spanDays)}`,
+      members,
+      insiders: [],
+      spanDays,
+      trades: window.map(summarize),
+    });
+  }
+  return signals;
+}
+
+function detectInsiderAlignment(groups, config, isFresh) {
+  const signals = [];
+  const both = (window) => (window.some((t) => t.kind === "congress") && window.some((t) => t.kind === "insider") ? window.length : 0);
+  for (const group of groups) {
+    const window = bestWindow(group, config.windowDays, isFresh, both);
+    if (!window || !both(window)) continue;
+    const { ticker, transaction } = window[0];
+    const members = distinctEntities(window.filter((t) => t.kind === "congress"));
+    const insiders = distinctEntities(window.filter((t) => t.kind === "insider"));
+    const spanDays = daysBetween(dateOf(window[0]), dateOf(window[window.length - 1]));
+    signals.push({
+      type: "insider",
+      ticker,
+      transaction,
+      score: 4 + members.length + insiders.length + sizeScore(window),
+      headline: `${members.join(", ")} ${VERBS[transaction]} $${ticker} alongside insider ${transaction === "BUY" ? "buying" : "selling"} by ${insiders.join(", ")}`,
+      members,
+      insiders,
+      spanDays,
+      trades: window.map(summarize),
+    });
+  }
+  return signals;
+}
+
+function detectReversals(pool, config, isFresh) {
+  const signals = [];
+  const seen = new Set();
+  for (const trade of pool.filter((t) => isFresh(t) && t.kind === "congress" && VERBS[t.transaction] && dateOf(t))) {
+    const member = normalizeName(trade.entity);
+    const earlier = pool
+      .filter((p) => p !== trade && p.ticker === trade.ticker && normalizeName(p.entity) === member && VERBS[p.transaction] && p.transaction !== trade.transaction)
+      .filter((p) => dateOf(p) && dateOf(p) <= dateOf(trade) && daysBetween(dateOf(p), dateOf(trade)) <= config.reversalDays)
+      .sort((a, b) => dateOf(b).localeCompare(dateOf(a)));
+    const key = `${member}|${trade.ticker}`;
+    if (earlier.length === 0 || seen.has(key)) continue;
+    seen.add(key);
+    const previous = earlier[0];
+    const spanDays = daysBetween(dateOf(previous), dateOf(trade));
+    signals.push({
+      type: "reversal",
+      ticker: trade.ticker,
+      transaction: trade.transaction,
+      score: 3 + sizeScore([trade]) + (spanDays <= 7 ? 2 : 0),
+      headline: `${trade.entity} ${VERBS[trade.transaction]} $${trade.ticker} ${spanDays} day${spanDays === 1 ? "" : "s"} after they ${VERBS[previous.transaction]} it`,
+      members: [trade.entity],
+      insiders: [],
+      spanDays,
+      trades: [previous, trade].map(summarize),
+    });
+  }
+  return signals;
+}
+
+// ---------------------------------------------------------------------------
+// DETECTION
+// ---------------------------------------------------------------------------
+
+// `trades` are today's briefing trades; `historyTrades` everything on record
+// (today's included or not, duplicates are dropped). Returns signals
+// strongest first, at most config.max.
+function detectSignals(trades, historyTrades = [], { config = resolveSignalConfig() } = {}) {
+  if (config.types.length === 0 || trades.length === 0) return [];
+  const fresh = new Set(trades.map(tradeId));
+  const byId = new Map();
+  for (const trade of [...trades, ...historyTrades]) {
+    const id = tradeId(trade);
+    if (!byId.has(id)) byId.set(id, trade);
+  }
+  const pool = [...byId.values()];
+  const isFresh = (t) => fresh.has(tradeId(t));
+  const groups = groupByTickerAndDirection(pool);
+
+  const signals = [
+    ...(config.types.includes("cluster") ? detectClusters(groups, config, isFresh) : []),
+    ...(config.types.includes("insider") ? detectInsiderAlignment(groups, config, isFresh) : []),
+    ...(config.types.includes("reversal") ? detectReversals(pool, config, isFresh) : []),
+  ];
+  return signals
+    .filter((s) => s.score >= config.minScore)
+    .sort((a, b) => b.score - a.score || a.ticker.localeCompare(b.ticker))
+    .slice(0, config.max);
+}
+
+// Whether `trade` is one of the trades behind `signal`.
+function signalIncludes(signal, trade) {
+  return signal.ticker === trade.ticker && signal.trades.some((t) => normalizeName(t.entity) === normalizeName(trade.entity) && t.transaction === trade.transaction);
+}
+
+module.exports = {
+  SIGNAL_TYPES,
+  resolveSignalConfig,
+  detectSignals,
+  signalIncludes,
+};
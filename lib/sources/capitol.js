@@ -0,0 +1,114 @@
+// =============================================================================
+// SOURCE: Capitol Trades
+// =============================================================================
+// Capitol Trades uses a backend-for-frontend (BFF) API that returns JSON.
+// No auth needed. Returns politician names, tickers, dates, amounts, prices.
+// When the API is down the public /trades page is tried instead, reading the
+// Next.js __NEXT_DATA__ payload embedded in it.
+// =============================================================================
+
+const { createTrade } = require("../trades");
+
+const BROWSER_UA = "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/125.0.0.0 Safari/537.36";
+
+// "information-technology" → "Information Technology"
+function sectorLabel(slug) {
+  return String(slug || "").split(/[-_\s]+/).filter(Boolean).map((w) => w[0].toUpperCase() + w.slice(1)).join(" ");
+}
+
+// Maps a Capitol Trades API/page trade object onto the canonical record.
+function capitolTradeToRecord(trade) {
+  const politician = trade.politician || {};
+  const issuer = trade.issuer || {};
+  const size = trade.size || trade.txAmount || trade.value || "";
+  return createTrade({
+    kind: "congress",
+    entity: [politician.firstName, politician.lastName].filter(Boolean).join(" "),
+    role: politician.chamber === "senate" ? "Senator" : politician.chamber === "house" ? "Representative" : "",
+    party: politician.party,
+    chamber: politician.chamber,
+    ticker: issuer.ticker || issuer.issuerTicker,
+    issuer: issuer.name || issuer.issuerName,
+    sector: sectorLabel(issuer.sector),
+    transaction: trade.txType || trade.type,
+    amount: typeof size === "number" ? `$${size.toLocaleString("en-US")}` : size,
+    price: trade.price,
+    owner: trade.owner,
+    tradeDate: trade.txDate || trade.tradedDate,
+    filingDate: trade.pubDate || trade.publishedDate,
+    source: "Capitol Trades",
+    sourceUrl: trade._txId ? `https://www.capitoltrades.com/trades/${trade._txId}` : "https://www.capitoltrades.com/trades",
+  });
+}
+
+async function fetchCapitolTrades({ signal, fetch = globalThis.fetch } = {}) {
+  const trades = [];
+  let json;
+  try {
+    const resp = await fetch("https://bff.capitoltrades.com/trades?page=1&pageSize=25&sortBy=-publishedDate", {
+      headers: {
+        "User-Agent": BROWSER_UA,
+        "Accept": "application/json",
+        "Origin": "https://www.capitoltrades.com",
+        "Referer": "https://www.capitoltrades.com/",
+      },
+      signal,
+    });
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+    json = await resp.json();
+  } catch (err) {
+    console.warn(`[CapitolTrades] API error: ${err.message}`);
+    if (signal && signal.aborted) throw err;
+    return await fetchCapitolTradesFallback({ signal, fetch, reason: err.message });
+  }
+
+  const data = json.data || json || [];
+  for (const trade of (Array.isArray(data) ? data : [])) {
+    try {
+      trades.push(capitolTradeToRecord(trade));
+    } catch (e) { /* skip unparseable trade */ }
+  }
+
+  console.log(`[CapitolTrades] ${trades.length} trades from API`);
+  return trades;
+}
+
+// Fallback: try the HTML page and extract from rendered table
+async function fetchCapitolTradesFallback({ signal, fetch = globalThis.fetch, reason = "" } = {}) {
+  const trades = [];
+  const resp = await fetch("https://www.capitoltrades.com/trades", {
+    headers: {
+      "User-Agent": BROWSER_UA,
+      "Accept": "text/html",
+    },
+    signal,
+  });
+  if (!resp.ok) throw new Error(`API ${reason || "failed"}; page HTTP ${resp.status}`);
+
+  const html = await resp.text();
+
+  // Log a snippet for debugging
+  console.log("[CapitolTrades Fallback] HTML length:", html.length);
+  console.log("[CapitolTrades Fallback] First 500 chars:", html.substring(0, 500));
+
+  // Try to find embedded JSON data (Next.js __NEXT_DATA__ or similar)
+  const nextDataMatch = html.match(/<script[^>]*id="__NEXT_DATA__"[^>]*>([\s\S]*?)<\/script>/);
+  if (nextDataMatch) {
+    try {
+      const nextData = JSON.parse(nextDataMatch[1]);
+      const tradeList = nextData?.props?.pageProps?.trades?.data || [];
+      for (const trade of tradeList.slice(0, 25)) {
+        trades.push(capitolTradeToRecord(trade));
+      }
+    } catch (e) { /* JSON parse failed */ }
+  }
+
+  console.log(`[CapitolTrades Fallback] ${trades.length} trades`);
+  return trades;
+}
+
+module.exports = {
+  capitolTradeToRecord,
+  fetchCapitolTrades,
+  fetchCapitolTradesFallback,
+};
@@ -0,0 +1,318 @@
+// =============================================================================
+// SOURCE: Official House & Senate Disclosures
+// =============================================================================
+// Primary-source STOCK Act data straight from Congress instead of scraped
+// aggregators:
+//
+//   House Clerk  Yearly ZIP index ({YEAR}FD.zip → {YEAR}FD.xml) lists every
+//                filing; Periodic Transaction Reports (FilingType "P") are
+//                PDFs under /public_disc/ptr-pdfs/{YEAR}/{DocID}.pdf.
+//   Senate eFD   efdsearch.senate.gov — accept the usage agreement, search
+//                for PTRs (report type 11), then read each HTML report.
+//
+// Network code and parsers are kept apart: every parse* function takes the
+// raw document text/bytes so it can be exercised offline against the saved
+// fixtures in test/fixtures/. The fetchers are registered as two separate
+// sources in lib/sources/index.js.
+// =============================================================================
+
+const { createTrade, toIsoDate } = require("../trades");
+const { readZipEntry } = require("../zip");
+const { extractPdfText } = require("../pdf");
+
+const HOUSE_BASE_URL = "https://disclosures-clerk.house.gov/public_disc";
+const SENATE_BASE_URL = "https://efdsearch.senate.gov";
+const USER_AGENT = "Mozilla/5.0 (compatible; PoliticalAlpha/1.0; +https://github.com/marijanpojatina2-netizen/political-alpha)";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const OWNER_CODES = { SP: "Spouse", JT: "Joint", DC: "Child" };
+
+function decodeEntities(str) {
+  return String(str || "")
+    .replace(/&amp;/g, "&").replace(/&lt;/g, "<").replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&nbsp;/g, " ");
+}
+
+function cellText(html) {
+  return decodeEntities(html.replace(/<[^>]*>/g, " ")).replace(/\s+/g, " ").trim();
+}
+
+function formatUsDate(date) {
+  const mm = String(date.getUTCMonth() + 1).padStart(2, "0");
+  const dd = String(date.getUTCDate()).padStart(2, "0");
+  return `${mm}/${dd}/${date.getUTCFullYear()}`;
+}
+
+// ---------------------------------------------------------------------------
+// HOUSE: parsers
+// ---------------------------------------------------------------------------
+
+// Parses {YEAR}FD.xml into filing index entries.
+function parseHouseIndex(xml) {
+  const filings = [];
+  for (const match of String(xml).matchAll(/<Member>([\s\S]*?)<\/Member>/gi)) {
+    const field = (name) => {
+      const m = match[1].match(new RegExp(`<${name}>([\\s\\S]*?)</${name}>`, "i"));
+      return m ? decodeEntities(m[1]).trim() : "";
+    };
+    filings.push({
+      prefix: field("Prefix"),
+      first: field("First"),
+      last: field("Last"),
+      suffix: field("Suffix"),
+      filingType: field("FilingType"),
+      stateDistrict: field("StateDst"),
+      year: field("Year"),
+      filingDate: toIsoDate(field("FilingDate")),
+      docId: field("DocID"),
+    });
+  }
+  return filings;
+}
+
+// Asset cells run into the previous row's "F S: New" / "D: ..." notes once
+// the PDF is flattened to text; keep only what follows the last note label.
+function cleanAssetName(segment) {
+  const pieces = segment.split(/\b(?:F S|S O|Filing Status|Subholding Of|D|C|Description|Comments)\s*:\s*/);
+  let name = pieces[pieces.length - 1].replace(/^(?:New|Amended)\s+/, "").trim();
+  let owner = "Self";
+  // The owner code starts the row, so anything before the last one is a
+  // leftover description line.
+  const ownerMatches = [...name.matchAll(/(?:^|\s)(SP|JT|DC)\s+/g)];
+  if (ownerMatches.length > 0) {
+    const last = ownerMatches[ownerMatches.length - 1];
+    owner = OWNER_CODES[last[1]];
+    name = name.slice(last.index + last[0].length);
+  }
+  return { owner, issuer: name.replace(/\s*-\s*$/, "").trim() };
+}
+
+const HOUSE_ROW_RE = /\(([A-Z][A-Z0-9.\-]{0,9})\)\s*\[([A-Z]{2})\]\s+(P|S \(partial\)|S|E)\s+(\d{1,2}\/\d{1,2}\/\d{4})\s+(\d{1,2}\/\d{1,2}\/\d{4})\s+(\$[\d,]+\s*-\s*\$[\d,]+|Over \$[\d,]+|Spouse\/DC Over \$[\d,]+)/g;
+
+// Parses the text of one House PTR into trade records. `filing` is the index
+// entry (name, state, filing date) the report belongs to.
+function parseHousePtrText(text, filing) {
+  const flat = String(text).replace(/\s+/g, " ");
+  const trades = [];
+  let lastEnd = 0;
+  for (const m of flat.matchAll(HOUSE_ROW_RE)) {
+    const segment = flat.slice(lastEnd, m.index).replace(/^.*\bCap\. Gains > \$200\?\s*/, "");
+    lastEnd = m.index + m[0].length;
+    const { owner, issuer } = cleanAssetName(segment);
+    trades.push(createTrade({
+      kind: "congress",
+      entity: [filing.first, filing.last].filter(Boolean).join(" "),
+      role: "Representative",
+      chamber: "House",
+      ticker: m[1],
+      issuer,
+      transaction: m[3].startsWith("S") ? "SELL" : m[3] === "P" ? "BUY" : "EXCHANGE",
+      amount: m[6].replace(/\s*-\s*/, " - "),
+      owner,
+      tradeDate: m[4],
+      filingDate: filing.filingDate || m[5],
+      source: "House Clerk",
+      sourceUrl: `${HOUSE_BASE_URL}/ptr-pdfs/${filing.year}/${filing.docId}.pdf`,
+    }));
+  }
+  return trades;
+}
+
+// ---------------------------------------------------------------------------
+// SENATE: parsers
+// ---------------------------------------------------------------------------
+
+// Parses the JSON returned by /search/report/data/ into report stubs.
+function parseSenateSearchResults(json) {
+  const rows = (json && json.data) || [];
+  return rows.map((row) => {
+    const link = String(row[3] || "");
+    const href = (link.match(/href="([^"]+)"/) || [])[1] || "";
+    return {
+      first: cellText(row[0] || ""),
+      last: cellText(row[1] || ""),
+      office: cellText(row[2] || ""),
+      title: cellText(link),
+      url: href ? new URL(href, SENATE_BASE_URL).toString() : "",
+      filingDate: toIsoDate(cellText(row[4] || "")),
+      // Paper filings are scanned images with no machine-readable table.
+      electronic: href.includes("/search/view/ptr/"),
+    };
+  });
+}
+
+// Parses one electronic Senate PTR page into trade records.
+function parseSenatePtrHtml(html, report) {
+  const trades = [];
+  const tbody = (String(html).match(/<tbody>([\s\S]*?)<\/tbody>/i) || [])[1] || "";
+  for (const row of tbody.matchAll(/<tr[^>]*>([\s\S]*?)<\/tr>/gi)) {
+    const cells = [...row[1].matchAll(/<td[^>]*>([\s\S]*?)<\/td>/gi)].map((c) => cellText(c[1]));
+    if (cells.length < 8) continue;
+    const [, txDate, owner, ticker, assetName, assetType, type, amount] = cells;
+    if (!ticker || ticker === "--") continue; // bonds, funds and other non-listed assets
+    if (assetType && !/stock|option/i.test(assetType)) continue;
+    trades.push(createTrade({
+      kind: "congress",
+      entity: [report.first, report.last].filter(Boolean).join(" "),
+      role: "Senator",
+      chamber: "Senate",
+      ticker,
+      issuer: assetName,
+      transaction: type.replace(/\s*\(.*\)$/, ""),
+      amount,
+      owner,
+      tradeDate: txDate,
+      filingDate: report.filingDate,
+      source: "Senate eFD",
+      sourceUrl: report.url,
+    }));
+  }
+  return trades;
+}
+
+// ---------------------------------------------------------------------------
+// HOUSE: fetcher
+// ---------------------------------------------------------------------------
+
+// Settings from the env the registry runs the House and Senate sources with.
+function resolveDisclosureConfig(env = process.env) {
+  return {
+    lookbackDays: Number(env.DISCLOSURE_LOOKBACK_DAYS) || 3,
+    maxReports: Number(env.DISCLOSURE_MAX_REPORTS) || 10,
+  };
+}
+
+async function fetchHouseDisclosures({ signal, fetch = globalThis.fetch, now = new Date(), env = process.env } = {}) {
+  const config = resolveDisclosureConfig(env);
+  const trades = [];
+  const year = now.getUTCFullYear();
+  const resp = await fetch(`${HOUSE_BASE_URL}/financial-pdfs/${year}FD.zip`, { headers: { "User-Agent": USER_AGENT }, signal });
+  if (!resp.ok) throw new Error(`Index HTTP ${resp.status}`);
+
+  const xml = readZipEntry(Buffer.from(await resp.arrayBuffer()), (name) => name.toLowerCase().endsWith(".xml"));
+  if (!xml) throw new Error("No XML index inside ZIP");
+
+  const cutoff = new Date(now.getTime() - config.lookbackDays * DAY_MS).toISOString().slice(0, 10);
+  const ptrs = parseHouseIndex(xml.toString("utf-8"))
+    .filter((f) => f.filingType === "P" && f.filingDate >= cutoff)
+    .sort((a, b) => b.filingDate.localeCompare(a.filingDate))
+    .slice(0, config.maxReports);
+
+  for (const filing of ptrs) {
+    try {
+      const pdfResp = await fetch(`${HOUSE_BASE_URL}/ptr-pdfs/${filing.year}/${filing.docId}.pdf`, { headers: { "User-Agent": USER_AGENT }, signal });
+      if (!pdfResp.ok) continue;
+      const text = extractPdfText(Buffer.from(await pdfResp.arrayBuffer()));
+      const parsed = parseHousePtrText(text, filing);
+      if (parsed.length === 0) console.log(`[HouseClerk] No machine-readable trades in ${filing.docId} (${filing.last})`);
+      trades.push(...parsed);
+    } catch (err) {
+      if (signal && signal.aborted) throw err;
+      console.warn(`[HouseClerk] PTR ${filing.docId} error: ${err.message}`);
+    }
+  }
+
+  console.log(`[HouseClerk] ${trades.length} trades from ${ptrs.length} PTRs`);
+  return trades;
+}
+
+// ---------------------------------------------------------------------------
+// SENATE: fetcher
+// ---------------------------------------------------------------------------
+
+// Tiny cookie jar: eFD is a Django app that needs csrftoken + sessionid.
+function collectCookies(resp, jar) {
+  const headers = typeof resp.headers.getSetCookie === "function" ? resp.headers.getSetCookie() : [resp.headers.get("set-cookie")].filter(Boolean);
+  for (const header of headers) {
+    const [pair] = header.split(";");
+    const idx = pair.indexOf("=");
+    if (idx > 0) jar[pair.slice(0, idx).trim()] = pair.slice(idx + 1).trim();
+  }
+}
+
+function cookieHeader(jar) {
+  return Object.entries(jar).map(([k, v]) => `${k}=${v}`).join("; ");
+}
+
+async function openSenateSession(signal, fetch) {
+  const jar = {};
+  const home = await fetch(`${SENATE_BASE_URL}/search/home/`, { headers: { "User-Agent": USER_AGENT }, signal });
+  if (!home.ok) throw new Error(`Home HTTP ${home.status}`);
+  collectCookies(home, jar);
+  const html = await home.text();
+  const token = (html.match(/name="csrfmiddlewaretoken"\s+value="([^"]+)"/) || [])[1];
+  if (!token) throw new Error("CSRF token not found on eFD home page");
+
+  const agree = await fetch(`${SENATE_BASE_URL}/search/home/`, {
+    method: "POST",
+    redirect: "manual",
+    headers: {
+      "User-Agent": USER_AGENT,
+      "Content-Type": "application/x-www-form-urlencoded",
+      "Referer": `${SENATE_BASE_URL}/search/home/`,
+      "Cookie": cookieHeader(jar),
+    },
+    body: new URLSearchParams({ prohibition_agreement: "1", csrfmiddlewaretoken: token }).toString(),
+    signal,
+  });
+  collectCookies(agree, jar);
+  return jar;
+}
+
+async function fetchSenateDisclosures({ signal, fetch = globalThis.fetch, now = new Date(), env = process.env } = {}) {
+  const config = resolveDisclosureConfig(env);
+  const trades = [];
+  const jar = await openSenateSession(signal, fetch);
+  const start = new Date(now.getTime() - config.lookbackDays * DAY_MS);
+  const resp = await fetch(`${SENATE_BASE_URL}/search/report/data/`, {
+    method: "POST",
+    headers: {
+      "User-Agent": USER_AGENT,
+      "Content-Type": "application/x-www-form-urlencoded",
+      "Referer": `${SENATE_BASE_URL}/search/`,
+      "X-CSRFToken": jar.csrftoken || "",
+      "Cookie": cookieHeader(jar),
+    },
+    body: new URLSearchParams({
+      start: "0",
+      length: String(config.maxReports),
+      report_types: "[11]",
+      filer_types: "[]",
+      submitted_start_date: `${formatUsDate(start)} 00:00:00`,
+      submitted_end_date: "",
+      candidate_state: "",
+      senator_state: "",
+      office_id: "",
+      first_name: "",
+      last_name: "",
+    }).toString(),
+    signal,
+  });
+  if (!resp.ok) throw new Error(`Search HTTP ${resp.status}`);
+
+  const reports = parseSenateSearchResults(await resp.json()).filter((r) => r.electronic);
+  for (const report of reports) {
+    try {
+      const page = await fetch(report.url, { headers: { "User-Agent": USER_AGENT, "Cookie": cookieHeader(jar) }, signal });
+      if (!page.ok) continue;
+      trades.push(...parseSenatePtrHtml(await page.text(), report));
+    } catch (err) {
+      if (signal && signal.aborted) throw err;
+      console.warn(`[SenateEFD] Report ${report.url} error: ${err.message}`);
+    }
+  }
+
+  console.log(`[SenateEFD] ${trades.length} trades from ${reports.length} PTRs`);
+  return trades;
+}
+
+module.exports = {
+  parseHouseIndex,
+  parseHousePtrText,
+  parseSenateSearchResults,
+  parseSenatePtrHtml,
+  resolveDisclosureConfig,
+  fetchHouseDisclosures,
+  fetchSenateDisclosures,
+};
@@ -0,0 +1,325 @@
+// =============================================================================
+// SOURCE: SEC EDGAR Form 4 Filings
+// =============================================================================
+// Corporate insiders (officers, directors, 10% owners) report every change in
+// their holdings on Form 4 within two business days. Instead of scraping
+// headlines, this source reads the filings themselves:
+//
+//   Daily index  /Archives/edgar/daily-index/{YEAR}/QTR{n}/form.{YYYYMMDD}.idx
+//                lists every submission of the day by form type. Each Form 4
+//                appears twice, under the issuer's and the owner's CIK.
+//   Submission   /Archives/edgar/data/{CIK}/{ACCESSION}.txt wraps the
+//                machine-readable <ownershipDocument> XML.
+//
+// Only open-market purchases and sales (transaction codes P and S) become
+// trades. Grants, option exercises, tax withholding and gifts are parsed and
+// categorized but are not buy/sell decisions, so they are left out.
+//
+// As in lib/sources/disclosures.js, every parse* function takes the raw text so
+// it can be exercised offline against the saved filings in test/fixtures/edgar.
+// =============================================================================
+
+const { createTrade, toIsoDate } = require("../trades");
+
+const ARCHIVES_URL = "https://www.sec.gov/Archives";
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const FORM_TYPES = ["4", "4/A"];
+
+// Form 4 transaction codes (General Instructions, item 8) grouped by what they
+// mean for the reader. Anything unlisted is "other".
+const TRANSACTION_CATEGORIES = {
+  P: "open-market",
+  S: "open-market",
+  A: "grant",
+  M: "exercise",
+  X: "exercise",
+  C: "exercise",
+  O: "exercise",
+  F: "tax-withholding",
+  G: "gift",
+};
+
+const COMPANY_NAME_RE = /\b(?:INC|CORP|CORPORATION|CO|LLC|LP|L\.P\.|LTD|TRUST|FUND|PARTNERS|HOLDINGS|CAPITAL|GROUP|MANAGEMENT|ADVISORS)\b\.?/i;
+const NAME_SUFFIXES = ["JR", "SR", "II", "III", "IV"];
+
+function decodeEntities(str) {
+  return String(str || "")
+    .replace(/&lt;/g, "<").replace(/&gt;/g, ">").replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'").replace(/&#39;/g, "'").replace(/&amp;/g, "&");
+}
+
+// Inner text of every <name> element in `xml`.
+function elements(xml, name) {
+  return [...String(xml).matchAll(new RegExp(`<${name}\\b[^>]*>([\\s\\S]*?)</${name}>`, "g"))].map((m) => m[1]);
+}
+
+// Text of the first <name> element, unwrapping the <value> child most Form 4
+// fields use. Missing elements give "".
+function field(xml, name) {
+  const inner = elements(xml, name)[0];
+  if (inner === undefined) return "";
+  const value = elements(inner, "value")[0];
+  return decodeEntities(value === undefined ? inner : value).replace(/\s+/g, " ").trim();
+}
+
+function flag(xml, name) {
+  return ["1", "true"].includes(field(xml, name).toLowerCase());
+}
+
+function footnoteIds(xml) {
+  return [...String(xml).matchAll(/<footnoteId\s+id="([^"]+)"/g)].map((m) => m[1]);
+}
+
+function titleCase(str) {
+  return str.toLowerCase().replace(/(^|[\s\-'])([a-z])/g, (m, sep, ch) => sep + ch.toUpperCase());
+}
+
+// EDGAR writes people as "LAST FIRST MIDDLE"; turn that into "First Middle
+// Last". Entities filing as owners (funds, holding companies) keep their order.
+function formatOwnerName(raw) {
+  const name = String(raw || "").replace(/\s+/g, " ").trim();
+  if (!name || COMPANY_NAME_RE.test(name)) return titleCase(name);
+  const tokens = name.replace(/,/g, "").split(" ");
+  const suffix = NAME_SUFFIXES.includes(tokens[tokens.length - 1].replace(/\.$/, "").toUpperCase()) ? tokens.pop() : "";
+  if (tokens.length > 1) tokens.push(tokens.shift());
+  const formatted = titleCase(tokens.join(" "));
+  if (!suffix) return formatted;
+  return `${formatted} ${/^[IV]+$/i.test(suffix) ? suffix.toUpperCase() : titleCase(suffix)}`;
+}
+
+function ownerRole(relationship) {
+  const roles = [];
+  if (relationship.officerTitle) roles.push(relationship.officerTitle);
+  else if (relationship.isOfficer) roles.push("Officer");
+  if (relationship.isDirector) roles.push("Director");
+  if (relationship.isTenPercentOwner) roles.push("10% Owner");
+  if (relationship.otherText) roles.push(relationship.otherText);
+  return roles.join(", ");
+}
+
+function accessionFromPath(path) {
+  return (String(path).match(/(\d{10}-\d{2}-\d{6})/) || [])[1] || "";
+}
+
+// Human-readable filing index page for a submission path from the daily index.
+function filingIndexUrl(path) {
+  const accession = accessionFromPath(path);
+  const dir = String(path).replace(/[^/]+$/, "");
+  return accession ? `${ARCHIVES_URL}/${dir}${accession.replace(/-/g, "")}/${accession}-index.htm` : "";
+}
+
+function formatUsd(value) {
+  return `$${Math.round(value).toLocaleString("en-US")}`;
+}
+
+// ---------------------------------------------------------------------------
+// PARSERS
+// ---------------------------------------------------------------------------
+
+const INDEX_ROW_RE = /^(.+?)\s{2,}(.+?)\s{2,}(\d+)\s+(\d{8})\s+(edgar\/data\/\S+)\s*$/;
+
+// Parses a form.{YYYYMMDD}.idx daily index into Form 4 filings, one per
+// submission. `issuerCiks` keeps only submissions listed under one of those
+// CIKs (the issuer's row and the owner's row share an accession number).
+function parseDailyIndex(text, { issuerCiks = [] } = {}) {
+  const lines = String(text).split(/\r?\n/);
+  const start = lines.findIndex((line) => /^-{20,}/.test(line));
+  const byAccession = new Map();
+  for (const line of lines.slice(start + 1)) {
+    const m = line.match(INDEX_ROW_RE);
+    if (!m || !FORM_TYPES.includes(m[1].trim())) continue;
+    const accession = accessionFromPath(m[5]);
+    if (!accession) continue;
+    const row = {
+      formType: m[1].trim(),
+      company: m[2].trim(),
+      cik: m[3].replace(/^0+/, ""),
+      filingDate: toIsoDate(`${m[4].slice(0, 4)}-${m[4].slice(4, 6)}-${m[4].slice(6, 8)}`),
+      path: m[5],
+      accession,
+    };
+    const filing = byAccession.get(accession) || { ...row, ciks: [] };
+    filing.ciks.push(row.cik);
+    byAccession.set(accession, filing);
+  }
+  const filings = [...byAccession.values()];
+  if (issuerCiks.length === 0) return filings;
+  return filings.filter((f) => f.ciks.some((cik) => issuerCiks.includes(cik)));
+}
+
+function parseTransaction(xml, derivative) {
+  const code = field(xml, "transactionCode").toUpperCase();
+  const price = Number(field(xml, "transactionPricePerShare"));
+  return {
+    derivative,
+    securityTitle: field(xml, "securityTitle"),
+    date: toIsoDate(field(xml, "transactionDate")),
+    code,
+    category: TRANSACTION_CATEGORIES[code] || "other",
+    shares: Number(field(xml, "transactionShares")) || 0,
+    price: price > 0 ? price : null,
+    acquiredDisposed: field(xml, "transactionAcquiredDisposedCode").toUpperCase(),
+    ownership: field(xml, "directOrIndirectOwnership").toUpperCase() || "D",
+    nature: field(xml, "natureOfOwnership"),
+    footnoteIds: footnoteIds(xml),
+  };
+}
+
+// Parses one Form 4 — either the bare XML or the full .txt submission that
+// wraps it — into { documentType, issuer, owners, transactions, footnotes,
+// tradingPlan }. Returns null when there is no ownership document.
+function parseForm4Xml(text) {
+  const doc = elements(text, "ownershipDocument")[0];
+  if (doc === undefined) return null;
+
+  const issuerXml = elements(doc, "issuer")[0] || "";
+  const owners = elements(doc, "reportingOwner").map((xml) => {
+    const rel = elements(xml, "reportingOwnerRelationship")[0] || "";
+    const relationship = {
+      isDirector: flag(rel, "isDirector"),
+      isOfficer: flag(rel, "isOfficer"),
+      isTenPercentOwner: flag(rel, "isTenPercentOwner"),
+      isOther: flag(rel, "isOther"),
+      officerTitle: field(rel, "officerTitle"),
+      otherText: field(rel, "otherText"),
+    };
+    return {
+      cik: field(xml, "rptOwnerCik").replace(/^0+/, ""),
+      name: field(xml, "rptOwnerName"),
+      relationship,
+      role: ownerRole(relationship),
+    };
+  });
+
+  const footnotes = {};
+  for (const m of doc.matchAll(/<footnote\s+id="([^"]+)"[^>]*>([\s\S]*?)<\/footnote>/g)) {
+    footnotes[m[1]] = decodeEntities(m[2]).replace(/\s+/g, " ").trim();
+  }
+
+  const transactions = [
+    ...elements(doc, "nonDerivativeTransaction").map((xml) => parseTransaction(xml, false)),
+    ...elements(doc, "derivativeTransaction").map((xml) => parseTransaction(xml, true)),
+  ];
+
+  return {
+    documentType: field(doc, "documentType"),
+    periodOfReport: toIsoDate(field(doc, "periodOfReport")),
+    issuer: {
+      cik: field(issuerXml, "issuerCik").replace(/^0+/, ""),
+      name: field(issuerXml, "issuerName"),
+      ticker: field(issuerXml, "issuerTradingSymbol").toUpperCase(),
+    },
+    owners,
+    transactions,
+    footnotes,
+    // Newer filings carry the Rule 10b5-1 checkbox; older ones only say so
+    // in a footnote.
+    tradingPlan: flag(doc, "aff10b5One") || Object.values(footnotes).some((note) => /10b5-1/i.test(note)),
+  };
+}
+
+// Turns a parsed Form 4 into canonical insider trades. Open-market lots are
+// added up per transaction code and date, with the weighted average price;
+// holdings other than the insider's own (a trust, a spouse) are listed as the
+// owner. `filing` is the daily-index entry the document came from.
+function form4Trades(form4, filing = {}) {
+  if (!form4 || !form4.issuer.ticker || form4.owners.length === 0) return [];
+  const owner = form4.owners[0];
+  const groups = new Map();
+  for (const tx of form4.transactions) {
+    if (tx.derivative || tx.category !== "open-market" || tx.shares <= 0) continue;
+    const key = `${tx.code}|${tx.date}`;
+    const group = groups.get(key) || { code: tx.code, date: tx.date, holders: new Set(), shares: 0, value: 0, priced: true };
+    group.holders.add(tx.ownership === "I" ? tx.nature || "Indirect" : "Self");
+    group.shares += tx.shares;
+    if (tx.price) group.value += tx.shares * tx.price;
+    else group.priced = false;
+    groups.set(key, group);
+  }
+
+  return [...groups.values()].map((g) => createTrade({
+    kind: "insider",
+    entity: formatOwnerName(owner.name),
+    role: owner.role,
+    ticker: form4.issuer.ticker,
+    issuer: titleCase(form4.issuer.name),
+    transaction: g.code === "P" ? "BUY" : "SELL",
+    amount: g.priced ? formatUsd(g.value) : `${g.shares.toLocaleString("en-US")} shares`,
+    price: g.priced ? Math.round((g.value / g.shares) * 100) / 100 : null,
+    owner: [...g.holders].join(", "),
+    tradeDate: g.date,
+    filingDate: filing.filingDate || "",
+    tradingPlan: form4.tradingPlan,
+    source: "SEC EDGAR",
+    sourceUrl: filing.path ? filingIndexUrl(filing.path) : "",
+  }));
+}
+
+// ---------------------------------------------------------------------------
+// FETCHER
+// ---------------------------------------------------------------------------
+
+// Settings from the env the registry runs the source with.
+function resolveEdgarConfig(env = process.env) {
+  return {
+    // The SEC blocks requests without a User-Agent that names a contact.
+    userAgent: env.EDGAR_USER_AGENT
+      || `PoliticalAlpha/1.0 ${env.ADMIN_EMAIL || "(+https://github.com/marijanpojatina2-netizen/political-alpha)"}`,
+    lookbackDays: Number(env.EDGAR_LOOKBACK_DAYS) || 3,
+    maxFilings: Number(env.EDGAR_MAX_FILINGS) || 40,
+    issuerCiks: String(env.EDGAR_ISSUER_CIKS || "")
+      .split(",").map((cik) => cik.trim().replace(/^0+/, "")).filter(Boolean),
+  };
+}
+
+function dailyIndexUrl(date) {
+  const year = date.getUTCFullYear();
+  const quarter = Math.floor(date.getUTCMonth() / 3) + 1;
+  return `${ARCHIVES_URL}/edgar/daily-index/${year}/QTR${quarter}/form.${date.toISOString().slice(0, 10).replace(/-/g, "")}.idx`;
+}
+
+// Reads the daily indexes from the last EDGAR_LOOKBACK_DAYS days (weekends and
+// holidays have none), newest first, then up to EDGAR_MAX_FILINGS submissions
+// of the EDGAR_ISSUER_CIKS companies. The registry only runs this source when
+// those are set; without them the cap would keep whichever filings the index
+// happens to list first.
+async function fetchEdgarForm4({ signal, fetch = globalThis.fetch, now = new Date(), env = process.env } = {}) {
+  const config = resolveEdgarConfig(env);
+  const headers = { "User-Agent": config.userAgent };
+  const filings = [];
+  let indexes = 0;
+  for (let daysAgo = 0; daysAgo <= config.lookbackDays; daysAgo++) {
+    const resp = await fetch(dailyIndexUrl(new Date(now.getTime() - daysAgo * DAY_MS)), { headers, signal });
+    if (resp.status === 404) continue;
+    if (!resp.ok) throw new Error(`Daily index HTTP ${resp.status}`);
+    indexes++;
+    filings.push(...parseDailyIndex(await resp.text(), { issuerCiks: config.issuerCiks }));
+  }
+
+  const trades = [];
+  const batch = filings.slice(0, config.maxFilings);
+  for (const filing of batch) {
+    try {
+      const resp = await fetch(`${ARCHIVES_URL}/${filing.path}`, { headers, signal });
+      if (!resp.ok) continue;
+      trades.push(...form4Trades(parseForm4Xml(await resp.text()), filing));
+    } catch (err) {
+      if (signal && signal.aborted) throw err;
+      console.warn(`[EDGAR] Filing ${filing.accession} error: ${err.message}`);
+    }
+  }
+
+  console.log(`[EDGAR] ${trades.length} open-market trades from ${batch.length} of ${filings.length} Form 4 filings (${indexes} daily indexes)`);
+  return trades;
+}
+
+module.exports = {
+  TRANSACTION_CATEGORIES,
+  formatOwnerName,
+  parseDailyIndex,
+  parseForm4Xml,
+  form4Trades,
+  resolveEdgarConfig,
+  fetchEdgarForm4,
+};
@@ -0,0 +1,175 @@
+// =============================================================================
+// POLITICAL ALPHA — Source Registry
+// =============================================================================
+// Every data source registers itself here with a name, fetch function,
+// timeout and retry policy. gatherAllData() runs the enabled ones in parallel
+// and reports per-source diagnostics (item count, latency, error reason), so
+// adding a source never requires touching the handler.
+//
+// Sources can be toggled and tuned from env:
+//   SOURCES_DISABLED=google-news,quiver-insiders   skip these ids
+//   SOURCES_ENABLED=capitol-trades,house-clerk     run only these ids
+//   SOURCE_<ID>_ENABLED=false                       per-source switch
+//   SOURCE_<ID>_TIMEOUT_MS=20000                    per-source timeout
+//   SOURCE_<ID>_RETRIES=2                           per-source retry count
+// where <ID> is the source id upper-cased with dashes as underscores.
+//
+// A source may register `enabled` as a function of env for a default that
+// depends on its own settings; the switches above still override it.
+//
+// Fetchers are called with { env, signal, ...context }: the same env the
+// switches were read from, so a source reads its own settings from it (not
+// process.env) on every run.
+// =============================================================================
+
+const { fetchQuiverQuantTrades, fetchQuiverQuantInsiders } = require("./quiver");
+const { fetchGoogleNewsRSS } = require("./news");
+const { fetchCapitolTrades } = require("./capitol");
+const { fetchHouseDisclosures, fetchSenateDisclosures } = require("./disclosures");
+const { fetchEdgarForm4 } = require("./edgar");
+
+const DEFAULT_TIMEOUT_MS = 15000;
+const DEFAULT_RETRIES = 1;
+const DEFAULT_RETRY_DELAY_MS = 1000;
+
+const registry = [];
+
+function registerSource(def) {
+  if (!def.id || typeof def.fetch !== "function") throw new Error("Source needs an id and a fetch function");
+  if (registry.some((s) => s.id === def.id)) throw new Error(`Source "${def.id}" is already registered`);
+  registry.push({
+    name: def.id,
+    timeoutMs: DEFAULT_TIMEOUT_MS,
+    retries: DEFAULT_RETRIES,
+    retryDelayMs: DEFAULT_RETRY_DELAY_MS,
+    enabled: true,
+    ...def,
+  });
+}
+
+function getSources() {
+  return registry.slice();
+}
+
+// ---------------------------------------------------------------------------
+// BUILT-IN SOURCES
+// ---------------------------------------------------------------------------
+
+registerSource({ id: "quiver-congress", name: "QuiverQuant Congress", fetch: fetchQuiverQuantTrades });
+registerSource({ id: "quiver-insiders", name: "QuiverQuant Insiders", fetch: fetchQuiverQuantInsiders });
+registerSource({ id: "google-news", name: "Google News", fetch: fetchGoogleNewsRSS, retries: 0 });
+registerSource({ id: "capitol-trades", name: "Capitol Trades", fetch: fetchCapitolTrades, timeoutMs: 20000 });
+registerSource({ id: "house-clerk", name: "House Clerk", fetch: fetchHouseDisclosures, timeoutMs: 45000 });
+registerSource({ id: "senate-efd", name: "Senate eFD", fetch: fetchSenateDisclosures, timeoutMs: 30000 });
+// Off until EDGAR_ISSUER_CIKS names the companies to follow: a busy day has
+// well over a thousand Form 4s, and the fetcher can only read a few dozen.
+registerSource({ id: "sec-form4", name: "SEC EDGAR Form 4", fetch: fetchEdgarForm4, timeoutMs: 45000, enabled: (env) => Boolean(env.EDGAR_ISSUER_CIKS) });
+
+// ---------------------------------------------------------------------------
+// CONFIG
+// ---------------------------------------------------------------------------
+
+function envKey(id, suffix) {
+  return `SOURCE_${id.toUpperCase().replace(/[^A-Z0-9]+/g, "_")}_${suffix}`;
+}
+
+function parseList(value) {
+  return String(value || "").split(",").map((s) => s.trim()).filter(Boolean);
+}
+
+// Applies env overrides on top of a source's registered defaults.
+function resolveSourceConfig(source, env = process.env) {
+  const only = parseList(env.SOURCES_ENABLED);
+  const disabled = parseList(env.SOURCES_DISABLED);
+  let enabled = typeof source.enabled === "function" ? source.enabled(env) : source.enabled;
+  if (only.length > 0) enabled = only.includes(source.id);
+  if (disabled.includes(source.id)) enabled = false;
+  const flag = env[envKey(source.id, "ENABLED")];
+  if (flag !== undefined) enabled = !/^(0|false|off|no)$/i.test(flag);
+
+  const timeout = Number(env[envKey(source.id, "TIMEOUT_MS")]);
+  const retries = env[envKey(source.id, "RETRIES")];
+  return {
+    ...source,
+    enabled,
+    timeoutMs: timeout > 0 ? timeout : source.timeoutMs,
+    retries: retries !== undefined && !Number.isNaN(Number(retries)) ? Number(retries) : source.retries,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// RUNNER
+// ---------------------------------------------------------------------------
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Runs one attempt, aborting in-flight requests when the timeout elapses.
+async function attempt(source, context) {
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const err = new Error(`timed out after ${source.timeoutMs}ms`);
+      controller.abort(err);
+      reject(err);
+    }, source.timeoutMs);
+  });
+  try {
+    return await Promise.race([source.fetch({ ...context, signal: controller.signal }), timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function runSource(source, context = {}) {
+  const report = { id: source.id, name: source.name, status: "disabled", items: 0, latencyMs: 0, attempts: 0, error: undefined };
+  if (!source.enabled) return { report, items: [] };
+
+  const started = Date.now();
+  let lastError = null;
+  for (let i = 0; i <= source.retries; i++) {
+    if (i > 0) await sleep(source.retryDelayMs * i);
+    report.attempts++;
+    try {
+      const items = (await attempt(source, context)) || [];
+      report.status = "ok";
+      report.items = items.length;
+      report.latencyMs = Date.now() - started;
+      return { report, items };
+    } catch (err) {
+      lastError = err;
+      console.warn(`[${source.name}] Attempt ${report.attempts} failed: ${err.message}`);
+    }
+  }
+  report.status = "error";
+  report.latencyMs = Date.now() - started;
+  report.error = lastError ? lastError.message : "unknown error";
+  return { report, items: [] };
+}
+
+// ---------------------------------------------------------------------------
+// MASTER SCRAPER
+// ---------------------------------------------------------------------------
+
+async function gatherAllData({ env = process.env, sources = getSources(), context = {} } = {}) {
+  const configured = sources.map((s) => resolveSourceConfig(s, env));
+  const results = await Promise.all(configured.map((s) => runSource(s, { env, ...context })));
+
+  const allItems = results.flatMap((r) => r.items);
+  const reports = results.map((r) => r.report);
+  const errors = reports.filter((r) => r.status === "error");
+
+  for (const r of reports) {
+    console.log(`[Gather] ${r.name}: ${r.status}${r.status === "disabled" ? "" : ` — ${r.items} items in ${r.latencyMs}ms`}${r.error ? ` (${r.error})` : ""}`);
+  }
+  console.log(`[Gather] Total: ${allItems.length} | Errors: ${errors.length}`);
+  return { allItems, errors, sources: reports };
+}
+
+module.exports = {
+  registerSource,
+  getSources,
+  resolveSourceConfig,
+  runSource,
+  gatherAllData,
+};
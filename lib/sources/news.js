@@ -0,0 +1,154 @@
+// =============================================================================
+// SOURCE: Google News RSS
+// =============================================================================
+// Recent headlines about political and insider trading, plus one search per
+// watchlist ticker. Each headline keeps its article link, publisher and
+// description so lib/coverage.js can attach it to the trades it concerns.
+// Individual query failures are tolerated; the fetcher only throws when every
+// query failed.
+//
+// Queries come from env:
+//   NEWS_QUERIES=congress stock trading disclosure,politician insider trading stocks
+//   NEWS_WATCHLIST_QUERIES=5      searches for up to 5 watchlist tickers (0 = off)
+//   NEWS_MAX_ITEMS=10             headlines kept per run, shared across queries
+// =============================================================================
+
+const TWENTY_FOUR_HOURS_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_QUERIES = [
+  "congress stock trading disclosure",
+  "politician insider trading stocks",
+];
+const DEFAULT_WATCHLIST_QUERIES = 5;
+const DEFAULT_MAX_ITEMS = 10;
+
+function stripHtml(html) {
+  if (!html) return "";
+  return html
+    .replace(/<!\[CDATA\[/g, "").replace(/\]\]>/g, "")
+    .replace(/<[^>]*>/g, " ")
+    .replace(/&amp;/g, "&").replace(/&lt;/g, "<").replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&nbsp;/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+function envCount(value, fallback) {
+  if (value === undefined || value === "") return fallback;
+  const n = Number(value);
+  return Number.isInteger(n) && n >= 0 ? n : fallback;
+}
+
+// The search queries for one run: NEWS_QUERIES (or the defaults), then
+// "<TICKER> stock" for the first NEWS_WATCHLIST_QUERIES `tickers`.
+function resolveNewsQueries(env = process.env, { tickers = [] } = {}) {
+  const configured = String(env.NEWS_QUERIES || "").split(",").map((q) => q.trim()).filter(Boolean);
+  const queries = configured.length > 0 ? configured : DEFAULT_QUERIES.slice();
+  const limit = envCount(env.NEWS_WATCHLIST_QUERIES, DEFAULT_WATCHLIST_QUERIES);
+  const unique = [...new Set(tickers.map((t) => String(t).trim().toUpperCase()).filter(Boolean))];
+  return [...queries, ...unique.slice(0, limit).map((ticker) => `${ticker} stock`)];
+}
+
+// ---------------------------------------------------------------------------
+// PARSER
+// ---------------------------------------------------------------------------
+
+// Parses one RSS search result into news items published in the 24 hours
+// before `now`. Google titles end in " - Publisher"; `title` is the headline
+// without it, while `text` keeps the full line the analyzer has always seen.
+function parseGoogleNewsRss(xml, { now = new Date(), query = "" } = {}) {
+  const items = [];
+  const cutoff = now.getTime() - TWENTY_FOUR_HOURS_MS;
+  for (const match of String(xml).matchAll(/<item>([\s\S]*?)<\/item>/gi)) {
+    const tag = (name) => {
+      const m = match[1].match(new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`));
+      return m ? m[1] : "";
+    };
+    const text = stripHtml(tag("title"));
+    const pubDate = tag("pubDate").trim();
+    const itemTime = pubDate ? new Date(pubDate).getTime() : 0;
+    if (itemTime < cutoff || !text) continue;
+
+    const publisher = stripHtml(tag("source")) || (text.match(/\s+-\s+([^-]+)$/) || [])[1] || "";
+    const title = publisher && text.endsWith(` - ${publisher}`) ? text.slice(0, -(publisher.length + 3)) : text;
+    // Google's description only repeats the headline and publisher.
+    let description = stripHtml(stripHtml(tag("description")));
+    if (description === title || description === `${title} ${publisher}`) description = "";
+
+    items.push({
+      source: "News",
+      text,
+      title,
+      link: stripHtml(tag("link")),
+      publisher,
+      description,
+      date: pubDate,
+      query,
+    });
+  }
+  return items;
+}
+
+// ---------------------------------------------------------------------------
+// FETCHER
+// ---------------------------------------------------------------------------
+
+// Picks up to `max` items, taking each query's first headline, then each
+// one's second and so on, so a busy general search cannot crowd the
+// watchlist searches out. The picks keep their original order.
+function shareAcrossQueries(items, queries, max) {
+  const byQuery = [...new Set(queries)].map((query) => items.filter((item) => item.query === query));
+  const picked = new Set();
+  for (let rank = 0; picked.size < max && byQuery.some((list) => rank < list.length); rank++) {
+    for (const list of byQuery) if (rank < list.length && picked.size < max) picked.add(list[rank]);
+  }
+  return items.filter((item) => picked.has(item));
+}
+
+// `newsQueries` overrides the query list; the cron passes one that includes
+// the subscribers' watchlist tickers.
+async function fetchGoogleNewsRSS({ signal, fetch = globalThis.fetch, now = new Date(), env = process.env, newsQueries } = {}) {
+  const items = [];
+  const queries = newsQueries || resolveNewsQueries(env);
+
+  let failures = 0;
+  let lastError = null;
+  for (const query of queries) {
+    try {
+      const url = `https://news.google.com/rss/search?q=${encodeURIComponent(query).replace(/%20/g, "+")}+when:1d&hl=en-US&gl=US&ceid=US:en`;
+      const resp = await fetch(url, {
+        headers: { "User-Agent": "Mozilla/5.0 (compatible)" },
+        signal,
+      });
+      if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+      items.push(...parseGoogleNewsRss(await resp.text(), { now, query }));
+    } catch (err) {
+      failures++;
+      lastError = err;
+      console.warn(`[GoogleNews] Error for "${query}": ${err.message}`);
+    }
+  }
+  if (failures === queries.length) throw lastError;
+
+  // Deduplicate
+  const unique = [];
+  const seen = new Set();
+  for (const item of items) {
+    const key = item.text.substring(0, 50).toLowerCase();
+    if (!seen.has(key)) {
+      seen.add(key);
+      unique.push(item);
+    }
+  }
+
+  console.log(`[GoogleNews] ${unique.length} relevant articles from ${queries.length} queries`);
+  return shareAcrossQueries(unique, queries, envCount(env.NEWS_MAX_ITEMS, DEFAULT_MAX_ITEMS));
+}
+
+module.exports = {
+  DEFAULT_QUERIES,
+  stripHtml,
+  resolveNewsQueries,
+  parseGoogleNewsRss,
+  fetchGoogleNewsRSS,
+};
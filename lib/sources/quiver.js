@@ -0,0 +1,155 @@
+// =============================================================================
+// SOURCE: QuiverQuant News Pages
+// =============================================================================
+// Two automated news categories on quiverquant.com: congressional STOCK Act
+// filings and corporate insider transactions. Fetchers throw on transport or
+// HTTP failure so the source registry can record the reason and retry.
+// =============================================================================
+
+const { createTrade } = require("../trades");
+
+// ---------------------------------------------------------------------------
+// CONGRESS TRADE NEWS
+// ---------------------------------------------------------------------------
+// Scrapes https://www.quiverquant.com/news/category/congress_trades_automated
+// This page lists individual STOCK Act disclosure filings with specific
+// politician names, tickers ($AAPL), and transaction types (Purchase/Sale).
+// ---------------------------------------------------------------------------
+
+const QUIVER_CONGRESS_URL = "https://www.quiverquant.com/news/category/congress_trades_automated";
+const QUIVER_INSIDERS_URL = "https://www.quiverquant.com/news/category/insiders_automated";
+
+async function fetchQuiverQuantTrades({ signal, fetch = globalThis.fetch } = {}) {
+  const trades = [];
+  const resp = await fetch(QUIVER_CONGRESS_URL, {
+    headers: {
+      "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/125.0.0.0 Safari/537.36",
+      "Accept": "text/html",
+    },
+    signal,
+  });
+
+  if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+
+  const html = await resp.text();
+
+  // Split the page into article blocks by looking for the filing headers
+  const articles = html.split(/Congress Trade:\s*/g).slice(1);
+
+  for (const article of articles.slice(0, 15)) {
+    // Extract politician name and type (Representative/Senator)
+    const nameMatch = article.match(/(Representative|Senator)\s+([\w\s.,'-]+?)\s+Just Disclosed/i);
+    const role = nameMatch ? nameMatch[1] : "";
+    const politician = nameMatch ? nameMatch[2].trim() : "Unknown";
+    const fullName = role ? `${role} ${politician}` : politician;
+
+    // Extract date: "15 hours ago | Feb. 20, 2026 2:16 p.m. UTC"
+    const dateMatch = article.match(/(\w+\.\s+\d+,\s+\d{4})/);
+    const filingDate = dateMatch ? dateMatch[1] : "";
+
+    let foundForPolitician = false;
+    const pushTrade = (transaction, ticker, stockName) => {
+      trades.push(createTrade({
+        kind: "congress",
+        entity: politician,
+        role,
+        ticker,
+        issuer: stockName,
+        transaction,
+        filingDate,
+        source: "QuiverQuant Congress",
+        sourceUrl: QUIVER_CONGRESS_URL,
+      }));
+      foundForPolitician = true;
+    };
+
+    // Try ALL formats for trade extraction:
+
+    // Format 1: Markdown style — **Sale** of [$TICKER](url) stock (FULL NAME)
+    const mdMatches = [...article.matchAll(/\*\*(Purchase|Sale)\*\*\s+of\s+\[\$(\w+)\]\([^)]*\)\s*(?:stock\s*\(([^)]*)\))?/gi)];
+    for (const m of mdMatches) {
+      pushTrade(m[1], m[2], m[3] ? m[3].trim() : "");
+    }
+
+    // Format 2: Rendered HTML — <strong>Sale</strong> of <a href="/stock/STT/">$STT</a>
+    if (!foundForPolitician) {
+      const htmlMatches = [...article.matchAll(/<strong>(Purchase|Sale)<\/strong>\s+of\s+<a[^>]*>\$(\w+)<\/a>/gi)];
+      for (const m of htmlMatches) pushTrade(m[1], m[2]);
+    }
+
+    // Format 3: HTML bold tag — <b>Sale</b> of <a>$STT</a>
+    if (!foundForPolitician) {
+      const bMatches = [...article.matchAll(/<b>(Purchase|Sale)<\/b>\s+of\s+<a[^>]*>\$?(\w+)<\/a>/gi)];
+      for (const m of bMatches) pushTrade(m[1], m[2]);
+    }
+
+    // Format 4: Plain text fallback — Purchase of $TICKER or Sale of $TICKER
+    if (!foundForPolitician) {
+      const plainMatches = [...article.matchAll(/(Purchase|Sale)\s+of\s+\$(\w+)/gi)];
+      for (const m of plainMatches) pushTrade(m[1], m[2]);
+    }
+
+    // Format 5: Ultra-broad — any ticker-like link /stock/TICKER/
+    if (!foundForPolitician) {
+      const linkMatches = [...article.matchAll(/\/stock\/(\w+)\//gi)];
+      const txGuess = article.toLowerCase().includes("purchase") ? "BUY" : "SELL";
+      for (const m of linkMatches) pushTrade(txGuess, m[1]);
+    }
+
+    if (!foundForPolitician) {
+      console.log(`[QuiverQuant] WARNING: No trades parsed for ${fullName}`);
+    }
+  }
+
+  console.log(`[QuiverQuant] ${trades.length} congress trades from ${Math.min(articles.length, 15)} filings`);
+  return trades;
+}
+
+// ---------------------------------------------------------------------------
+// INSIDER TRADING NEWS
+// ---------------------------------------------------------------------------
+
+async function fetchQuiverQuantInsiders({ signal, fetch = globalThis.fetch } = {}) {
+  const trades = [];
+  const resp = await fetch(QUIVER_INSIDERS_URL, {
+    headers: {
+      "User-Agent": "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/125.0.0.0 Safari/537.36",
+      "Accept": "text/html",
+    },
+    signal,
+  });
+
+  if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+
+  const html = await resp.text();
+
+  // Pattern: "Insider Purchase/Sale: TITLE of $TICKER Buys/Sells N Shares"
+  const matches = [...html.matchAll(/Insider\s+(Purchase|Sale):\s+([\w\s&]+?)\s+of\s+\$(\w+)\s+(Buys|Sells)\s+([\d,]+)\s+Shares/gi)];
+  matches.forEach((match, i) => {
+    const role = match[2].trim();
+    // The headline's publication date: "6 hours ago | Feb. 20, 2026 8:10 p.m. UTC".
+    // It is the only date the page gives and, unlike the run time, stays the
+    // same from one day to the next, so the trade keeps its history ID.
+    const meta = html.slice(match.index + match[0].length, i + 1 < matches.length ? matches[i + 1].index : undefined);
+    const dateMatch = meta.match(/(\w+\.?\s+\d{1,2},\s+\d{4})/);
+    trades.push(createTrade({
+      kind: "insider",
+      entity: role,
+      role,
+      ticker: match[3],
+      transaction: match[1],
+      amount: `${match[5]} shares`,
+      filingDate: dateMatch ? dateMatch[1] : "",
+      source: "QuiverQuant Insiders",
+      sourceUrl: QUIVER_INSIDERS_URL,
+    }));
+  });
+
+  console.log(`[QuiverInsiders] ${trades.length} insider trades found`);
+  return trades;
+}
+
+module.exports = {
+  fetchQuiverQuantTrades,
+  fetchQuiverQuantInsiders,
+};
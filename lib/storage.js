@@ -0,0 +1,167 @@
+// =============================================================================
+// POLITICAL ALPHA — Pluggable Key/Value Storage
+// =============================================================================
+// Every piece of state the app keeps between runs goes through this module.
+// Values are plain JSON documents addressed by slash-separated keys
+// ("history/trades"). Backends:
+//
+//   file    JSON files under STORAGE_DIR (default ./.data) — local dev & tests
+//   memory  In-process Map, lost when the function instance is recycled
+//   kv      Upstash / Vercel KV REST API (KV_REST_API_URL + KV_REST_API_TOKEN)
+//
+// STORAGE_BACKEND picks one explicitly; otherwise "kv" is used when KV
+// credentials are present and "file" when they are not.
+// =============================================================================
+
+const { readFile, writeFile, mkdir, readdir, unlink } = require("fs/promises");
+const { join, dirname } = require("path");
+
+function keyToPath(dir, key) {
+  const safe = String(key).split("/").map((part) => part.replace(/[^\w.\-]/g, "_")).join("/");
+  return join(dir, `${safe}.json`);
+}
+
+// ---------------------------------------------------------------------------
+// BACKEND: local JSON files
+// ---------------------------------------------------------------------------
+
+function createFileStorage(dir) {
+  return {
+    name: "file",
+    async get(key) {
+      try {
+        return JSON.parse(await readFile(keyToPath(dir, key), "utf-8"));
+      } catch (err) {
+        if (err.code === "ENOENT") return null;
+        throw err;
+      }
+    },
+    async set(key, value) {
+      const path = keyToPath(dir, key);
+      await mkdir(dirname(path), { recursive: true });
+      await writeFile(path, JSON.stringify(value, null, 2));
+    },
+    async delete(key) {
+      try {
+        await unlink(keyToPath(dir, key));
+      } catch (err) {
+        if (err.code !== "ENOENT") throw err;
+      }
+    },
+    async list(prefix) {
+      const base = join(dir, prefix);
+      try {
+        const files = await readdir(base);
+        return files.filter((f) => f.endsWith(".json")).map((f) => `${prefix}/${f.slice(0, -5)}`).sort();
+      } catch (err) {
+        if (err.code === "ENOENT") return [];
+        throw err;
+      }
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// BACKEND: in-memory
+// ---------------------------------------------------------------------------
+
+function createMemoryStorage() {
+  const data = new Map();
+  return {
+    name: "memory",
+    async get(key) {
+      return data.has(key) ? JSON.parse(data.get(key)) : null;
+    },
+    async set(key, value) {
+      data.set(key, JSON.stringify(value));
+    },
+    async delete(key) {
+      data.delete(key);
+    },
+    async list(prefix) {
+      return [...data.keys()].filter((k) => k.startsWith(`${prefix}/`) && !k.slice(prefix.length + 1).includes("/")).sort();
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// BACKEND: Upstash / Vercel KV REST
+// ---------------------------------------------------------------------------
+
+function createKvStorage(url, token, namespace = "political-alpha") {
+  async function command(...args) {
+    const resp = await fetch(url, {
+      method: "POST",
+      headers: { "Authorization": `Bearer ${token}`, "Content-Type": "application/json" },
+      body: JSON.stringify(args),
+    });
+    if (!resp.ok) throw new Error(`KV HTTP ${resp.status}`);
+    const json = await resp.json();
+    if (json.error) throw new Error(`KV error: ${json.error}`);
+    return json.result;
+  }
+
+  const full = (key) => `${namespace}:${key}`;
+
+  return {
+    name: "kv",
+    async get(key) {
+      const raw = await command("GET", full(key));
+      return raw == null ? null : JSON.parse(raw);
+    },
+    async set(key, value) {
+      await command("SET", full(key), JSON.stringify(value));
+    },
+    async delete(key) {
+      await command("DEL", full(key));
+    },
+    async list(prefix) {
+      const keys = await command("KEYS", `${full(prefix)}/*`);
+      return (keys || [])
+        .map((k) => k.slice(namespace.length + 1))
+        .filter((k) => !k.slice(prefix.length + 1).includes("/"))
+        .sort();
+    },
+  };
+}
+
+// ---------------------------------------------------------------------------
+// FACTORY
+// ---------------------------------------------------------------------------
+
+let defaultStorage = null;
+
+function createStorage(env = process.env) {
+  const backend = env.STORAGE_BACKEND || (env.KV_REST_API_URL && env.KV_REST_API_TOKEN ? "kv" : "file");
+  switch (backend) {
+    case "memory":
+      return createMemoryStorage();
+    case "kv":
+      if (!env.KV_REST_API_URL || !env.KV_REST_API_TOKEN) throw new Error("kv storage requires KV_REST_API_URL and KV_REST_API_TOKEN");
+      return createKvStorage(env.KV_REST_API_URL, env.KV_REST_API_TOKEN, env.KV_NAMESPACE);
+    case "file":
+      return createFileStorage(env.STORAGE_DIR || join(process.cwd(), ".data"));
+    default:
+      throw new Error(`Unknown STORAGE_BACKEND "${backend}"`);
+  }
+}
+
+// Shared instance used by the API routes; setStorage() swaps it for local
+// runs and tests.
+function getStorage() {
+  if (!defaultStorage) defaultStorage = createStorage();
+  return defaultStorage;
+}
+
+function setStorage(storage) {
+  defaultStorage = storage;
+}
+
+module.exports = {
+  createStorage,
+  createFileStorage,
+  createMemoryStorage,
+  createKvStorage,
+  getStorage,
+  setStorage,
+};
@@ -0,0 +1,235 @@
+// =============================================================================
+// POLITICAL ALPHA — Subscriber Store & Signed Links
+// =============================================================================
+// Subscribers live in the pluggable storage (lib/storage.js), one document
+// per address under "subscribers/<id>" so concurrent sign-ups never overwrite
+// each other:
+//
+//   { email, status: "pending" | "active" | "unsubscribed",
+//     createdAt, confirmedAt, unsubscribedAt, watchlist }
+//
+// `watchlist` is the subscriber's profile (see lib/watchlist.js); null means
+// the standard briefing.
+//
+// Confirm and unsubscribe links carry an HMAC-signed token instead of a
+// database lookup key, so they cannot be forged or enumerated. Tokens are
+// signed with SUBSCRIBER_SECRET (falling back to CRON_SECRET). Confirmation
+// tokens expire; unsubscribe tokens never do, so links in old issues keep
+// working.
+// =============================================================================
+
+const { createHash, createHmac, timingSafeEqual } = require("crypto");
+const { readFileSync } = require("fs");
+const { join } = require("path");
+const { normalizeWatchlist, isEmptyWatchlist } = require("./watchlist");
+
+const SUBSCRIBER_PREFIX = "subscribers";
+const CONFIRM_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+const EMAIL_RE = /^[^\s@"<>,;]+@[^\s@"<>,;]+\.[^\s@"<>,;]{2,}$/;
+const DEFAULT_FROM = "Political Alpha <onboarding@resend.dev>";
+
+// ---------------------------------------------------------------------------
+// ADDRESSES & URLS
+// ---------------------------------------------------------------------------
+
+function normalizeEmail(email) {
+  return String(email || "").trim().toLowerCase();
+}
+
+function isValidEmail(email) {
+  const e = normalizeEmail(email);
+  return e.length <= 254 && EMAIL_RE.test(e);
+}
+
+function subscriberKey(email) {
+  return `${SUBSCRIBER_PREFIX}/${createHash("sha256").update(normalizeEmail(email)).digest("hex").slice(0, 24)}`;
+}
+
+function fromAddress(env = process.env) {
+  return env.EMAIL_FROM || DEFAULT_FROM;
+}
+
+// Public origin of the deployment, used for links inside emails.
+function baseUrl(env = process.env) {
+  if (env.PUBLIC_BASE_URL) return env.PUBLIC_BASE_URL.replace(/\/+$/, "");
+  if (env.VERCEL_PROJECT_PRODUCTION_URL) return `https://${env.VERCEL_PROJECT_PRODUCTION_URL}`;
+  if (env.VERCEL_URL) return `https://${env.VERCEL_URL}`;
+  return "http://localhost:3000";
+}
+
+// ---------------------------------------------------------------------------
+// SIGNED TOKENS
+// ---------------------------------------------------------------------------
+
+function signingSecret(env = process.env) {
+  return env.SUBSCRIBER_SECRET || env.CRON_SECRET || "";
+}
+
+const b64url = (buf) => Buffer.from(buf).toString("base64url");
+
+function signature(payload, secret) {
+  return createHmac("sha256", secret).update(payload).digest();
+}
+
+// Token = base64url(JSON payload) + "." + base64url(HMAC-SHA256).
+function signToken({ email, action, expiresAt }, env = process.env) {
+  const secret = signingSecret(env);
+  if (!secret) throw new Error("SUBSCRIBER_SECRET (or CRON_SECRET) is required to sign subscriber links");
+  const payload = b64url(JSON.stringify({ e: normalizeEmail(email), a: action, x: expiresAt || undefined }));
+  return `${payload}.${b64url(signature(payload, secret))}`;
+}
+
+// Returns the email address the token was issued for, or throws.
+function verifyToken(token, action, env = process.env, now = Date.now()) {
+  const secret = signingSecret(env);
+  if (!secret) throw new Error("Subscriber links are not configured");
+  const [payload, sig] = String(token || "").split(".");
+  if (!payload || !sig) throw new Error("Malformed link");
+
+  const expected = signature(payload, secret);
+  const given = Buffer.from(sig, "base64url");
+  if (given.length !== expected.length || !timingSafeEqual(given, expected)) throw new Error("Invalid link signature");
+
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(payload, "base64url").toString("utf-8"));
+  } catch (err) {
+    throw new Error("Malformed link");
+  }
+  if (data.a !== action) throw new Error("Link is not valid for this action");
+  if (data.x && now > data.x) throw new Error("Link has expired");
+  return data.e;
+}
+
+function confirmUrl(email, env = process.env, now = Date.now()) {
+  const token = signToken({ email, action: "confirm", expiresAt: now + CONFIRM_TOKEN_TTL_MS }, env);
+  return `${baseUrl(env)}/api/confirm?token=${token}`;
+}
+
+function unsubscribeUrl(email, env = process.env) {
+  return `${baseUrl(env)}/api/unsubscribe?token=${signToken({ email, action: "unsubscribe" }, env)}`;
+}
+
+// ---------------------------------------------------------------------------
+// STORE
+// ---------------------------------------------------------------------------
+
+function createSubscriberStore(storage) {
+  async function get(email) {
+    return storage.get(subscriberKey(email));
+  }
+
+  async function put(record) {
+    await storage.set(subscriberKey(record.email), record);
+    return record;
+  }
+
+  async function list() {
+    const keys = await storage.list(SUBSCRIBER_PREFIX);
+    const records = await Promise.all(keys.map((key) => storage.get(key)));
+    return records.filter(Boolean).sort((a, b) => a.email.localeCompare(b.email));
+  }
+
+  return {
+    get,
+    list,
+
+    // Starts (or restarts) double opt-in. Active subscribers are left alone,
+    // so a sign-up form cannot be used to change someone else's watchlist.
+    async subscribe(email, { watchlist } = {}, now = new Date().toISOString()) {
+      const existing = await get(email);
+      if (existing && existing.status === "active") return existing;
+      return put({
+        email: normalizeEmail(email),
+        status: "pending",
+        createdAt: existing ? existing.createdAt : now,
+        confirmedAt: null,
+        unsubscribedAt: null,
+        watchlist: isEmptyWatchlist(watchlist) ? (existing ? existing.watchlist || null : null) : normalizeWatchlist(watchlist),
+      });
+    },
+
+    // Replaces the watchlist; an empty one reverts to the standard briefing.
+    async setWatchlist(email, watchlist) {
+      const existing = await get(email);
+      if (!existing) return null;
+      return put({ ...existing, watchlist: isEmptyWatchlist(watchlist) ? null : normalizeWatchlist(watchlist) });
+    },
+
+    async confirm(email, now = new Date().toISOString()) {
+      const existing = await get(email);
+      if (!existing) return null;
+      if (existing.status === "active") return existing;
+      return put({ ...existing, status: "active", confirmedAt: now, unsubscribedAt: null });
+    },
+
+    async unsubscribe(email, now = new Date().toISOString()) {
+      const existing = await get(email);
+      if (!existing || existing.status === "unsubscribed") return existing;
+      return put({ ...existing, status: "unsubscribed", unsubscribedAt: now });
+    },
+
+    async listActive() {
+      return (await list()).filter((r) => r.status === "active").map((r) => r.email);
+    },
+
+    // Active subscribers as { email, watchlist } profiles for delivery.
+    async listActiveProfiles() {
+      return (await list()).filter((r) => r.status === "active").map((r) => ({ email: r.email, watchlist: r.watchlist || null }));
+    },
+
+    // One-time migration from the old subscribers.json: addresses that were
+    // on the list are treated as already confirmed.
+    async importConfirmed(emails, now = new Date().toISOString()) {
+      let imported = 0;
+      for (const email of emails) {
+        if (!isValidEmail(email) || (await get(email))) continue;
+        await put({ email: normalizeEmail(email), status: "active", createdAt: now, confirmedAt: now, unsubscribedAt: null, watchlist: null });
+        imported++;
+      }
+      return imported;
+    },
+  };
+}
+
+// Active subscriber profiles for delivery. The first run after upgrading
+// imports the legacy subscribers.json as already-confirmed addresses. When
+// the store can't be written (the default file backend on a read-only
+// deployment), the legacy list is used as it is so the briefing still goes
+// out.
+async function loadActiveSubscribers(storage) {
+  const store = createSubscriberStore(storage);
+  const existing = await store.list();
+  if (existing.length === 0) {
+    let legacy = [];
+    try {
+      legacy = JSON.parse(readFileSync(join(process.cwd(), "subscribers.json"), "utf-8"));
+    } catch (err) {
+      if (err.code !== "ENOENT") console.warn(`[Subscribers] Could not read subscribers.json: ${err.message}`);
+    }
+    if (legacy.length > 0) {
+      try {
+        console.log(`[Subscribers] Imported ${await store.importConfirmed(legacy)} addresses from subscribers.json`);
+      } catch (err) {
+        console.warn(`[Subscribers] Could not import subscribers.json, using it as is: ${err.message}`);
+        const emails = [...new Set(legacy.filter(isValidEmail).map(normalizeEmail))];
+        return emails.map((email) => ({ email, watchlist: null }));
+      }
+    }
+  }
+  return store.listActiveProfiles();
+}
+
+module.exports = {
+  normalizeEmail,
+  isValidEmail,
+  fromAddress,
+  baseUrl,
+  signingSecret,
+  signToken,
+  verifyToken,
+  confirmUrl,
+  unsubscribeUrl,
+  createSubscriberStore,
+  loadActiveSubscribers,
+};
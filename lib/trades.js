@@ -0,0 +1,325 @@
+// =============================================================================
+// POLITICAL ALPHA — Canonical Trade Record
+// =============================================================================
+// Every fetcher emits trades in this shape so downstream stages (analysis,
+// email rendering) work from structured fields instead of re-parsing text.
+//
+//   kind         "congress" | "insider"
+//   entity       Politician or insider name ("Nancy Pelosi", "CEO John Doe")
+//   role         "Representative", "Senator", "CEO", ...
+//   party        "D" | "R" | "I" | ""
+//   chamber      "House" | "Senate" | ""
+//   state        Two-letter state a member represents, or ""
+//   ticker       Upper-case symbol without the leading "$"
+//   issuer       Company name, if known
+//   sector       Issuer's GICS sector ("Information Technology"), if known
+//   transaction  "BUY" | "SELL" | "EXCHANGE"
+//   amount       Disclosed amount range ("$1,001 - $15,000") or ""
+//   price        Per-share price at execution, or null
+//   owner        "Self", "Spouse", "Joint", "Child" or ""
+//   tradeDate    ISO date (YYYY-MM-DD) the trade happened, or ""
+//   filingDate   ISO date (YYYY-MM-DD) the disclosure was published, or ""
+//   tradingPlan  Insider trade made under a pre-arranged Rule 10b5-1 plan
+//   source       Human-readable source label
+//   sourceUrl    Link to the filing or listing, or ""
+//   sources      Every source that reported this trade (see lib/merge.js)
+//
+// Derived on construction:
+//   delayDays    Days from tradeDate to filingDate, or null if either is missing
+//   late         Congressional trade disclosed after the STOCK Act deadline
+//                (45 days from the transaction)
+//
+// Attached later by the merge and enrichment stages, when known:
+//   fieldSources { <field>: source label } on a trade merged from several
+//                sources, naming the source each field was taken from
+//                (lib/merge.js)
+//   performance  { tradePrice, tradePriceDate, latestPrice, latestPriceDate,
+//                changePct } — close on (or just before) the trade date, the
+//                latest close and the % move between them (lib/market)
+//   conflict     { sector, committees } when the member sits on a committee
+//                overseeing the company's sector, otherwise null
+//                (lib/committees.js)
+//   coverage     [{ title, link, publisher, date }] news headlines about the
+//                trade's company or the person who traded (lib/coverage.js)
+// =============================================================================
+
+const TRADE_KINDS = ["congress", "insider"];
+const TRANSACTIONS = ["BUY", "SELL", "EXCHANGE"];
+const TICKER_RE = /^[A-Z][A-Z0-9.\-]{0,9}$/;
+const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const STOCK_ACT_DEADLINE_DAYS = 45;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ---------------------------------------------------------------------------
+// FIELD NORMALIZERS
+// ---------------------------------------------------------------------------
+
+function normalizeTransaction(value) {
+  const v = String(value || "").trim().toLowerCase();
+  if (["buy", "purchase", "buys", "p"].includes(v)) return "BUY";
+  if (["sell", "sale", "sells", "s", "sale (full)", "sale (partial)", "sale_full", "sale_partial"].includes(v)) return "SELL";
+  if (["exchange", "e"].includes(v)) return "EXCHANGE";
+  return "";
+}
+
+function normalizeParty(value) {
+  const v = String(value || "").trim().toLowerCase();
+  if (v.startsWith("dem") || v === "d") return "D";
+  if (v.startsWith("rep") || v === "r") return "R";
+  if (v.startsWith("ind") || v === "i") return "I";
+  return "";
+}
+
+function normalizeChamber(value) {
+  const v = String(value || "").trim().toLowerCase();
+  if (v === "house" || v === "representative") return "House";
+  if (v === "senate" || v === "senator") return "Senate";
+  return "";
+}
+
+function normalizeTicker(value) {
+  return String(value || "").trim().replace(/^\$/, "").replace(/:US$/i, "").toUpperCase();
+}
+
+// Parses a disclosed amount into numeric bounds: "$1,001 - $15,000" →
+// { min: 1001, max: 15000 }, "Over $50,000,000" → { min: 50000001, max: 50000001 },
+// "$250K" → { min: 250000, max: 250000 }. Share counts and blanks give null.
+function parseAmountRange(value) {
+  const str = String(value || "");
+  if (/shares?/i.test(str)) return null;
+  const nums = [...str.matchAll(/\$?\s*([\d,]+(?:\.\d+)?)\s*([KMB])?\b/gi)]
+    .map((m) => Number(m[1].replace(/,/g, "")) * ({ K: 1e3, M: 1e6, B: 1e9 }[String(m[2] || "").toUpperCase()] || 1))
+    .filter((n) => n > 0);
+  if (nums.length === 0) return null;
+  if (/over|>/i.test(str)) return { min: nums[0] + 1, max: nums[0] + 1 };
+  return { min: Math.min(...nums), max: Math.max(...nums) };
+}
+
+const MONTHS = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+// "YYYY-MM-DD" for a calendar date, or "" if there is no such day.
+function utcDate(year, month, day) {
+  const date = new Date(Date.UTC(Number(year), month, Number(day)));
+  return date.getUTCDate() === Number(day) ? date.toISOString().slice(0, 10) : "";
+}
+
+// Accepts ISO strings, "Feb. 20, 2026", "2/20/2026", RFC 822 dates, etc.
+// Returns "" when the value cannot be parsed. Dates without a time are read
+// as calendar dates; the host's time zone must not move them by a day.
+function toIsoDate(value) {
+  if (!value) return "";
+  const str = String(value).trim();
+  if (ISO_DATE_RE.test(str)) return str;
+  const named = str.match(/^([a-z]{3,9})\.?\s+(\d{1,2}),?\s+(\d{4})$/i);
+  if (named) {
+    const month = MONTHS.indexOf(named[1].slice(0, 3).toLowerCase());
+    return month >= 0 ? utcDate(named[3], month, named[2]) : "";
+  }
+  const numeric = str.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (numeric) return utcDate(numeric[3], Number(numeric[1]) - 1, numeric[2]);
+  const time = new Date(str).getTime();
+  if (Number.isNaN(time)) return "";
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+const HONORIFICS = /^(rep|representative|sen|senator|hon|honorable|mr|mrs|ms|dr|congressman|congresswoman)\.?$/;
+const SUFFIXES = /^(jr|sr|ii|iii|iv|md|phd)\.?$/;
+
+// Lower-cased name tokens without honorifics, suffixes or middle initials:
+// "Rep. Nancy P. Pelosi" -> ["nancy", "pelosi"].
+function nameTokens(name) {
+  return String(name || "")
+    .toLowerCase()
+    .replace(/\([^)]*\)/g, " ")
+    .replace(/[,"]/g, " ")
+    .split(/\s+/)
+    .filter(Boolean)
+    .filter((tok, i) => !(i === 0 && HONORIFICS.test(tok)) && !SUFFIXES.test(tok))
+    .filter((tok, i, all) => !(all.length > 2 && i > 0 && i < all.length - 1 && /^\w\.?$/.test(tok)))
+    .map((tok) => tok.replace(/\.$/, ""));
+}
+
+function normalizeName(name) {
+  return nameTokens(name).join(" ");
+}
+
+// True when two names plausibly refer to the same person: same last name and
+// compatible first names ("Dan" vs "Daniel", or one side has no first name).
+function namesMatch(a, b) {
+  const ta = nameTokens(a);
+  const tb = nameTokens(b);
+  if (ta.length === 0 || tb.length === 0) return false;
+  if (ta[ta.length - 1] !== tb[tb.length - 1]) return false;
+  if (ta.length === 1 || tb.length === 1) return true;
+  return ta[0].startsWith(tb[0]) || tb[0].startsWith(ta[0]);
+}
+
+// ---------------------------------------------------------------------------
+// FILING LATENCY
+// ---------------------------------------------------------------------------
+
+function filingDelayDays(trade) {
+  if (!trade.tradeDate || !trade.filingDate) return null;
+  const days = Math.round((Date.parse(trade.filingDate) - Date.parse(trade.tradeDate)) / DAY_MS);
+  return days >= 0 ? days : null;
+}
+
+// Only members of Congress file under the STOCK Act; insiders' Form 4
+// deadlines are different and not tracked here.
+function isLateFiling(trade) {
+  const days = filingDelayDays(trade);
+  return trade.kind === "congress" && days !== null && days > STOCK_ACT_DEADLINE_DAYS;
+}
+
+// ---------------------------------------------------------------------------
+// CONSTRUCTION & VALIDATION
+// ---------------------------------------------------------------------------
+
+function createTrade(fields) {
+  const trade = {
+    kind: fields.kind || "congress",
+    entity: String(fields.entity || "").trim() || "Unknown",
+    role: String(fields.role || "").trim(),
+    party: normalizeParty(fields.party),
+    chamber: normalizeChamber(fields.chamber || fields.role),
+    state: String(fields.state || "").trim().toUpperCase(),
+    ticker: normalizeTicker(fields.ticker),
+    issuer: String(fields.issuer || "").trim(),
+    sector: String(fields.sector || "").trim(),
+    transaction: normalizeTransaction(fields.transaction),
+    amount: String(fields.amount || "").trim(),
+    price: Number(fields.price) > 0 ? Number(fields.price) : null,
+    owner: String(fields.owner || "").trim(),
+    tradeDate: toIsoDate(fields.tradeDate),
+    filingDate: toIsoDate(fields.filingDate),
+    tradingPlan: Boolean(fields.tradingPlan),
+    source: fields.source || "",
+    sourceUrl: fields.sourceUrl || "",
+    sources: fields.sources || (fields.source ? [fields.source] : []),
+  };
+  trade.date = trade.filingDate || trade.tradeDate;
+  trade.delayDays = filingDelayDays(trade);
+  trade.late = isLateFiling(trade);
+  trade.text = describeTrade(trade);
+  return trade;
+}
+
+// Returns a list of problems; an empty list means the trade is usable.
+function validateTrade(trade) {
+  const problems = [];
+  if (!trade || typeof trade !== "object") return ["not an object"];
+  if (!TRADE_KINDS.includes(trade.kind)) problems.push(`invalid kind "${trade.kind}"`);
+  if (!trade.entity || trade.entity === "Unknown") problems.push("missing entity");
+  if (!TICKER_RE.test(trade.ticker || "")) problems.push(`invalid ticker "${trade.ticker}"`);
+  if (!TRANSACTIONS.includes(trade.transaction)) problems.push(`invalid transaction "${trade.transaction}"`);
+  if (trade.tradeDate && !ISO_DATE_RE.test(trade.tradeDate)) problems.push("invalid tradeDate");
+  if (trade.filingDate && !ISO_DATE_RE.test(trade.filingDate)) problems.push("invalid filingDate");
+  if (!trade.source) problems.push("missing source");
+  return problems;
+}
+
+function isTrade(item) {
+  return Boolean(item) && TRADE_KINDS.includes(item.kind);
+}
+
+// Splits gathered items into valid trades and everything else (news etc.),
+// dropping trades that fail validation.
+function validateItems(items) {
+  const valid = [];
+  let dropped = 0;
+  for (const item of items) {
+    if (!isTrade(item)) {
+      valid.push(item);
+      continue;
+    }
+    const problems = validateTrade(item);
+    if (problems.length === 0) valid.push(item);
+    else {
+      dropped++;
+      console.warn(`[Validate] Dropping ${item.source} trade (${problems.join(", ")}): ${item.text}`);
+    }
+  }
+  if (dropped > 0) console.log(`[Validate] ${dropped} invalid trades dropped`);
+  return valid;
+}
+
+// ---------------------------------------------------------------------------
+// PRESENTATION
+// ---------------------------------------------------------------------------
+
+// 12.345 → "+12.3%"
+function formatChangePct(pct) {
+  return `${pct > 0 ? "+" : ""}${pct.toFixed(1)}%`;
+}
+
+// "stock +25.0% since the trade ($138.40 → $172.96)"
+function describePerformance(performance) {
+  const { tradePrice, latestPrice, changePct } = performance;
+  return `stock ${formatChangePct(changePct)} since the trade ($${tradePrice.toFixed(2)} → $${latestPrice.toFixed(2)})`;
+}
+
+// One-line summary used in the analyzer prompt and logs.
+function describeTrade(trade) {
+  const tags = [trade.party, trade.chamber].filter(Boolean).join("-");
+  const who = `${trade.entity}${tags ? ` (${tags})` : trade.role ? ` (${trade.role})` : ""}`;
+  const parts = [`${who}: ${trade.transaction || "?"} $${trade.ticker || "?"}`];
+  if (trade.issuer) parts.push(`(${trade.issuer})`);
+  if (trade.amount) parts.push(trade.amount);
+  if (trade.price) parts.push(`at $${trade.price}`);
+  if (trade.owner && trade.owner !== "Self" && trade.owner !== "Undisclosed") parts.push(`[${trade.owner}]`);
+  if (trade.tradingPlan) parts.push("under a 10b5-1 trading plan");
+  const dates = [];
+  if (trade.tradeDate) dates.push(`Traded ${trade.tradeDate}`);
+  if (trade.filingDate) dates.push(`Filed ${trade.filingDate}`);
+  const delay = filingDelayDays(trade);
+  if (delay !== null) dates.push(`${delay} days to disclose${isLateFiling(trade) ? " — LATE, past the 45-day STOCK Act deadline" : ""}`);
+  if (trade.performance) dates.push(describePerformance(trade.performance));
+  const confirmed = trade.sources && trade.sources.length > 1 ? ` (confirmed by ${trade.sources.length} sources)` : "";
+  const amended = trade.amended ? " (AMENDED filing — details changed since last reported)" : "";
+  return `${parts.join(" ")}${dates.length ? ` — ${dates.join(", ")}` : ""}${confirmed}${amended}`;
+}
+
+// Builds "Other Trades" table rows straight from structured trades, leaving
+// out the ones already featured as high alerts.
+function tradesToTableRows(trades, highAlerts = []) {
+  const isFeatured = (t) => highAlerts.some((a) => normalizeTicker(a.ticker) === t.ticker && namesMatch(a.entity, t.entity));
+  return trades
+    .filter((t) => !isFeatured(t))
+    .map((t) => ({
+      date: t.tradeDate || t.filingDate || "",
+      entity: t.entity,
+      ticker: t.ticker,
+      transaction: t.transaction,
+      amount: t.amount || "Undisclosed",
+      sources: t.sources || [],
+      amended: Boolean(t.amended),
+      late: Boolean(t.late),
+      performance: t.performance || null,
+      conflict: t.conflict || null,
+      coverage: t.coverage || [],
+    }));
+}
+
+module.exports = {
+  TRADE_KINDS,
+  TRANSACTIONS,
+  STOCK_ACT_DEADLINE_DAYS,
+  normalizeTransaction,
+  normalizeParty,
+  normalizeChamber,
+  normalizeTicker,
+  toIsoDate,
+  parseAmountRange,
+  filingDelayDays,
+  isLateFiling,
+  normalizeName,
+  namesMatch,
+  createTrade,
+  validateTrade,
+  validateItems,
+  isTrade,
+  formatChangePct,
+  describePerformance,
+  describeTrade,
+  tradesToTableRows,
+};
@@ -0,0 +1,111 @@
+// =============================================================================
+// POLITICAL ALPHA — Subscriber Watchlists
+// =============================================================================
+// A watchlist is stored on the subscriber record:
+//
+//   tickers      ["NVDA", "LMT"]            any of these symbols
+//   politicians  ["Nancy Pelosi"]           any of these members / insiders
+//   parties      ["D"]                      only these parties
+//   chambers     ["Senate"]                 only this chamber
+//   minAmount    15001                      only trades whose disclosed range
+//                                           reaches this many dollars
+//
+// Tickers and politicians say what to follow; party, chamber and minAmount
+// narrow it down. With no tickers or politicians, every trade that passes the
+// filters matches ("all Senate trades over $50k"). An empty watchlist matches
+// nothing and the subscriber gets the standard briefing.
+// =============================================================================
+
+const { normalizeTicker, normalizeParty, normalizeChamber, parseAmountRange, namesMatch } = require("./trades");
+
+const MAX_ENTRIES = 50;
+
+function toList(value) {
+  if (Array.isArray(value)) return value;
+  return String(value || "").split(",");
+}
+
+function uniqueList(value, normalize) {
+  return [...new Set(toList(value).map((v) => normalize(v)).filter(Boolean))].slice(0, MAX_ENTRIES);
+}
+
+// Cleans user input into the stored shape. Accepts arrays or comma-separated
+// strings, and singular "party"/"chamber" for convenience.
+function normalizeWatchlist(input = {}) {
+  const w = input || {};
+  const amount = typeof w.minAmount === "number" ? w.minAmount : (parseAmountRange(w.minAmount) || {}).min;
+  return {
+    tickers: uniqueList(w.tickers, normalizeTicker),
+    politicians: uniqueList(w.politicians, (v) => String(v || "").trim().replace(/\s+/g, " ")),
+    parties: uniqueList(w.parties || w.party, normalizeParty),
+    chambers: uniqueList(w.chambers || w.chamber, normalizeChamber),
+    minAmount: amount > 0 ? amount : 0,
+  };
+}
+
+// Problems with raw input that normalizeWatchlist() would otherwise silently
+// drop, so the API can tell the caller.
+function validateWatchlist(input) {
+  if (input == null) return [];
+  if (typeof input !== "object" || Array.isArray(input)) return ["watchlist must be an object"];
+  const problems = [];
+  for (const ticker of toList(input.tickers).map((t) => String(t).trim()).filter(Boolean)) {
+    if (!/^[A-Z][A-Z0-9.\-]{0,9}$/.test(normalizeTicker(ticker))) problems.push(`invalid ticker "${ticker}"`);
+  }
+  for (const party of toList(input.parties || input.party).map((p) => String(p).trim()).filter(Boolean)) {
+    if (!normalizeParty(party)) problems.push(`invalid party "${party}"`);
+  }
+  for (const chamber of toList(input.chambers || input.chamber).map((c) => String(c).trim()).filter(Boolean)) {
+    if (!normalizeChamber(chamber)) problems.push(`invalid chamber "${chamber}"`);
+  }
+  if (input.minAmount != null && input.minAmount !== "" && !(typeof input.minAmount === "number" ? input.minAmount >= 0 : parseAmountRange(input.minAmount))) {
+    problems.push(`invalid minAmount "${input.minAmount}"`);
+  }
+  return problems;
+}
+
+function isEmptyWatchlist(watchlist) {
+  if (!watchlist) return true;
+  const w = normalizeWatchlist(watchlist);
+  return w.tickers.length === 0 && w.politicians.length === 0 && w.parties.length === 0 && w.chambers.length === 0 && !w.minAmount;
+}
+
+function matchesWatchlist(trade, watchlist) {
+  if (isEmptyWatchlist(watchlist)) return false;
+  const w = normalizeWatchlist(watchlist);
+
+  if (w.tickers.length > 0 || w.politicians.length > 0) {
+    const followed = w.tickers.includes(trade.ticker) || w.politicians.some((name) => namesMatch(name, trade.entity));
+    if (!followed) return false;
+  }
+  if (w.parties.length > 0 && !w.parties.includes(trade.party)) return false;
+  if (w.chambers.length > 0 && !w.chambers.includes(trade.chamber)) return false;
+  if (w.minAmount) {
+    const range = parseAmountRange(trade.amount);
+    if (!range || range.max < w.minAmount) return false;
+  }
+  return true;
+}
+
+function filterWatchlist(trades, watchlist) {
+  if (isEmptyWatchlist(watchlist)) return [];
+  return trades.filter((t) => matchesWatchlist(t, watchlist));
+}
+
+// Short human-readable summary for the email header, e.g.
+// "$NVDA, $LMT, Nancy Pelosi · Senate · $15,001+".
+function describeWatchlist(watchlist) {
+  const w = normalizeWatchlist(watchlist);
+  const follows = [...w.tickers.map((t) => `$${t}`), ...w.politicians];
+  const filters = [w.parties.join("/"), w.chambers.join("/"), w.minAmount ? `$${w.minAmount.toLocaleString("en-US")}+` : ""].filter(Boolean);
+  return [follows.join(", "), ...filters].filter(Boolean).join(" · ");
+}
+
+module.exports = {
+  normalizeWatchlist,
+  validateWatchlist,
+  isEmptyWatchlist,
+  matchesWatchlist,
+  filterWatchlist,
+  describeWatchlist,
+};
@@ -0,0 +1,69 @@
+// =============================================================================
+// POLITICAL ALPHA — Minimal ZIP Reader
+// =============================================================================
+// Just enough of the ZIP format to pull files out of the House Clerk's yearly
+// disclosure archive: reads the central directory and inflates stored or
+// deflated entries with the built-in zlib. No ZIP64, no encryption.
+// =============================================================================
+
+const { inflateRawSync } = require("zlib");
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+function findEndOfCentralDirectory(buf) {
+  // The EOCD record is at least 22 bytes and may be followed by a comment of
+  // up to 64 KiB.
+  const stop = Math.max(0, buf.length - 22 - 0xffff);
+  for (let i = buf.length - 22; i >= stop; i--) {
+    if (buf.readUInt32LE(i) === EOCD_SIGNATURE) return i;
+  }
+  throw new Error("Not a ZIP archive (end of central directory not found)");
+}
+
+// Returns [{ name, size, read() }] for every file in the archive.
+function listZipEntries(buffer) {
+  const buf = Buffer.from(buffer);
+  const eocd = findEndOfCentralDirectory(buf);
+  const count = buf.readUInt16LE(eocd + 10);
+  let offset = buf.readUInt32LE(eocd + 16);
+
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    if (buf.readUInt32LE(offset) !== CENTRAL_SIGNATURE) throw new Error("Corrupt ZIP central directory");
+    const method = buf.readUInt16LE(offset + 10);
+    const compressedSize = buf.readUInt32LE(offset + 20);
+    const size = buf.readUInt32LE(offset + 24);
+    const nameLength = buf.readUInt16LE(offset + 28);
+    const extraLength = buf.readUInt16LE(offset + 30);
+    const commentLength = buf.readUInt16LE(offset + 32);
+    const localOffset = buf.readUInt32LE(offset + 42);
+    const name = buf.toString("utf-8", offset + 46, offset + 46 + nameLength);
+
+    entries.push({
+      name,
+      size,
+      read() {
+        if (buf.readUInt32LE(localOffset) !== LOCAL_SIGNATURE) throw new Error(`Corrupt ZIP entry ${name}`);
+        const start = localOffset + 30 + buf.readUInt16LE(localOffset + 26) + buf.readUInt16LE(localOffset + 28);
+        const data = buf.subarray(start, start + compressedSize);
+        if (method === 0) return Buffer.from(data);
+        if (method === 8) return inflateRawSync(data);
+        throw new Error(`Unsupported ZIP compression method ${method} for ${name}`);
+      },
+    });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+function readZipEntry(buffer, predicate) {
+  const entry = listZipEntries(buffer).find((e) => (typeof predicate === "string" ? e.name === predicate : predicate(e.name)));
+  return entry ? entry.read() : null;
+}
+
+module.exports = {
+  listZipEntries,
+  readZipEntry,
+};
@@ -0,0 +1,58 @@
+// =============================================================================
+// POLITICAL ALPHA — Local Preview
+// =============================================================================
+// Runs the cron pipeline in preview mode (scrape, analyze, render; nothing is
+// sent, archived or saved) and writes the result to disk:
+//
+//   npm run preview                          daily briefing
+//   npm run preview -- --edition weekly      a digest from the stored history
+//   npm run preview -- --out /tmp/alpha      somewhere other than .data/preview
+//   npm run preview -- --theme light         dark, light or high-contrast
+//
+// Writes <edition>-<date>.html (open it in a browser), <edition>-<date>.txt
+// (the plain-text part) and <edition>-<date>.json (raw items, analysis and
+// per-source diagnostics). Uses the same env vars as
+// the deployed function; `node --env-file=.env scripts/preview.js` loads them
+// from a file.
+// =============================================================================
+
+const { mkdirSync, writeFileSync } = require("fs");
+const { join, resolve } = require("path");
+const { runPreview } = require("../api/cron");
+const { isDigestEdition } = require("../lib/digest");
+const { THEMES, emailTheme } = require("../lib/render");
+
+const DEFAULT_OUT_DIR = join(__dirname, "..", ".data", "preview");
+
+function parseArgs(argv) {
+  const args = { edition: "daily", out: DEFAULT_OUT_DIR, theme: emailTheme() };
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inline] = argv[i].split("=", 2);
+    const value = inline !== undefined ? inline : argv[++i];
+    if (flag === "--edition") args.edition = String(value || "").toLowerCase();
+    else if (flag === "--out") args.out = resolve(String(value || ""));
+    else if (flag === "--theme") args.theme = String(value || "").toLowerCase();
+    else throw new Error(`Unknown option ${argv[i]} (expected --edition, --out or --theme)`);
+  }
+  if (args.edition !== "daily" && !isDigestEdition(args.edition)) throw new Error(`Unknown edition "${args.edition}"`);
+  if (!THEMES[args.theme]) throw new Error(`Unknown theme "${args.theme}" (expected ${Object.keys(THEMES).join(", ")})`);
+  return args;
+}
+
+async function main() {
+  const { edition, out, theme } = parseArgs(process.argv.slice(2));
+  const { html, text, report } = await runPreview(edition, {}, { theme });
+
+  const base = join(out, `${edition}-${report.generatedAt.slice(0, 10)}`);
+  mkdirSync(out, { recursive: true });
+  writeFileSync(`${base}.html`, html);
+  writeFileSync(`${base}.txt`, text);
+  writeFileSync(`${base}.json`, `${JSON.stringify(report, null, 2)}\n`);
+  console.log(`[Preview] ${report.title}`);
+  console.log(`[Preview] Wrote ${base}.html, ${base}.txt and ${base}.json (${theme} theme)`);
+}
+
+main().catch((err) => {
+  console.error("[Preview FATAL]", err);
+  process.exitCode = 1;
+});
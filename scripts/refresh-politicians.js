@@ -0,0 +1,82 @@
+// =============================================================================
+// POLITICAL ALPHA — Refresh the Politician Directory
+// =============================================================================
+// Rebuilds data/politicians.json from the congress-legislators project
+// (current members, committees and committee membership). Run after an
+// election or a committee reshuffle and commit the result:
+//
+//   npm run refresh:politicians
+//
+// Aliases already in the file are kept, so hand-added spellings survive a
+// refresh. Only full committees are recorded, not subcommittees.
+// =============================================================================
+
+const { readFileSync, writeFileSync } = require("fs");
+const { join } = require("path");
+
+const BASE_URL = "https://unitedstates.github.io/congress-legislators";
+const OUT_FILE = join(__dirname, "..", "data", "politicians.json");
+
+const PARTIES = { Democrat: "D", Republican: "R", Independent: "I" };
+
+async function getJson(file) {
+  const resp = await fetch(`${BASE_URL}/${file}`);
+  if (!resp.ok) throw new Error(`${file}: HTTP ${resp.status}`);
+  return resp.json();
+}
+
+// "House Permanent Select Committee on Intelligence" → "Intelligence"
+function committeeName(name) {
+  return name.replace(/^(House|Senate|Joint)\s+(Permanent\s+)?(Select\s+|Special\s+)?Committee\s+on\s+(the\s+)?/i, "").trim();
+}
+
+async function main() {
+  const [legislators, committees, membership] = await Promise.all([
+    getJson("legislators-current.json"),
+    getJson("committees-current.json"),
+    getJson("committee-membership-current.json"),
+  ]);
+
+  const committeesByMember = new Map();
+  for (const committee of committees) {
+    for (const seat of membership[committee.thomas_id] || []) {
+      if (!committeesByMember.has(seat.bioguide)) committeesByMember.set(seat.bioguide, []);
+      committeesByMember.get(seat.bioguide).push(committeeName(committee.name));
+    }
+  }
+
+  let previous = [];
+  try {
+    previous = JSON.parse(readFileSync(OUT_FILE, "utf-8")).members;
+  } catch (err) {
+    console.warn(`[Refresh] No existing directory: ${err.message}`);
+  }
+  const previousAliases = new Map(previous.map((m) => [m.name, m.aliases || []]));
+
+  const members = legislators.map((l) => {
+    const term = l.terms[l.terms.length - 1];
+    const name = l.name.official_full || `${l.name.first} ${l.name.last}`;
+    const spellings = [`${l.name.first} ${l.name.last}`, l.name.nickname && `${l.name.nickname} ${l.name.last}`, ...(previousAliases.get(name) || [])];
+    return {
+      name,
+      aliases: [...new Set(spellings.filter((s) => s && s !== name))],
+      party: PARTIES[term.party] || "",
+      state: term.state,
+      chamber: term.type === "sen" ? "Senate" : "House",
+      committees: committeesByMember.get(l.id.bioguide) || [],
+    };
+  }).sort((a, b) => a.chamber.localeCompare(b.chamber) || a.name.localeCompare(b.name));
+
+  const dataset = {
+    updated: new Date().toISOString().slice(0, 10),
+    source: `${BASE_URL}/ (refresh with npm run refresh:politicians)`,
+    members,
+  };
+  writeFileSync(OUT_FILE, `${JSON.stringify(dataset, null, 2)}\n`);
+  console.log(`[Refresh] ${members.length} members written to ${OUT_FILE}`);
+}
+
+main().catch((err) => {
+  console.error("[Refresh FATAL]", err);
+  process.exitCode = 1;
+});
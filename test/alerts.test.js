@@ -0,0 +1,174 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { recordedFetch } = require("./helpers/fake-fetch");
+const { startStandIn } = require("./helpers/stand-in-server");
+const { fakeResend } = require("./helpers/fake-resend");
+const { fakeRes } = require("./helpers/fake-res");
+const { createTrade } = require("../lib/trades");
+const { createMemoryStorage } = require("../lib/storage");
+const { openTradeHistory } = require("../lib/history");
+const { resolveAlertConfig, evaluateAlerts, isQuietHours, withinRateLimit } = require("../lib/alerts");
+const { createAlertsHandler } = require("../api/alerts");
+
+const NOW = new Date("2026-02-20T18:00:00Z"); // 13:00 in New York
+const ENV = { SUBSCRIBER_SECRET: "test-secret", PUBLIC_BASE_URL: "https://alpha.example" };
+
+function trade(fields) {
+  return createTrade({ kind: "congress", transaction: "BUY", source: "Test", ...fields });
+}
+
+test("rules fire on size, watchlists, committee overlap and clusters", () => {
+  const config = resolveAlertConfig({ ALERT_TICKERS: "TSLA" });
+  const trades = [
+    trade({ entity: "Nancy Pelosi", ticker: "NVDA", amount: "$250,001 - $500,000" }),
+    trade({ entity: "Joe Smith", ticker: "NVDA", amount: "$100,001 - $250,000" }),
+    trade({ entity: "Tommy Tuberville", ticker: "LMT", amount: "$1,001 - $15,000" }),
+    trade({ entity: "Jane Doe", ticker: "TSLA", amount: "$1,001 - $15,000" }),
+    trade({ entity: "Jane Doe", ticker: "KO", amount: "$1,001 - $15,000" }),
+  ];
+  const recent = [...trades, trade({ entity: "Ro Khanna", ticker: "NVDA" })];
+
+  const reasons = Object.fromEntries(
+    evaluateAlerts(trades, { config, recentTrades: recent, watchlist: { tickers: ["KO"] } }).map((m) => [`${m.trade.entity}:${m.trade.ticker}`, m.reasons]),
+  );
+  assert.deepEqual(reasons["Nancy Pelosi:NVDA"], ["Large trade: $250,001 - $500,000", "3 members disclosed $NVDA trades in the last 7 days"]);
+  assert.deepEqual(reasons["Joe Smith:NVDA"], ["3 members disclosed $NVDA trades in the last 7 days"]);
+  assert.deepEqual(reasons["Tommy Tuberville:LMT"], ["Industrials stock; member sits on Armed Services"]);
+  assert.deepEqual(reasons["Jane Doe:TSLA"], ["$TSLA is on the team watchlist"]);
+  assert.deepEqual(reasons["Jane Doe:KO"], ["$KO is on your watchlist"]);
+
+  const onlySize = resolveAlertConfig({ ALERT_RULES: "large-amount" });
+  assert.equal(evaluateAlerts(trades, { config: onlySize }).length, 1);
+});
+
+test("quiet hours wrap midnight in the configured time zone", () => {
+  const config = resolveAlertConfig({ ALERT_QUIET_HOURS: "22-7", ALERT_TIMEZONE: "America/New_York" });
+  assert.equal(isQuietHours(new Date("2026-02-20T18:00:00Z"), config), false); // 13:00
+  assert.equal(isQuietHours(new Date("2026-02-21T04:00:00Z"), config), true); // 23:00
+  assert.equal(isQuietHours(new Date("2026-02-21T11:00:00Z"), config), true); // 06:00
+  assert.equal(isQuietHours(new Date("2026-02-21T04:00:00Z"), resolveAlertConfig({ ALERT_QUIET_HOURS: "off" })), false);
+});
+
+test("rate limit caps alerts per hour and per day", () => {
+  const config = resolveAlertConfig({ ALERT_MAX_PER_HOUR: "2", ALERT_MAX_PER_DAY: "3" });
+  const ago = (minutes) => new Date(NOW.getTime() - minutes * 60000).toISOString();
+  assert.equal(withinRateLimit([], NOW, config), true);
+  assert.equal(withinRateLimit([ago(10), ago(20)], NOW, config), false);
+  assert.equal(withinRateLimit([ago(90), ago(120)], NOW, config), true);
+  assert.equal(withinRateLimit([ago(90), ago(120), ago(600)], NOW, config), false);
+  assert.equal(withinRateLimit([ago(60 * 25)], NOW, config), true);
+});
+
+async function runAlerts(deps) {
+  const res = fakeRes();
+  const env = { ...ENV, SOURCES_ENABLED: "capitol-trades,house-clerk", ...deps.env };
+  await createAlertsHandler({ fetch: recordedFetch(), now: NOW, ...deps, env })({ headers: {} }, res);
+  return res;
+}
+
+test("alert run emails matching new filings once and leaves them for the daily briefing", async () => {
+  const storage = createMemoryStorage();
+  const resend = fakeResend();
+  const res = await runAlerts({ storage, resend, subscribers: ["desk@example.com"] });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.emailsSent, 1);
+  const [email] = resend.sent;
+  assert.match(email.subject, /^Alert: \d+ high-signal filings/);
+  assert.match(email.html, /Large trade: \$1,000,001 - \$5,000,000/);
+  assert.match(email.html, /member sits on Armed Services/);
+  assert.ok(email.headers["List-Unsubscribe"]);
+
+  const history = await openTradeHistory(storage);
+  const records = Object.values(history.records);
+  assert.ok(records.some((r) => r.alertedTo["desk@example.com"] === NOW.toISOString()));
+  assert.ok(records.every((r) => !r.firstEmailed));
+
+  // Nothing new on the next poll.
+  const again = fakeResend();
+  const second = await runAlerts({ storage, resend: again, subscribers: ["desk@example.com"], now: new Date(NOW.getTime() + 2 * 3600000) });
+  assert.equal(second.body.emailsSent, 0);
+  assert.equal(again.sent.length, 0);
+});
+
+test("alert run respects quiet hours and rate limits", async () => {
+  const quiet = fakeResend();
+  const night = await runAlerts({ storage: createMemoryStorage(), resend: quiet, subscribers: ["desk@example.com"], now: new Date("2026-02-21T04:00:00Z") });
+  assert.equal(night.body.quietHours, true);
+  assert.equal(quiet.sent.length, 0);
+
+  const storage = createMemoryStorage();
+  await storage.set("alerts/send-log", { "desk@example.com": [new Date(NOW.getTime() - 600000).toISOString()] });
+  const limited = fakeResend();
+  const res = await runAlerts({ storage, resend: limited, subscribers: ["desk@example.com"], env: { ALERT_MAX_PER_HOUR: "1" } });
+  assert.equal(res.body.rateLimited, 1);
+  assert.equal(limited.sent.length, 0);
+
+  // Throttled trades were not marked as alerted.
+  const history = await openTradeHistory(storage);
+  assert.ok(Object.values(history.records).every((r) => Object.keys(r.alertedTo).length === 0));
+});
+
+test("a recipient held back by the rate limit gets the alert on a later run", async () => {
+  const storage = createMemoryStorage();
+  await storage.set("alerts/send-log", { "busy@example.com": [new Date(NOW.getTime() - 600000).toISOString()] });
+  const env = { ALERT_MAX_PER_HOUR: "1" };
+  const subscribers = ["desk@example.com", "busy@example.com"];
+
+  const first = fakeResend();
+  const res = await runAlerts({ storage, resend: first, subscribers, env });
+  assert.equal(res.body.rateLimited, 1);
+  assert.deepEqual(first.sent.map((m) => m.to), ["desk@example.com"]);
+
+  // An hour later the cap has room again; desk@ is not alerted twice.
+  const later = fakeResend();
+  await runAlerts({ storage, resend: later, subscribers, env, now: new Date(NOW.getTime() + 3600000) });
+  assert.deepEqual(later.sent.map((m) => m.to), ["busy@example.com"]);
+  assert.equal(later.sent[0].subject, first.sent[0].subject);
+});
+
+test("an alert run that overlaps the daily briefing keeps the briefing's history updates", async () => {
+  const storage = createMemoryStorage();
+  const nvda = trade({ entity: "Nancy Pelosi", ticker: "NVDA", tradeDate: "2026-02-10" });
+  const lmt = trade({ entity: "Tommy Tuberville", ticker: "LMT", tradeDate: "2026-02-12" });
+  const seed = await openTradeHistory(storage);
+  seed.markSeen([nvda]);
+  await seed.save();
+
+  // Both runs load the history; the briefing saves first.
+  const alerts = await openTradeHistory(storage);
+  const cron = await openTradeHistory(storage);
+  cron.markEmailed([nvda], NOW.toISOString());
+  await cron.save();
+  alerts.markSeen([nvda, lmt]);
+  alerts.markAlerted([nvda], "desk@example.com", NOW.toISOString());
+  await alerts.save();
+
+  const { records } = await openTradeHistory(storage);
+  const record = records[Object.keys(records).find((id) => records[id].trade.ticker === "NVDA")];
+  assert.equal(record.firstEmailed, NOW.toISOString());
+  assert.deepEqual(record.alertedTo, { "desk@example.com": NOW.toISOString() });
+  assert.equal(Object.keys(records).length, 2);
+});
+
+test("team channels get one alert post per run under the same caps", async () => {
+  const slack = await startStandIn();
+  try {
+    const storage = createMemoryStorage();
+    const res = await runAlerts({ storage, resend: fakeResend(), subscribers: [], env: { SLACK_WEBHOOK_URL: slack.url } });
+
+    assert.equal(res.body.emailsSent, 0);
+    assert.equal(res.body.channels.find((c) => c.id === "slack").status, "ok");
+    assert.equal(slack.requests.length, 1);
+    assert.match(slack.requests[0].body.text, /^Alert: /);
+    assert.match(JSON.stringify(slack.requests[0].body.blocks), /member sits on Armed Services/);
+    const history = await openTradeHistory(storage);
+    assert.ok(Object.values(history.records).some((r) => r.alertedTo["#team"]));
+
+    const log = await storage.get("alerts/send-log");
+    assert.equal(log["#team"].length, 1);
+  } finally {
+    await slack.close();
+  }
+});
@@ -0,0 +1,88 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createFakeFetch } = require("./helpers/fake-fetch");
+const { fakeResend } = require("./helpers/fake-resend");
+const { fakeRes } = require("./helpers/fake-res");
+const { createMemoryStorage } = require("../lib/storage");
+const { createMockProvider } = require("../lib/llm/mock");
+const { createArchive } = require("../lib/archive");
+const { createHandler } = require("../api/cron");
+const { createArchiveHandler } = require("../api/archive");
+
+const NOW = new Date("2026-02-20T18:00:00Z");
+const ENV = { SOURCES_DISABLED: "senate-efd", MARKET_DATA_PROVIDER: "off", SUBSCRIBER_SECRET: "test-secret", PUBLIC_BASE_URL: "https://alpha.example" };
+
+async function runDaily(storage, resend) {
+  const fetch = createFakeFetch([
+    ["bff.capitoltrades.com", "capitol/trades-api.json"],
+    ["news.google.com", "news/google-news.xml"],
+  ]);
+  const res = fakeRes();
+  await createHandler({ fetch, now: NOW, env: ENV, resend, storage, provider: createMockProvider(), subscribers: [{ email: "a@example.com", watchlist: { tickers: ["LMT"] } }] })({ headers: {}, query: {} }, res);
+  return res;
+}
+
+async function get(storage, query) {
+  const res = fakeRes();
+  await createArchiveHandler({ storage, env: ENV })({ method: "GET", headers: {}, query }, res);
+  return res;
+}
+
+test("each briefing is archived before delivery and linked from the email", async () => {
+  const storage = createMemoryStorage();
+  const resend = fakeResend();
+  const res = await runDaily(storage, resend);
+
+  assert.equal(res.body.archiveUrl, "https://alpha.example/archive/2026-02-20");
+  assert.match(resend.sent[0].html, /<a href="https:\/\/alpha\.example\/archive\/2026-02-20"[^>]*>View it in your browser<\/a>/);
+
+  // The archived copy is the public rendering: no watchlist, no unsubscribe.
+  const issue = await createArchive(storage).get("daily", "2026-02-20");
+  assert.equal(issue.title, "Political Alpha - Feb 20 Daily Briefing");
+  assert.match(issue.html, /Pelosi Loads Up on NVIDIA/);
+  assert.doesNotMatch(issue.html, /Your Watchlist|Unsubscribe|a@example\.com/);
+  assert.ok(issue.trades.length > 0);
+
+  // Saving the same day again replaces the issue instead of adding one.
+  await createArchive(storage).save({ ...issue, title: "Corrected" });
+  assert.deepEqual((await createArchive(storage).list()).map((e) => e.title), ["Corrected"]);
+});
+
+test("archive routes serve the index and issues as HTML or JSON", async () => {
+  const storage = createMemoryStorage();
+  await runDaily(storage, fakeResend());
+
+  const index = await get(storage, {});
+  assert.equal(index.statusCode, 200);
+  assert.match(index.body, /<a href="https:\/\/alpha\.example\/archive\/2026-02-20"[^>]*>Political Alpha - Feb 20 Daily Briefing<\/a>/);
+
+  const indexJson = await get(storage, { format: "json" });
+  assert.deepEqual(indexJson.body.issues.map((e) => [e.edition, e.date, e.url]), [["daily", "2026-02-20", "https://alpha.example/archive/2026-02-20"]]);
+
+  const page = await get(storage, { date: "2026-02-20" });
+  assert.equal(page.statusCode, 200);
+  assert.equal(page.headers["content-type"], "text/html; charset=utf-8");
+  assert.match(page.body, /HIGH TRADE ALERT #1/);
+
+  const json = await get(storage, { date: "2026-02-20", format: "json" });
+  assert.equal(json.body.analysis.highAlerts[0].ticker, "NVDA");
+  assert.equal(json.body.html, undefined);
+
+  assert.equal((await get(storage, { date: "2026-02-19" })).statusCode, 404);
+  assert.equal((await get(storage, { date: "yesterday", format: "json" })).statusCode, 400);
+  assert.equal((await get(storage, { date: "2026-02-20", edition: "hourly" })).statusCode, 400);
+});
+
+test("digests are archived under their edition", async () => {
+  const storage = createMemoryStorage();
+  const resend = fakeResend();
+  const res = fakeRes();
+  await createHandler({ now: NOW, env: ENV, resend, storage, subscribers: ["a@example.com"] })({ headers: {}, query: { edition: "weekly" } }, res);
+
+  assert.equal(res.body.archiveUrl, "https://alpha.example/archive/weekly/2026-02-20");
+  assert.match(resend.sent[0].html, /archive\/weekly\/2026-02-20/);
+  const page = await get(storage, { date: "2026-02-20", edition: "weekly" });
+  assert.match(page.body, /Weekly Congressional Trading Digest/);
+  assert.equal((await get(storage, { date: "2026-02-20" })).statusCode, 404);
+});
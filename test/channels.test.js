@@ -0,0 +1,194 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createHmac } = require("crypto");
+
+const { startStandIn } = require("./helpers/stand-in-server");
+const { createTrade, tradesToTableRows } = require("../lib/trades");
+const { deliverToChannels, getChannels } = require("../lib/channels");
+const { splitMessage } = require("../lib/channels/telegram");
+
+const trades = [
+  createTrade({ kind: "congress", entity: "Nancy Pelosi", party: "D", chamber: "House", ticker: "NVDA", transaction: "BUY", amount: "$1,000,001 - $5,000,000", tradeDate: "2026-02-01", source: "Capitol Trades", sourceUrl: "https://example.com/pelosi" }),
+  createTrade({ kind: "congress", entity: "Tommy Tuberville", party: "R", chamber: "Senate", ticker: "LMT", transaction: "SELL", amount: "$15,001 - $50,000", tradeDate: "2026-02-03", source: "House Clerk" }),
+];
+
+const briefing = {
+  type: "briefing",
+  id: "briefing-2026-02-20",
+  title: "Political Alpha - Feb 20 Daily Briefing",
+  generatedAt: "2026-02-20T18:00:00.000Z",
+  itemCount: 2,
+  analysis: {
+    highAlerts: [{ title: "Pelosi <Loads Up> on NVIDIA", ticker: "NVDA", transaction: "BUY", entity: "Nancy Pelosi", summary: "Call options ahead of earnings." }],
+    otherTrades: tradesToTableRows(trades),
+    marketNote: "Tech buying continues.",
+  },
+  trades,
+  errors: [{ id: "senate-efd", name: "Senate eFD", error: "timed out" }],
+};
+
+const alert = {
+  type: "alert",
+  id: "alert-2026-02-20T18:00:00.000Z",
+  title: "Alert: Nancy Pelosi buys $NVDA ($1,000,001 - $5,000,000)",
+  generatedAt: "2026-02-20T18:00:00.000Z",
+  matches: [{ trade: trades[0], reasons: ["Large trade: $1,000,001 - $5,000,000"] }],
+};
+
+// Only the chat and webhook channels; fast retries.
+const teamChannels = () => getChannels().filter((c) => c.audience === "team");
+const FAST = { CHANNEL_SLACK_RETRY_DELAY_MS: "1", CHANNEL_DISCORD_RETRY_DELAY_MS: "1", CHANNEL_TELEGRAM_RETRY_DELAY_MS: "1", CHANNEL_WEBHOOK_RETRY_DELAY_MS: "1" };
+
+test("unconfigured chat channels are reported as disabled", async () => {
+  const { results } = await deliverToChannels(briefing, { env: {}, channels: teamChannels() });
+  assert.deepEqual(results.map((r) => [r.id, r.status]), [["slack", "disabled"], ["discord", "disabled"], ["telegram", "disabled"], ["webhook", "disabled"]]);
+});
+
+test("Slack gets Block Kit sections with escaped mrkdwn", async () => {
+  const slack = await startStandIn();
+  try {
+    const { results } = await deliverToChannels(briefing, { env: { SLACK_WEBHOOK_URL: `${slack.url}/services/T0/B0/x` }, channels: teamChannels() });
+    const result = results.find((r) => r.id === "slack");
+    assert.equal(result.status, "ok");
+    assert.equal(result.delivered, 1);
+
+    const [req] = slack.requests;
+    assert.equal(req.path, "/services/T0/B0/x");
+    assert.equal(req.body.text, briefing.title);
+    const text = req.body.blocks.map((b) => (b.text ? b.text.text : b.elements.map((e) => e.text).join(" "))).join("\n");
+    assert.match(text, /Pelosi &lt;Loads Up&gt; on NVIDIA/);
+    assert.match(text, /BUY \$NVDA · Nancy Pelosi · \$1,000,001 - \$5,000,000 · 2026-02-01/);
+    assert.match(text, /Senate eFD/);
+  } finally {
+    await slack.close();
+  }
+});
+
+test("server errors are retried with backoff, client errors are not", async () => {
+  const slack = await startStandIn([{ status: 503, body: "busy" }, { status: 200, body: "ok" }]);
+  const discord = await startStandIn([{ status: 404, body: { message: "Unknown Webhook" } }]);
+  try {
+    const { results, errors } = await deliverToChannels(alert, {
+      env: { ...FAST, SLACK_WEBHOOK_URL: slack.url, DISCORD_WEBHOOK_URL: discord.url },
+      channels: teamChannels(),
+    });
+    const byId = Object.fromEntries(results.map((r) => [r.id, r]));
+    assert.equal(byId.slack.status, "ok");
+    assert.equal(byId.slack.attempts, 2);
+    assert.equal(slack.requests.length, 2);
+
+    assert.equal(byId.discord.status, "error");
+    assert.equal(byId.discord.attempts, 1);
+    assert.match(byId.discord.error, /HTTP 404/);
+    assert.deepEqual(errors.map((e) => e.id), ["discord"]);
+  } finally {
+    await slack.close();
+    await discord.close();
+  }
+});
+
+test("Discord gets one embed per alert plus the trade list", async () => {
+  const discord = await startStandIn([{ status: 204, body: "" }]);
+  try {
+    await deliverToChannels(briefing, { env: { DISCORD_WEBHOOK_URL: discord.url }, channels: teamChannels() });
+    const [{ body }] = discord.requests;
+    assert.match(body.content, /^\*\*Political Alpha - Feb 20 Daily Briefing\*\*\nTech buying continues\./);
+    assert.deepEqual(body.embeds.map((e) => e.title), ["Pelosi <Loads Up> on NVIDIA", "Other Trades"]);
+    assert.match(body.embeds[1].description, /SELL \$LMT · Tommy Tuberville/);
+  } finally {
+    await discord.close();
+  }
+});
+
+test("Telegram sends HTML through the bot API and resumes split messages", async () => {
+  const telegram = await startStandIn([
+    { status: 200, body: { ok: true } },
+    { status: 502, body: { ok: false } },
+    { status: 200, body: { ok: true } },
+  ]);
+  const long = { ...alert, matches: Array.from({ length: 20 }, () => alert.matches[0]).map((m, i) => ({ ...m, reasons: [`${"x".repeat(120)} ${i}`] })) };
+  try {
+    const { results } = await deliverToChannels(long, {
+      env: { ...FAST, TELEGRAM_BOT_TOKEN: "123:abc", TELEGRAM_CHAT_ID: "-100", TELEGRAM_API_URL: telegram.url },
+      channels: teamChannels(),
+    });
+    const result = results.find((r) => r.id === "telegram");
+    assert.equal(result.status, "ok");
+    assert.equal(result.delivered, 2);
+
+    // Part one once, part two failed then succeeded.
+    assert.equal(telegram.requests.length, 3);
+    assert.ok(telegram.requests.every((r) => r.path === "/bot123:abc/sendMessage"));
+    const [first, failed, retried] = telegram.requests.map((r) => r.body);
+    assert.equal(first.chat_id, "-100");
+    assert.equal(first.parse_mode, "HTML");
+    assert.match(first.text, /^<b>Alert: Nancy Pelosi buys \$NVDA/);
+    assert.deepEqual(failed, retried);
+    assert.notEqual(first.text, retried.text);
+  } finally {
+    await telegram.close();
+  }
+});
+
+test("splitMessage keeps every part within the limit", () => {
+  const parts = splitMessage(["a".repeat(30), "b".repeat(30), "c".repeat(80)].join("\n"), 64);
+  assert.deepEqual(parts.map((p) => p.length), [61, 64]);
+});
+
+test("webhook posts the full payload with a verifiable signature", async () => {
+  const receiver = await startStandIn();
+  try {
+    const { results } = await deliverToChannels(briefing, { env: { WEBHOOK_URL: `${receiver.url}/hooks/alpha`, WEBHOOK_SECRET: "shh" }, channels: teamChannels() });
+    assert.equal(results.find((r) => r.id === "webhook").status, "ok");
+
+    const [req] = receiver.requests;
+    assert.deepEqual(req.body, JSON.parse(JSON.stringify(briefing)));
+    assert.equal(req.headers["x-political-alpha-event"], "briefing");
+    assert.equal(req.headers["x-political-alpha-delivery"], "briefing-2026-02-20");
+    const expected = createHmac("sha256", "shh").update(`${req.headers["x-political-alpha-timestamp"]}.${req.raw}`).digest("hex");
+    assert.equal(req.headers["x-political-alpha-signature"], `sha256=${expected}`);
+  } finally {
+    await receiver.close();
+  }
+});
+
+test("webhook refuses to send unsigned", async () => {
+  const receiver = await startStandIn();
+  try {
+    const { results } = await deliverToChannels(alert, { env: { WEBHOOK_URL: receiver.url }, channels: teamChannels() });
+    const result = results.find((r) => r.id === "webhook");
+    assert.equal(result.status, "error");
+    assert.equal(result.attempts, 1);
+    assert.match(result.error, /WEBHOOK_SECRET/);
+    assert.equal(receiver.requests.length, 0);
+  } finally {
+    await receiver.close();
+  }
+});
+
+test("email channel retries failed batches without re-sending delivered ones", async () => {
+  const sent = [];
+  let calls = 0;
+  const resend = {
+    batch: {
+      async send(messages) {
+        calls++;
+        if (calls === 1) return { data: null, error: { message: "rate_limit_exceeded" } };
+        sent.push(...messages);
+        return { data: {}, error: null };
+      },
+    },
+  };
+  const { results } = await deliverToChannels(briefing, {
+    env: { CHANNELS_ENABLED: "email", CHANNEL_EMAIL_RETRY_DELAY_MS: "1", SUBSCRIBER_SECRET: "s" },
+    context: { resend, subscribers: ["a@example.com", { email: "b@example.com", watchlist: { tickers: ["LMT"] } }] },
+  });
+  const email = results.find((r) => r.id === "email");
+  assert.equal(email.status, "ok");
+  assert.equal(email.attempts, 2);
+  assert.equal(email.delivered, 2);
+  assert.deepEqual(sent.map((m) => m.to), ["a@example.com", "b@example.com"]);
+  assert.equal(sent[0].subject, briefing.title);
+  assert.match(sent[1].html, /Your Watchlist/);
+  assert.match(sent[1].text, /^YOUR WATCHLIST$/m);
+});
@@ -0,0 +1,69 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createTrade, describeTrade, isLateFiling, tradesToTableRows } = require("../lib/trades");
+const { createMemoryStorage } = require("../lib/storage");
+const { openTradeHistory, HISTORY_KEY, COMPLIANCE_KEY } = require("../lib/history");
+const { buildEmailHtml } = require("../lib/channels/email");
+const { lateFilingLines } = require("../lib/channels/format");
+
+function trade(fields) {
+  return createTrade({ kind: "congress", entity: "Tommy Tuberville", party: "R", chamber: "Senate", transaction: "BUY", source: "Test", ...fields });
+}
+
+test("trades past the 45-day STOCK Act deadline are flagged late", () => {
+  const late = trade({ ticker: "LMT", tradeDate: "2026-01-01", filingDate: "2026-02-16" });
+  assert.equal(late.delayDays, 46);
+  assert.equal(late.late, true);
+  assert.match(describeTrade(late), /46 days to disclose — LATE, past the 45-day STOCK Act deadline/);
+  assert.equal(tradesToTableRows([late])[0].late, true);
+
+  assert.equal(trade({ ticker: "LMT", tradeDate: "2026-01-01", filingDate: "2026-02-15" }).late, false);
+  assert.equal(trade({ ticker: "LMT", tradeDate: "2026-01-01" }).delayDays, null);
+  // Form 4 deadlines are not the STOCK Act's.
+  assert.equal(isLateFiling({ kind: "insider", tradeDate: "2026-01-01", filingDate: "2026-03-01" }), false);
+});
+
+test("history keeps a per-member compliance record, counted once per filing", async () => {
+  const storage = createMemoryStorage();
+  const history = await openTradeHistory(storage);
+  const filings = [
+    trade({ ticker: "LMT", tradeDate: "2026-01-01", filingDate: "2026-03-01" }),
+    trade({ ticker: "NVDA", tradeDate: "2026-02-01", filingDate: "2026-02-11" }),
+    trade({ ticker: "XOM", tradeDate: "2026-02-05" }),
+  ];
+  history.markSeen(filings, "2026-03-01T07:00:00Z");
+  history.markSeen(filings, "2026-03-02T07:00:00Z");
+  await history.save();
+
+  const record = (await openTradeHistory(storage)).complianceOf("Sen. Tommy Tuberville");
+  assert.equal(record.filings, 2);
+  assert.equal(record.late, 1);
+  assert.equal(record.maxDelayDays, 59);
+  assert.equal(record.avgDelayDays, 34.5);
+  assert.equal(record.lateRate, 0.5);
+  assert.equal(record.lastFiled, "2026-03-01");
+  assert.deepEqual(record.recentLate.map((f) => [f.ticker, f.delayDays]), [["LMT", 59]]);
+
+  // Histories saved before compliance tracking get it rebuilt from records.
+  const legacy = createMemoryStorage();
+  await legacy.set(HISTORY_KEY, await storage.get(HISTORY_KEY));
+  assert.equal(await legacy.get(COMPLIANCE_KEY), null);
+  assert.equal((await openTradeHistory(legacy)).complianceOf("Tommy Tuberville").late, 1);
+});
+
+test("briefing lists late filers with their running record", () => {
+  const lateFilings = [{
+    entity: "Tommy Tuberville", party: "R", chamber: "Senate", ticker: "LMT", transaction: "BUY", amount: "$15,001 - $50,000",
+    tradeDate: "2026-01-01", filingDate: "2026-03-01", delayDays: 59, record: { filings: 5, late: 3, avgDelayDays: 41.2 },
+  }];
+  const analysis = { highAlerts: [], otherTrades: [], lateFilings };
+
+  const html = buildEmailHtml(analysis, 1, []);
+  assert.match(html, /Late Filers/);
+  assert.match(html, /59 days/);
+  assert.match(html, /3 of 5 late/);
+  assert.doesNotMatch(buildEmailHtml({ highAlerts: [], otherTrades: [], lateFilings: [] }, 0, []), /Late Filers/);
+
+  assert.deepEqual(lateFilingLines({ analysis }), ["Tommy Tuberville (R-Senate): BUY $LMT, 59 days to disclose (3 of 5 filings late)"]);
+});
@@ -0,0 +1,51 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createTrade } = require("../lib/trades");
+const { matchCoverage } = require("../lib/coverage");
+const { buildPrompt } = require("../lib/analysis");
+
+function trade(fields) {
+  return createTrade({ kind: "congress", transaction: "BUY", source: "House Clerk", amount: "$15,001 - $50,000", tradeDate: "2026-02-10", ...fields });
+}
+
+function headline(title, publisher, date = "Fri, 20 Feb 2026 12:00:00 GMT") {
+  return { source: "News", text: `${title} - ${publisher}`, title, publisher, link: `https://news.example/${publisher.toLowerCase()}`, date };
+}
+
+const nvidia = headline("Pelosi discloses new Nvidia call options ahead of earnings", "Reuters");
+const lockheed = headline("Lockheed Martin wins $4B hypersonics contract", "Defense News", "Thu, 19 Feb 2026 09:00:00 GMT");
+const tuberville = headline("Tuberville adds to Lockheed Martin stake, filing shows", "Bloomberg", "Wed, 18 Feb 2026 09:00:00 GMT");
+const ticker = headline("Options traders pile into $NVDA before earnings", "MarketWatch");
+const unrelated = headline("Senate panel revives push to ban congressional stock trading", "The Hill");
+
+test("headlines attach to trades by ticker, issuer and person, best match first", () => {
+  const pelosiNvda = trade({ entity: "Nancy Pelosi", ticker: "NVDA", issuer: "NVIDIA Corporation - Common Stock" });
+  const pelosiGoogl = trade({ entity: "Nancy Pelosi", ticker: "GOOGL", issuer: "Alphabet Inc. - Class A" });
+  const tubervilleLmt = trade({ entity: "Tommy Tuberville", ticker: "LMT", issuer: "Lockheed Martin Corp" });
+  const insiderKo = createTrade({ kind: "insider", entity: "CEO", role: "CEO", ticker: "KO", transaction: "BUY", source: "QuiverQuant Insiders" });
+  const trades = [pelosiNvda, pelosiGoogl, tubervilleLmt, insiderKo];
+
+  const linked = matchCoverage(trades, [nvidia, lockheed, tuberville, ticker, unrelated]);
+
+  // Company and person beat company only; ties go to the newest headline.
+  assert.deepEqual(pelosiNvda.coverage.map((c) => c.publisher), ["Reuters", "MarketWatch"]);
+  assert.deepEqual(tubervilleLmt.coverage.map((c) => c.publisher), ["Bloomberg", "Defense News"]);
+  assert.deepEqual(tubervilleLmt.coverage[0], { title: tuberville.title, link: "https://news.example/bloomberg", publisher: "Bloomberg", date: tuberville.date });
+  // The Nvidia story names Pelosi but is about another of her trades.
+  assert.deepEqual(pelosiGoogl.coverage, []);
+  assert.deepEqual(insiderKo.coverage, []);
+  assert.equal(linked.length, 4);
+  assert.ok(!linked.includes(unrelated));
+});
+
+test("linked headlines ride along on their trade in the prompt", () => {
+  const pelosiNvda = trade({ entity: "Nancy Pelosi", ticker: "NVDA", issuer: "NVIDIA Corp" });
+  const items = [pelosiNvda, nvidia, unrelated];
+  matchCoverage([pelosiNvda], items.slice(1));
+
+  const prompt = buildPrompt(items);
+  assert.match(prompt, /\$NVDA .* — NEWS: "Pelosi discloses new Nvidia call options ahead of earnings" \(Reuters\)/);
+  assert.equal(prompt.match(/Pelosi discloses/g).length, 1);
+  assert.match(prompt, /\(News\): Senate panel revives push/);
+});
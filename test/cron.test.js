@@ -0,0 +1,242 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createFakeFetch, recordedFetch } = require("./helpers/fake-fetch");
+const { startStandIn } = require("./helpers/stand-in-server");
+const { fakeResend } = require("./helpers/fake-resend");
+const { fakeRes } = require("./helpers/fake-res");
+const { createHandler } = require("../api/cron");
+const { createMemoryStorage } = require("../lib/storage");
+const { createMockProvider } = require("../lib/llm/mock");
+const { createSubscriberStore, verifyToken } = require("../lib/subscribers");
+
+const NOW = new Date("2026-02-20T18:00:00Z");
+
+// Every built-in source except the Senate, which needs a session dance that
+// the source tests already cover.
+const ENV = { SOURCES_DISABLED: "senate-efd", EDGAR_ISSUER_CIKS: "1045810,936468,320193", SUBSCRIBER_SECRET: "test-secret", PUBLIC_BASE_URL: "https://alpha.example" };
+
+async function run(deps, query = {}) {
+  const res = fakeRes();
+  await createHandler({ fetch: recordedFetch(), now: NOW, env: ENV, ...deps })({ headers: {}, query }, res);
+  return res;
+}
+
+test("handler gathers, analyzes and emails a briefing end to end", async () => {
+  const resend = fakeResend();
+  const provider = createMockProvider();
+  const res = await run({ resend, provider, storage: createMemoryStorage(), subscribers: ["a@example.com", "b@example.com"] });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.success, true);
+  assert.equal(res.body.emailsSent, 2);
+  assert.equal(res.body.highAlerts, 1);
+  assert.equal(res.body.analysisFallback, undefined);
+  assert.equal(res.body.errors, undefined);
+  assert.deepEqual(res.body.sources.filter((s) => s.status === "ok").map((s) => s.id).sort(),
+    ["capitol-trades", "google-news", "house-clerk", "quiver-congress", "quiver-insiders", "sec-form4"]);
+
+  // The model sees structured trades from every source in one prompt.
+  const prompt = provider.calls[0].messages[0].content;
+  assert.match(prompt, /\$LMT/);
+  assert.match(prompt, /\$GOOGL/);
+  // Headlines about a trade ride along on its line.
+  assert.match(prompt, /Nancy Pelosi \(D-House\): BUY \$NVDA .* — NEWS: "Pelosi discloses new Nvidia call options ahead of earnings" \(Reuters\)/);
+  // NVDA is priced through the recorded Yahoo chart; other tickers 404.
+  assert.match(prompt, /Nancy Pelosi \(D-House\): BUY \$NVDA .*stock \+25\.0% since the trade \(\$138\.40 → \$172\.96\)/);
+  assert.equal(res.body.pricedTrades, 1);
+  // QuiverQuant names only the member; party and committee come from the directory.
+  assert.match(prompt, /Tommy Tuberville \(R-Senate\): BUY \$LMT .*POTENTIAL CONFLICT: Industrials stock; member sits on Armed Services/);
+
+  // One individually rendered message per subscriber.
+  assert.deepEqual(resend.sent.map((m) => m.to), ["a@example.com", "b@example.com"]);
+  const [email] = resend.sent;
+  assert.match(email.html, /Pelosi Loads Up on NVIDIA Ahead of Earnings/);
+  assert.match(email.html, /Congressional buying tilted toward large-cap tech this week\./);
+  assert.match(email.html, /Since the trade: <span[^>]*>\+25\.0%/);
+  assert.match(email.html, /Related coverage:.*<a href="https:\/\/news\.google\.com\/rss\/articles\/CBMiXmh0[^"]*"[^>]*>Pelosi discloses new Nvidia call options ahead of earnings<\/a> &mdash; Reuters/);
+  assert.match(email.text, /Related coverage:\n {2}- Pelosi discloses new Nvidia/);
+  // The table is rebuilt from structured trades, not the model's own rows.
+  assert.match(email.html, /\$STT/);
+  assert.match(email.html, /\$LMT/);
+  assert.doesNotMatch(email.html, /Joe Smith/);
+});
+
+test("handler falls back to rule-based analysis when the model fails", async () => {
+  const resend = fakeResend();
+  const provider = { name: "broken", model: "none", async generate() { throw new Error("quota exceeded"); } };
+  const res = await run({ resend, provider, storage: createMemoryStorage(), subscribers: ["a@example.com"] });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.analysisFallback, "quota exceeded");
+  assert.ok(res.body.highAlerts > 0);
+  assert.match(resend.sent[0].html, /AI analysis was unavailable today/);
+});
+
+test("handler skips trades that went out in an earlier briefing", async () => {
+  const storage = createMemoryStorage();
+  await run({ resend: fakeResend(), provider: createMockProvider(), storage, subscribers: ["a@example.com"] });
+
+  // The next morning, the same filings are still listed by the sources.
+  const provider = createMockProvider();
+  const res = await run({ resend: fakeResend(), provider, storage, subscribers: ["a@example.com"], now: new Date("2026-02-21T07:00:00Z") });
+
+  assert.ok(res.body.alreadyReported > 0);
+  // Only the headlines are left for the model to write about: no trade line
+  // from any source comes back.
+  const prompt = provider.calls[0].messages[0].content;
+  const lineSources = [...prompt.matchAll(/^\[\d+\] \(([^)]+)\):/gm)].map((m) => m[1]);
+  assert.ok(lineSources.length > 0);
+  assert.deepEqual([...new Set(lineSources)], ["News"]);
+});
+
+test("handler reports failed sources without failing the run", async () => {
+  const resend = fakeResend();
+  const fetch = createFakeFetch([["news.google.com", "news/google-news.xml"]]);
+  const res = await run({ fetch, resend, provider: createMockProvider(), storage: createMemoryStorage(), subscribers: ["a@example.com"] });
+
+  assert.equal(res.statusCode, 200);
+  assert.ok(res.body.errors.some((e) => e.startsWith("Capitol Trades:")));
+  // The notice carries each source's diagnostics, not just its name.
+  const [email] = resend.sent;
+  assert.match(email.html, /Capitol Trades \(API HTTP 404; page HTTP 404, after 2 attempts in \d+(\.\d)?m?s\)/);
+  assert.match(email.html, /Today's data comes from Google News \(3 items in \d+(\.\d)?m?s\)/);
+  assert.match(email.text.replace(/\s+/g, " "), /House Clerk \(Index HTTP 404, after 2 attempts in /);
+});
+
+test("each recipient gets a signed unsubscribe footer and List-Unsubscribe headers", async () => {
+  const resend = fakeResend();
+  await run({ resend, provider: createMockProvider(), storage: createMemoryStorage(), subscribers: ["a@example.com", "b@example.com"] });
+
+  for (const message of resend.sent) {
+    const link = message.headers["List-Unsubscribe"].slice(1, -1);
+    assert.ok(link.startsWith("https://alpha.example/api/unsubscribe?token="));
+    assert.equal(message.headers["List-Unsubscribe-Post"], "List-Unsubscribe=One-Click");
+    assert.ok(message.html.includes(`Sent to ${message.to}.`));
+    assert.ok(message.html.includes(link));
+    assert.equal(verifyToken(new URL(link).searchParams.get("token"), "unsubscribe", ENV), message.to);
+  }
+});
+
+test("handler mails only active subscribers from the store", async () => {
+  const storage = createMemoryStorage();
+  const store = createSubscriberStore(storage);
+  await store.importConfirmed(["active@example.com", "gone@example.com"]);
+  await store.subscribe("pending@example.com");
+  await store.unsubscribe("gone@example.com");
+
+  const resend = fakeResend();
+  const res = await run({ resend, provider: createMockProvider(), storage, subscribers: undefined });
+
+  assert.equal(res.body.emailsSent, 1);
+  assert.deepEqual(resend.sent.map((m) => m.to), ["active@example.com"]);
+});
+
+test("watchlist matches are pinned per recipient; empty watchlists get the standard briefing", async () => {
+  const resend = fakeResend();
+  const fetch = recordedFetch();
+  await run({
+    fetch,
+    resend,
+    provider: createMockProvider(),
+    storage: createMemoryStorage(),
+    subscribers: [
+      { email: "defense@example.com", watchlist: { tickers: ["LMT"], chambers: ["Senate"] } },
+      { email: "quiet@example.com", watchlist: { tickers: ["ZZZZ"] } },
+      "everyone@example.com",
+    ],
+  });
+
+  const [defense, quiet, everyone] = resend.sent;
+  const pinned = (html) => html.slice(html.indexOf("Your Watchlist"), html.indexOf("MARKET PULSE"));
+  assert.match(defense.html, /Your Watchlist/);
+  assert.match(pinned(defense.html), /Tommy Tuberville/);
+  assert.doesNotMatch(pinned(defense.html), /Nancy Pelosi/);
+  assert.match(quiet.html, /Nothing on your watchlist in today's filings/);
+  assert.doesNotMatch(everyone.html, /Your Watchlist/);
+  // The rest of the briefing is the same for everybody.
+  assert.match(everyone.html, /Pelosi Loads Up on NVIDIA/);
+  assert.match(defense.html, /Pelosi Loads Up on NVIDIA/);
+  // Google News is also searched for every watchlist ticker.
+  const newsQueries = fetch.calls.filter((c) => c.url.includes("news.google.com")).map((c) => new URL(c.url).searchParams.get("q"));
+  assert.deepEqual(newsQueries.slice(2), ["LMT stock when:1d", "ZZZZ stock when:1d"]);
+});
+
+test("the briefing also goes to configured chat and webhook channels", async () => {
+  const slack = await startStandIn();
+  const receiver = await startStandIn();
+  try {
+    const resend = fakeResend();
+    const res = await run({
+      resend,
+      provider: createMockProvider(),
+      storage: createMemoryStorage(),
+      subscribers: [],
+      env: { ...ENV, SLACK_WEBHOOK_URL: slack.url, WEBHOOK_URL: receiver.url, WEBHOOK_SECRET: "hook-secret" },
+    });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.emailsSent, 0);
+    const status = Object.fromEntries(res.body.channels.map((c) => [c.id, c.status]));
+    assert.deepEqual(status, { email: "ok", slack: "ok", discord: "disabled", telegram: "disabled", webhook: "ok" });
+
+    assert.match(JSON.stringify(slack.requests[0].body.blocks), /Pelosi Loads Up on NVIDIA/);
+    const { body } = receiver.requests[0];
+    assert.equal(body.type, "briefing");
+    assert.equal(body.id, "briefing-2026-02-20");
+    assert.ok(body.trades.some((t) => t.ticker === "LMT"));
+    assert.equal(body.analysis.highAlerts[0].title, "Pelosi Loads Up on NVIDIA Ahead of Earnings");
+  } finally {
+    await slack.close();
+    await receiver.close();
+  }
+});
+
+test("preview mode renders the briefing without sending, archiving or saving", async () => {
+  const storage = createMemoryStorage();
+  const resend = fakeResend();
+  const res = await run({ resend, provider: createMockProvider(), storage, subscribers: ["a@example.com"] }, { mode: "preview" });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.mode, "preview");
+  assert.equal(res.body.analysis.highAlerts[0].title, "Pelosi Loads Up on NVIDIA Ahead of Earnings");
+  assert.ok(res.body.rawItems.length >= res.body.items.length);
+  assert.ok(res.body.sources.some((s) => s.id === "capitol-trades" && s.status === "ok"));
+  assert.equal(resend.sent.length, 0);
+  assert.equal(await storage.get("archive/index"), null);
+
+  const html = await run({ resend, provider: createMockProvider(), storage, subscribers: ["a@example.com"] }, { mode: "preview", format: "html" });
+  assert.equal(html.headers["content-type"], "text/html; charset=utf-8");
+  assert.match(html.body, /Pelosi Loads Up on NVIDIA/);
+
+  const text = await run({ resend, provider: createMockProvider(), storage, subscribers: ["a@example.com"] }, { mode: "preview", format: "text", theme: "light" });
+  assert.equal(text.headers["content-type"], "text/plain; charset=utf-8");
+  assert.match(text.body, /^HIGH TRADE ALERTS$/m);
+  assert.equal((await run({ resend, storage }, { mode: "preview", theme: "sepia" })).statusCode, 400);
+
+  // Nothing was recorded, so the real run still reports every trade.
+  const real = await run({ resend, provider: createMockProvider(), storage, subscribers: ["a@example.com"] });
+  assert.equal(real.body.alreadyReported, 0);
+  assert.equal(resend.sent.length, 1);
+});
+
+test("test mode emails only the given address and skips the other channels", async () => {
+  const storage = createMemoryStorage();
+  const resend = fakeResend();
+  const env = { ...ENV, ADMIN_EMAIL: "admin@example.com", SLACK_WEBHOOK_URL: "http://127.0.0.1:9/unused" };
+  const res = await run({ resend, provider: createMockProvider(), storage, subscribers: ["a@example.com", "b@example.com"], env }, { mode: "test" });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.to, "admin@example.com");
+  assert.deepEqual(res.body.channels.map((c) => c.id), ["email"]);
+  assert.deepEqual(resend.sent.map((m) => m.to), ["admin@example.com"]);
+  assert.equal(resend.sent[0].subject, "[TEST] Political Alpha - Feb 20 Daily Briefing");
+  assert.equal(await storage.get("archive/index"), null);
+
+  const other = await run({ resend, provider: createMockProvider(), storage, env }, { mode: "test", to: "Me@Example.com" });
+  assert.equal(other.body.to, "me@example.com");
+
+  assert.equal((await run({ resend, storage }, { mode: "test" })).statusCode, 400);
+  assert.equal((await run({ resend, storage }, { mode: "dry" })).statusCode, 400);
+  assert.equal((await run({ resend, storage }, { mode: "preview", format: "pdf" })).statusCode, 400);
+});
@@ -0,0 +1,125 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { fakeResend } = require("./helpers/fake-resend");
+const { fakeRes } = require("./helpers/fake-res");
+const { createTrade } = require("../lib/trades");
+const { createMemoryStorage } = require("../lib/storage");
+const { openTradeHistory } = require("../lib/history");
+const { filingDelayDays } = require("../lib/trades");
+const { buildDigest, digestPeriod } = require("../lib/digest");
+const { createHandler } = require("../api/cron");
+
+const NOW = new Date("2026-02-20T18:00:00Z");
+const ENV = { SUBSCRIBER_SECRET: "test-secret", PUBLIC_BASE_URL: "https://alpha.example" };
+
+function trade(fields) {
+  return createTrade({ kind: "congress", transaction: "BUY", source: "Test", ...fields });
+}
+
+const daysAgo = (n) => new Date(NOW.getTime() - n * 86400000).toISOString();
+
+// History as the daily runs would have left it over the last few weeks.
+async function seededStorage() {
+  const storage = createMemoryStorage();
+  const history = await openTradeHistory(storage);
+  history.markSeen([
+    trade({ entity: "Nancy Pelosi", party: "D", chamber: "House", ticker: "NVDA", amount: "$1,000,001 - $5,000,000", tradeDate: "2026-01-20", filingDate: "2026-02-14" }),
+    trade({ entity: "Nancy Pelosi", party: "D", chamber: "House", ticker: "AAPL", amount: "$250,001 - $500,000", tradeDate: "2026-02-02", filingDate: "2026-02-15" }),
+    trade({ entity: "Ro Khanna", party: "D", chamber: "House", ticker: "NVDA", transaction: "SELL", amount: "$1,001 - $15,000", tradeDate: "2026-02-10", filingDate: "2026-02-16" }),
+    trade({ entity: "Tommy Tuberville", party: "R", chamber: "Senate", ticker: "NVDA", amount: "$15,001 - $50,000", tradeDate: "2025-12-01", filingDate: "2026-02-17" }),
+    trade({ entity: "Tommy Tuberville", party: "R", chamber: "Senate", ticker: "LMT", transaction: "SELL", amount: "$50,001 - $100,000", tradeDate: "2026-02-01" }),
+    createTrade({ kind: "insider", entity: "Jensen Huang", ticker: "NVDA", transaction: "SELL", amount: "$10,000,000", source: "Test" }),
+  ], daysAgo(3));
+  history.markSeen([trade({ entity: "Dan Crenshaw", party: "R", chamber: "House", ticker: "XOM", tradeDate: "2026-01-05", filingDate: "2026-01-20" })], daysAgo(25));
+  await history.save();
+  return storage;
+}
+
+test("digest periods: trailing week, previous calendar month", () => {
+  const week = digestPeriod("weekly", NOW);
+  assert.equal(week.start.toISOString(), "2026-02-13T18:00:00.000Z");
+  assert.equal(week.label, "Feb 13 – Feb 20, 2026");
+
+  const month = digestPeriod("monthly", new Date("2026-03-01T07:45:00Z"));
+  assert.equal(month.start.toISOString(), "2026-02-01T00:00:00.000Z");
+  assert.equal(month.end.toISOString(), "2026-03-01T00:00:00.000Z");
+  assert.equal(month.label, "February 2026");
+});
+
+test("weekly digest aggregates congressional trades first seen in the week", async () => {
+  const { records } = await openTradeHistory(await seededStorage());
+  const digest = buildDigest(records, { edition: "weekly", now: NOW });
+
+  assert.equal(digest.title, "Political Alpha - Weekly Digest: Feb 13 – Feb 20, 2026");
+  assert.deepEqual(digest.totals, { trades: 5, politicians: 3, tickers: 3, buys: 3, sells: 2, late: 1 });
+  assert.deepEqual(digest.topTickers[0], { ticker: "NVDA", trades: 3, buys: 2, sells: 1, members: 3 });
+  assert.deepEqual(digest.topPoliticians.map((p) => [p.entity, p.trades]), [["Nancy Pelosi", 2], ["Tommy Tuberville", 2], ["Ro Khanna", 1]]);
+
+  const dems = digest.byParty.find((g) => g.party === "D");
+  assert.equal(dems.net, 1);
+  assert.equal(dems.netVolume, 3000001 + 375001 - 8001); // range midpoints
+  assert.deepEqual(digest.byChamber.map((g) => [g.chamber, g.net]), [["House", 1], ["Senate", 0]]);
+
+  assert.equal(digest.largest[0].ticker, "NVDA");
+  assert.equal(digest.largest[0].entity, "Nancy Pelosi");
+  // Tuberville's LMT sale has no filing date and does not count for delays.
+  assert.deepEqual(digest.slowestFilers.map((f) => [f.entity, f.avgDelayDays, f.maxDelayDays]), [["Tommy Tuberville", 78, 78], ["Nancy Pelosi", 19, 25], ["Ro Khanna", 6, 6]]);
+  assert.equal(digest.slowestFilings[0].delayDays, 78);
+});
+
+test("filing delay needs both dates", () => {
+  assert.equal(filingDelayDays({ tradeDate: "2026-01-01", filingDate: "2026-02-15" }), 45);
+  assert.equal(filingDelayDays({ tradeDate: "2026-01-01", filingDate: "" }), null);
+});
+
+test("?edition=weekly emails the digest from history without scraping", async () => {
+  const resend = fakeResend();
+  const fetch = () => { throw new Error("digest must not scrape"); };
+  const res = fakeRes();
+  await createHandler({ fetch, now: NOW, env: ENV, resend, storage: await seededStorage(), subscribers: ["a@example.com"] })({ headers: {}, query: { edition: "weekly" } }, res);
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.edition, "weekly");
+  assert.equal(res.body.trades, 5);
+  assert.equal(res.body.emailsSent, 1);
+
+  const [email] = resend.sent;
+  assert.equal(email.subject, "Political Alpha - Weekly Digest: Feb 13 – Feb 20, 2026");
+  for (const heading of ["Most-Traded Tickers", "Most Active Politicians", "Net Buying by Party", "Net Buying by Chamber", "Largest Disclosed Trades", "Slowest Filers"]) {
+    assert.ok(email.html.includes(heading), heading);
+  }
+  assert.match(email.html, /Weekly Congressional Trading Digest/);
+  assert.match(email.html, /78 days/);
+  assert.ok(email.html.includes("Sent to a@example.com."));
+  assert.doesNotMatch(email.html, /Jensen Huang/);
+});
+
+test("monthly digest of an empty month still goes out, unknown editions are rejected", async () => {
+  const resend = fakeResend();
+  const res = fakeRes();
+  await createHandler({ now: new Date("2026-03-01T07:45:00Z"), env: ENV, resend, storage: createMemoryStorage(), subscribers: ["a@example.com"] })({ headers: {}, query: { edition: "monthly" } }, res);
+  assert.equal(res.statusCode, 200);
+  assert.equal(resend.sent[0].subject, "Political Alpha - Monthly Digest: February 2026");
+  assert.match(resend.sent[0].html, /No congressional trades were disclosed in this period/);
+
+  const bad = fakeRes();
+  await createHandler({ env: ENV })({ headers: {}, query: { edition: "hourly" } }, bad);
+  assert.equal(bad.statusCode, 400);
+  assert.deepEqual(bad.body.editions, ["daily", "weekly", "monthly"]);
+});
+
+test("chat channels render the digest as short lists", async () => {
+  const { records } = await openTradeHistory(await seededStorage());
+  const digest = buildDigest(records, { edition: "weekly", now: NOW });
+  const payload = { type: "digest", id: "digest-weekly-2026-02-20", title: digest.title, edition: "weekly", digest };
+
+  const slack = require("../lib/channels/slack").format(payload);
+  const text = slack.blocks.slice(1).map((b) => b.text.text).join("\n");
+  assert.match(text, /\$NVDA: 3 trades by 3 members/);
+  assert.match(text, /D: 2 buys \/ 1 sells \(net \+1, \+\$3\.4M\)/);
+  assert.match(text, /Tommy Tuberville \(R-Senate\): 78 days on average/);
+
+  const telegram = require("../lib/channels/telegram").format(payload);
+  assert.match(telegram, /<b>Most-Traded Tickers<\/b>/);
+});
@@ -0,0 +1,109 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { fakeRes } = require("./helpers/fake-res");
+const { createMemoryStorage } = require("../lib/storage");
+const { createArchive } = require("../lib/archive");
+const { createFeedHandler } = require("../api/feed");
+
+const ENV = { PUBLIC_BASE_URL: "https://alpha.example" };
+
+function issue(date, analysis) {
+  return { edition: "daily", date, title: `Political Alpha - ${date}`, generatedAt: `${date}T07:00:00.000Z`, itemCount: 3, analysis, trades: [], errors: [], html: "<html></html>" };
+}
+
+async function seededStorage() {
+  const storage = createMemoryStorage();
+  const archive = createArchive(storage);
+  await archive.save(issue("2026-02-19", {
+    highAlerts: [{ title: "Crenshaw Sells Lockheed", summary: "Armed Services member exits <LMT>.", ticker: "LMT", entity: "Dan Crenshaw", transaction: "SELL" }],
+    otherTrades: [{ date: "2026-02-10", entity: "Nancy Pelosi", ticker: "AAPL", transaction: "BUY", amount: "$15,001 - $50,000" }],
+    marketNote: "Quiet day.",
+  }));
+  await archive.save(issue("2026-02-20", {
+    highAlerts: [{ title: "Pelosi Loads Up on NVIDIA", summary: "Calls on NVDA.", ticker: "NVDA", entity: "Nancy Pelosi", transaction: "BUY" }],
+    otherTrades: [
+      { date: "2026-02-10", entity: "Nancy Pelosi", ticker: "AAPL", transaction: "BUY", amount: "$15,001 - $50,000", amended: true },
+      { date: "2026-02-12", entity: "Josh Gottheimer", ticker: "MSFT", transaction: "SELL", amount: "$1,001 - $15,000", late: true, performance: { changePct: -4.2 } },
+    ],
+    marketNote: "Tech buying.",
+  }));
+  return storage;
+}
+
+async function get(storage, query) {
+  const res = fakeRes();
+  await createFeedHandler({ storage, env: ENV })({ method: "GET", headers: {}, query }, res);
+  return res;
+}
+
+test("JSON feed has one entry per alert and trade with stable ids", async () => {
+  const storage = await seededStorage();
+  const res = await get(storage, { format: "json" });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.headers["content-type"], "application/feed+json; charset=utf-8");
+
+  const feed = JSON.parse(res.body);
+  assert.equal(feed.version, "https://jsonfeed.org/version/1.1");
+  assert.equal(feed.feed_url, "https://alpha.example/feeds/feed.json");
+  assert.deepEqual(feed.items.map((i) => i.title), [
+    "Pelosi Loads Up on NVIDIA",
+    "Josh Gottheimer SELL $MSFT",
+    "Crenshaw Sells Lockheed",
+    "Nancy Pelosi BUY $AAPL",
+  ]);
+  // The AAPL trade repeated on the 20th stays under the issue that first had it.
+  assert.equal(feed.items[3].url, "https://alpha.example/archive/2026-02-19");
+  assert.match(feed.items[1].content_text, /-4\.2% since the trade\nFiled late/);
+  assert.deepEqual(feed.items[0]._political_alpha, { kind: "alert", ticker: "NVDA", entity: "Nancy Pelosi", transaction: "BUY", amount: null, date: "2026-02-20" });
+
+  const again = JSON.parse((await get(storage, { format: "json" })).body);
+  assert.deepEqual(again.items.map((i) => i.id), feed.items.map((i) => i.id));
+  assert.equal(new Set(feed.items.map((i) => i.id)).size, 4);
+});
+
+test("Atom and RSS feeds are escaped and share entry ids", async () => {
+  const storage = await seededStorage();
+  const atom = await get(storage, {});
+  assert.equal(atom.headers["content-type"], "application/atom+xml; charset=utf-8");
+  assert.match(atom.body, /<feed xmlns="http:\/\/www\.w3\.org\/2005\/Atom">/);
+  assert.match(atom.body, /<updated>2026-02-20T07:00:00\.000Z<\/updated>/);
+  assert.match(atom.body, /exits &amp;lt;LMT&amp;gt;\./);
+  assert.doesNotMatch(atom.body, /<LMT>/);
+
+  const rss = await get(storage, { format: "rss" });
+  assert.equal(rss.headers["content-type"], "application/rss+xml; charset=utf-8");
+  assert.match(rss.body, /<pubDate>Fri, 20 Feb 2026 07:00:00 GMT<\/pubDate>/);
+
+  const ids = (body, re) => [...body.matchAll(re)].map((m) => m[1]);
+  const atomIds = ids(atom.body, /<entry>\s*<id>([^<]+)<\/id>/g);
+  assert.equal(atomIds.length, 4);
+  assert.deepEqual(ids(rss.body, /<guid isPermaLink="false">([^<]+)<\/guid>/g), atomIds);
+});
+
+test("feeds filter by ticker and politician and reject bad input", async () => {
+  const storage = await seededStorage();
+  const titles = async (query) => JSON.parse((await get(storage, { format: "json", ...query })).body).items.map((i) => i.title);
+
+  assert.deepEqual(await titles({ ticker: "nvda,lmt" }), ["Pelosi Loads Up on NVIDIA", "Crenshaw Sells Lockheed"]);
+  assert.deepEqual(await titles({ politician: "Pelosi" }), ["Pelosi Loads Up on NVIDIA", "Nancy Pelosi BUY $AAPL"]);
+  assert.deepEqual(await titles({ politician: "Pelosi", ticker: "AAPL" }), ["Nancy Pelosi BUY $AAPL"]);
+  assert.deepEqual(await titles({ limit: "1" }), ["Pelosi Loads Up on NVIDIA"]);
+
+  const filtered = JSON.parse((await get(storage, { format: "json", ticker: "NVDA" })).body);
+  assert.equal(filtered.feed_url, "https://alpha.example/feeds/feed.json?ticker=NVDA");
+
+  assert.equal((await get(storage, { format: "csv" })).statusCode, 400);
+  assert.equal((await get(storage, { limit: "0" })).statusCode, 400);
+  const post = fakeRes();
+  await createFeedHandler({ storage, env: ENV })({ method: "POST", headers: {}, query: {} }, post);
+  assert.equal(post.statusCode, 405);
+});
+
+test("an empty archive still produces a valid feed", async () => {
+  const res = fakeRes();
+  await createFeedHandler({ storage: createMemoryStorage(), env: ENV, now: new Date("2026-02-20T08:00:00Z") })({ method: "GET", headers: {}, query: { format: "rss" } }, res);
+  assert.equal(res.statusCode, 200);
+  assert.match(res.body, /<lastBuildDate>Fri, 20 Feb 2026 08:00:00 GMT<\/lastBuildDate>/);
+  assert.doesNotMatch(res.body, /<item>/);
+});
@@ -0,0 +1,67 @@
+// =============================================================================
+// TEST HELPER — Fixture-backed fetch
+// =============================================================================
+// Routes requests to recorded responses so fetchers and the full handler run
+// offline. Each route is [match, response] where match is a URL substring or
+// RegExp and response is a fixture path (relative to test/fixtures), an
+// object { status, body, headers, fixture }, or a function(url, init)
+// returning one of those. Unmatched URLs get a 404. Every request is recorded
+// on fetch.calls.
+//
+// recordedFetch() routes every built-in source (and the Yahoo chart for NVDA)
+// to its recorded fixture, for runs of the full handlers.
+// =============================================================================
+
+const { readFileSync } = require("fs");
+const { join } = require("path");
+
+const FIXTURES_DIR = join(__dirname, "..", "fixtures");
+
+function readFixture(name) {
+  return readFileSync(join(FIXTURES_DIR, name));
+}
+
+function toResponse(spec) {
+  if (typeof spec === "string") spec = { fixture: spec };
+  const body = spec.fixture ? readFixture(spec.fixture) : spec.body;
+  const payload = body === undefined || Buffer.isBuffer(body) || typeof body === "string" ? body : JSON.stringify(body);
+  return new Response(payload === undefined ? null : payload, { status: spec.status || 200, headers: spec.headers || {} });
+}
+
+function createFakeFetch(routes) {
+  const calls = [];
+  async function fetch(url, init = {}) {
+    const href = String(url);
+    calls.push({ url: href, init });
+    if (init.signal && init.signal.aborted) throw init.signal.reason || new Error("aborted");
+    for (const [match, spec] of routes) {
+      const hit = typeof match === "string" ? href.includes(match) : match.test(href);
+      if (!hit) continue;
+      return toResponse(typeof spec === "function" ? await spec(href, init) : spec);
+    }
+    return new Response("Not Found", { status: 404 });
+  }
+  fetch.calls = calls;
+  return fetch;
+}
+
+function recordedFetch() {
+  return createFakeFetch([
+    ["congress_trades_automated", "quiver/congress-trades.html"],
+    ["insiders_automated", "quiver/insiders.html"],
+    ["bff.capitoltrades.com", "capitol/trades-api.json"],
+    ["news.google.com", "news/google-news.xml"],
+    ["2026FD.zip", "house/2026FD.zip"],
+    ["20026541.pdf", "house/20026541.pdf"],
+    ["form.20260219.idx", "edgar/form.20260219.idx"],
+    [/\/(\d{10}-\d{2}-\d{6})\.txt$/, (url) => `edgar/${url.match(/(\d{10}-\d{2}-\d{6})\.txt$/)[1]}.txt`],
+    ["finance.yahoo.com/v8/finance/chart/NVDA?", "market/yahoo-chart-nvda.json"],
+  ]);
+}
+
+module.exports = {
+  FIXTURES_DIR,
+  readFixture,
+  createFakeFetch,
+  recordedFetch,
+};
@@ -0,0 +1,34 @@
+// =============================================================================
+// TEST HELPER — Vercel-style response object
+// =============================================================================
+// Handed to the api/ handlers in place of Vercel's response. Records the
+// status code, headers (lower-cased names) and the body given to json() or
+// send().
+// =============================================================================
+
+function fakeRes() {
+  return {
+    statusCode: 0,
+    headers: {},
+    body: null,
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+    send(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+module.exports = {
+  fakeRes,
+};
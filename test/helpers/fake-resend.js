@@ -0,0 +1,30 @@
+// =============================================================================
+// TEST HELPER — Resend client
+// =============================================================================
+// Stands in for the Resend SDK's batch API. Every batch is recorded on
+// `calls` as { messages, key (the idempotency key), ok }; messages of the
+// batches that went through are collected on `sent`. A batch containing one
+// of the `failing` addresses fails as a whole, like a 500 from Resend.
+// =============================================================================
+
+function fakeResend(failing = []) {
+  const calls = [];
+  const sent = [];
+  return {
+    calls,
+    sent,
+    batch: {
+      async send(messages, options = {}) {
+        const ok = !messages.some((m) => failing.includes(m.to));
+        calls.push({ messages, key: options.idempotencyKey, ok });
+        if (!ok) return { data: null, error: { message: "Internal server error" } };
+        sent.push(...messages);
+        return { data: { data: messages.map((_, i) => ({ id: `email_${sent.length - i}` })) }, error: null };
+      },
+    },
+  };
+}
+
+module.exports = {
+  fakeResend,
+};
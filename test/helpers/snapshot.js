@@ -0,0 +1,31 @@
+// =============================================================================
+// TEST HELPER — File Snapshots
+// =============================================================================
+// Compares rendered output with test/fixtures/snapshots/<name>. A missing
+// snapshot is written on the first local run and committed with the test;
+// under CI it fails instead, so a forgotten snapshot cannot pass unchecked.
+// After an intended change, refresh them all with UPDATE_SNAPSHOTS=1 npm test
+// and review the diff.
+// =============================================================================
+
+const assert = require("node:assert/strict");
+const { existsSync, readFileSync, writeFileSync, mkdirSync } = require("fs");
+const { join } = require("path");
+
+const SNAPSHOT_DIR = join(__dirname, "..", "fixtures", "snapshots");
+
+function matchSnapshot(name, actual) {
+  const file = join(SNAPSHOT_DIR, name);
+  const missing = !existsSync(file);
+  if (missing && process.env.CI && process.env.UPDATE_SNAPSHOTS !== "1") {
+    assert.fail(`${name} has no snapshot; run the tests locally to write it and commit the file`);
+  }
+  if (process.env.UPDATE_SNAPSHOTS === "1" || missing) {
+    mkdirSync(SNAPSHOT_DIR, { recursive: true });
+    writeFileSync(file, actual);
+    return;
+  }
+  assert.equal(actual, readFileSync(file, "utf-8"), `${name} differs from its snapshot (UPDATE_SNAPSHOTS=1 to accept)`);
+}
+
+module.exports = { matchSnapshot };
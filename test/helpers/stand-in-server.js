@@ -0,0 +1,44 @@
+// =============================================================================
+// TEST HELPER — Local stand-in HTTP server
+// =============================================================================
+// A real HTTP server on 127.0.0.1 that plays the part of Slack, Discord,
+// Telegram or a webhook receiver. Responses are scripted in order (the last
+// one repeats); every request is recorded as { method, path, headers, raw,
+// body } with `body` parsed as JSON when possible.
+// =============================================================================
+
+const http = require("http");
+
+async function startStandIn(responses = [{ status: 200, body: "ok" }]) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (c) => chunks.push(c));
+    req.on("end", () => {
+      const raw = Buffer.concat(chunks).toString("utf-8");
+      let body = raw;
+      try { body = JSON.parse(raw); } catch (err) { /* not JSON */ }
+      requests.push({ method: req.method, path: req.url, headers: req.headers, raw, body });
+
+      const spec = responses[Math.min(requests.length - 1, responses.length - 1)];
+      const payload = typeof spec.body === "string" ? spec.body : JSON.stringify(spec.body ?? {});
+      res.writeHead(spec.status || 200, spec.headers || {});
+      res.end(payload);
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    requests,
+    close: () => new Promise((resolve) => {
+      server.close(resolve);
+      server.closeAllConnections();
+    }),
+  };
+}
+
+module.exports = {
+  startStandIn,
+};
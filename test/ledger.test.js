@@ -0,0 +1,118 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createFakeFetch } = require("./helpers/fake-fetch");
+const { fakeResend } = require("./helpers/fake-resend");
+const { fakeRes } = require("./helpers/fake-res");
+const { createHandler } = require("../api/cron");
+const { createMemoryStorage } = require("../lib/storage");
+const { createMockProvider } = require("../lib/llm/mock");
+const { ledgerKey } = require("../lib/ledger");
+
+const NOW = new Date("2026-02-20T18:00:00Z");
+const ENV = { SOURCES_DISABLED: "senate-efd", MARKET_DATA_PROVIDER: "off", SUBSCRIBER_SECRET: "test-secret", PUBLIC_BASE_URL: "https://alpha.example", CHANNEL_EMAIL_RETRIES: "0" };
+
+// Resend stand-in that records each batch with its idempotency key and fails
+// any batch containing one of the `failing` addresses.
+async function run(deps, query = {}) {
+  const res = fakeRes();
+  const fetch = createFakeFetch([
+    ["bff.capitoltrades.com", "capitol/trades-api.json"],
+    ["news.google.com", "news/google-news.xml"],
+  ]);
+  await createHandler({ fetch, now: NOW, env: ENV, provider: createMockProvider(), ...deps })({ headers: {}, query }, res);
+  return res;
+}
+
+const subscribers = Array.from({ length: 150 }, (_, i) => `reader${i}@example.com`);
+
+test("a second send of the same edition and day is refused", async () => {
+  const storage = createMemoryStorage();
+  const resend = fakeResend();
+  const first = await run({ storage, resend, subscribers });
+
+  assert.equal(first.statusCode, 200);
+  assert.equal(first.body.ledger.status, "sent");
+  assert.deepEqual([first.body.ledger.batches, first.body.ledger.recipientsSent], [2, 150]);
+  assert.ok(resend.calls.every((c) => /^political-alpha\/[0-9a-f]{32}$/.test(c.key)));
+  assert.notEqual(resend.calls[0].key, resend.calls[1].key);
+
+  const record = await storage.get(ledgerKey("daily", "2026-02-20"));
+  assert.equal(record.snapshot.analysis.highAlerts[0].title, "Pelosi Loads Up on NVIDIA Ahead of Earnings");
+  assert.ok(Object.values(record.batches).every((b) => b.status === "sent" && !b.messages));
+
+  const again = await run({ storage, resend, subscribers });
+  assert.equal(again.statusCode, 409);
+  assert.equal(again.body.ledger.status, "sent");
+  assert.equal(resend.calls.length, 2);
+
+  // Other editions and days have their own entries.
+  const nextDay = await run({ storage, resend, subscribers, now: new Date("2026-02-21T07:00:00Z") });
+  assert.equal(nextDay.statusCode, 200);
+});
+
+test("resume resends only the failed batch, from the stored messages and key", async () => {
+  const storage = createMemoryStorage();
+  const flaky = fakeResend(["reader120@example.com"]);
+  const first = await run({ storage, resend: flaky, subscribers });
+
+  assert.equal(first.statusCode, 200);
+  assert.equal(first.body.emailsSent, 100);
+  assert.equal(first.body.ledger.status, "partial");
+  assert.equal(first.body.ledger.failedRecipients.length, 50);
+  assert.equal((await run({ storage, resend: flaky, subscribers })).body.hint, "Retry the failed recipients with ?mode=resume");
+
+  const resend = fakeResend();
+  const resumed = await run({ storage, resend }, { mode: "resume" });
+  assert.equal(resumed.statusCode, 200);
+  assert.equal(resumed.body.resent, 50);
+  assert.equal(resumed.body.ledger.status, "sent");
+  assert.equal(resumed.body.ledger.resumes, 1);
+  assert.deepEqual(resend.sent.map((m) => m.to), subscribers.slice(100));
+  assert.equal(resend.calls[0].key, flaky.calls[1].key);
+  assert.equal(resend.calls[0].messages[0].html, flaky.calls[1].messages[0].html);
+
+  // Nothing left to retry.
+  const idle = await run({ storage, resend }, { mode: "resume" });
+  assert.equal(idle.body.resent, 0);
+  assert.equal(resend.calls.length, 1);
+
+  assert.equal((await run({ storage, resend }, { mode: "resume", date: "2026-02-19" })).statusCode, 404);
+  assert.equal((await run({ storage, resend }, { mode: "resume", date: "yesterday" })).statusCode, 400);
+});
+
+test("a run that fails before sending gives its claim back", async () => {
+  const memory = createMemoryStorage();
+  const broken = { ...memory, async list() { throw new Error("KV timeout"); } };
+  const failed = await run({ storage: broken, resend: fakeResend() });
+  assert.equal(failed.statusCode, 500);
+  assert.equal(await memory.get(ledgerKey("daily", "2026-02-20")), null);
+
+  const retried = await run({ storage: memory, resend: fakeResend(), subscribers: ["a@example.com"] });
+  assert.equal(retried.statusCode, 200);
+});
+
+test("a run killed mid-send is taken over once its claim goes stale", async () => {
+  const storage = createMemoryStorage();
+  const key = ledgerKey("daily", "2026-02-20");
+  // A timed-out run got its first batch out and was killed before finishing.
+  const killed = (startedAt) => ({
+    edition: "daily", date: "2026-02-20", id: "briefing-2026-02-20", title: "Political Alpha", status: "sending", startedAt, updatedAt: startedAt, resumes: 0, snapshot: null,
+    batches: { "political-alpha/first": { recipients: subscribers.slice(0, 100), status: "sent", attempts: 1 } },
+    channels: [],
+  });
+
+  await storage.set(key, killed("2026-02-20T17:55:00.000Z"));
+  const tooSoon = await run({ storage, resend: fakeResend(), subscribers });
+  assert.equal(tooSoon.statusCode, 409);
+
+  await storage.set(key, killed("2026-02-20T17:40:00.000Z"));
+  const resend = fakeResend();
+  const res = await run({ storage, resend, subscribers });
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(resend.sent.map((m) => m.to), subscribers.slice(100));
+  assert.equal(res.body.ledger.status, "sent");
+  assert.equal(res.body.ledger.takeovers, 1);
+  assert.equal(res.body.ledger.recipientsSent, 150);
+  assert.equal((await run({ storage, resend, subscribers })).statusCode, 409);
+});
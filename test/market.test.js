@@ -0,0 +1,81 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createFakeFetch } = require("./helpers/fake-fetch");
+const { createTrade, tradesToTableRows } = require("../lib/trades");
+const { createCsvProvider, createYahooProvider, createMarketDataProvider, parsePriceCsv, enrichWithPrices } = require("../lib/market");
+const { buildEmailHtml } = require("../lib/channels/email");
+const { rowLine } = require("../lib/channels/format");
+
+const NOW = new Date("2026-02-20T18:00:00Z");
+
+function trade(fields) {
+  return createTrade({ kind: "congress", entity: "Nancy Pelosi", party: "D", chamber: "House", transaction: "BUY", source: "Test", filingDate: "2026-02-20", ...fields });
+}
+
+test("price CSVs with or without a ticker column", () => {
+  assert.deepEqual(parsePriceCsv("Date,Open,High,Low,Close,Volume\n2026-01-16,137,139.2,136.5,138.4,201000000\n2026-01-15,135.1,137,134.8,136.2,182000000\n"),
+    [{ ticker: "", date: "2026-01-15", close: 136.2 }, { ticker: "", date: "2026-01-16", close: 138.4 }]);
+  assert.throws(() => parsePriceCsv("day,price\n2026-01-15,1"), /date and close/);
+});
+
+test("trades are priced at the trade-date close and the latest close", async () => {
+  const trades = [
+    trade({ ticker: "NVDA", tradeDate: "2026-01-16" }),
+    // Saturday: falls back to Friday's close.
+    trade({ ticker: "GOOGL", tradeDate: "2026-01-17" }),
+    trade({ ticker: "CRM", transaction: "SELL", tradeDate: "2026-01-21" }),
+    // No close within a few days of the trade.
+    trade({ ticker: "LMT", tradeDate: "2026-01-20" }),
+    trade({ ticker: "AAPL", tradeDate: "2026-01-20" }),
+    trade({ ticker: "MSFT", tradeDate: "" }),
+  ];
+  const { priced, errors } = await enrichWithPrices(trades, createCsvProvider(), { now: NOW });
+
+  assert.equal(priced, 3);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(trades[0].performance, { tradePrice: 138.4, tradePriceDate: "2026-01-16", latestPrice: 172.96, latestPriceDate: "2026-02-20", changePct: 25 });
+  assert.equal(trades[1].performance.tradePriceDate, "2026-01-14");
+  assert.equal(trades[2].performance.changePct, -15);
+  assert.match(trades[2].text, /stock -15\.0% since the trade \(\$300\.00 → \$255\.00\)/);
+  for (const t of trades.slice(3)) assert.equal(t.performance, undefined);
+});
+
+test("a failing provider leaves trades unpriced", async () => {
+  const trades = [trade({ ticker: "NVDA", tradeDate: "2026-01-16" })];
+  const provider = { name: "down", async getCloses() { throw new Error("HTTP 503"); } };
+  const { priced, errors } = await enrichWithPrices(trades, provider, { now: NOW });
+  assert.equal(priced, 0);
+  assert.deepEqual(errors, [{ ticker: "NVDA", error: "HTTP 503" }]);
+  assert.equal(trades[0].performance, undefined);
+});
+
+test("yahoo provider reads daily closes from the chart API", async () => {
+  const fetch = createFakeFetch([
+    ["/chart/NVDA?", "market/yahoo-chart-nvda.json"],
+    ["/chart/BRK-B?", { status: 500, body: "oops" }],
+  ]);
+  const yahoo = createYahooProvider({ fetch });
+  assert.deepEqual(await yahoo.getCloses("NVDA", { from: "2026-01-16", to: "2026-02-20" }),
+    [{ date: "2026-01-16", close: 138.4 }, { date: "2026-02-19", close: 171.1 }, { date: "2026-02-20", close: 172.96 }]);
+  assert.deepEqual(await yahoo.getCloses("ZZZZ", { from: "2026-01-16", to: "2026-02-20" }), []);
+  await assert.rejects(yahoo.getCloses("BRK.B", { from: "2026-01-16", to: "2026-02-20" }), /HTTP 500/);
+
+  assert.equal(createMarketDataProvider({}).name, "yahoo");
+  assert.equal(createMarketDataProvider({ MARKET_DATA_PROVIDER: "off" }), null);
+  assert.throws(() => createMarketDataProvider({ MARKET_DATA_PROVIDER: "bloomberg" }), /Unknown MARKET_DATA_PROVIDER/);
+});
+
+test("Other Trades shows the move since each trade", async () => {
+  const trades = [trade({ ticker: "NVDA", tradeDate: "2026-01-16" }), trade({ ticker: "AAPL", tradeDate: "2026-01-20" })];
+  await enrichWithPrices(trades, createCsvProvider(), { now: NOW });
+  const rows = tradesToTableRows(trades);
+
+  const html = buildEmailHtml({ highAlerts: [], otherTrades: rows, marketNote: "" }, 2, []);
+  assert.match(html, /Since Trade/);
+  assert.match(html, /\+25\.0%<\/span><br><span[^>]*>\$138\.40 &rarr; \$172\.96/);
+  assert.equal(rowLine(rows[0]), "BUY $NVDA · Nancy Pelosi · Undisclosed · 2026-01-16 · +25.0% since");
+
+  const unpriced = buildEmailHtml({ highAlerts: [], otherTrades: tradesToTableRows([trade({ ticker: "AAPL" })]), marketNote: "" }, 1, []);
+  assert.doesNotMatch(unpriced, /Since Trade/);
+});
@@ -0,0 +1,174 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createFakeFetch } = require("./helpers/fake-fetch");
+const { createTrade, validateItems, parseAmountRange, namesMatch, toIsoDate } = require("../lib/trades");
+const { mergeTrades } = require("../lib/merge");
+const { openTradeHistory } = require("../lib/history");
+const { createMemoryStorage } = require("../lib/storage");
+const { analyzeWithModel, analyzeWithRules } = require("../lib/analysis");
+const { createMockProvider } = require("../lib/llm/mock");
+const { fetchQuiverQuantInsiders } = require("../lib/sources/quiver");
+
+function pelosiNvda(overrides = {}) {
+  return createTrade({
+    kind: "congress",
+    entity: "Nancy Pelosi",
+    chamber: "house",
+    party: "democrat",
+    ticker: "$NVDA",
+    transaction: "Purchase",
+    amount: "$1,000,001 - $5,000,000",
+    tradeDate: "2026-02-01",
+    filingDate: "2026-02-19",
+    source: "Capitol Trades",
+    ...overrides,
+  });
+}
+
+test("createTrade normalizes fields and validateItems drops unusable trades", () => {
+  const trade = pelosiNvda();
+  assert.equal(trade.ticker, "NVDA");
+  assert.equal(trade.transaction, "BUY");
+  assert.equal(trade.party, "D");
+  assert.equal(trade.chamber, "House");
+
+  const bad = createTrade({ kind: "congress", entity: "Nobody", ticker: "not a ticker", transaction: "BUY", source: "Test" });
+  const news = { source: "News", text: "Headline" };
+  assert.deepEqual(validateItems([trade, bad, news]), [trade, news]);
+});
+
+test("amount ranges and name matching", () => {
+  assert.deepEqual(parseAmountRange("$1,001 - $15,000"), { min: 1001, max: 15000 });
+  assert.equal(parseAmountRange("40,000 shares"), null);
+  assert.ok(namesMatch("Rep. Nancy P. Pelosi", "Nancy Pelosi"));
+  assert.ok(!namesMatch("Rick Scott", "Austin Scott"));
+});
+
+test("toIsoDate reads dates without a time as calendar dates in any time zone", () => {
+  const tz = process.env.TZ;
+  try {
+    for (const zone of ["UTC", "Europe/Berlin", "Pacific/Auckland", "America/Los_Angeles"]) {
+      process.env.TZ = zone;
+      assert.equal(toIsoDate("Feb. 20, 2026"), "2026-02-20", zone);
+      assert.equal(toIsoDate("September 3, 2025"), "2025-09-03", zone);
+      assert.equal(toIsoDate("2/20/2026"), "2026-02-20", zone);
+      assert.equal(toIsoDate("Thu, 19 Feb 2026 23:30:00 GMT"), "2026-02-19", zone);
+    }
+  } finally {
+    if (tz === undefined) delete process.env.TZ;
+    else process.env.TZ = tz;
+  }
+  assert.equal(toIsoDate("Feb. 30, 2026"), "");
+  assert.equal(toIsoDate("not a date"), "");
+});
+
+test("mergeTrades collapses the same trade reported by several sources", () => {
+  const merged = mergeTrades([
+    pelosiNvda(),
+    pelosiNvda({ source: "House Clerk", tradeDate: "2026-02-02", amount: "$1,000,001 - $5,000,000" }),
+    pelosiNvda({ ticker: "AAPL" }),
+  ]);
+  assert.equal(merged.length, 2);
+  assert.deepEqual(merged[0].sources.sort(), ["Capitol Trades", "House Clerk"]);
+  assert.equal(merged[0].source, "House Clerk");
+});
+
+test("mergeTrades never folds two records from one source into the same trade", () => {
+  // QuiverQuant runs first and only knows the filing date, which is close to
+  // both of Capitol's trades.
+  const quiver = pelosiNvda({ source: "QuiverQuant Congress", amount: "", tradeDate: "", filingDate: "2026-01-22" });
+  const small = pelosiNvda({ amount: "$1,001 - $15,000", tradeDate: "2026-01-05", filingDate: "2026-01-22" });
+  const large = pelosiNvda({ amount: "$250,001 - $500,000", tradeDate: "2026-01-20", filingDate: "2026-01-22" });
+  const merged = mergeTrades([quiver, small, large]);
+
+  assert.equal(merged.length, 2);
+  assert.deepEqual(merged.map((t) => t.amount), ["$1,001 - $15,000", "$250,001 - $500,000"]);
+  assert.deepEqual(merged[0].sources, ["QuiverQuant Congress", "Capitol Trades"]);
+  assert.deepEqual(merged[1].sources, ["Capitol Trades"]);
+});
+
+test("trade history only re-reports trades whose details changed", async () => {
+  const storage = createMemoryStorage();
+  const first = await openTradeHistory(storage);
+  first.markSeen([pelosiNvda()]);
+  first.markEmailed([pelosiNvda()]);
+  await first.save();
+
+  const second = await openTradeHistory(storage);
+  const { fresh, amended, reported } = second.classify([
+    pelosiNvda(),
+    pelosiNvda({ ticker: "AAPL" }),
+  ]);
+  assert.equal(reported.length, 1);
+  assert.equal(fresh.length, 1);
+  assert.equal(amended.length, 0);
+
+  const changed = second.classify([pelosiNvda({ amount: "$5,000,001 - $25,000,000" })]);
+  assert.equal(changed.amended.length, 1);
+});
+
+test("insider headlines without a trade date keep their history ID from one day to the next", async () => {
+  const storage = createMemoryStorage();
+  const insiders = (now) => fetchQuiverQuantInsiders({ fetch: createFakeFetch([["insiders_automated", "quiver/insiders.html"]]), now });
+
+  const dayOne = await openTradeHistory(storage);
+  const first = await insiders(new Date("2026-02-20T18:00:00Z"));
+  dayOne.markSeen(first, "2026-02-20T18:00:00.000Z");
+  dayOne.markEmailed(first, "2026-02-20T18:00:00.000Z");
+  await dayOne.save();
+
+  const dayTwo = await openTradeHistory(storage);
+  const { fresh, amended, reported } = dayTwo.classify(await insiders(new Date("2026-02-21T07:00:00Z")));
+  assert.equal(fresh.length, 0);
+  assert.equal(amended.length, 0);
+  assert.equal(reported.length, 3);
+  assert.equal(first[0].filingDate, "2026-02-20");
+});
+
+test("a trade reported by a different mix of sources the next day is neither new nor amended", async () => {
+  // QuiverQuant dates the filing by its headline, Capitol Trades by its own
+  // publication time, and only Capitol knows the trade date.
+  const quiver = () => pelosiNvda({ source: "QuiverQuant Congress", amount: "", tradeDate: "", filingDate: "2026-02-20", issuer: "NVIDIA CORP" });
+  const capitol = () => pelosiNvda({ issuer: "NVIDIA Corp" });
+  const emailOn = async (storage, trades) => {
+    const history = await openTradeHistory(storage);
+    history.markSeen(trades);
+    history.markEmailed(trades);
+    await history.save();
+  };
+
+  const mergedFirst = createMemoryStorage();
+  await emailOn(mergedFirst, mergeTrades([quiver(), capitol()]));
+  const dayTwo = await openTradeHistory(mergedFirst);
+  assert.equal(dayTwo.classify([capitol()]).reported.length, 1);
+  // Capitol correcting its own amount is still an amendment.
+  assert.equal(dayTwo.classify([pelosiNvda({ issuer: "NVIDIA Corp", amount: "$5,000,001 - $25,000,000" })]).amended.length, 1);
+
+  const quiverFirst = createMemoryStorage();
+  await emailOn(quiverFirst, [quiver()]);
+  const history = await openTradeHistory(quiverFirst);
+  const [merged] = mergeTrades([quiver(), capitol()]);
+  assert.equal(history.classify([merged]).reported.length, 1);
+});
+
+test("analyzeWithModel repairs one malformed reply before giving up", async () => {
+  const good = { highAlerts: [], otherTrades: [], marketNote: "Quiet day." };
+  const provider = createMockProvider({ responses: ["not json", good] });
+  const analysis = await analyzeWithModel([pelosiNvda()], provider);
+
+  assert.equal(analysis.marketNote, "Quiet day.");
+  assert.equal(provider.calls.length, 2);
+  assert.match(provider.calls[1].messages.at(-1).content, /Invalid JSON/);
+
+  await assert.rejects(analyzeWithModel([pelosiNvda()], createMockProvider({ responses: ["{}"] })), /Schema violations/);
+});
+
+test("analyzeWithRules features the largest prominent trade", () => {
+  const small = createTrade({ kind: "congress", entity: "Joe Smith", ticker: "AAPL", transaction: "BUY", amount: "$1,001 - $15,000", source: "Test" });
+  const analysis = analyzeWithRules([small, pelosiNvda()]);
+
+  assert.equal(analysis.highAlerts[0].ticker, "NVDA");
+  assert.equal(analysis.highAlerts[0].entity, "Nancy Pelosi");
+  assert.match(analysis.marketNote, /2 disclosed trades/);
+});
@@ -0,0 +1,84 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createTrade, tradesToTableRows } = require("../lib/trades");
+const { findPolitician, enrichPoliticians, createDirectory } = require("../lib/politicians");
+const { flagConflicts } = require("../lib/committees");
+const { TICKER_SECTORS } = require("../lib/sectors");
+const { buildPrompt, analyzeWithRules } = require("../lib/analysis");
+const { buildEmailHtml } = require("../lib/channels/email");
+
+function trade(fields) {
+  return createTrade({ kind: "congress", transaction: "BUY", source: "Test", ...fields });
+}
+
+test("directory resolves canonical names, aliases and honorifics", () => {
+  assert.equal(findPolitician("Tommy Tuberville").state, "AL");
+  assert.equal(findPolitician("Sen. Thomas H. Tuberville").name, "Tommy Tuberville");
+  assert.equal(findPolitician("Rep. Rohit Khanna").name, "Ro Khanna");
+  assert.equal(findPolitician("Marjorie Greene").name, "Marjorie Taylor Greene");
+  assert.equal(findPolitician("Joe Smith"), null);
+
+  // A loose match has to be unambiguous.
+  const directory = createDirectory([{ name: "Rick Scott", aliases: [] }, { name: "Austin Scott", aliases: [] }]);
+  assert.equal(directory.find("Scott"), null);
+  assert.equal(directory.find("Richard Scott"), null);
+  assert.equal(directory.find("Rick Scott").name, "Rick Scott");
+  assert.equal(TICKER_SECTORS.LMT, "Industrials");
+});
+
+test("trades from name-only sources get party, chamber, state and conflicts", () => {
+  // QuiverQuant gives a role and a name, nothing else.
+  const quiver = trade({ entity: "Tommy Tuberville", role: "Senator", ticker: "LMT" });
+  const reported = trade({ entity: "Dan Crenshaw", party: "Democrat", ticker: "XOM" });
+  const unknown = trade({ entity: "Joe Smith", ticker: "LMT" });
+  const insider = createTrade({ kind: "insider", entity: "Tommy Tuberville", ticker: "LMT", transaction: "BUY", source: "Test" });
+  const trades = [quiver, reported, unknown, insider];
+
+  assert.equal(enrichPoliticians(trades), 2);
+  assert.deepEqual([quiver.party, quiver.chamber, quiver.state], ["R", "Senate", "AL"]);
+  assert.match(quiver.text, /^Tommy Tuberville \(R-Senate\)/);
+  // The source's own party wins over the directory.
+  assert.deepEqual([reported.party, reported.chamber, reported.state], ["D", "House", "TX"]);
+
+  assert.equal(flagConflicts(trades), 2);
+  assert.deepEqual(quiver.conflict, { sector: "Industrials", committees: ["Armed Services"] });
+  assert.deepEqual(reported.conflict, { sector: "Energy", committees: ["Energy and Commerce"] });
+  assert.equal(unknown.conflict, null);
+  assert.equal(insider.conflict, null);
+});
+
+test("security committees flag defense contractors, not every tech stock", () => {
+  // Ro Khanna sits on Armed Services; Dan Crenshaw on Energy and Commerce and Intelligence.
+  const khannaNvda = trade({ entity: "Ro Khanna", ticker: "NVDA" });
+  const khannaLmt = trade({ entity: "Ro Khanna", ticker: "LMT" });
+  const khannaUnp = trade({ entity: "Ro Khanna", ticker: "UNP" });
+  const crenshawPltr = trade({ entity: "Dan Crenshaw", ticker: "PLTR" });
+  const crenshawMsft = trade({ entity: "Dan Crenshaw", ticker: "MSFT" });
+
+  flagConflicts([khannaNvda, khannaLmt, khannaUnp, crenshawPltr, crenshawMsft]);
+  assert.equal(khannaNvda.conflict, null);
+  assert.equal(khannaUnp.conflict, null);
+  assert.deepEqual(khannaLmt.conflict, { sector: "Industrials", committees: ["Armed Services"] });
+  assert.deepEqual(crenshawPltr.conflict, { sector: "Information Technology", committees: ["Energy and Commerce", "Intelligence"] });
+  assert.deepEqual(crenshawMsft.conflict, { sector: "Information Technology", committees: ["Energy and Commerce"] });
+});
+
+test("conflicts reach the prompt, the rule-based fallback and the email", () => {
+  const trades = [
+    trade({ entity: "Nancy Pelosi", ticker: "AAPL", amount: "$1,001 - $15,000" }),
+    trade({ entity: "Markwayne Mullin", ticker: "RTX", amount: "$1,001 - $15,000" }),
+  ];
+  enrichPoliticians(trades);
+  flagConflicts(trades);
+
+  assert.match(buildPrompt(trades), /Markwayne Mullin \(R-Senate\): BUY \$RTX .* — POTENTIAL CONFLICT: Industrials stock; member sits on Armed Services/);
+  assert.doesNotMatch(buildPrompt(trades), /Pelosi.*CONFLICT/);
+
+  const analysis = analyzeWithRules(trades);
+  assert.equal(analysis.highAlerts[0].entity, "Markwayne Mullin");
+  assert.match(analysis.highAlerts[0].summary, /Potential conflict: Industrials stock; member sits on Armed Services, Environment and Public Works\./);
+
+  const html = buildEmailHtml({ highAlerts: [], otherTrades: tradesToTableRows(trades), marketNote: "" }, 2, []);
+  assert.equal(html.match(/COMMITTEE CONFLICT/g).length, 1);
+});
@@ -0,0 +1,103 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { fakeRes } = require("./helpers/fake-res");
+const { createTrade } = require("../lib/trades");
+const { createMemoryStorage } = require("../lib/storage");
+const { openTradeHistory } = require("../lib/history");
+const { createTradesHandler } = require("../api/trades");
+
+const ENV = { API_READ_KEY: "read-key", CRON_SECRET: "cron-secret" };
+const AUTH = { authorization: "Bearer read-key" };
+
+function trade(fields) {
+  return createTrade({ kind: "congress", transaction: "BUY", source: "Capitol Trades", ...fields });
+}
+
+async function seededStorage() {
+  const storage = createMemoryStorage();
+  const history = await openTradeHistory(storage);
+  history.markSeen([
+    trade({ entity: "Nancy Pelosi", party: "D", chamber: "House", ticker: "NVDA", amount: "$1,000,001 - $5,000,000", tradeDate: "2026-01-20", filingDate: "2026-02-14" }),
+    trade({ entity: "Rep. Nancy Pelosi", party: "D", chamber: "House", ticker: "AAPL", amount: "$250,001 - $500,000", tradeDate: "2026-02-02", filingDate: "2026-02-15", sources: ["Capitol Trades", "House Clerk"] }),
+    trade({ entity: "Ro Khanna", party: "D", chamber: "House", ticker: "NVDA", transaction: "SELL", amount: "$1,001 - $15,000", tradeDate: "2026-02-10", filingDate: "2026-02-16", source: "QuiverQuant Congress" }),
+    trade({ entity: "Tommy Tuberville", party: "R", chamber: "Senate", ticker: "NVDA", amount: "$15,001 - $50,000", tradeDate: "2025-12-01", filingDate: "2026-02-17" }),
+    trade({ entity: "Tommy Tuberville", party: "R", chamber: "Senate", ticker: "LMT", transaction: "SELL", amount: "$50,001 - $100,000", tradeDate: "2026-02-01", source: "Senate eFD" }),
+  ], "2026-02-18T07:00:00.000Z");
+  await history.save();
+  return storage;
+}
+
+async function get(storage, query, headers = AUTH) {
+  const res = fakeRes();
+  await createTradesHandler({ storage, env: ENV })({ method: "GET", headers, query }, res);
+  return res;
+}
+
+test("trades API needs the read key, not the cron secret", async () => {
+  const storage = await seededStorage();
+  assert.equal((await get(storage, {}, {})).statusCode, 401);
+  assert.equal((await get(storage, {}, { authorization: "Bearer cron-secret" })).statusCode, 401);
+
+  const res = fakeRes();
+  await createTradesHandler({ storage, env: {} })({ method: "GET", headers: { authorization: "Bearer " }, query: {} }, res);
+  assert.equal(res.statusCode, 401);
+});
+
+test("trades filter, sort and paginate", async () => {
+  const storage = await seededStorage();
+  const tickers = async (query) => (await get(storage, query)).body.results.map((t) => `${t.entity}:${t.ticker}`);
+
+  const all = (await get(storage, {})).body;
+  assert.equal(all.total, 5);
+  assert.deepEqual(all.results.map((t) => t.tradeDate), ["2026-02-10", "2026-02-02", "2026-02-01", "2026-01-20", "2025-12-01"]);
+  assert.equal(all.results[0].firstSeen, "2026-02-18T07:00:00.000Z");
+  assert.match(all.results[0].id, /^[0-9a-f]{16}$/);
+
+  assert.deepEqual(await tickers({ politician: "pelosi", sort: "amount" }), ["Nancy Pelosi:NVDA", "Rep. Nancy Pelosi:AAPL"]);
+  assert.deepEqual(await tickers({ party: "R", transaction: "sell" }), ["Tommy Tuberville:LMT"]);
+  assert.deepEqual(await tickers({ chamber: "house", ticker: "$nvda", sort: "tradeDate", order: "asc" }), ["Nancy Pelosi:NVDA", "Ro Khanna:NVDA"]);
+  assert.deepEqual(await tickers({ source: "house clerk,quiver" }), ["Ro Khanna:NVDA", "Rep. Nancy Pelosi:AAPL"]);
+  assert.deepEqual(await tickers({ from: "2026-02-01", to: "2026-02-05" }), ["Rep. Nancy Pelosi:AAPL", "Tommy Tuberville:LMT"]);
+  // The LMT trade has no filing date, so a filing-date range uses its trade date.
+  assert.deepEqual(await tickers({ dateField: "filingDate", from: "2026-02-16", sort: "filingDate" }), ["Tommy Tuberville:NVDA", "Ro Khanna:NVDA"]);
+  assert.deepEqual(await tickers({ dateField: "filingDate", to: "2026-02-01" }), ["Tommy Tuberville:LMT"]);
+
+  const page = (await get(storage, { limit: "2", offset: "2" })).body;
+  assert.deepEqual([page.total, page.results.length, page.nextOffset], [5, 2, 4]);
+  assert.equal((await get(storage, { limit: "2", offset: "4" })).body.nextOffset, null);
+});
+
+test("aggregate views total tickers and member activity", async () => {
+  const storage = await seededStorage();
+
+  const tickers = (await get(storage, { view: "tickers" })).body.results;
+  assert.deepEqual(tickers[0], {
+    ticker: "NVDA", trades: 3, buys: 2, sells: 1, firstTradeDate: "2025-12-01", lastTradeDate: "2026-02-10",
+    members: 3, buyVolume: 3032502, sellVolume: 8001, volume: 3040503, netVolume: 3024501,
+  });
+  assert.deepEqual((await get(storage, { view: "tickers", sort: "ticker" })).body.results.map((t) => t.ticker), ["AAPL", "LMT", "NVDA"]);
+
+  const members = (await get(storage, { view: "politicians", sort: "volume" })).body.results;
+  assert.deepEqual(members.map((m) => [m.entity, m.trades, m.tickers]), [["Nancy Pelosi", 2, 2], ["Tommy Tuberville", 2, 2], ["Ro Khanna", 1, 1]]);
+  assert.equal(members[1].lateFilings, 1);
+  assert.equal(members[1].avgDelayDays, 78);
+  assert.deepEqual((await get(storage, { view: "politicians", chamber: "Senate" })).body.results.map((m) => m.entity), ["Tommy Tuberville"]);
+});
+
+test("bad queries get a 400 listing the problems", async () => {
+  const storage = await seededStorage();
+  const res = await get(storage, { party: "Green", from: "Feb 1", sort: "volume", limit: "1000" });
+  assert.equal(res.statusCode, 400);
+  assert.deepEqual(res.body.problems, [
+    'invalid party "Green"',
+    "from must be YYYY-MM-DD",
+    "sort must be one of tradeDate, filingDate, firstSeen, amount, delayDays, ticker, entity",
+    "limit must be between 1 and 500",
+  ]);
+  assert.equal((await get(storage, { view: "sectors" })).statusCode, 400);
+
+  const post = fakeRes();
+  await createTradesHandler({ storage, env: ENV })({ method: "POST", headers: AUTH, query: {} }, post);
+  assert.equal(post.statusCode, 405);
+});
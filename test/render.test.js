@@ -0,0 +1,101 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createTrade, tradesToTableRows } = require("../lib/trades");
+const { buildDigest } = require("../lib/digest");
+const { THEMES, renderEmail, buildEmailHtml, buildDigestHtml, buildEmailText, buildDigestText } = require("../lib/render");
+const { matchSnapshot } = require("./helpers/snapshot");
+
+const NOW = new Date("2026-02-20T12:00:00Z");
+
+function trade(fields) {
+  return createTrade({ kind: "congress", transaction: "BUY", source: "Capitol Trades", ...fields });
+}
+
+const pelosi = trade({
+  entity: "Nancy Pelosi", party: "D", chamber: "House", ticker: "NVDA", amount: "$1,000,001 - $5,000,000",
+  tradeDate: "2026-01-20", filingDate: "2026-02-14", sources: ["Capitol Trades", "House Clerk"],
+  performance: { tradePrice: 138.4, latestPrice: 172.96, changePct: 25 },
+});
+const reuters = {
+  title: "Pelosi discloses new Nvidia call options ahead of earnings", publisher: "Reuters",
+  link: "https://news.google.com/rss/articles/CBMiXmh0dHBzOi8vd3d3LnJldXRlcnMuY29tL3BlbG9zaS1udmlkaWE?oc=5", date: "Fri, 20 Feb 2026 14:30:00 GMT",
+};
+// Flagged the way the cron does it after merging.
+const larsen = Object.assign(trade({
+  entity: "Rick Larsen", party: "D", chamber: "House", ticker: "LMT", amount: "$15,001 - $50,000", tradeDate: "2025-12-01", filingDate: "2026-02-17",
+}), {
+  amended: true,
+  conflict: { sector: "Defense", committees: ["Armed Services"] },
+  coverage: [{ title: "Lockheed Martin wins $4B hypersonics contract", publisher: "Defense News", link: "https://www.defensenews.com/lmt-hypersonics", date: "" }],
+});
+
+const analysis = {
+  marketNote: "2 disclosed trades (2 buys, 0 sells), leaning toward buying.",
+  highAlerts: [{
+    title: "Pelosi buys $NVDA", summary: "Nancy Pelosi bought $NVDA worth $1,000,001 - $5,000,000 on 2026-01-20, her largest chip position this year.",
+    ticker: "NVDA", entity: "Nancy Pelosi", transaction: "BUY", sources: pelosi.sources, performance: pelosi.performance, coverage: [reuters],
+  }],
+  otherTrades: tradesToTableRows([pelosi, larsen]),
+  signals: [{
+    type: "insider", ticker: "LMT", transaction: "BUY", score: 8,
+    headline: "Rick Larsen bought $LMT alongside insider buying by James Taiclet",
+    trades: [
+      { entity: "Rick Larsen", kind: "congress", transaction: "BUY", amount: "$15,001 - $50,000", date: "2025-12-01" },
+      { entity: "James Taiclet", kind: "insider", transaction: "BUY", amount: "$250,000", date: "2025-12-03" },
+    ],
+  }],
+  lateFilings: [{ entity: "Rick Larsen", party: "D", chamber: "House", ticker: "LMT", transaction: "BUY", tradeDate: "2025-12-01", filingDate: "2026-02-17", delayDays: 78, record: { filings: 4, late: 2 } }],
+};
+const sources = [
+  { id: "quiver-insiders", name: "QuiverQuant Insiders", status: "error", items: 0, latencyMs: 12034, attempts: 3, error: "HTTP 503" },
+  { id: "house-clerk", name: "House Clerk", status: "ok", items: 4, latencyMs: 840, attempts: 1 },
+  { id: "senate-efd", name: "Senate eFD", status: "disabled", items: 0, latencyMs: 0, attempts: 0 },
+];
+const recipient = {
+  email: "reader@example.com",
+  unsubscribeUrl: "https://alpha.example/api/unsubscribe?token=abc",
+  viewUrl: "https://alpha.example/archive/2026-02-20",
+  watchlist: { tickers: ["LMT"] },
+  watchlistTrades: [larsen],
+};
+
+for (const name of Object.keys(THEMES)) {
+  test(`briefing HTML matches its snapshot in the ${name} theme`, () => {
+    const html = buildEmailHtml(analysis, 12, sources, recipient, { theme: name, now: NOW });
+    matchSnapshot(`briefing.${name}.html`, html);
+    for (const color of [THEMES[name].background, THEMES[name].buy, THEMES[name].badges.late.color]) assert.ok(html.includes(color));
+  });
+}
+
+// Digests read stored history, which keeps no news links.
+const firstSeen = "2026-02-18T07:00:00.000Z";
+const digest = buildDigest({ a: { firstSeen, trade: pelosi }, b: { firstSeen, trade: { ...larsen, coverage: [] } } }, { edition: "weekly", now: NOW });
+
+for (const name of Object.keys(THEMES)) {
+  test(`digest HTML matches its snapshot in the ${name} theme`, () => {
+    const html = buildDigestHtml(digest, recipient, { theme: name });
+    matchSnapshot(`digest.weekly.${name}.html`, html);
+    assert.ok(html.includes(THEMES[name].background));
+  });
+}
+
+test("plain-text briefing and digest match their snapshots", () => {
+  const text = buildEmailText(analysis, 12, sources, recipient, { now: NOW });
+  matchSnapshot("briefing.txt", text);
+  assert.doesNotMatch(text, /<[a-z]/i);
+  for (const heading of ["YOUR WATCHLIST", "MARKET PULSE", "HIGH TRADE ALERTS", "SIGNALS", "LATE FILERS", "OTHER TRADES"]) {
+    assert.match(text, new RegExp(`^${heading}\\n=+$`, "m"));
+  }
+  // Links are never broken across lines; everything else is wrapped.
+  assert.ok(text.split("\n").every((line) => line.length <= 100 || /^\s*https?:\/\/\S+$/.test(line)), "lines stay short");
+
+  matchSnapshot("digest.weekly.txt", buildDigestText(digest, recipient));
+});
+
+test("renderEmail returns both parts and falls back to dark for unknown themes", () => {
+  const payload = { type: "briefing", title: "Political Alpha", generatedAt: NOW.toISOString(), itemCount: 12, analysis, errors: [] };
+  const { html, text } = renderEmail(payload, {}, { theme: "sepia" });
+  assert.equal(html, buildEmailHtml(analysis, 12, [], {}, { theme: "dark", now: NOW }));
+  assert.equal(text, buildEmailText(analysis, 12, [], {}, { now: NOW }));
+});
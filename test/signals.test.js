@@ -0,0 +1,103 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createFakeFetch } = require("./helpers/fake-fetch");
+const { createTrade } = require("../lib/trades");
+const { openTradeHistory } = require("../lib/history");
+const { createMemoryStorage } = require("../lib/storage");
+const { fetchQuiverQuantInsiders } = require("../lib/sources/quiver");
+const { detectSignals, resolveSignalConfig } = require("../lib/signals");
+const { buildPrompt, analyzeWithRules } = require("../lib/analysis");
+const { buildEmailHtml } = require("../lib/channels/email");
+
+const CONFIG = resolveSignalConfig({});
+
+function trade(fields) {
+  return createTrade({ kind: "congress", transaction: "BUY", source: "Capitol Trades", amount: "$15,001 - $50,000", ...fields });
+}
+
+test("several members buying one ticker within the window form a cluster", () => {
+  const history = [
+    trade({ entity: "Nancy Pelosi", ticker: "NVDA", tradeDate: "2026-02-02" }),
+    trade({ entity: "Ro Khanna", ticker: "NVDA", tradeDate: "2026-02-06" }),
+    trade({ entity: "Dan Crenshaw", ticker: "NVDA", tradeDate: "2026-01-01" }),
+  ];
+  const today = [trade({ entity: "Josh Gottheimer", ticker: "NVDA", tradeDate: "2026-02-11" })];
+
+  const [signal, ...rest] = detectSignals(today, history, { config: CONFIG });
+  assert.equal(rest.length, 0);
+  assert.equal(signal.type, "cluster");
+  assert.equal(signal.headline, "3 members bought $NVDA within 9 days");
+  assert.deepEqual(signal.members, ["Nancy Pelosi", "Ro Khanna", "Josh Gottheimer"]);
+
+  // Fewer members than the threshold, or only old trades, is no signal.
+  assert.deepEqual(detectSignals(today, history, { config: resolveSignalConfig({ SIGNAL_CLUSTER_MIN_MEMBERS: "4" }) }), []);
+  assert.deepEqual(detectSignals([trade({ entity: "Ro Khanna", ticker: "AAPL", tradeDate: "2026-02-11" })], history, { config: CONFIG }), []);
+});
+
+test("insider alignment and position reversals are detected", () => {
+  const history = [
+    trade({ entity: "Tommy Tuberville", ticker: "LMT", transaction: "SELL", tradeDate: "2026-02-03", amount: "$100,001 - $250,000" }),
+    trade({ kind: "insider", entity: "James Taiclet", ticker: "LMT", transaction: "BUY", tradeDate: "2026-02-05", amount: "$250,000", source: "QuiverQuant Insiders" }),
+  ];
+  const today = [trade({ entity: "Tommy Tuberville", ticker: "LMT", tradeDate: "2026-02-08", amount: "$100,001 - $250,000" })];
+
+  const signals = detectSignals(today, history, { config: CONFIG });
+  assert.deepEqual(signals.map((s) => s.type), ["insider", "reversal"]);
+  assert.equal(signals[0].headline, "Tommy Tuberville bought $LMT alongside insider buying by James Taiclet");
+  assert.equal(signals[1].headline, "Tommy Tuberville bought $LMT 5 days after they sold it");
+  assert.ok(signals[0].score > signals[1].score);
+
+  assert.deepEqual(detectSignals(today, history, { config: resolveSignalConfig({ SIGNALS: "reversal" }) }).map((s) => s.type), ["reversal"]);
+  assert.deepEqual(detectSignals(today, history, { config: resolveSignalConfig({ SIGNALS: "off" }) }), []);
+  assert.deepEqual(detectSignals(today, history, { config: resolveSignalConfig({ SIGNAL_WINDOW_DAYS: "2", SIGNAL_REVERSAL_DAYS: "3" }) }), []);
+});
+
+test("an insider alignment is reported once, not again the next morning", async () => {
+  const storage = createMemoryStorage();
+  const member = trade({ entity: "Nancy Pelosi", ticker: "NVDA", transaction: "SELL", tradeDate: "2026-02-18" });
+  // One briefing as the cron runs it: today's trades are those the history
+  // has not emailed yet; everything on record can complete a signal.
+  const briefing = async (now, extra = []) => {
+    const history = await openTradeHistory(storage);
+    const fetched = await fetchQuiverQuantInsiders({ fetch: createFakeFetch([["insiders_automated", "quiver/insiders.html"]]), now });
+    const { fresh } = history.classify([...fetched, ...extra]);
+    history.markSeen([...fetched, ...extra], now.toISOString());
+    const signals = detectSignals(fresh, Object.values(history.records).map((r) => r.trade), { config: CONFIG });
+    history.markEmailed(fresh, now.toISOString());
+    await history.save();
+    return signals;
+  };
+
+  const first = await briefing(new Date("2026-02-20T07:00:00Z"), [member]);
+  assert.deepEqual(first.map((s) => s.type), ["insider"]);
+  assert.deepEqual(first[0].insiders, ["Chief Financial Officer"]);
+
+  // The same headlines are still on QuiverQuant's page the next day.
+  assert.deepEqual(await briefing(new Date("2026-02-21T07:00:00Z")), []);
+});
+
+test("signals reach the prompt, the rule-based alerts and the email", () => {
+  const items = [
+    trade({ entity: "Nancy Pelosi", ticker: "AAPL", amount: "$1,000,001 - $5,000,000", tradeDate: "2026-02-10" }),
+    trade({ entity: "Greg Landsman", ticker: "MSFT", tradeDate: "2026-02-10" }),
+    trade({ entity: "Rick Larsen", ticker: "LMT", tradeDate: "2026-02-10" }),
+  ];
+  const history = [trade({ kind: "insider", entity: "James Taiclet", ticker: "LMT", tradeDate: "2026-02-09", source: "QuiverQuant Insiders" })];
+  const signals = detectSignals(items, history, { config: CONFIG });
+  assert.equal(signals.length, 1);
+
+  assert.match(buildPrompt(items, signals), /Cross-trade signals:\n- \[score \d+\] Rick Larsen bought \$LMT alongside insider buying by James Taiclet/);
+  assert.doesNotMatch(buildPrompt(items), /Cross-trade signals/);
+
+  const analysis = analyzeWithRules(items, { signals });
+  assert.deepEqual(analysis.highAlerts.map((a) => a.ticker), ["AAPL", "LMT"]);
+  assert.match(analysis.highAlerts[1].summary, /Signal: Rick Larsen bought \$LMT alongside insider buying/);
+  // Without the signal the two small trades tie and the first one wins.
+  assert.deepEqual(analyzeWithRules(items).highAlerts.map((a) => a.ticker), ["AAPL", "MSFT"]);
+
+  const html = buildEmailHtml({ ...analysis, signals }, items.length, []);
+  assert.match(html, /Signals<\/h2>/);
+  assert.match(html, /INSIDER ALIGNMENT/);
+  assert.doesNotMatch(buildEmailHtml(analysis, items.length, []), /Signals<\/h2>/);
+});
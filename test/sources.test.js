@@ -0,0 +1,274 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createFakeFetch, readFixture } = require("./helpers/fake-fetch");
+const { fetchQuiverQuantTrades, fetchQuiverQuantInsiders } = require("../lib/sources/quiver");
+const { fetchCapitolTrades } = require("../lib/sources/capitol");
+const { fetchGoogleNewsRSS, resolveNewsQueries } = require("../lib/sources/news");
+const { fetchHouseDisclosures, fetchSenateDisclosures } = require("../lib/sources/disclosures");
+const { parseForm4Xml, fetchEdgarForm4 } = require("../lib/sources/edgar");
+const { runSource, resolveSourceConfig, getSources, gatherAllData } = require("../lib/sources");
+const { mergeTrades } = require("../lib/merge");
+
+const NOW = new Date("2026-02-20T18:00:00Z");
+
+test("QuiverQuant congress page yields one trade per disclosed line in every format", async () => {
+  const fetch = createFakeFetch([["congress_trades_automated", "quiver/congress-trades.html"]]);
+  const trades = await fetchQuiverQuantTrades({ fetch });
+
+  assert.deepEqual(
+    trades.map((t) => [t.entity, t.chamber, t.transaction, t.ticker]),
+    [
+      ["Josh Gottheimer", "House", "SELL", "STT"],
+      ["Josh Gottheimer", "House", "BUY", "MSFT"],
+      ["Nancy Pelosi", "House", "BUY", "NVDA"],
+      ["Tommy Tuberville", "Senate", "BUY", "LMT"],
+    ],
+  );
+  assert.equal(trades[2].issuer, "NVIDIA CORP");
+  assert.equal(trades[0].filingDate, "2026-02-20");
+});
+
+test("QuiverQuant insider headlines become insider trades with share counts", async () => {
+  const fetch = createFakeFetch([["insiders_automated", "quiver/insiders.html"]]);
+  const trades = await fetchQuiverQuantInsiders({ fetch });
+
+  assert.equal(trades.length, 3);
+  assert.equal(trades[1].kind, "insider");
+  assert.equal(trades[1].ticker, "NVDA");
+  assert.equal(trades[1].transaction, "SELL");
+  assert.equal(trades[1].amount, "40,000 shares");
+});
+
+test("QuiverQuant fetchers throw on HTTP errors so the registry can retry", async () => {
+  const fetch = createFakeFetch([["quiverquant.com", { status: 502, body: "Bad Gateway" }]]);
+  await assert.rejects(fetchQuiverQuantTrades({ fetch }), /HTTP 502/);
+});
+
+test("Capitol Trades API records map onto the canonical trade shape", async () => {
+  const fetch = createFakeFetch([["bff.capitoltrades.com", "capitol/trades-api.json"]]);
+  const trades = await fetchCapitolTrades({ fetch });
+
+  assert.equal(trades.length, 3);
+  const [pelosi, , mullin] = trades;
+  assert.equal(pelosi.entity, "Nancy Pelosi");
+  assert.equal(pelosi.party, "D");
+  assert.equal(pelosi.ticker, "NVDA");
+  assert.equal(pelosi.amount, "$250,001");
+  assert.equal(pelosi.tradeDate, "2026-01-16");
+  assert.equal(pelosi.sourceUrl, "https://www.capitoltrades.com/trades/20003771234");
+  assert.equal(mullin.chamber, "Senate");
+  assert.equal(mullin.role, "Senator");
+});
+
+test("Capitol Trades falls back to the page's __NEXT_DATA__ when the API is down", async () => {
+  const fetch = createFakeFetch([
+    ["bff.capitoltrades.com", { status: 503, body: "Service Unavailable" }],
+    ["www.capitoltrades.com/trades", "capitol/trades-page.html"],
+  ]);
+  const trades = await fetchCapitolTrades({ fetch });
+
+  assert.deepEqual(trades.map((t) => t.ticker), ["NVDA", "STT"]);
+  assert.equal(fetch.calls.length, 2);
+});
+
+test("Capitol Trades reports both failures when API and page are down", async () => {
+  const fetch = createFakeFetch([["capitoltrades.com", { status: 503, body: "" }]]);
+  await assert.rejects(fetchCapitolTrades({ fetch }), /API HTTP 503; page HTTP 503/);
+});
+
+test("Google News keeps headlines from the last 24 hours and de-duplicates across queries", async () => {
+  const fetch = createFakeFetch([["news.google.com", "news/google-news.xml"]]);
+  const items = await fetchGoogleNewsRSS({ fetch, now: NOW });
+
+  assert.equal(fetch.calls.length, 2);
+  assert.deepEqual(items.map((i) => i.text), [
+    "Pelosi discloses new Nvidia call options ahead of earnings - Reuters",
+    "Senate panel revives push to ban congressional stock trading - The Hill",
+    "Tuberville adds to Lockheed Martin stake, filing shows - Bloomberg",
+  ]);
+  assert.ok(items.every((i) => i.source === "News"));
+  assert.deepEqual(items[0], {
+    source: "News",
+    text: "Pelosi discloses new Nvidia call options ahead of earnings - Reuters",
+    title: "Pelosi discloses new Nvidia call options ahead of earnings",
+    link: "https://news.google.com/rss/articles/CBMiXmh0dHBzOi8vd3d3LnJldXRlcnMuY29tL3BlbG9zaS1udmlkaWE?oc=5",
+    publisher: "Reuters",
+    description: "",
+    date: "Fri, 20 Feb 2026 14:30:00 GMT",
+    query: "congress stock trading disclosure",
+  });
+});
+
+test("Google News queries come from env plus one per watchlist ticker", async () => {
+  assert.deepEqual(resolveNewsQueries({}), ["congress stock trading disclosure", "politician insider trading stocks"]);
+  const queries = resolveNewsQueries({ NEWS_QUERIES: "stock act, senate stock ban", NEWS_WATCHLIST_QUERIES: "2" }, { tickers: ["nvda", "LMT", "NVDA", "KO"] });
+  assert.deepEqual(queries, ["stock act", "senate stock ban", "NVDA stock", "LMT stock"]);
+  assert.equal(resolveNewsQueries({ NEWS_WATCHLIST_QUERIES: "0" }, { tickers: ["NVDA"] }).length, 2);
+
+  const fetch = createFakeFetch([["news.google.com", "news/google-news.xml"]]);
+  await fetchGoogleNewsRSS({ fetch, now: NOW, newsQueries: queries });
+  assert.deepEqual(fetch.calls.map((c) => new URL(c.url).searchParams.get("q")),
+    ["stock act when:1d", "senate stock ban when:1d", "NVDA stock when:1d", "LMT stock when:1d"]);
+});
+
+test("a busy general search cannot crowd watchlist headlines out of the cut", async () => {
+  const fetch = createFakeFetch([
+    ["q=LMT+stock", "news/google-news-lmt.xml"],
+    ["news.google.com", "news/google-news-busy.xml"],
+  ]);
+  const items = await fetchGoogleNewsRSS({ fetch, now: NOW, newsQueries: ["congress stock trading disclosure", "LMT stock"] });
+
+  // Twelve general headlines and two about LMT compete for ten places.
+  assert.equal(items.length, 10);
+  assert.deepEqual(items.filter((i) => i.query === "LMT stock").map((i) => i.title), [
+    "Lockheed Martin wins $4B hypersonics contract",
+    "Lockheed Martin shares slip as F-35 deliveries pause",
+  ]);
+  assert.equal(items[0].title, "House ethics panel reviews members' options trading");
+});
+
+test("Google News only fails when every query fails", async () => {
+  let n = 0;
+  const partial = createFakeFetch([["news.google.com", () => (n++ === 0 ? { status: 500, body: "" } : "news/google-news.xml")]]);
+  assert.equal((await fetchGoogleNewsRSS({ fetch: partial, now: NOW })).length, 3);
+
+  const down = createFakeFetch([["news.google.com", { status: 500, body: "" }]]);
+  await assert.rejects(fetchGoogleNewsRSS({ fetch: down, now: NOW }), /HTTP 500/);
+});
+
+test("House Clerk reads the yearly ZIP index and parses recent PTR PDFs", async () => {
+  const fetch = createFakeFetch([
+    ["2026FD.zip", "house/2026FD.zip"],
+    ["20026541.pdf", "house/20026541.pdf"],
+  ]);
+  const trades = await fetchHouseDisclosures({ fetch, now: NOW });
+
+  // Crenshaw's filing is not a PTR; Khanna's PDF is missing and skipped.
+  assert.ok(!fetch.calls.some((c) => c.url.includes("10061234")));
+  assert.ok(fetch.calls.some((c) => c.url.includes("8221907")));
+  assert.deepEqual(trades.map((t) => `${t.transaction} ${t.ticker}`), ["BUY GOOGL", "BUY NVDA", "SELL CRM", "SELL V"]);
+  assert.ok(trades.every((t) => t.entity === "Nancy Pelosi" && t.source === "House Clerk"));
+  assert.equal(trades[1].amount, "$250,001 - $500,000");
+});
+
+test("Senate eFD accepts the agreement, searches, and parses electronic PTRs", async () => {
+  const fetch = createFakeFetch([
+    [/\/search\/home\/$/, (url, init) => (init.method === "POST"
+      ? { status: 302, body: "", headers: { "Set-Cookie": "sessionid=abc123; Path=/" } }
+      : { body: '<form><input type="hidden" name="csrfmiddlewaretoken" value="tok123"></form>', headers: { "Set-Cookie": "csrftoken=csrf456; Path=/" } })],
+    ["/search/report/data/", "senate/search-results.json"],
+    ["/ptr/5ac4d2c6", "senate/ptr-5ac4d2c6.html"],
+  ]);
+  const trades = await fetchSenateDisclosures({ fetch, now: NOW });
+
+  const search = fetch.calls.find((c) => c.url.endsWith("/search/report/data/"));
+  assert.equal(search.init.headers["X-CSRFToken"], "csrf456");
+  assert.match(search.init.headers.Cookie, /sessionid=abc123/);
+  // The paper filing is never requested.
+  assert.ok(!fetch.calls.some((c) => c.url.includes("/paper/")));
+  assert.ok(trades.length > 0);
+  assert.ok(trades.every((t) => t.entity === "Tommy Tuberville" && t.chamber === "Senate"));
+  assert.ok(trades.some((t) => t.ticker === "LMT" && t.transaction === "BUY"));
+});
+
+function edgarFetch() {
+  return createFakeFetch([
+    ["form.20260219.idx", "edgar/form.20260219.idx"],
+    [/\/(\d{10}-\d{2}-\d{6})\.txt$/, (url) => `edgar/${url.match(/(\d{10}-\d{2}-\d{6})\.txt$/)[1]}.txt`],
+  ]);
+}
+
+test("SEC EDGAR reads Form 4 filings from the daily index and keeps only open-market trades", async () => {
+  const fetch = edgarFetch();
+  const trades = await fetchEdgarForm4({ fetch, now: NOW });
+
+  // Days without an index (the 20th hasn't been published) are skipped, and
+  // each submission is read once although the index lists it twice.
+  assert.equal(fetch.calls.filter((c) => c.url.endsWith(".txt")).length, 3);
+  assert.ok(fetch.calls.every((c) => /PoliticalAlpha/.test(c.init.headers["User-Agent"])));
+  assert.deepEqual(trades.map((t) => `${t.entity} ${t.transaction} ${t.ticker} ${t.amount}`), [
+    "Colette Kress SELL NVDA $7,316,500",
+    "James D Taiclet BUY LMT $702,700",
+  ]);
+  const [kress, taiclet] = trades;
+  assert.equal(kress.price, 182.91);
+  assert.equal(kress.tradeDate, "2026-02-17");
+  assert.equal(kress.filingDate, "2026-02-19");
+  assert.equal(kress.role, "EVP and Chief Financial Officer");
+  assert.equal(taiclet.owner, "Self, By Trust & Spouse");
+  // Kress sold under the 10b5-1 plan her footnote cites; Taiclet's box is unchecked.
+  assert.equal(kress.tradingPlan, true);
+  assert.match(kress.text, /\$7,316,500 at \$182\.91 under a 10b5-1 trading plan/);
+  assert.equal(taiclet.tradingPlan, false);
+  assert.match(taiclet.sourceUrl, /\/000093646826000019\/0000936468-26-000019-index\.htm$/);
+
+  // The Apple filing only has a grant, an RSU vesting and tax withholding.
+  const apple = parseForm4Xml(readFixture("edgar/0000320193-26-000031.txt").toString());
+  assert.deepEqual(apple.transactions.map((t) => `${t.code}:${t.category}`), ["M:exercise", "F:tax-withholding", "A:grant", "M:exercise"]);
+  assert.equal(parseForm4Xml(readFixture("edgar/0001045810-26-000044.txt").toString()).tradingPlan, true);
+});
+
+test("Form 4 filings confirm QuiverQuant's title-only insider headlines", async () => {
+  const quiver = await fetchQuiverQuantInsiders({ fetch: createFakeFetch([["insiders_automated", "quiver/insiders.html"]]), now: NOW });
+  const edgar = await fetchEdgarForm4({ fetch: edgarFetch(), now: NOW });
+  const merged = mergeTrades([...quiver, ...edgar]);
+
+  assert.equal(merged.length, 4);
+  const nvda = merged.find((t) => t.ticker === "NVDA");
+  assert.deepEqual(nvda.sources, ["QuiverQuant Insiders", "SEC EDGAR"]);
+  // Labelled after the filing, even though QuiverQuant's headline came first.
+  assert.equal(nvda.source, "SEC EDGAR");
+  assert.equal(nvda.entity, "Colette Kress");
+  assert.equal(nvda.amount, "$7,316,500");
+  assert.equal(nvda.tradingPlan, true);
+  assert.equal(nvda.sourceUrl, edgar[0].sourceUrl);
+});
+
+test("sources read their settings from the env the registry runs them with", async () => {
+  assert.equal(process.env.EDGAR_ISSUER_CIKS, undefined);
+  const fetch = createFakeFetch([
+    ["form.20260219.idx", "edgar/form.20260219.idx"],
+    [/\/(\d{10}-\d{2}-\d{6})\.txt$/, (url) => `edgar/${url.match(/(\d{10}-\d{2}-\d{6})\.txt$/)[1]}.txt`],
+    ["2026FD.zip", "house/2026FD.zip"],
+    ["20026541.pdf", "house/20026541.pdf"],
+  ]);
+  const env = { SOURCES_ENABLED: "sec-form4,house-clerk", EDGAR_ISSUER_CIKS: "1045810", EDGAR_USER_AGENT: "Test Desk desk@example.com", DISCLOSURE_MAX_REPORTS: "1" };
+  const { sources } = await gatherAllData({ env, context: { fetch, now: NOW } });
+
+  // Only NVIDIA's filing is read, with the injected User-Agent.
+  const filings = fetch.calls.filter((c) => c.url.endsWith(".txt"));
+  assert.deepEqual(filings.map((c) => c.url.split("/").pop()), ["0001045810-26-000044.txt"]);
+  assert.ok(filings.every((c) => c.init.headers["User-Agent"] === "Test Desk desk@example.com"));
+  // One House report instead of the default ten.
+  assert.equal(fetch.calls.filter((c) => c.url.endsWith(".pdf")).length, 1);
+  assert.deepEqual(sources.filter((s) => s.status === "ok").map((s) => s.id), ["house-clerk", "sec-form4"]);
+});
+
+test("runSource records timeouts and retries as a per-source error", async () => {
+  const source = resolveSourceConfig({
+    id: "slow", name: "Slow", enabled: true, timeoutMs: 20, retries: 1, retryDelayMs: 1,
+    fetch: ({ signal }) => new Promise((resolve, reject) => signal.addEventListener("abort", () => reject(signal.reason))),
+  }, {});
+  const { report, items } = await runSource(source);
+
+  assert.deepEqual(items, []);
+  assert.equal(report.status, "error");
+  assert.equal(report.attempts, 2);
+  assert.match(report.error, /timed out after 20ms/);
+});
+
+test("source env switches disable and tune registered sources", () => {
+  const base = { id: "capitol-trades", name: "Capitol Trades", enabled: true, timeoutMs: 20000, retries: 1 };
+  assert.equal(resolveSourceConfig(base, { SOURCES_DISABLED: "capitol-trades" }).enabled, false);
+  assert.equal(resolveSourceConfig(base, { SOURCES_ENABLED: "house-clerk" }).enabled, false);
+  const tuned = resolveSourceConfig(base, { SOURCE_CAPITOL_TRADES_TIMEOUT_MS: "5000", SOURCE_CAPITOL_TRADES_RETRIES: "0" });
+  assert.equal(tuned.timeoutMs, 5000);
+  assert.equal(tuned.retries, 0);
+
+  // SEC EDGAR waits for a list of companies to follow.
+  const edgar = getSources().find((s) => s.id === "sec-form4");
+  assert.equal(resolveSourceConfig(edgar, {}).enabled, false);
+  assert.equal(resolveSourceConfig(edgar, { EDGAR_ISSUER_CIKS: "1045810" }).enabled, true);
+  assert.equal(resolveSourceConfig(edgar, { EDGAR_ISSUER_CIKS: "1045810", SOURCES_DISABLED: "sec-form4" }).enabled, false);
+});
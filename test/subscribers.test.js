@@ -0,0 +1,170 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { mkdtempSync, writeFileSync, rmSync } = require("fs");
+const { tmpdir } = require("os");
+const { join } = require("path");
+
+const { fakeRes } = require("./helpers/fake-res");
+const { createMemoryStorage } = require("../lib/storage");
+const { createSubscriberStore, loadActiveSubscribers, signToken, verifyToken, confirmUrl, unsubscribeUrl } = require("../lib/subscribers");
+const { createSubscribeHandler } = require("../api/subscribe");
+const { createConfirmHandler } = require("../api/confirm");
+const { createUnsubscribeHandler } = require("../api/unsubscribe");
+const { createSubscribersHandler } = require("../api/subscribers");
+const { createWatchlistHandler } = require("../api/watchlist");
+
+const ENV = { SUBSCRIBER_SECRET: "test-secret", PUBLIC_BASE_URL: "https://alpha.example", ADMIN_SECRET: "admin" };
+
+async function call(handler, req) {
+  const res = fakeRes();
+  await handler({ method: "GET", headers: {}, query: {}, ...req }, res);
+  return res;
+}
+
+const tokenOf = (url) => new URL(url).searchParams.get("token");
+
+test("signed tokens round-trip and reject tampering, wrong action and expiry", () => {
+  const token = signToken({ email: "Reader@Example.com", action: "unsubscribe" }, ENV);
+  assert.equal(verifyToken(token, "unsubscribe", ENV), "reader@example.com");
+
+  assert.throws(() => verifyToken(token, "confirm", ENV), /not valid for this action/);
+  assert.throws(() => verifyToken(token, "unsubscribe", { SUBSCRIBER_SECRET: "other" }), /Invalid link signature/);
+  const forged = `${Buffer.from(JSON.stringify({ e: "victim@example.com", a: "unsubscribe" })).toString("base64url")}.${token.split(".")[1]}`;
+  assert.throws(() => verifyToken(forged, "unsubscribe", ENV), /Invalid link signature/);
+
+  const confirm = tokenOf(confirmUrl("reader@example.com", ENV, 0));
+  assert.throws(() => verifyToken(confirm, "confirm", ENV, 8 * 24 * 60 * 60 * 1000), /expired/);
+});
+
+test("subscribe → confirm → unsubscribe walks the double opt-in lifecycle", async () => {
+  const storage = createMemoryStorage();
+  const sent = [];
+  const resend = { emails: { async send(message) { sent.push(message); return { data: { id: "1" }, error: null }; } } };
+
+  const subscribe = createSubscribeHandler({ storage, resend, env: ENV });
+  const res = await call(subscribe, { method: "POST", body: { email: " Reader@Example.com " } });
+  assert.equal(res.statusCode, 202);
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].to, "reader@example.com");
+
+  const store = createSubscriberStore(storage);
+  assert.equal((await store.get("reader@example.com")).status, "pending");
+  assert.deepEqual(await store.listActive(), []);
+
+  const link = sent[0].html.match(/href="([^"]+)"/)[1].replace(/&amp;/g, "&");
+  const confirmed = await call(createConfirmHandler({ storage, env: ENV }), { query: { token: tokenOf(link) } });
+  assert.equal(confirmed.statusCode, 200);
+  assert.match(confirmed.body, /You're subscribed/);
+  assert.deepEqual(await store.listActive(), ["reader@example.com"]);
+
+  // Subscribing again while active sends nothing.
+  await call(subscribe, { method: "POST", body: { email: "reader@example.com" } });
+  assert.equal(sent.length, 1);
+
+  const oneClick = await call(createUnsubscribeHandler({ storage, env: ENV }), {
+    method: "POST",
+    query: { token: tokenOf(unsubscribeUrl("reader@example.com", ENV)) },
+    body: { "List-Unsubscribe": "One-Click" },
+  });
+  assert.equal(oneClick.statusCode, 200);
+  assert.equal((await store.get("reader@example.com")).status, "unsubscribed");
+  assert.deepEqual(await store.listActive(), []);
+});
+
+test("subscribe rejects invalid addresses and non-POST requests", async () => {
+  const subscribe = createSubscribeHandler({ storage: createMemoryStorage(), resend: {}, env: ENV });
+  assert.equal((await call(subscribe, { method: "POST", body: { email: "not-an-email" } })).statusCode, 400);
+  assert.equal((await call(subscribe, { method: "GET" })).statusCode, 405);
+});
+
+test("unsubscribe link asks first; only the confirmation form unsubscribes", async () => {
+  const storage = createMemoryStorage();
+  const store = createSubscriberStore(storage);
+  await store.importConfirmed(["reader@example.com"]);
+  const unsubscribe = createUnsubscribeHandler({ storage, env: ENV });
+  const token = tokenOf(unsubscribeUrl("reader@example.com", ENV));
+
+  // Opening the link, as a link scanner would, changes nothing.
+  const page = await call(unsubscribe, { query: { token } });
+  assert.equal(page.statusCode, 200);
+  assert.match(page.body, /Stop sending Political Alpha to reader@example\.com\?/);
+  assert.match(page.body, /<form method="POST" action="\?token=[^"]+"/);
+  assert.equal(new URLSearchParams(page.body.match(/action="([^"]+)"/)[1].replace(/&amp;/g, "&")).get("token"), token);
+  assert.deepEqual(await store.listActive(), ["reader@example.com"]);
+
+  const done = await call(unsubscribe, { method: "POST", query: { token }, body: { confirmed: "yes" } });
+  assert.equal(done.statusCode, 200);
+  assert.match(done.body, /You're unsubscribed/);
+  assert.deepEqual(await store.listActive(), []);
+});
+
+test("unsubscribe link shows an error page for a bad token", async () => {
+  const res = await call(createUnsubscribeHandler({ storage: createMemoryStorage(), env: ENV }), { query: { token: "garbage" } });
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.headers["content-type"], "text/html; charset=utf-8");
+  assert.match(res.body, /Link not valid/);
+});
+
+test("admin list requires the admin secret and filters by status", async () => {
+  const storage = createMemoryStorage();
+  const store = createSubscriberStore(storage);
+  await store.importConfirmed(["a@example.com"]);
+  await store.subscribe("b@example.com");
+  const list = createSubscribersHandler({ storage, env: ENV });
+
+  assert.equal((await call(list, {})).statusCode, 401);
+  assert.equal((await call(createSubscribersHandler({ storage, env: {} }), { headers: { authorization: "Bearer " } })).statusCode, 401);
+
+  const res = await call(list, { headers: { authorization: "Bearer admin" }, query: { status: "pending" } });
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.counts, { pending: 1, active: 1, unsubscribed: 0 });
+  assert.deepEqual(res.body.subscribers.map((s) => s.email), ["b@example.com"]);
+});
+
+test("watchlists can be set at sign-up and managed by an admin", async () => {
+  const storage = createMemoryStorage();
+  const resend = { emails: { async send() { return { data: { id: "1" }, error: null }; } } };
+  const subscribe = createSubscribeHandler({ storage, resend, env: ENV });
+
+  const bad = await call(subscribe, { method: "POST", body: { email: "a@example.com", watchlist: { tickers: ["??"] } } });
+  assert.equal(bad.statusCode, 400);
+  assert.deepEqual(bad.body.problems, ['invalid ticker "??"']);
+
+  await call(subscribe, { method: "POST", body: { email: "a@example.com", watchlist: { tickers: "nvda", party: "R" } } });
+  const store = createSubscriberStore(storage);
+  assert.deepEqual((await store.get("a@example.com")).watchlist.tickers, ["NVDA"]);
+
+  const watchlist = createWatchlistHandler({ storage, env: ENV });
+  const auth = { authorization: "Bearer admin" };
+  assert.equal((await call(watchlist, { query: { email: "a@example.com" } })).statusCode, 401);
+  assert.equal((await call(watchlist, { headers: auth, query: { email: "nobody@example.com" } })).statusCode, 404);
+
+  const put = await call(watchlist, { method: "PUT", headers: auth, query: { email: "A@example.com" }, body: { politicians: ["Nancy Pelosi"], minAmount: 50001 } });
+  assert.equal(put.statusCode, 200);
+  assert.deepEqual(put.body.watchlist, { tickers: [], politicians: ["Nancy Pelosi"], parties: [], chambers: [], minAmount: 50001 });
+
+  const cleared = await call(watchlist, { method: "PUT", headers: auth, query: { email: "a@example.com" }, body: {} });
+  assert.equal(cleared.body.watchlist, null);
+});
+
+test("the legacy subscribers.json still gets the briefing when the store is read-only", async () => {
+  const dir = mkdtempSync(join(tmpdir(), "alpha-subscribers-"));
+  writeFileSync(join(dir, "subscribers.json"), JSON.stringify(["A@example.com", "a@example.com", "not-an-email", "b@example.com"]));
+  const cwd = process.cwd();
+  process.chdir(dir);
+  try {
+    const readOnly = { ...createMemoryStorage(), async set() { throw Object.assign(new Error("EROFS: read-only file system"), { code: "EROFS" }); } };
+    assert.deepEqual(await loadActiveSubscribers(readOnly), [
+      { email: "a@example.com", watchlist: null },
+      { email: "b@example.com", watchlist: null },
+    ]);
+
+    // A writable store imports the list once.
+    const storage = createMemoryStorage();
+    assert.deepEqual((await loadActiveSubscribers(storage)).map((s) => s.email).sort(), ["a@example.com", "b@example.com"]);
+    assert.equal((await createSubscriberStore(storage).get("b@example.com")).status, "active");
+  } finally {
+    process.chdir(cwd);
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,50 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createTrade } = require("../lib/trades");
+const { normalizeWatchlist, validateWatchlist, isEmptyWatchlist, filterWatchlist, describeWatchlist } = require("../lib/watchlist");
+
+const trades = [
+  createTrade({ kind: "congress", entity: "Nancy Pelosi", party: "D", chamber: "House", ticker: "NVDA", transaction: "BUY", amount: "$250,001 - $500,000", source: "Test" }),
+  createTrade({ kind: "congress", entity: "Tommy Tuberville", party: "R", chamber: "Senate", ticker: "LMT", transaction: "BUY", amount: "$15,001 - $50,000", source: "Test" }),
+  createTrade({ kind: "congress", entity: "Josh Gottheimer", party: "D", chamber: "House", ticker: "MSFT", transaction: "SELL", amount: "$1,001 - $15,000", source: "Test" }),
+  createTrade({ kind: "insider", entity: "CEO", ticker: "NVDA", transaction: "SELL", amount: "40,000 shares", source: "Test" }),
+];
+
+const tickersOf = (list) => list.map((t) => `${t.entity}:${t.ticker}`);
+
+test("normalizeWatchlist cleans arrays, comma lists and singular keys", () => {
+  assert.deepEqual(normalizeWatchlist({ tickers: "$nvda, lmt,NVDA", politicians: [" Nancy  Pelosi "], party: "Democrat", chamber: "senate", minAmount: "$15,001" }), {
+    tickers: ["NVDA", "LMT"],
+    politicians: ["Nancy Pelosi"],
+    parties: ["D"],
+    chambers: ["Senate"],
+    minAmount: 15001,
+  });
+  assert.ok(isEmptyWatchlist({ tickers: [] }));
+  assert.ok(isEmptyWatchlist(null));
+});
+
+test("validateWatchlist reports unusable entries", () => {
+  assert.deepEqual(validateWatchlist({ tickers: ["NVDA"], party: "D" }), []);
+  assert.deepEqual(validateWatchlist({ tickers: ["not a ticker"], chambers: ["Lords"], minAmount: "lots" }), [
+    'invalid ticker "not a ticker"',
+    'invalid chamber "Lords"',
+    'invalid minAmount "lots"',
+  ]);
+  assert.deepEqual(validateWatchlist([]), ["watchlist must be an object"]);
+});
+
+test("tickers and politicians are followed; party, chamber and amount narrow", () => {
+  assert.deepEqual(tickersOf(filterWatchlist(trades, { tickers: ["NVDA"] })), ["Nancy Pelosi:NVDA", "CEO:NVDA"]);
+  assert.deepEqual(tickersOf(filterWatchlist(trades, { tickers: ["LMT"], politicians: ["Rep. Nancy Pelosi"] })), ["Nancy Pelosi:NVDA", "Tommy Tuberville:LMT"]);
+  assert.deepEqual(tickersOf(filterWatchlist(trades, { tickers: ["NVDA", "MSFT"], parties: ["D"] })), ["Nancy Pelosi:NVDA", "Josh Gottheimer:MSFT"]);
+  assert.deepEqual(tickersOf(filterWatchlist(trades, { chambers: ["Senate"] })), ["Tommy Tuberville:LMT"]);
+  // Share counts have no dollar range, so a minimum amount excludes them.
+  assert.deepEqual(tickersOf(filterWatchlist(trades, { minAmount: 15001 })), ["Nancy Pelosi:NVDA", "Tommy Tuberville:LMT"]);
+  assert.deepEqual(filterWatchlist(trades, {}), []);
+});
+
+test("describeWatchlist summarizes follows and filters", () => {
+  assert.equal(describeWatchlist({ tickers: ["NVDA"], politicians: ["Nancy Pelosi"], chambers: ["House"], minAmount: 50001 }), "$NVDA, Nancy Pelosi · House · $50,001+");
+});